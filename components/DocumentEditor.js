@@ -3,6 +3,7 @@ const MonacoEditor = require('@monaco-editor/react').default;
 const { marked } = require('marked');
 const DOMPurify = require('dompurify');
 const textAnalysisService = require('../services/textAnalysisService');
+const useCollaboration = require('./useCollaboration');
 const MaterialUI = require('@mui/material');
 
 const {
@@ -30,7 +31,8 @@ const {
     Save,
     Undo,
     Redo,
-    MoreVert
+    MoreVert,
+    History
 } = MaterialUI.Icons;
 
 const DocumentEditor = ({
@@ -39,7 +41,11 @@ const DocumentEditor = ({
     section,
     onUpdateGlossary,
     glossaryTerms,
-    previewMode
+    previewMode,
+    documentId,
+    username,
+    authToken,
+    apiBase = '/api/v1'
 }) => {
     const [editorContent, setEditorContent] = React.useState(content);
     const [suggestions, setSuggestions] = React.useState([]);
@@ -50,6 +56,22 @@ const DocumentEditor = ({
     const debounceTimeout = React.useRef(null);
     const [anchorEl, setAnchorEl] = React.useState(null);
     const [selectedText, setSelectedText] = React.useState('');
+    const peerDecorations = React.useRef([]);
+    const detachCollaboration = React.useRef(null);
+    const [showBlame, setShowBlame] = React.useState(false);
+    const [blame, setBlame] = React.useState(null);
+    const blameDecorations = React.useRef([]);
+
+    // Real-time collaboration with other editors of the same document
+    const collaboration = useCollaboration({
+        documentId,
+        username,
+        token: authToken,
+        onRemoteContent: (value) => {
+            setEditorContent(value);
+            onChange?.(value);
+        }
+    });
 
     // Monaco editor options
     const editorOptions = {
@@ -65,13 +87,15 @@ const DocumentEditor = ({
         quickSuggestions: true,
         snippetSuggestions: 'on',
         rulers: [80],
-        bracketPairColorization: { enabled: true }
+        bracketPairColorization: { enabled: true },
+        readOnly: collaboration.readOnly
     };
 
     // Handle editor content changes
     const handleEditorChange = (value) => {
         setEditorContent(value);
-        
+        collaboration.updateContent(value);
+
         // Debounce content analysis
         if (debounceTimeout.current) {
             clearTimeout(debounceTimeout.current);
@@ -169,6 +193,113 @@ const DocumentEditor = ({
         }
     }, [suggestions, glossaryTerms, highlightedTerms]);
 
+    // Show other editors' cursors and selections
+    React.useEffect(() => {
+        const editor = editorRef.current;
+        if (!editor) return;
+
+        const decorations = [];
+        collaboration.peers.forEach((peer) => {
+            if (peer.position) {
+                decorations.push({
+                    range: {
+                        startLineNumber: peer.position.lineNumber,
+                        startColumn: peer.position.column,
+                        endLineNumber: peer.position.lineNumber,
+                        endColumn: peer.position.column
+                    },
+                    options: {
+                        beforeContentClassName: 'remote-cursor',
+                        hoverMessage: { value: peer.username || 'Anonymous' }
+                    }
+                });
+            }
+            if (peer.range) {
+                decorations.push({
+                    range: peer.range,
+                    options: {
+                        className: 'remote-selection',
+                        hoverMessage: { value: peer.username || 'Anonymous' }
+                    }
+                });
+            }
+        });
+
+        peerDecorations.current = editor.deltaDecorations(peerDecorations.current, decorations);
+    }, [collaboration.peers]);
+
+    React.useEffect(() => () => detachCollaboration.current?.(), []);
+
+    // Load who last changed each line while the blame gutter is shown
+    React.useEffect(() => {
+        if (!showBlame || !documentId) return;
+
+        let cancelled = false;
+        const query = section?.id !== undefined ? `?section=${encodeURIComponent(section.id)}` : '';
+        fetch(`${apiBase}/documents/${documentId}/blame${query}`, {
+            headers: { Authorization: `Bearer ${authToken}` }
+        })
+            .then(async (response) => {
+                const body = await response.json();
+                if (!response.ok) throw new Error(body.error?.message || response.statusText);
+                return body;
+            })
+            .then((result) => {
+                if (!cancelled) setBlame(result);
+            })
+            .catch((error) => {
+                console.error('Failed to load blame:', error);
+                if (!cancelled) setBlame(null);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [showBlame, documentId, section?.id, authToken]);
+
+    // Blame gutter: the author and date open each run of lines from the
+    // same version, and hovering any line shows its commit message
+    React.useEffect(() => {
+        const editor = editorRef.current;
+        if (!editor) return;
+
+        const decorations = [];
+        const model = editor.getModel();
+        if (showBlame && blame && model) {
+            blame.lines.forEach((line, index) => {
+                if (!line.version || line.line > model.getLineCount()) return;
+
+                const { version } = line;
+                const author = version.authorName || version.author;
+                const date = new Date(version.timestamp).toLocaleDateString();
+                const previous = blame.lines[index - 1];
+                const startsRun = !previous || !previous.version || previous.version.id !== version.id;
+
+                decorations.push({
+                    range: {
+                        startLineNumber: line.line,
+                        startColumn: 1,
+                        endLineNumber: line.line,
+                        endColumn: 1
+                    },
+                    options: {
+                        isWholeLine: true,
+                        linesDecorationsClassName: 'blame-gutter',
+                        hoverMessage: {
+                            value: `**${author}** · ${date}\n\n${version.message || '(no message)'}`
+                        },
+                        before: {
+                            content: startsRun ? `${author.slice(0, 12).padEnd(12)} ${date}` : ' '.repeat(24),
+                            inlineClassName: 'blame-annotation'
+                        }
+                    }
+                });
+            });
+        }
+
+        blameDecorations.current = editor.deltaDecorations(blameDecorations.current, decorations);
+    }, [showBlame, blame, editorContent]);
+
     const handleMenuOpen = (event) => {
         setAnchorEl(event.currentTarget);
     };
@@ -268,6 +399,32 @@ const DocumentEditor = ({
 
             <Box sx={{ flexGrow: 1 }} />
 
+            {documentId && (
+                <Tooltip title={showBlame ? 'Hide Blame' : 'Show Blame'}>
+                    <IconButton
+                        className="action-button"
+                        color={showBlame ? 'primary' : 'default'}
+                        onClick={() => setShowBlame(!showBlame)}
+                    >
+                        <History />
+                    </IconButton>
+                </Tooltip>
+            )}
+
+            {documentId && (
+                <Typography
+                    variant="caption"
+                    className="collaboration-status"
+                    color={collaboration.saveError ? 'error' : 'inherit'}
+                    title={collaboration.saveError || undefined}
+                >
+                    {collaboration.saveError && 'Not saved · '}
+                    {collaboration.connected
+                        ? `${collaboration.peers.size} other editor${collaboration.peers.size === 1 ? '' : 's'}`
+                        : 'Offline'}
+                </Typography>
+            )}
+
             <Tooltip title="More Options">
                 <IconButton className="action-button" onClick={handleMenuOpen}>
                     <MoreVert />
@@ -302,6 +459,8 @@ const DocumentEditor = ({
                         onChange={handleEditorChange}
                         onMount={(editor) => {
                             editorRef.current = editor;
+                            detachCollaboration.current?.();
+                            detachCollaboration.current = collaboration.attachEditor(editor);
                         }}
                     />
                 </Paper>
@@ -443,6 +602,32 @@ const styles = `
     border-bottom: none;
 }
 
+.remote-cursor {
+    border-left: 2px solid #FF5722;
+    margin-left: -1px;
+}
+
+.remote-selection {
+    background-color: rgba(255, 87, 34, 0.2);
+}
+
+.blame-gutter {
+    border-left: 3px solid #90CAF9;
+    margin-left: 3px;
+}
+
+.blame-annotation {
+    color: #888;
+    font-size: 12px;
+    margin-right: 12px;
+    white-space: pre;
+}
+
+.collaboration-status {
+    color: #666;
+    margin-right: 8px;
+}
+
 .editor-toolbar {
     padding: 8px;
     border-bottom: 1px solid #e0e0e0;
@@ -1,276 +1,375 @@
-import React from 'react';
-import { DndProvider, useDrag, useDrop } from 'react-dnd';
-import { HTML5Backend } from 'react-dnd-html5-backend';
-import { 
-    TreeView, 
-    TreeItem, 
-    Box, 
-    IconButton, 
-    Typography, 
-    Tooltip, 
-    Select, 
-    MenuItem, 
-    FormControl, 
-    InputLabel 
-} from '@material-ui/core';
-import { 
-    ExpandMore, 
-    ChevronRight, 
-    Add, 
-    Delete, 
-    Edit, 
-    Description, 
-    Folder, 
-    FolderOpen 
-} from '@material-ui/icons';
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    IconButton,
+    Typography,
+    Tooltip,
+    Select,
+    MenuItem,
+    FormControl,
+    InputLabel,
+    TextField,
+    Button,
+    Alert,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions
+} from '@mui/material';
+import { TreeView, TreeItem } from '@mui/lab';
+import {
+    ExpandMore,
+    ChevronRight,
+    Add,
+    CreateNewFolder,
+    Delete,
+    Edit,
+    Description,
+    FolderOpen
+} from '@mui/icons-material';
 
-const TreeNode = ({ node, level, onMove, onSelect, selectedId }) => {
-    const [{ isDragging }, drag] = useDrag({
-        type: 'SECTION',
-        item: { id: node.id, level },
-        collect: (monitor) => ({
-            isDragging: monitor.isDragging()
-        })
-    });
+const ROOT_ID = 'root';
+const REVIEW_CYCLES = ['monthly', 'quarterly', 'semi-annual', 'annual', 'biennial'];
 
-    const [{ isOver }, drop] = useDrop({
-        accept: 'SECTION',
-        drop: (item, monitor) => {
-            const didDrop = monitor.didDrop();
-            if (didDrop) {
-                return;
-            }
+const folderNodeId = (id) => `folder:${id}`;
+const documentNodeId = (id) => `document:${id}`;
 
-            if (item.id !== node.id) {
-                // Calculate position based on mouse position
-                const clientOffset = monitor.getClientOffset();
-                const hoverBoundingRect = ref.current?.getBoundingClientRect();
-                
-                if (clientOffset && hoverBoundingRect) {
-                    const hoverMiddleY = (hoverBoundingRect.bottom - hoverBoundingRect.top) / 2;
-                    const hoverClientY = clientOffset.y - hoverBoundingRect.top;
+// Nest folders and documents under their parents. Documents whose folder
+// is gone are shown at the top level, as the server treats them.
+const buildTree = (folders, documents) => {
+    const known = new Set(folders.map(folder => folder.id));
+    const childrenOf = (parentId) => [
+        ...folders
+            .filter(folder => (folder.parentId || null) === parentId)
+            .map(folder => ({
+                id: folderNodeId(folder.id),
+                type: 'folder',
+                name: folder.name,
+                folder,
+                children: childrenOf(folder.id)
+            })),
+        ...documents
+            .filter(document => (known.has(document.folderId) ? document.folderId : null) === parentId)
+            .map(document => ({
+                id: documentNodeId(document.id),
+                type: 'document',
+                name: document.title,
+                document
+            }))
+    ];
+    return { id: ROOT_ID, type: 'folder', name: 'Library', folder: null, children: childrenOf(null) };
+};
 
-                    // If mouse is in the upper half, place before; if in lower half, place after
-                    const position = hoverClientY < hoverMiddleY ? 'before' : 'after';
-                    
-                    onMove(item.id, node.id, position);
-                }
-            }
-        },
-        collect: (monitor) => ({
-            isOver: monitor.isOver({ shallow: true })
-        })
-    });
+const findNode = (node, id) => {
+    if (node.id === id) return node;
+    for (const child of node.children || []) {
+        const found = findNode(child, id);
+        if (found) return found;
+    }
+    return null;
+};
 
-    const ref = React.useRef(null);
-    const dragDropRef = drag(drop(ref));
+// The document library as a tree of folders. Folders are created, renamed,
+// given default owners and review cycles, and deleted from the buttons on
+// each row; dragging a document or folder onto a folder moves it there.
+const DocumentStructureTree = ({
+    authToken,
+    apiBase = '/api/v1',
+    onSelect,
+    numberingScheme,
+    onChangeNumberingScheme
+}) => {
+    const [expanded, setExpanded] = useState([ROOT_ID]);
+    const [selected, setSelected] = useState('');
+    const [tree, setTree] = useState(() => buildTree([], []));
+    const [users, setUsers] = useState([]);
+    const [error, setError] = useState(null);
+    const [dropTarget, setDropTarget] = useState(null);
+    // { mode: 'folder' | 'edit' | 'document' | 'delete', node, name, owner, reviewCycle }
+    const [dialog, setDialog] = useState(null);
 
-    const style = {
-        paddingLeft: `${level * 20}px`,
-        opacity: isDragging ? 0.5 : 1,
-        backgroundColor: isOver ? '#e8f0fe' : selectedId === node.id ? '#e3f2fd' : 'transparent',
-        cursor: 'grab',
-        display: 'flex',
-        alignItems: 'center',
-        padding: '8px',
-        marginBottom: '2px',
-        borderRadius: '4px',
-        transition: 'all 0.2s'
+    const request = async (path, options = {}) => {
+        const response = await fetch(`${apiBase}${path}`, {
+            ...options,
+            headers: {
+                Authorization: `Bearer ${authToken}`,
+                ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+                ...options.headers
+            }
+        });
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error?.message || response.statusText);
+        return body;
     };
 
-    const numberStyle = {
-        marginRight: '8px',
-        color: '#666',
-        minWidth: '40px'
+    const loadLibrary = async () => {
+        try {
+            const [folders, documents] = await Promise.all([request('/folders'), request('/documents')]);
+            setTree(buildTree(folders, documents));
+            setError(null);
+        } catch (error) {
+            setError('Failed to load the library: ' + error.message);
+        }
     };
 
-    const expandIconStyle = {
-        marginRight: '8px',
-        cursor: 'pointer',
-        transition: 'transform 0.2s'
+    useEffect(() => {
+        loadLibrary();
+        // Owners can only be chosen by those allowed to list users
+        request('/users').then(body => setUsers(body.users), () => setUsers([]));
+    }, [authToken]);
+
+    // Run a change against the server, then show the library as it now is
+    const change = async (description, action) => {
+        try {
+            await action();
+            await loadLibrary();
+        } catch (error) {
+            setError(`Failed to ${description}: ${error.message}`);
+        }
     };
 
-    const [isExpanded, setIsExpanded] = React.useState(true);
+    const handleSelect = (event, nodeId) => {
+        setSelected(nodeId);
+        const node = findNode(tree, nodeId);
+        if (node && onSelect) onSelect(node);
+    };
 
-    const handleExpand = (e) => {
-        e.stopPropagation();
-        setIsExpanded(!isExpanded);
+    const openDialog = (mode, node) => {
+        const defaults = node.folder ? node.folder.defaults : { owner: null, reviewCycle: null };
+        setDialog({
+            mode,
+            node,
+            name: mode === 'edit' ? node.name : '',
+            owner: mode === 'edit' ? defaults.owner || '' : '',
+            reviewCycle: mode === 'edit' ? defaults.reviewCycle || '' : ''
+        });
     };
 
-    return (
-        <div>
-            <div
-                ref={dragDropRef}
-                style={style}
-                onClick={() => onSelect(node.id)}
-                className="tree-node"
-            >
-                <span 
-                    style={expandIconStyle}
-                    onClick={handleExpand}
-                    className={`expand-icon ${isExpanded ? 'expanded' : ''}`}
-                >
-                    {node.children?.length > 0 && (
-                        isExpanded ? '▼' : '▶'
-                    )}
-                </span>
-                <span style={numberStyle}>{node.number}</span>
-                <span>{node.title}</span>
-            </div>
-            {isExpanded && node.children?.length > 0 && (
-                <div className="children">
-                    {node.children.map((child) => (
-                        <TreeNode
-                            key={child.id}
-                            node={child}
-                            level={level + 1}
-                            onMove={onMove}
-                            onSelect={onSelect}
-                            selectedId={selectedId}
-                        />
-                    ))}
-                </div>
-            )}
-        </div>
-    );
-};
+    const handleDialogSubmit = async () => {
+        const { mode, node, name, owner, reviewCycle } = dialog;
+        const parentId = node.folder ? node.folder.id : null;
+        const defaults = { owner: owner || null, reviewCycle: reviewCycle || null };
+        setDialog(null);
 
-const DocumentStructureTree = ({ onSelect, numberingScheme, onChangeNumberingScheme }) => {
-    const [expanded, setExpanded] = React.useState(['root']);
-    const [selected, setSelected] = React.useState('');
-    const [nodes, setNodes] = React.useState([
-        {
-            id: 'root',
-            name: 'Project Root',
-            type: 'folder',
-            children: [
-                {
-                    id: 'section1',
-                    name: 'Section 1',
-                    type: 'folder',
-                    children: [
-                        {
-                            id: 'doc1',
-                            name: 'Introduction.md',
-                            type: 'document'
-                        },
-                        {
-                            id: 'doc2',
-                            name: 'Overview.md',
-                            type: 'document'
-                        }
-                    ]
-                },
-                {
-                    id: 'section2',
-                    name: 'Section 2',
-                    type: 'folder',
-                    children: [
-                        {
-                            id: 'doc3',
-                            name: 'Details.md',
-                            type: 'document'
-                        }
-                    ]
-                }
-            ]
+        if (mode === 'folder') {
+            await change('create the folder', () => request('/folders', {
+                method: 'POST',
+                body: JSON.stringify({ name, parentId, defaults })
+            }));
+            setExpanded(current => Array.from(new Set([...current, node.id])));
+        } else if (mode === 'edit') {
+            await change('update the folder', () => request(`/folders/${node.folder.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ name, defaults })
+            }));
+        } else if (mode === 'document') {
+            const query = parentId ? `?folder=${parentId}` : '';
+            await change('create the document', () => request(`/documents${query}`, {
+                method: 'POST',
+                body: JSON.stringify({ title: name, sections: [] })
+            }));
+            setExpanded(current => Array.from(new Set([...current, node.id])));
+        } else if (node.type === 'folder') {
+            await change('delete the folder', () => request(`/folders/${node.folder.id}`, { method: 'DELETE' }));
+        } else {
+            await change('move the document to the trash', () => request(`/documents/${node.document.id}`, {
+                method: 'DELETE',
+                body: JSON.stringify({})
+            }));
         }
-    ]);
-
-    const handleToggle = (event, nodeIds) => {
-        setExpanded(nodeIds);
     };
 
-    const handleSelect = (event, nodeId) => {
-        setSelected(nodeId);
-        if (onSelect) {
-            const node = findNode(nodes[0], nodeId);
-            if (node) {
-                onSelect(node);
-            }
-        }
+    // Drag and drop: rows carry their node id, folders accept drops
+    const handleDragStart = (event, node) => {
+        event.stopPropagation();
+        event.dataTransfer.setData('text/plain', node.id);
+        event.dataTransfer.effectAllowed = 'move';
     };
 
-    const findNode = (node, id) => {
-        if (node.id === id) return node;
-        if (node.children) {
-            for (let child of node.children) {
-                const found = findNode(child, id);
-                if (found) return found;
-            }
+    const handleDrop = async (event, target) => {
+        event.preventDefault();
+        event.stopPropagation();
+        setDropTarget(null);
+        const dragged = findNode(tree, event.dataTransfer.getData('text/plain'));
+        if (!dragged || dragged.id === target.id || findNode(dragged, target.id)) return;
+
+        const folderId = target.folder ? target.folder.id : null;
+        if (dragged.type === 'document') {
+            if ((dragged.document.folderId || null) === folderId) return;
+            await change('move the document', () => request(`/documents/${dragged.document.id}/folder`, {
+                method: 'PUT',
+                body: JSON.stringify({ folderId })
+            }));
+        } else {
+            if ((dragged.folder.parentId || null) === folderId) return;
+            await change('move the folder', () => request(`/folders/${dragged.folder.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ parentId: folderId })
+            }));
         }
-        return null;
+        setExpanded(current => Array.from(new Set([...current, target.id])));
     };
 
-    const renderTree = (nodes) => (
-        nodes.map((node) => (
-            <TreeItem
-                key={node.id}
-                nodeId={node.id}
-                label={
-                    <Box sx={{ display: 'flex', alignItems: 'center', p: 0.5, pr: 0 }}>
-                        {node.type === 'folder' ? 
-                            <FolderOpen fontSize="small" sx={{ mr: 1, color: '#dcb67a' }} /> : 
-                            <Description fontSize="small" sx={{ mr: 1, color: '#519aba' }} />
-                        }
-                        <Typography variant="body2" sx={{ flexGrow: 1 }}>
-                            {node.name}
-                        </Typography>
-                        <Box sx={{ 
-                            opacity: 0,
-                            transition: 'opacity 0.2s',
-                            '.MuiTreeItem-content:hover &': { opacity: 1 }
-                        }}>
-                            {node.type === 'folder' && (
-                                <Tooltip title="Add Document">
-                                    <IconButton size="small" onClick={(e) => {
-                                        e.stopPropagation();
-                                        // TODO: Implement add functionality
-                                    }}>
-                                        <Add fontSize="small" />
-                                    </IconButton>
-                                </Tooltip>
-                            )}
-                            <Tooltip title="Edit">
-                                <IconButton size="small" onClick={(e) => {
-                                    e.stopPropagation();
-                                    // TODO: Implement edit functionality
-                                }}>
-                                    <Edit fontSize="small" />
-                                </IconButton>
-                            </Tooltip>
-                            <Tooltip title="Delete">
-                                <IconButton size="small" onClick={(e) => {
-                                    e.stopPropagation();
-                                    // TODO: Implement delete functionality
-                                }}>
-                                    <Delete fontSize="small" />
-                                </IconButton>
-                            </Tooltip>
-                        </Box>
-                    </Box>
-                }
-                sx={{
-                    '& .MuiTreeItem-content': {
-                        padding: '2px 8px',
+    const dropHandlers = (node) => (node.type !== 'folder' ? {} : {
+        onDragOver: (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            setDropTarget(node.id);
+        },
+        onDragLeave: () => setDropTarget(current => (current === node.id ? null : current)),
+        onDrop: (event) => handleDrop(event, node)
+    });
+
+    const actionButton = (title, icon, onClick) => (
+        <Tooltip title={title}>
+            <IconButton size="small" onClick={(e) => {
+                e.stopPropagation();
+                onClick();
+            }}>
+                {icon}
+            </IconButton>
+        </Tooltip>
+    );
+
+    const renderTree = (node) => (
+        <TreeItem
+            key={node.id}
+            nodeId={node.id}
+            label={
+                <Box
+                    draggable={node.id !== ROOT_ID}
+                    onDragStart={(event) => handleDragStart(event, node)}
+                    {...dropHandlers(node)}
+                    sx={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        p: 0.5,
+                        pr: 0,
                         borderRadius: 1,
+                        bgcolor: dropTarget === node.id ? 'action.selected' : 'transparent'
+                    }}
+                >
+                    {node.type === 'folder' ?
+                        <FolderOpen fontSize="small" sx={{ mr: 1, color: '#dcb67a' }} /> :
+                        <Description fontSize="small" sx={{ mr: 1, color: '#519aba' }} />
+                    }
+                    <Typography variant="body2" sx={{ flexGrow: 1 }}>
+                        {node.name}
+                    </Typography>
+                    <Box sx={{
+                        opacity: 0,
+                        transition: 'opacity 0.2s',
+                        '.MuiTreeItem-content:hover &': { opacity: 1 }
+                    }}>
+                        {node.type === 'folder' && (
+                            <>
+                                {actionButton('Add Document', <Add fontSize="small" />, () => openDialog('document', node))}
+                                {actionButton('Add Folder', <CreateNewFolder fontSize="small" />, () => openDialog('folder', node))}
+                            </>
+                        )}
+                        {node.folder && actionButton('Edit', <Edit fontSize="small" />, () => openDialog('edit', node))}
+                        {node.id !== ROOT_ID &&
+                            actionButton('Delete', <Delete fontSize="small" />, () => openDialog('delete', node))}
+                    </Box>
+                </Box>
+            }
+            sx={{
+                '& .MuiTreeItem-content': {
+                    padding: '2px 8px',
+                    borderRadius: 1,
+                    '&:hover': {
+                        bgcolor: 'action.hover'
+                    },
+                    '&.Mui-selected': {
+                        bgcolor: 'primary.main',
                         '&:hover': {
-                            bgcolor: 'action.hover'
-                        },
-                        '&.Mui-selected': {
-                            bgcolor: 'primary.main',
-                            '&:hover': {
-                                bgcolor: 'primary.dark'
-                            }
+                            bgcolor: 'primary.dark'
                         }
                     }
-                }}
-            >
-                {Array.isArray(node.children) ? node.children.map((node) => renderTree([node])) : null}
-            </TreeItem>
-        ))
+                }
+            }}
+        >
+            {Array.isArray(node.children) ? node.children.map(renderTree) : null}
+        </TreeItem>
     );
 
+    const renderDialog = () => {
+        if (!dialog) return null;
+        const { mode, node } = dialog;
+        const update = (field) => (e) => setDialog({ ...dialog, [field]: e.target.value });
+        const titles = {
+            folder: `New folder in ${node.name}`,
+            edit: `Edit ${node.name}`,
+            document: `New document in ${node.name}`,
+            delete: `Delete ${node.name}?`
+        };
+
+        return (
+            <Dialog open onClose={() => setDialog(null)} fullWidth maxWidth="xs">
+                <DialogTitle>{titles[mode]}</DialogTitle>
+                <DialogContent>
+                    {mode === 'delete' ? (
+                        <Typography>
+                            {node.type === 'folder'
+                                ? 'Only empty folders can be deleted.'
+                                : 'The document goes to the trash, where it can be restored.'}
+                        </Typography>
+                    ) : (
+                        <TextField
+                            autoFocus
+                            fullWidth
+                            margin="dense"
+                            label={mode === 'document' ? 'Title' : 'Name'}
+                            value={dialog.name}
+                            onChange={update('name')}
+                        />
+                    )}
+                    {(mode === 'folder' || mode === 'edit') && (
+                        <>
+                            <FormControl fullWidth margin="dense">
+                                <InputLabel>Default Owner</InputLabel>
+                                <Select
+                                    value={dialog.owner}
+                                    onChange={update('owner')}
+                                    label="Default Owner"
+                                    disabled={users.length === 0}
+                                >
+                                    <MenuItem value="">Inherited</MenuItem>
+                                    {users.map(user => (
+                                        <MenuItem key={user.id} value={user.id}>{user.displayName}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                            <FormControl fullWidth margin="dense">
+                                <InputLabel>Default Review Cycle</InputLabel>
+                                <Select
+                                    value={dialog.reviewCycle}
+                                    onChange={update('reviewCycle')}
+                                    label="Default Review Cycle"
+                                >
+                                    <MenuItem value="">Inherited</MenuItem>
+                                    {REVIEW_CYCLES.map(cycle => (
+                                        <MenuItem key={cycle} value={cycle}>{cycle}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        </>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setDialog(null)}>Cancel</Button>
+                    <Button
+                        onClick={handleDialogSubmit}
+                        color={mode === 'delete' ? 'error' : 'primary'}
+                        disabled={mode !== 'delete' && !dialog.name.trim()}
+                    >
+                        {mode === 'delete' ? 'Delete' : 'Save'}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        );
+    };
+
     return (
         <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
             <FormControl variant="standard" sx={{ m: 1, minWidth: 120 }}>
@@ -287,14 +386,19 @@ const DocumentStructureTree = ({ onSelect, numberingScheme, onChangeNumberingSch
                     <MenuItem value="hybrid2">1.1.1.1 (Legal)</MenuItem>
                 </Select>
             </FormControl>
+            {error && (
+                <Alert severity="error" onClose={() => setError(null)} sx={{ mx: 1 }}>
+                    {error}
+                </Alert>
+            )}
             <Box sx={{ flexGrow: 1, overflow: 'auto' }}>
                 <TreeView
-                    aria-label="document structure"
+                    aria-label="document library"
                     defaultCollapseIcon={<ExpandMore />}
                     defaultExpandIcon={<ChevronRight />}
                     expanded={expanded}
                     selected={selected}
-                    onNodeToggle={handleToggle}
+                    onNodeToggle={(event, nodeIds) => setExpanded(nodeIds)}
                     onNodeSelect={handleSelect}
                     sx={{
                         flexGrow: 1,
@@ -302,73 +406,12 @@ const DocumentStructureTree = ({ onSelect, numberingScheme, onChangeNumberingSch
                         overflowY: 'auto'
                     }}
                 >
-                    {renderTree(nodes)}
+                    {renderTree(tree)}
                 </TreeView>
             </Box>
+            {renderDialog()}
         </Box>
     );
 };
 
-// Styles
-const styles = `
-.document-structure-tree {
-    display: flex;
-    flex-direction: column;
-    height: 100%;
-    background: #fff;
-    border-right: 1px solid #e0e0e0;
-}
-
-.numbering-scheme-selector {
-    padding: 12px;
-    border-bottom: 1px solid #e0e0e0;
-}
-
-.scheme-select {
-    width: 100%;
-    padding: 8px;
-    border: 1px solid #ddd;
-    border-radius: 4px;
-    background: #fff;
-    font-size: 14px;
-}
-
-.tree-container {
-    flex-grow: 1;
-    overflow-y: auto;
-    padding: 12px;
-}
-
-.tree-node {
-    user-select: none;
-}
-
-.tree-node:hover {
-    background-color: #f5f5f5 !important;
-}
-
-.expand-icon {
-    font-size: 12px;
-    width: 16px;
-    height: 16px;
-    display: inline-flex;
-    align-items: center;
-    justify-content: center;
-}
-
-.expand-icon.expanded {
-    transform: rotate(0deg);
-}
-
-.children {
-    transition: all 0.3s ease-in-out;
-}
-`;
-
-// Create and inject styles
-const styleSheet = document.createElement('style');
-styleSheet.type = 'text/css';
-styleSheet.innerText = styles;
-document.head.appendChild(styleSheet);
-
 module.exports = DocumentStructureTree;
@@ -98,6 +98,31 @@ const styles = StyleSheet.create({
         fontSize: 12,
         marginLeft: 20
     },
+    signatures: {
+        marginTop: 30,
+        borderTop: '1pt solid #999',
+        paddingTop: 20
+    },
+    signature: {
+        marginBottom: 12
+    },
+    signer: {
+        fontSize: 12,
+        fontWeight: 'bold'
+    },
+    signatureStatus: {
+        fontSize: 10
+    },
+    signatureInvalid: {
+        fontSize: 10,
+        fontWeight: 'bold',
+        color: '#C62828'
+    },
+    signatureHash: {
+        fontSize: 8,
+        color: '#666',
+        fontFamily: 'Courier'
+    },
     footer: {
         position: 'absolute',
         bottom: 30,
@@ -116,7 +141,16 @@ const styles = StyleSheet.create({
     }
 });
 
-const PrintPreview = ({ document }) => {
+const SIGNATURE_STATUS = {
+    valid: 'Signature verified',
+    'key-revoked': 'Signature verified; key since revoked',
+    invalid: 'SIGNATURE INVALID',
+    'hash-mismatch': 'SIGNATURE DOES NOT MATCH THIS VERSION',
+    'unknown-key': 'SIGNING KEY UNKNOWN'
+};
+
+// signatures are the verified signatures of the version being printed
+const PrintPreview = ({ document, signatures = [] }) => {
     const renderTableOfContents = () => (
         <View style={styles.toc}>
             <Text style={styles.tocTitle}>Table of Contents</Text>
@@ -153,6 +187,25 @@ const PrintPreview = ({ document }) => {
         </View>
     );
 
+    const renderSignatures = () => (
+        <View style={styles.signatures} wrap={false}>
+            <Text style={styles.glossaryTitle}>Approval and Signatures</Text>
+            {signatures.map(signature => (
+                <View key={signature.id} style={styles.signature}>
+                    <Text style={styles.signer}>{signature.signerName || signature.userId}</Text>
+                    <Text style={styles.signatureStatus}>
+                        Signed {new Date(signature.signedAt).toUTCString()}
+                    </Text>
+                    <Text style={signature.valid ? styles.signatureStatus : styles.signatureInvalid}>
+                        {SIGNATURE_STATUS[signature.status] || signature.status} ({signature.algorithm})
+                    </Text>
+                    <Text style={styles.signatureHash}>Key {signature.keyId}</Text>
+                    <Text style={styles.signatureHash}>SHA-256 {signature.hash}</Text>
+                </View>
+            ))}
+        </View>
+    );
+
     return (
         <PDFViewer style={{ width: '100%', height: '100%' }}>
             <Document>
@@ -172,6 +225,8 @@ const PrintPreview = ({ document }) => {
 
                     {document.glossary.size > 0 && renderGlossary()}
 
+                    {signatures.length > 0 && renderSignatures()}
+
                     <Text style={styles.pageNumber} render={({ pageNumber, totalPages }) => (
                         `${pageNumber} / ${totalPages}`
                     )} fixed />
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Chip,
+    Alert,
+    CircularProgress,
+    TextField,
+    Button,
+} from '@mui/material';
+import { Refresh, CheckCircle } from '@mui/icons-material';
+
+const STATUS_COLORS = {
+    overdue: 'error',
+    due: 'warning',
+    scheduled: 'default',
+    unscheduled: 'default'
+};
+
+// Library-wide list of overdue and upcoming policy reviews
+const ReviewReport = ({ authToken, apiBase = '/api/v1', onOpenDocument }) => {
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [report, setReport] = useState(null);
+    const [withinDays, setWithinDays] = useState(30);
+
+    const request = async (path, options = {}) => {
+        const response = await fetch(`${apiBase}${path}`, {
+            ...options,
+            headers: { Authorization: `Bearer ${authToken}`, ...options.headers }
+        });
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error?.message || response.statusText);
+        return body;
+    };
+
+    const loadReport = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            setReport(await request(`/reviews?within=${withinDays}`));
+        } catch (error) {
+            setError(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadReport();
+    }, [authToken, withinDays]);
+
+    const handleComplete = async (documentId) => {
+        try {
+            await request(`/documents/${documentId}/review/complete`, { method: 'POST' });
+            await loadReport();
+        } catch (error) {
+            setError('Failed to record review: ' + error.message);
+        }
+    };
+
+    const renderRows = (documents) => documents.map(doc => (
+        <TableRow key={doc.id} hover onClick={() => onOpenDocument?.(doc.id)}>
+            <TableCell>{doc.title}</TableCell>
+            <TableCell>{doc.ownerName || doc.owner || '—'}</TableCell>
+            <TableCell>{doc.reviewCycle || '—'}</TableCell>
+            <TableCell>
+                {doc.nextReviewDate ? new Date(doc.nextReviewDate).toLocaleDateString() : '—'}
+            </TableCell>
+            <TableCell>
+                <Chip
+                    size="small"
+                    color={STATUS_COLORS[doc.reviewStatus]}
+                    label={doc.daysUntilDue < 0
+                        ? `${-doc.daysUntilDue} days overdue`
+                        : `due in ${doc.daysUntilDue} days`}
+                />
+            </TableCell>
+            <TableCell align="right">
+                <Button
+                    size="small"
+                    startIcon={<CheckCircle />}
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        handleComplete(doc.id);
+                    }}
+                >
+                    Mark Reviewed
+                </Button>
+            </TableCell>
+        </TableRow>
+    ));
+
+    const renderSection = (title, documents, emptyText) => (
+        <Paper elevation={1} sx={{ p: 2, mb: 2 }}>
+            <Typography variant="h6" gutterBottom>
+                {title} ({documents.length})
+            </Typography>
+            {documents.length === 0 ? (
+                <Typography color="textSecondary">{emptyText}</Typography>
+            ) : (
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Policy</TableCell>
+                            <TableCell>Owner</TableCell>
+                            <TableCell>Cycle</TableCell>
+                            <TableCell>Next Review</TableCell>
+                            <TableCell>Status</TableCell>
+                            <TableCell />
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>{renderRows(documents)}</TableBody>
+                </Table>
+            )}
+        </Paper>
+    );
+
+    return (
+        <Box>
+            <Paper elevation={2} sx={{ p: 2, mb: 2 }}>
+                <Box display="flex" justifyContent="space-between" alignItems="center">
+                    <Typography variant="h5">Policy Reviews</Typography>
+                    <Box display="flex" alignItems="center" gap={1}>
+                        <TextField
+                            size="small"
+                            type="number"
+                            label="Due within (days)"
+                            value={withinDays}
+                            onChange={(e) => setWithinDays(Math.max(0, Number(e.target.value) || 0))}
+                        />
+                        <Button startIcon={<Refresh />} onClick={loadReport}>
+                            Refresh
+                        </Button>
+                    </Box>
+                </Box>
+            </Paper>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {loading && !report ? (
+                <Box display="flex" justifyContent="center" minHeight="200px" alignItems="center">
+                    <CircularProgress />
+                </Box>
+            ) : report && (
+                <>
+                    {renderSection('Overdue', report.overdue, 'No reviews are overdue.')}
+                    {renderSection(
+                        'Upcoming',
+                        report.upcoming,
+                        `No reviews due in the next ${report.withinDays} days.`
+                    )}
+                    {report.unscheduled.length > 0 && (
+                        <Alert severity="info">
+                            {report.unscheduled.length} policies have no review cycle set.
+                        </Alert>
+                    )}
+                </>
+            )}
+        </Box>
+    );
+};
+
+export default ReviewReport;
@@ -286,6 +286,28 @@ const SettingsPanel = ({ settingsService, onClose }) => {
                 label="Encrypt Documents"
             />
 
+            <FormControl fullWidth margin="normal" disabled={!settings.security.encryptDocuments}>
+                <InputLabel>Encryption Key</InputLabel>
+                <Select
+                    value={settings.security.keySource || 'keyfile'}
+                    onChange={(e) => handleSettingChange('security', 'keySource', e.target.value)}
+                >
+                    <MenuItem value="keyfile">Key file</MenuItem>
+                    <MenuItem value="passphrase">Passphrase (STORAGE_PASSPHRASE)</MenuItem>
+                </Select>
+            </FormControl>
+
+            <TextField
+                fullWidth
+                label="Key File"
+                value={settings.security.keyFile || ''}
+                onChange={(e) => handleSettingChange('security', 'keyFile', e.target.value)}
+                margin="normal"
+                placeholder="storage.key"
+                helperText="Changing the key of an existing store needs npm run storage-key"
+                disabled={!settings.security.encryptDocuments || settings.security.keySource === 'passphrase'}
+            />
+
             <FormControlLabel
                 control={
                     <Switch
@@ -318,6 +340,50 @@ const SettingsPanel = ({ settingsService, onClose }) => {
         </Box>
     );
 
+    const renderBackupSettings = () => (
+        <Box>
+            <Typography variant="h6" gutterBottom>Backup Settings</Typography>
+            <FormControlLabel
+                control={
+                    <Switch
+                        checked={settings.backup.enabled}
+                        onChange={(e) => handleSettingChange('backup', 'enabled', e.target.checked)}
+                    />
+                }
+                label="Scheduled Backups"
+            />
+
+            <TextField
+                fullWidth
+                type="number"
+                label="Backup Interval (ms)"
+                value={settings.backup.interval}
+                onChange={(e) => handleSettingChange('backup', 'interval', parseInt(e.target.value))}
+                margin="normal"
+                disabled={!settings.backup.enabled}
+            />
+
+            <TextField
+                fullWidth
+                type="number"
+                label="Backups to Keep"
+                value={settings.backup.maxBackups}
+                onChange={(e) => handleSettingChange('backup', 'maxBackups', parseInt(e.target.value))}
+                margin="normal"
+                disabled={!settings.backup.enabled}
+            />
+
+            <TextField
+                fullWidth
+                label="Backup Location"
+                value={settings.backup.location}
+                onChange={(e) => handleSettingChange('backup', 'location', e.target.value)}
+                margin="normal"
+                helperText="Relative to the storage directory; changes apply when the server restarts"
+            />
+        </Box>
+    );
+
     const renderAccessibilitySettings = () => (
         <Box>
             <Typography variant="h6" gutterBottom>Accessibility Settings</Typography>
@@ -554,6 +620,7 @@ const SettingsPanel = ({ settingsService, onClose }) => {
                 <Tab icon={<Security />} label="Security" />
                 <Tab icon={<Accessibility />} label="Accessibility" />
                 <Tab icon={<Code />} label="Editor" />
+                <Tab icon={<Backup />} label="Backup" />
             </Tabs>
 
             <Box sx={{ mt: 2 }}>
@@ -562,6 +629,7 @@ const SettingsPanel = ({ settingsService, onClose }) => {
                 {currentTab === 2 && renderSecuritySettings()}
                 {currentTab === 3 && renderAccessibilitySettings()}
                 {currentTab === 4 && renderEditorSettings()}
+                {currentTab === 5 && renderBackupSettings()}
             </Box>
 
             <Box sx={{ mt: 3, display: 'flex', justifyContent: 'space-between' }}>
@@ -573,7 +641,8 @@ const SettingsPanel = ({ settingsService, onClose }) => {
                         currentTab === 1 ? 'ai' :
                         currentTab === 2 ? 'security' :
                         currentTab === 3 ? 'accessibility' :
-                        'editor'
+                        currentTab === 4 ? 'editor' :
+                        'backup'
                     )}
                 >
                     Reset Current Settings
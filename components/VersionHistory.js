@@ -6,12 +6,13 @@ const VersionHistory = ({
     currentVersion, 
     onVersionSelect, 
     onVersionCompare,
-    onVersionRestore 
+    onVersionRestore,
+    comparison
 }) => {
     const [selectedVersions, setSelectedVersions] = React.useState([]);
     const [expandedVersions, setExpandedVersions] = React.useState(new Set());
 
-    // Format diff for display
+    // Format a word-level diff for display
     const formatDiff = (diff) => {
         if (!diff) return null;
 
@@ -26,6 +27,73 @@ const VersionHistory = ({
         });
     };
 
+    const sectionLabel = (change) => `§ ${change.number} ${change.title || 'Untitled'}`;
+    const parentLabel = (parent) => (parent.parentTitle ? `under "${parent.parentTitle}"` : 'at the top level');
+
+    // Render a structured change list as a redline
+    const formatChanges = (changes) => {
+        if (!changes || changes.length === 0) {
+            return <div className="change-item unchanged">No changes to the policy text</div>;
+        }
+
+        return changes.map((change, index) => {
+            let heading;
+            let body = null;
+
+            switch (change.type) {
+                case 'document-renamed':
+                    heading = 'Document renamed';
+                    body = formatDiff([[-1, change.from || ''], [1, change.to || '']]);
+                    break;
+                case 'section-added':
+                    heading = `Added ${sectionLabel(change)}`;
+                    body = <span className="addition">{change.content}</span>;
+                    break;
+                case 'section-removed':
+                    heading = `Removed ${sectionLabel(change)}`;
+                    body = <span className="deletion">{change.content}</span>;
+                    break;
+                case 'section-moved':
+                    heading = change.from.parentId === change.to.parentId
+                        ? `Reordered ${sectionLabel(change)}`
+                        : `Moved ${sectionLabel(change)} from ${parentLabel(change.from)} to ${parentLabel(change.to)}`;
+                    break;
+                case 'section-renamed':
+                    heading = `Renamed § ${change.number}`;
+                    body = formatDiff(change.words);
+                    break;
+                case 'section-renumbered':
+                    heading = `"${change.title}" renumbered from § ${change.from} to § ${change.to}`;
+                    break;
+                case 'text-changed':
+                    heading = change.sectionId ? sectionLabel(change) : 'Text';
+                    body = formatDiff(change.words);
+                    break;
+                case 'glossary-added':
+                    heading = `Glossary term added: ${change.term}`;
+                    body = <span className="addition">{change.definition}</span>;
+                    break;
+                case 'glossary-removed':
+                    heading = `Glossary term removed: ${change.term}`;
+                    body = <span className="deletion">{change.definition}</span>;
+                    break;
+                case 'glossary-changed':
+                    heading = `Glossary definition changed: ${change.term}`;
+                    body = formatDiff(change.words);
+                    break;
+                default:
+                    heading = change.type;
+            }
+
+            return (
+                <div key={index} className={`change-item change-${change.type}`}>
+                    <div className="change-heading">{heading}</div>
+                    {body && <div className="change-body">{body}</div>}
+                </div>
+            );
+        });
+    };
+
     // Handle version selection for comparison
     const handleVersionSelect = (versionId) => {
         if (selectedVersions.includes(versionId)) {
@@ -59,6 +127,14 @@ const VersionHistory = ({
                 )}
             </div>
 
+            {comparison && (
+                <div className="version-comparison">
+                    <div className="diff-content">
+                        {formatChanges(comparison.changes)}
+                    </div>
+                </div>
+            )}
+
             <div className="version-list">
                 {versions.map((version, index) => (
                     <div 
@@ -79,6 +155,15 @@ const VersionHistory = ({
                                 {version.message && (
                                     <span className="version-message">{version.message}</span>
                                 )}
+                                {(version.signatures || []).map(signature => (
+                                    <span
+                                        key={signature.id}
+                                        className={`signature-badge ${signature.valid ? 'signature-valid' : 'signature-invalid'}`}
+                                        title={`${signature.status} · ${signature.algorithm} key ${signature.keyId}`}
+                                    >
+                                        {signature.valid ? '✔' : '✘'} {signature.signerName || signature.userId}
+                                    </span>
+                                ))}
                             </div>
                             <div className="version-actions">
                                 <button
@@ -104,10 +189,10 @@ const VersionHistory = ({
                             </div>
                         </div>
 
-                        {expandedVersions.has(version.id) && version.diff && (
+                        {expandedVersions.has(version.id) && version.changes && (
                             <div className="version-diff">
                                 <div className="diff-content">
-                                    {formatDiff(version.diff)}
+                                    {formatChanges(version.changes.changes)}
                                 </div>
                             </div>
                         )}
@@ -194,6 +279,24 @@ const styles = `
     font-size: 14px;
 }
 
+.signature-badge {
+    padding: 2px 8px;
+    border-radius: 12px;
+    font-size: 12px;
+    cursor: help;
+}
+
+.signature-valid {
+    background: #E8F5E9;
+    color: #2E7D32;
+}
+
+.signature-invalid {
+    background: #FFEBEE;
+    color: #C62828;
+    font-weight: 600;
+}
+
 .version-actions {
     display: flex;
     gap: 8px;
@@ -240,14 +343,37 @@ const styles = `
     background: white;
 }
 
+.version-comparison {
+    padding: 12px;
+    border-bottom: 1px solid #e0e0e0;
+    max-height: 40%;
+    overflow-y: auto;
+}
+
 .diff-content {
-    font-family: 'SF Mono', Consolas, 'Courier New', monospace;
-    font-size: 13px;
-    line-height: 1.5;
+    font-size: 14px;
+    line-height: 1.6;
     white-space: pre-wrap;
     overflow-x: auto;
 }
 
+.change-item {
+    margin-bottom: 12px;
+}
+
+.change-heading {
+    font-weight: 600;
+    color: #333;
+    margin-bottom: 4px;
+}
+
+.change-section-moved .change-heading,
+.change-section-renumbered .change-heading {
+    font-weight: normal;
+    color: #666;
+    font-style: italic;
+}
+
 .addition {
     background-color: #E8F5E9;
     color: #2E7D32;
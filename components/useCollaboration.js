@@ -0,0 +1,268 @@
+const React = require('react');
+const { diff_match_patch: DiffMatchPatch } = require('diff-match-patch');
+const TextOperation = require('../services/textOperation');
+
+const diffTool = new DiffMatchPatch();
+const RECONNECT_DELAY = 2000;
+
+const collaborationUrl = (path, token) => {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const query = token ? `?token=${encodeURIComponent(token)}` : '';
+    return `${protocol}//${window.location.host}${path}${query}`;
+};
+
+// Keep an editor in sync with the collaboration server for one document.
+// Local edits become text operations; one is in flight at a time while
+// later edits are composed into a buffer, and remote operations are
+// transformed against both so every client converges on the same text.
+const useCollaboration = ({
+    documentId,
+    username,
+    token,
+    path = '/ws/collaboration',
+    onRemoteContent
+}) => {
+    const socketRef = React.useRef(null);
+    const stateRef = React.useRef({
+        clientId: null,
+        loaded: false,
+        joined: false,
+        version: 0,
+        confirmed: '',
+        text: null,
+        outstanding: null,
+        buffer: null
+    });
+    const onRemoteContentRef = React.useRef(onRemoteContent);
+    const documentIdRef = React.useRef(documentId);
+    const [connected, setConnected] = React.useState(false);
+    const [peers, setPeers] = React.useState(new Map());
+    const [readOnly, setReadOnly] = React.useState(false);
+    // Why the server could not save the session, until a save succeeds
+    const [saveError, setSaveError] = React.useState(null);
+
+    onRemoteContentRef.current = onRemoteContent;
+    documentIdRef.current = documentId;
+
+    const send = React.useCallback((message) => {
+        const ws = socketRef.current;
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ documentId: documentIdRef.current, ...message }));
+        }
+    }, []);
+
+    const sendOperation = React.useCallback((operation) => {
+        const state = stateRef.current;
+        state.outstanding = operation;
+        send({
+            type: 'change',
+            operation: operation.toJSON(),
+            version: state.version
+        });
+    }, [send]);
+
+    const updatePeer = (clientId, updates) => {
+        setPeers(current => {
+            const next = new Map(current);
+            next.set(clientId, { ...next.get(clientId), ...updates });
+            return next;
+        });
+    };
+
+    const removePeer = (clientId) => {
+        setPeers(current => {
+            const next = new Map(current);
+            next.delete(clientId);
+            return next;
+        });
+    };
+
+    // Replace the confirmed content, carrying unconfirmed local edits over
+    const resetContent = (content, version) => {
+        const state = stateRef.current;
+        let text = content;
+
+        if (state.text !== null && state.text !== state.confirmed) {
+            const patches = diffTool.patch_make(state.confirmed, state.text);
+            [text] = diffTool.patch_apply(patches, content);
+        }
+
+        state.confirmed = content;
+        state.text = text;
+        state.version = version;
+        state.outstanding = null;
+        state.buffer = null;
+        state.loaded = true;
+        state.joined = true;
+        onRemoteContentRef.current?.(text);
+
+        if (text !== content) {
+            sendOperation(TextOperation.fromDiff(content, text));
+        }
+    };
+
+    // Apply an operation from another client on top of unconfirmed local edits
+    const applyRemote = (operation, version) => {
+        const state = stateRef.current;
+        let op = operation;
+
+        if (state.outstanding) {
+            [state.outstanding, op] = TextOperation.transform(state.outstanding, op);
+        }
+        if (state.buffer) {
+            [state.buffer, op] = TextOperation.transform(state.buffer, op);
+        }
+
+        state.confirmed = operation.apply(state.confirmed);
+        state.text = op.apply(state.text ?? '');
+        state.version = version;
+        onRemoteContentRef.current?.(state.text);
+    };
+
+    const handleMessage = (message) => {
+        const state = stateRef.current;
+
+        switch (message.type) {
+            case 'connected':
+                state.clientId = message.clientId;
+                send({ type: 'join', username });
+                break;
+            case 'document':
+            case 'sync': {
+                const next = new Map();
+                (message.users || []).forEach(([clientId, name]) => {
+                    if (clientId !== state.clientId) next.set(clientId, { username: name });
+                });
+                (message.cursors || []).forEach(([clientId, position]) => {
+                    if (next.has(clientId)) next.get(clientId).position = position;
+                });
+                (message.selections || []).forEach(([clientId, range]) => {
+                    if (next.has(clientId)) next.get(clientId).range = range;
+                });
+                setPeers(next);
+                setReadOnly(Boolean(message.readOnly));
+                resetContent(message.content, message.version);
+                break;
+            }
+            case 'change':
+                applyRemote(TextOperation.fromJSON(message.operation), message.version);
+                break;
+            case 'change-ack':
+                state.confirmed = state.outstanding.apply(state.confirmed);
+                state.outstanding = null;
+                state.version = message.version;
+                if (state.buffer) {
+                    const buffer = state.buffer;
+                    state.buffer = null;
+                    sendOperation(buffer);
+                }
+                break;
+            case 'read-only':
+                setReadOnly(message.readOnly);
+                break;
+            case 'checkpoint':
+                setSaveError(null);
+                break;
+            case 'checkpoint-failed':
+                setSaveError(message.message);
+                break;
+            case 'sync-required':
+                send({ type: 'sync' });
+                break;
+            case 'user-joined':
+                updatePeer(message.clientId, { username: message.username });
+                break;
+            case 'user-left':
+                removePeer(message.clientId);
+                break;
+            case 'cursor':
+                updatePeer(message.clientId, { position: message.position });
+                break;
+            case 'selection':
+                updatePeer(message.clientId, { range: message.range });
+                break;
+        }
+    };
+
+    React.useEffect(() => {
+        if (!documentId) return undefined;
+
+        let closed = false;
+        let reconnectTimer = null;
+
+        const connect = () => {
+            const ws = new WebSocket(collaborationUrl(path, token));
+            socketRef.current = ws;
+
+            ws.onopen = () => setConnected(true);
+            ws.onmessage = (event) => handleMessage(JSON.parse(event.data));
+            ws.onclose = () => {
+                setConnected(false);
+                setPeers(new Map());
+                stateRef.current.joined = false;
+                if (!closed) {
+                    reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+                }
+            };
+        };
+
+        connect();
+
+        return () => {
+            closed = true;
+            clearTimeout(reconnectTimer);
+            socketRef.current?.close();
+            socketRef.current = null;
+        };
+    }, [documentId, username, token, path]);
+
+    // Record a local edit and send it once the previous one is confirmed
+    const updateContent = React.useCallback((content) => {
+        const state = stateRef.current;
+        if (!state.joined) {
+            // Keep offline edits so they can be rebased after reconnecting
+            if (state.loaded) state.text = content;
+            return;
+        }
+        if (content === state.text) return;
+
+        const operation = TextOperation.fromDiff(state.text, content);
+        state.text = content;
+
+        if (!state.outstanding) {
+            sendOperation(operation);
+        } else {
+            state.buffer = state.buffer ? state.buffer.compose(operation) : operation;
+        }
+    }, [sendOperation]);
+
+    // Forward cursor and selection changes from a Monaco editor
+    const attachEditor = React.useCallback((editor) => {
+        const cursorListener = editor.onDidChangeCursorPosition(({ position }) => {
+            send({
+                type: 'cursor',
+                position: { lineNumber: position.lineNumber, column: position.column }
+            });
+        });
+        const selectionListener = editor.onDidChangeCursorSelection(({ selection }) => {
+            send({
+                type: 'selection',
+                range: selection.isEmpty() ? null : {
+                    startLineNumber: selection.startLineNumber,
+                    startColumn: selection.startColumn,
+                    endLineNumber: selection.endLineNumber,
+                    endColumn: selection.endColumn
+                }
+            });
+        });
+
+        return () => {
+            cursorListener.dispose();
+            selectionListener.dispose();
+        };
+    }, [send]);
+
+    return { connected, peers, readOnly, saveError, updateContent, attachEditor };
+};
+
+module.exports = useCollaboration;
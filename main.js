@@ -1,15 +1,133 @@
 import express from 'express';
+import { createServer } from 'http';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import webpack from 'webpack';
 import webpackDevMiddleware from 'webpack-dev-middleware';
 import webpackConfig from './webpack.config.js';
+import DocumentStorageService from './services/documentStorageService.js';
+import CollaborationService from './services/collaborationService.js';
+import UserService from './services/userService.js';
+import SharingService from './services/sharingService.js';
+import WorkflowService from './services/workflowService.js';
+import AttestationService from './services/attestationService.js';
+import ReviewService from './services/reviewService.js';
+import VersionService from './services/versionService.js';
+import SignatureService from './services/signatureService.js';
+import BackupService from './services/backupService.js';
+import TrashService from './services/trashService.js';
+import FolderService from './services/folderService.js';
+import SettingsService from './services/settingsService.js';
+import storageEncryption from './services/storageEncryption.js';
+import { createApiRouter, API_PREFIX } from './routes/api.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
+const server = createServer(app);
 const port = process.env.PORT || 3000;
+const storageDir = process.env.STORAGE_DIR || join(__dirname, 'storage');
+
+// settings.security.encryptDocuments, keyed by STORAGE_PASSPHRASE or a key file
+const encryption = await storageEncryption.encryptionFromSettings(storageDir);
+const storage = new DocumentStorageService(storageDir, {
+    backend: process.env.STORAGE_BACKEND || 'file',
+    encryption
+});
+const users = new UserService(join(storageDir, 'users.json'));
+
+await storage.initialize();
+await users.initialize();
+
+// Branches, tags and merges over the stored version history
+const versions = new VersionService(storage);
+users.on('logout', ({ token }) => versions.clearSession(token));
+
+// Real-time collaboration
+const collaboration = new CollaborationService(server, {
+    path: process.env.COLLABORATION_PATH || '/ws/collaboration',
+    storage,
+    users
+});
+const sharing = new SharingService(storage, collaboration);
+
+// Policy lifecycle
+const workflow = new WorkflowService(storage, {
+    users,
+    configFile: join(storageDir, 'workflow.json'),
+    flush: (docId) => collaboration.flush(docId)
+});
+await workflow.initialize();
+
+// Acknowledgement tracking
+const attestations = new AttestationService(storage, { users });
+await attestations.initialize();
+
+// Signatures on approved versions
+const signatures = new SignatureService(storage, { users });
+await signatures.initialize();
+
+// Periodic review scheduling
+const reviews = new ReviewService(storage, { users });
+reviews.on('review-due', ({ title, nextReviewDate }) => {
+    console.log(`Review due: "${title}" by ${nextReviewDate}`);
+});
+reviews.on('review-overdue', ({ title, nextReviewDate }) => {
+    console.warn(`Review overdue: "${title}" was due ${nextReviewDate}`);
+});
+
+// Scheduled backups per settings.backup, never including the storage key
+const settings = new SettingsService(join(storageDir, 'settings.json'));
+await settings.initialize();
+const backups = new BackupService(storage, {
+    ...settings.getSettings('backup'),
+    exclude: [join(storageDir, storageEncryption.DEFAULT_KEY_FILE), encryption && encryption.keyFile].filter(Boolean)
+});
+backups.on('backup-created', ({ name, files }) => {
+    console.log(`Backup ${name} written (${files} files)`);
+});
+backups.on('backup-failed', (error) => {
+    console.error('Scheduled backup failed:', error);
+});
+
+// Deleted documents and sections, purged after settings.trash.retentionDays
+const trash = new TrashService(storage, settings.getSettings('trash'));
+trash.on('purged', ({ documents, sections }) => {
+    console.log(`Purged ${documents} documents and ${sections} sections from the trash`);
+});
+
+// Library folders and the default owner and review cycle of each
+const folders = new FolderService(storage, { users, reviews });
+await folders.initialize();
+
+workflow.on('transition', ({ documentId, userId, workflow: state }) => {
+    collaboration.setReadOnly(documentId, !state.editable);
+    if (state.publishedAt === state.updated) {
+        attestations.handlePublished(documentId, state).catch(error => {
+            console.error('Failed to update acknowledgement requests:', error);
+        });
+        // Publishing a revision counts as the periodic review
+        reviews.completeReview(documentId, { id: userId }).catch(error => {
+            console.error('Failed to reschedule review:', error);
+        });
+    }
+});
+
+// REST API
+app.use(API_PREFIX, createApiRouter({
+    storage,
+    users,
+    sharing,
+    workflow,
+    attestations,
+    reviews,
+    versions,
+    signatures,
+    backups,
+    trash,
+    folders
+}));
 
 // Development middleware
 if (process.env.NODE_ENV !== 'production') {
@@ -27,6 +145,41 @@ app.get('*', (req, res) => {
     res.sendFile(join(__dirname, process.env.NODE_ENV === 'production' ? 'dist' : 'public', 'index.html'));
 });
 
-app.listen(port, () => {
+server.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
+    if (!users.hasUsers()) {
+        console.log(`No users yet: create an administrator with POST ${API_PREFIX}/auth/setup`);
+    }
+    console.log(`Collaboration endpoint at ws://localhost:${port}${collaboration.options.path}`);
+    reviews.start();
+    backups.start();
+    trash.start();
 });
+
+// Graceful shutdown
+let shuttingDown = false;
+const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, shutting down`);
+
+    // Give open connections a moment to drain before forcing the exit
+    setTimeout(() => process.exit(1), 10000).unref();
+
+    try {
+        reviews.stop();
+        backups.stop();
+        trash.stop();
+        await collaboration.close();
+        await new Promise((resolve, reject) => {
+            server.close((error) => (error ? reject(error) : resolve()));
+        });
+        process.exit(0);
+    } catch (error) {
+        console.error('Failed to shut down cleanly:', error);
+        process.exit(1);
+    }
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,84 @@
+import express from 'express';
+import { createAuthRouter } from './auth.js';
+import { createUserRouter } from './users.js';
+import { createShareRouter } from './shares.js';
+import { createDocumentRouter } from './documents.js';
+import { createWorkflowRouter } from './workflow.js';
+import { createAttestationRouter } from './attestations.js';
+import { createReviewRouter, createReviewReportRouter } from './reviews.js';
+import { createBranchRouter } from './branches.js';
+import { createSignatureRouter, createSigningKeyRouter } from './signatures.js';
+import { createLockRouter, createLockListRouter } from './locks.js';
+import { createAuditRouter } from './audit.js';
+import { createBackupRouter } from './backups.js';
+import { createTrashRouter, createSectionTrashRouter } from './trash.js';
+import { createFolderRouter } from './folders.js';
+import { asyncHandler, authenticate, notFoundHandler, errorHandler } from './middleware.js';
+
+export const API_PREFIX = '/api/v1';
+
+// Build the versioned JSON API on top of the storage service
+export function createApiRouter({
+    storage,
+    users,
+    sharing,
+    workflow,
+    attestations,
+    reviews,
+    versions,
+    signatures,
+    backups,
+    trash,
+    folders
+}) {
+    const router = express.Router();
+
+    router.use(express.json({ limit: '10mb' }));
+    router.use('/auth', createAuthRouter({ users }));
+    router.use(createShareRouter({ storage, users, sharing }));
+    router.use('/users', authenticate(users), createUserRouter({ users }));
+    router.get('/workflow', authenticate(users), (req, res) => res.json(workflow.getConfig()));
+    router.use(
+        '/documents/:docId/workflow',
+        authenticate(users),
+        createWorkflowRouter({ users, workflow })
+    );
+    router.use(
+        '/documents/:docId/attestations',
+        authenticate(users),
+        createAttestationRouter({ storage, users, attestations })
+    );
+    router.get('/attestations/mine', authenticate(users), asyncHandler(async (req, res) => {
+        res.json(await attestations.getOutstandingForUser(req.user));
+    }));
+    router.use(
+        '/documents/:docId/review',
+        authenticate(users),
+        createReviewRouter({ storage, users, reviews })
+    );
+    router.use('/reviews', authenticate(users), createReviewReportRouter({ users, reviews }));
+    router.use(
+        '/documents/:docId/signatures',
+        authenticate(users),
+        createSignatureRouter({ users, signatures })
+    );
+    router.use('/signing-keys', authenticate(users), createSigningKeyRouter({ users, signatures }));
+    router.use('/documents/:docId/lock', authenticate(users), createLockRouter({ storage, users }));
+    router.use('/locks', authenticate(users), createLockListRouter({ storage, users }));
+    router.use('/audit', authenticate(users), createAuditRouter({ storage, users }));
+    router.use('/backups', authenticate(users), createBackupRouter({ backups, users }));
+    router.use('/trash', authenticate(users), createTrashRouter({ trash, users }));
+    router.use('/folders', authenticate(users), createFolderRouter({ folders, users }));
+    router.use('/documents/:docId/trash', authenticate(users), createSectionTrashRouter({ trash, users }));
+    router.use('/documents/:docId', authenticate(users), createBranchRouter({ users, versions }));
+    router.use(
+        '/documents',
+        authenticate(users),
+        createDocumentRouter({ storage, users, versions, signatures, workflow, trash, folders })
+    );
+
+    router.use(notFoundHandler);
+    router.use(errorHandler);
+
+    return router;
+}
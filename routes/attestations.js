@@ -0,0 +1,32 @@
+import express from 'express';
+import { asyncHandler, requirePermission } from './middleware.js';
+
+// Routes for a document's acknowledgements, mounted under /documents/:docId/attestations
+export function createAttestationRouter({ storage, users, attestations }) {
+    const router = express.Router({ mergeParams: true });
+
+    // Who has acknowledged the published version and who is outstanding
+    router.get('/', requirePermission(users, 'review'), asyncHandler(async (req, res) => {
+        await storage.getMetadata(req.params.docId);
+        res.json(await attestations.getStatus(req.params.docId));
+    }));
+
+    // Ask groups or users to acknowledge the published version
+    router.post('/', requirePermission(users, 'approve'), asyncHandler(async (req, res) => {
+        const { groups, userIds, dueDate } = req.body || {};
+        const assignment = await attestations.assign(req.params.docId, {
+            groups,
+            userIds,
+            dueDate
+        }, req.user);
+        res.status(201).json(assignment);
+    }));
+
+    // Acknowledge the published version as the signed-in user
+    router.post('/acknowledge', requirePermission(users, 'read'), asyncHandler(async (req, res) => {
+        await storage.getMetadata(req.params.docId);
+        res.status(201).json(await attestations.acknowledge(req.params.docId, req.user));
+    }));
+
+    return router;
+}
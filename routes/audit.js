@@ -0,0 +1,26 @@
+import express from 'express';
+import errors from '../services/errors.js';
+import { asyncHandler, requirePermission } from './middleware.js';
+
+const { ValidationError } = errors;
+
+// Administrative audit log, mounted at /audit. ?document= and ?action=
+// filter it; ?limit= caps the number of entries, newest first.
+export function createAuditRouter({ storage, users }) {
+    const router = express.Router();
+
+    router.get('/', requirePermission(users, 'manage-users'), asyncHandler(async (req, res) => {
+        const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new ValidationError('Query parameter "limit" must be a positive number');
+        }
+
+        res.json(await storage.audit.list({
+            documentId: typeof req.query.document === 'string' ? req.query.document : null,
+            action: typeof req.query.action === 'string' ? req.query.action : null,
+            limit
+        }));
+    }));
+
+    return router;
+}
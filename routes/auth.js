@@ -0,0 +1,45 @@
+import express from 'express';
+import errors from '../services/errors.js';
+import { asyncHandler, authenticate } from './middleware.js';
+
+const { ConflictError } = errors;
+
+export function createAuthRouter({ users }) {
+    const router = express.Router();
+
+    // Create the first administrator of a fresh installation
+    router.post('/setup', asyncHandler(async (req, res) => {
+        if (users.hasUsers()) {
+            throw new ConflictError('Setup has already been completed');
+        }
+
+        const { username, password, displayName, email } = req.body || {};
+        await users.createUser(
+            { username, password, displayName, email, roles: ['admin'] },
+            { firstUser: true }
+        );
+        res.status(201).json(await users.login(username, password));
+    }));
+
+    // Exchange credentials for a session token
+    router.post('/login', asyncHandler(async (req, res) => {
+        const { username, password } = req.body || {};
+        res.json(await users.login(username, password));
+    }));
+
+    // End the current session
+    router.post('/logout', authenticate(users), (req, res) => {
+        users.logout(req.token);
+        res.status(204).end();
+    });
+
+    // Get the signed-in user and what they may do
+    router.get('/me', authenticate(users), (req, res) => {
+        res.json({
+            user: req.user,
+            permissions: Array.from(users.getPermissions(req.user))
+        });
+    });
+
+    return router;
+}
@@ -0,0 +1,41 @@
+import express from 'express';
+import errors from '../services/errors.js';
+import { asyncHandler, requirePermission } from './middleware.js';
+
+const { ValidationError } = errors;
+
+// Administrative backup routes, mounted at /backups. A whole store is only
+// restored with the server stopped (npm run backup -- restore); a single
+// document can be restored here, under its lock. Both take dryRun to list
+// the changes without making them.
+export function createBackupRouter({ backups, users }) {
+    const router = express.Router();
+
+    router.use(requirePermission(users, 'manage-users'));
+
+    router.get('/', asyncHandler(async (req, res) => {
+        res.json(await backups.listBackups());
+    }));
+
+    router.post('/', asyncHandler(async (req, res) => {
+        res.status(201).json(await backups.createBackup());
+    }));
+
+    router.get('/:name/verify', asyncHandler(async (req, res) => {
+        res.json(await backups.verifyBackup(req.params.name));
+    }));
+
+    router.post('/:name/restore', asyncHandler(async (req, res) => {
+        const { documentId, dryRun = false } = req.body || {};
+        if (typeof documentId !== 'string') {
+            throw new ValidationError(
+                'documentId is required; restore the whole store with the server stopped: npm run backup -- restore'
+            );
+        }
+        if (typeof dryRun !== 'boolean') throw new ValidationError('dryRun must be true or false');
+
+        res.json(await backups.restoreDocument(req.params.name, documentId, { dryRun, userId: req.user.id }));
+    }));
+
+    return router;
+}
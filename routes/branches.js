@@ -0,0 +1,142 @@
+import express from 'express';
+import errors from '../services/errors.js';
+import { asyncHandler, requirePermission, lockTokenOf } from './middleware.js';
+
+const { ValidationError } = errors;
+
+// Branch and tag routes for a document, mounted under /documents/:docId
+export function createBranchRouter({ users, versions }) {
+    const router = express.Router({ mergeParams: true });
+    const canRead = requirePermission(users, 'read');
+    const canWrite = requirePermission(users, 'write');
+
+    // List branches with their head versions
+    router.get('/branches', canRead, asyncHandler(async (req, res) => {
+        res.json(await versions.listBranches(req.params.docId));
+    }));
+
+    // Create a branch from a version, or from the head of main
+    router.post('/branches', canWrite, asyncHandler(async (req, res) => {
+        const { name, from = null } = req.body || {};
+        const branch = await versions.createBranch(req.params.docId, name, from, req.user.id);
+        res.status(201).json(branch);
+    }));
+
+    // Save a new version on a branch
+    router.post('/branches/:branch/versions', canWrite, asyncHandler(async (req, res) => {
+        const { document, message = '' } = req.body || {};
+        if (typeof message !== 'string') {
+            throw new ValidationError('message must be a string');
+        }
+
+        const result = await versions.createVersion(req.params.docId, document, {
+            branch: req.params.branch,
+            message,
+            userId: req.user.id,
+            lockToken: lockTokenOf(req)
+        });
+        res.status(result.unchanged ? 200 : 201).json(result);
+    }));
+
+    // Merge a branch into another one (main by default). Unresolved
+    // conflicts come back with 409 and nothing is committed; send them
+    // again under "resolutions" to finish the merge.
+    router.post('/branches/:branch/merge', canWrite, asyncHandler(async (req, res) => {
+        const { into = 'main', resolutions = 'auto', message = '' } = req.body || {};
+        const result = await versions.mergeBranches(
+            req.params.docId, req.params.branch, into, resolutions,
+            {
+                userId: req.user.id,
+                message: typeof message === 'string' ? message : '',
+                lockToken: lockTokenOf(req)
+            }
+        );
+
+        if (!result.merged) return res.status(409).json(result);
+        res.status(result.upToDate ? 200 : 201).json(result);
+    }));
+
+    // Rename a branch
+    router.patch('/branches/:branch', canWrite, asyncHandler(async (req, res) => {
+        const { name } = req.body || {};
+        res.json(await versions.renameBranch(req.params.docId, req.params.branch, name, {
+            userId: req.user.id
+        }));
+    }));
+
+    // Delete a branch; ?force=true deletes it even if it is unmerged
+    router.delete('/branches/:branch', canWrite, asyncHandler(async (req, res) => {
+        await versions.deleteBranch(req.params.docId, req.params.branch, {
+            force: req.query.force === 'true',
+            userId: req.user.id
+        });
+        res.status(204).end();
+    }));
+
+    // Where HEAD is for this session, with the document as it sees it
+    router.get('/head', canRead, asyncHandler(async (req, res) => {
+        res.json(await versions.getHeadDocument(req.params.docId, req.token));
+    }));
+
+    // Check out a branch, tag or version for this session, or with
+    // scope "document" for everyone who has not checked out their own
+    router.post('/checkout', canRead, asyncHandler(async (req, res) => {
+        const { target, scope = 'session' } = req.body || {};
+        if (typeof target !== 'string' || !target) {
+            throw new ValidationError('target is required');
+        }
+        if (scope !== 'session' && scope !== 'document') {
+            throw new ValidationError('scope must be "session" or "document"');
+        }
+        if (scope === 'document') users.assertCan(req.user, 'write');
+
+        res.json(await versions.checkout(req.params.docId, target, {
+            sessionId: scope === 'session' ? req.token : null,
+            userId: req.user.id
+        }));
+    }));
+
+    // Who last changed each line and paragraph of a section, as HEAD sees
+    // it or at ?version=. Without ?section= a plain text document is blamed.
+    router.get('/blame', canRead, asyncHandler(async (req, res) => {
+        const blame = await versions.blame(req.params.docId, {
+            sectionId: req.query.section || null,
+            versionId: req.query.version || null,
+            sessionId: req.token
+        });
+
+        const names = new Map();
+        const authorName = (userId) => {
+            if (!names.has(userId)) {
+                try {
+                    names.set(userId, users.getUser(userId).displayName);
+                } catch {
+                    names.set(userId, null);
+                }
+            }
+            return names.get(userId);
+        };
+        [...blame.lines, ...blame.paragraphs].forEach(({ version }) => {
+            if (version) version.authorName = authorName(version.author);
+        });
+
+        res.json(blame);
+    }));
+
+    router.get('/tags', canRead, asyncHandler(async (req, res) => {
+        res.json(await versions.listTags(req.params.docId));
+    }));
+
+    // Tag a version, such as "v2.0-approved"
+    router.post('/tags', canWrite, asyncHandler(async (req, res) => {
+        const { name, versionId, message = '' } = req.body || {};
+        if (!versionId) throw new ValidationError('versionId is required');
+
+        const tag = await versions.createTag(
+            req.params.docId, name, versionId, { message }, req.user.id
+        );
+        res.status(201).json(tag);
+    }));
+
+    return router;
+}
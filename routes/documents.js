@@ -0,0 +1,218 @@
+import express from 'express';
+import errors from '../services/errors.js';
+import { asyncHandler, requirePermission, lockTokenOf } from './middleware.js';
+
+const { ValidationError, NotFoundError } = errors;
+
+// Ensure a version belongs to the document addressed by the URL
+const findVersionEntry = (metadata, versionId) => {
+    const entry = metadata.versions.find(v => v.id === versionId);
+    if (!entry) throw new NotFoundError('Version not found');
+    return entry;
+};
+
+export function createDocumentRouter({ storage, users, versions, signatures, workflow, trash, folders }) {
+    const router = express.Router();
+    const canRead = requirePermission(users, 'read');
+    const canWrite = requirePermission(users, 'write');
+    const canReview = requirePermission(users, 'review');
+    // Usernames for the ids an archive mentions, so another installation can match its accounts
+    const userNames = () => Object.fromEntries(users.listUsers().map(user => [user.id, user.username]));
+    const sendArchive = (res, name, archive) => res.attachment(name).type('application/zip').send(archive);
+
+    // List all documents, or with ?folder= those in one folder (root for
+    // the top level)
+    router.get('/', canRead, asyncHandler(async (req, res) => {
+        const documents = await storage.listDocuments();
+        if (typeof req.query.folder !== 'string') return res.json(documents);
+
+        const folderId = req.query.folder === 'root' ? null : folders.getFolder(req.query.folder).id;
+        res.json(documents.filter(document => document.folderId === folderId));
+    }));
+
+    // Search documents; owner: filters take usernames or user ids
+    router.get('/search', canRead, asyncHandler(async (req, res) => {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!query) throw new ValidationError('Query parameter "q" is required');
+
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            throw new ValidationError('Query parameter "limit" must be an integer from 1 to 100');
+        }
+
+        res.json(await storage.searchDocuments(query, {
+            limit,
+            initialState: workflow.getConfig().initialState,
+            resolveOwner: (name) => {
+                const user = users.findByUsername(name);
+                return user ? user.id : name;
+            }
+        }));
+    }));
+
+    // Download a policy archive of the documents in ?ids= (comma separated),
+    // or of every document
+    router.get('/archive', canRead, asyncHandler(async (req, res) => {
+        const ids = typeof req.query.ids === 'string' && req.query.ids.trim()
+            ? req.query.ids.split(',').map(id => id.trim()).filter(Boolean)
+            : (await storage.listDocuments()).map(document => document.id);
+        if (ids.length === 0) throw new NotFoundError('There are no documents to export');
+
+        const archive = await storage.exportArchive(ids, { userNames: userNames() });
+        sendArchive(res, `policies-${new Date().toISOString().slice(0, 10)}.zip`, archive);
+    }));
+
+    // Import a policy archive sent as the request body. ?onConflict= says
+    // what to do with documents that already exist (fail, skip, copy or
+    // replace); replacing needs the manage-users permission.
+    router.post(
+        '/import',
+        canWrite,
+        express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '100mb' }),
+        asyncHandler(async (req, res) => {
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                throw new ValidationError('Send the archive as an application/zip request body');
+            }
+            const onConflict = req.query.onConflict || 'fail';
+            if (onConflict === 'replace') users.assertCan(req.user, 'manage-users');
+
+            res.json(await storage.importArchive(req.body, req.user.id, {
+                onConflict,
+                resolveUser: (username) => {
+                    const user = users.findByUsername(username);
+                    return user ? user.id : null;
+                }
+            }));
+        })
+    );
+
+    // Create a new document; with ?folder= it goes into that folder and
+    // takes its default owner and review cycle
+    router.post('/', canWrite, asyncHandler(async (req, res) => {
+        const { docId, versionId } = typeof req.query.folder === 'string'
+            ? await folders.createDocument(req.body, req.query.folder, req.user)
+            : await storage.createDocument(req.body, req.user.id);
+
+        res.status(201)
+            .location(`${req.baseUrl}/${docId}`)
+            .json({ id: docId, versionId, metadata: await storage.getMetadata(docId) });
+    }));
+
+    // Get the current document content with its metadata
+    router.get('/:docId', canRead, asyncHandler(async (req, res) => {
+        const metadata = await storage.getMetadata(req.params.docId);
+        const document = await storage.getDocument(req.params.docId);
+        res.json({ id: metadata.id, document, metadata });
+    }));
+
+    // Move a document to the trash ({ reason } optional). Approved and
+    // published documents can only be deleted by administrators.
+    router.delete('/:docId', canWrite, asyncHandler(async (req, res) => {
+        const { reason = '' } = req.body || {};
+        if (typeof reason !== 'string') throw new ValidationError('reason must be a string');
+
+        const metadata = await storage.getMetadata(req.params.docId);
+        if (metadata.workflow && metadata.workflow.editable === false) {
+            users.assertCan(req.user, 'manage-users');
+        }
+        res.json(await trash.deleteDocument(req.params.docId, req.user.id, {
+            reason,
+            lockToken: lockTokenOf(req)
+        }));
+    }));
+
+    // Move a document into a folder ({ folderId }, null for the top level)
+    router.put('/:docId/folder', canWrite, asyncHandler(async (req, res) => {
+        const { folderId } = req.body || {};
+        if (folderId !== null && typeof folderId !== 'string') {
+            throw new ValidationError('folderId must be a folder id or null');
+        }
+        res.json(await folders.moveDocument(req.params.docId, folderId, req.user));
+    }));
+
+    // Save a new version of a document
+    router.post('/:docId/versions', canWrite, asyncHandler(async (req, res) => {
+        const { document, message = '' } = req.body || {};
+        if (typeof message !== 'string') {
+            throw new ValidationError('message must be a string');
+        }
+
+        // New versions land on the branch checked out as HEAD
+        const result = await versions.createVersion(req.params.docId, document, {
+            message,
+            userId: req.user.id,
+            sessionId: req.token,
+            lockToken: lockTokenOf(req)
+        });
+        res.status(result.unchanged ? 200 : 201).json(result);
+    }));
+
+    // Get the version history of a document, optionally for one branch,
+    // with each version's verified signatures. Newest first, a page of
+    // ?limit= entries at a time; ?before= takes the last id of the page
+    // before.
+    router.get('/:docId/versions', canRead, asyncHandler(async (req, res) => {
+        const branch = typeof req.query.branch === 'string' ? req.query.branch : null;
+        const before = typeof req.query.before === 'string' ? req.query.before : null;
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            throw new ValidationError('Query parameter "limit" must be an integer from 1 to 100');
+        }
+
+        const history = await storage.getVersionHistory(req.params.docId, { branch, limit, before });
+        res.json(await signatures.annotateHistory(req.params.docId, history));
+    }));
+
+    // Get a single version of a document
+    router.get('/:docId/versions/:versionId', canRead, asyncHandler(async (req, res) => {
+        const metadata = await storage.getMetadata(req.params.docId);
+        const entry = findVersionEntry(metadata, req.params.versionId);
+        const version = await storage.getVersion(entry.id);
+        res.json({ ...entry, document: version.document, parent: version.parent });
+    }));
+
+    // Restore a previous version as the new current version
+    router.post('/:docId/versions/:versionId/restore', canWrite, asyncHandler(async (req, res) => {
+        const result = await storage.restoreVersion(
+            req.params.docId, req.params.versionId, req.user.id, { lockToken: lockTokenOf(req) }
+        );
+        res.status(201).json(result);
+    }));
+
+    // Compare two versions of a document: a structured list of section,
+    // glossary and word-level changes
+    router.get('/:docId/compare', canRead, asyncHandler(async (req, res) => {
+        const { from, to } = req.query;
+        if (!from || !to) {
+            throw new ValidationError('Query parameters "from" and "to" are required');
+        }
+
+        const metadata = await storage.getMetadata(req.params.docId);
+        findVersionEntry(metadata, from);
+        findVersionEntry(metadata, to);
+
+        res.json({ from, to, ...await storage.compareVersions(from, to) });
+    }));
+
+    // Recompute the document's hash chain and report the first broken link
+    router.get('/:docId/history/verify', canRead, asyncHandler(async (req, res) => {
+        res.json(await storage.verifyHistory(req.params.docId));
+    }));
+
+    // Download an evidence bundle that scripts/verifyEvidence.js can check
+    // offline; ?content=false leaves out the version contents
+    router.get('/:docId/evidence', canReview, asyncHandler(async (req, res) => {
+        const bundle = await storage.exportEvidence(req.params.docId, {
+            includeContent: req.query.content !== 'false'
+        });
+        res.attachment(`evidence-${req.params.docId}.json`).json(bundle);
+    }));
+
+    // Download a policy archive of this document for another installation
+    router.get('/:docId/archive', canRead, asyncHandler(async (req, res) => {
+        const archive = await storage.exportArchive([req.params.docId], { userNames: userNames() });
+        sendArchive(res, `policy-${req.params.docId}.zip`, archive);
+    }));
+
+    return router;
+}
@@ -0,0 +1,34 @@
+import express from 'express';
+import { asyncHandler, requirePermission } from './middleware.js';
+
+// Library folders, mounted at /folders. Documents are put in a folder
+// through PUT /documents/:docId/folder.
+export function createFolderRouter({ folders, users }) {
+    const router = express.Router();
+    const canWrite = requirePermission(users, 'write');
+
+    // Every folder with its parent and the defaults its documents get
+    router.get('/', requirePermission(users, 'read'), (req, res) => {
+        res.json(folders.listFolders());
+    });
+
+    // Create a folder ({ name, parentId, defaults: { owner, reviewCycle } })
+    router.post('/', canWrite, asyncHandler(async (req, res) => {
+        const { name, parentId = null, defaults } = req.body || {};
+        const folder = await folders.createFolder({ name, parentId, defaults }, req.user.id);
+        res.status(201).location(`${req.baseUrl}/${folder.id}`).json(folder);
+    }));
+
+    // Rename or move a folder, or change its defaults
+    router.patch('/:folderId', canWrite, asyncHandler(async (req, res) => {
+        const { name, parentId, defaults } = req.body || {};
+        res.json(await folders.updateFolder(req.params.folderId, { name, parentId, defaults }, req.user.id));
+    }));
+
+    // Delete an empty folder
+    router.delete('/:folderId', canWrite, asyncHandler(async (req, res) => {
+        res.json(await folders.deleteFolder(req.params.folderId, req.user.id));
+    }));
+
+    return router;
+}
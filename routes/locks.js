@@ -0,0 +1,84 @@
+import express from 'express';
+import errors from '../services/errors.js';
+import { asyncHandler, requirePermission, lockTokenOf } from './middleware.js';
+
+const { ValidationError } = errors;
+
+// Add the holder's display name to locks
+const withHolderNames = (users, locks) => locks.map(lock => {
+    let holderName = null;
+    try {
+        holderName = users.getUser(lock.userId).displayName;
+    } catch {
+        // Internal holders such as compaction are not users
+    }
+    return { ...lock, holderName };
+});
+
+// Lifetime requested in the body, in milliseconds
+const ttlOf = (req) => {
+    const { ttl } = req.body || {};
+    if (ttl === undefined || ttl === null) return null;
+    if (!Number.isInteger(ttl) || ttl <= 0) throw new ValidationError('ttl must be a number of milliseconds');
+    return ttl;
+};
+
+const requireToken = (req) => {
+    const token = lockTokenOf(req);
+    if (!token) throw new ValidationError('The lock token is required in the Lock-Token header');
+    return token;
+};
+
+// Edit lock routes for a document, mounted under /documents/:docId/lock.
+// The token returned when the lock is taken goes in the Lock-Token header
+// of saves, heartbeats and the release.
+export function createLockRouter({ storage, users }) {
+    const router = express.Router({ mergeParams: true });
+    const canWrite = requirePermission(users, 'write');
+
+    // Locks currently held on the document
+    router.get('/', requirePermission(users, 'read'), asyncHandler(async (req, res) => {
+        await storage.getMetadata(req.params.docId);
+        res.json(withHolderNames(users, await storage.listLocks(req.params.docId)));
+    }));
+
+    // Take the edit lock; 423 while someone else holds it
+    router.post('/', canWrite, asyncHandler(async (req, res) => {
+        const lock = await storage.acquireEditLock(req.params.docId, req.user.id, { ttl: ttlOf(req) });
+        res.status(201).json(lock);
+    }));
+
+    // Heartbeat: extend the lock; 409 once it has expired or been broken
+    router.put('/', canWrite, asyncHandler(async (req, res) => {
+        res.json(await storage.renewEditLock(req.params.docId, requireToken(req), { ttl: ttlOf(req) }));
+    }));
+
+    // Release the lock, or with ?force=true break anyone's lock as an
+    // administrator; breaking is recorded in the audit log
+    router.delete('/', canWrite, asyncHandler(async (req, res) => {
+        if (req.query.force === 'true') {
+            users.assertCan(req.user, 'manage-users');
+            const { reason = '' } = req.body || {};
+            const lock = await storage.breakEditLock(
+                req.params.docId, req.user.id, typeof reason === 'string' ? reason : ''
+            );
+            return res.json(lock);
+        }
+
+        await storage.releaseEditLock(req.params.docId, requireToken(req));
+        res.status(204).end();
+    }));
+
+    return router;
+}
+
+// Every lock held in the library, mounted at /locks
+export function createLockListRouter({ storage, users }) {
+    const router = express.Router();
+
+    router.get('/', requirePermission(users, 'read'), asyncHandler(async (req, res) => {
+        res.json(withHolderNames(users, await storage.listLocks()));
+    }));
+
+    return router;
+}
@@ -0,0 +1,54 @@
+// Wrap an async route handler so rejected promises reach the error middleware
+export const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Answer unknown API routes with JSON instead of falling through to index.html
+export const notFoundHandler = (req, res) => {
+    res.status(404).json({
+        error: { message: `No route for ${req.method} ${req.originalUrl}` }
+    });
+};
+
+// Translate service errors into JSON responses with their HTTP status.
+// Express recognizes error handlers by their four parameters.
+export const errorHandler = (err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+
+    if (status >= 500) {
+        console.error('API request failed:', err);
+    }
+
+    res.status(status).json({
+        error: {
+            message: status >= 500 ? 'Internal server error' : err.message,
+            ...(err.details && err.details.length > 0 && { details: err.details })
+        }
+    });
+};
+
+// Resolve the bearer token on the request to a user
+export const authenticate = (users) => (req, res, next) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    try {
+        req.user = users.authenticate(scheme === 'Bearer' ? token : null);
+        req.token = token;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Edit lock token presented with a request, in the Lock-Token header or
+// as lockToken in the body
+export const lockTokenOf = (req) => req.get('lock-token') || (req.body && req.body.lockToken) || null;
+
+// Reject requests from users whose roles lack a permission
+export const requirePermission = (users, permission) => (req, res, next) => {
+    try {
+        users.assertCan(req.user, permission);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,55 @@
+import express from 'express';
+import errors from '../services/errors.js';
+import { asyncHandler, requirePermission } from './middleware.js';
+
+const { ValidationError } = errors;
+
+// Routes for a document's review schedule, mounted under /documents/:docId/review
+export function createReviewRouter({ storage, users, reviews }) {
+    const router = express.Router({ mergeParams: true });
+
+    // Get the owner, cycle and next review date of the document
+    router.get('/', requirePermission(users, 'read'), asyncHandler(async (req, res) => {
+        res.json(reviews.describe(await storage.getMetadata(req.params.docId)));
+    }));
+
+    // Change the owner, cycle or next review date
+    router.put('/', requirePermission(users, 'write'), asyncHandler(async (req, res) => {
+        const { owner, reviewCycle, nextReviewDate } = req.body || {};
+        res.json(await reviews.setSchedule(req.params.docId, {
+            owner,
+            reviewCycle,
+            nextReviewDate
+        }, req.user));
+    }));
+
+    // Record that the periodic review is done and schedule the next one
+    router.post('/complete', requirePermission(users, 'review'), asyncHandler(async (req, res) => {
+        res.status(201).json(await reviews.completeReview(req.params.docId, req.user));
+    }));
+
+    return router;
+}
+
+// Library-wide report of overdue and upcoming reviews, mounted at /reviews
+export function createReviewReportRouter({ users, reviews }) {
+    const router = express.Router();
+
+    router.get('/', requirePermission(users, 'review'), asyncHandler(async (req, res) => {
+        const withinDays = req.query.within === undefined ? undefined : Number(req.query.within);
+        if (withinDays !== undefined && (!Number.isInteger(withinDays) || withinDays < 0)) {
+            throw new ValidationError('Query parameter "within" must be a number of days');
+        }
+
+        res.json(await reviews.getReport({
+            withinDays,
+            owner: typeof req.query.owner === 'string' ? req.query.owner : null
+        }));
+    }));
+
+    router.get('/cycles', requirePermission(users, 'read'), (req, res) => {
+        res.json(reviews.getCycles());
+    });
+
+    return router;
+}
@@ -0,0 +1,48 @@
+import express from 'express';
+import { asyncHandler, authenticate, requirePermission } from './middleware.js';
+
+export function createShareRouter({ storage, users, sharing }) {
+    const router = express.Router();
+    const signedIn = authenticate(users);
+    const canShare = requirePermission(users, 'share');
+
+    // Create a share link for a document
+    router.post('/documents/:docId/shares', signedIn, canShare, asyncHandler(async (req, res) => {
+        await storage.getMetadata(req.params.docId);
+        const { password, ...options } = req.body || {};
+        const result = await sharing.createShare(req.params.docId, {
+            ...options,
+            password,
+            createdBy: req.user.id
+        });
+        res.status(201).json({
+            shareId: result.shareId,
+            shareUrl: result.shareUrl,
+            share: sharing.sanitizeShare(result.share)
+        });
+    }));
+
+    // List the active share links of a document
+    router.get('/documents/:docId/shares', signedIn, canShare, asyncHandler(async (req, res) => {
+        await storage.getMetadata(req.params.docId);
+        res.json(sharing.getDocumentShares(req.params.docId));
+    }));
+
+    // Revoke a share link
+    router.delete('/shares/:shareId', signedIn, canShare, asyncHandler(async (req, res) => {
+        await sharing.revokeShare(req.params.shareId);
+        res.status(204).end();
+    }));
+
+    // Open a shared document with its token; no account required
+    router.post('/shares/:shareId/access', asyncHandler(async (req, res) => {
+        const { token, password } = req.body || {};
+        res.json(await sharing.accessShare(req.params.shareId, token, {
+            password,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        }));
+    }));
+
+    return router;
+}
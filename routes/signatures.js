@@ -0,0 +1,61 @@
+import express from 'express';
+import errors from '../services/errors.js';
+import { asyncHandler, requirePermission } from './middleware.js';
+
+const { ValidationError } = errors;
+
+// Routes for a document's version signatures, mounted under /documents/:docId/signatures
+export function createSignatureRouter({ users, signatures }) {
+    const router = express.Router({ mergeParams: true });
+    const canApprove = requirePermission(users, 'approve');
+
+    // Signatures with their verification status, optionally for one ?version=
+    router.get('/', requirePermission(users, 'read'), asyncHandler(async (req, res) => {
+        const versionId = typeof req.query.version === 'string' ? req.query.version : null;
+        res.json(await signatures.getSignatures(req.params.docId, versionId));
+    }));
+
+    // The payload to sign locally for a version
+    router.get('/payload', canApprove, asyncHandler(async (req, res) => {
+        if (typeof req.query.version !== 'string') {
+            throw new ValidationError('Query parameter "version" is required');
+        }
+        res.json(await signatures.getPayload(req.params.docId, req.query.version, req.user));
+    }));
+
+    // Upload a signature over a version's payload
+    router.post('/', canApprove, asyncHandler(async (req, res) => {
+        const { versionId, keyId, signature } = req.body || {};
+        if (typeof versionId !== 'string') throw new ValidationError('versionId is required');
+
+        const signed = await signatures.sign(req.params.docId, versionId, req.user, { keyId, signature });
+        res.status(201).json(signed);
+    }));
+
+    return router;
+}
+
+// Routes for signing keys, mounted under /signing-keys
+export function createSigningKeyRouter({ users, signatures }) {
+    const router = express.Router();
+
+    // The signed-in user's keys, or anyone's with ?userId= for administrators
+    router.get('/', requirePermission(users, 'read'), (req, res) => {
+        const userId = typeof req.query.userId === 'string' ? req.query.userId : req.user.id;
+        if (userId !== req.user.id) users.assertCan(req.user, 'manage-users');
+        res.json(signatures.listKeys(userId));
+    });
+
+    // Register the public half of a key pair kept by the signer
+    router.post('/', requirePermission(users, 'approve'), asyncHandler(async (req, res) => {
+        const { publicKey, label } = req.body || {};
+        res.status(201).json(await signatures.registerKey(req.user, publicKey, label));
+    }));
+
+    // Revoke a key
+    router.delete('/:keyId', requirePermission(users, 'read'), asyncHandler(async (req, res) => {
+        res.json(await signatures.revokeKey(req.params.keyId, req.user));
+    }));
+
+    return router;
+}
@@ -0,0 +1,67 @@
+import express from 'express';
+import errors from '../services/errors.js';
+import { asyncHandler, requirePermission, lockTokenOf } from './middleware.js';
+
+const { ValidationError } = errors;
+
+// The trash of deleted documents and sections, mounted at /trash. Anyone
+// who can write restores; purging for good is for administrators.
+export function createTrashRouter({ trash, users }) {
+    const router = express.Router();
+    const canManage = requirePermission(users, 'manage-users');
+
+    router.get('/', requirePermission(users, 'read'), asyncHandler(async (req, res) => {
+        res.json(await trash.listTrash());
+    }));
+
+    // Purge everything older than the retention period now
+    router.post('/purge', canManage, asyncHandler(async (req, res) => {
+        res.json(await trash.purgeExpired());
+    }));
+
+    router.post('/:docId/restore', requirePermission(users, 'write'), asyncHandler(async (req, res) => {
+        res.json(await trash.restoreDocument(req.params.docId, req.user.id));
+    }));
+
+    router.delete('/:docId', canManage, asyncHandler(async (req, res) => {
+        res.json(await trash.purgeDocument(req.params.docId, req.user.id));
+    }));
+
+    return router;
+}
+
+// Sections deleted from one document, mounted under /documents/:docId/trash.
+// Deleting and restoring save a version, so they need the edit lock's
+// token in the Lock-Token header while someone holds it.
+export function createSectionTrashRouter({ trash, users }) {
+    const router = express.Router({ mergeParams: true });
+    const canWrite = requirePermission(users, 'write');
+
+    router.get('/', requirePermission(users, 'read'), asyncHandler(async (req, res) => {
+        res.json(await trash.listSections(req.params.docId));
+    }));
+
+    // Move a section to the trash: { sectionId }
+    router.post('/', canWrite, asyncHandler(async (req, res) => {
+        const { sectionId } = req.body || {};
+        if (typeof sectionId !== 'string' || !sectionId) throw new ValidationError('sectionId is required');
+
+        const result = await trash.deleteSection(req.params.docId, sectionId, req.user.id, {
+            lockToken: lockTokenOf(req)
+        });
+        res.status(201).json(result);
+    }));
+
+    router.post('/:trashId/restore', canWrite, asyncHandler(async (req, res) => {
+        const result = await trash.restoreSection(req.params.docId, req.params.trashId, req.user.id, {
+            lockToken: lockTokenOf(req)
+        });
+        res.status(201).json(result);
+    }));
+
+    router.delete('/:trashId', requirePermission(users, 'manage-users'), asyncHandler(async (req, res) => {
+        res.json(await trash.purgeSection(req.params.docId, req.params.trashId, req.user.id));
+    }));
+
+    return router;
+}
@@ -0,0 +1,37 @@
+import express from 'express';
+import { asyncHandler, requirePermission } from './middleware.js';
+
+export function createUserRouter({ users }) {
+    const router = express.Router();
+
+    router.use(requirePermission(users, 'manage-users'));
+
+    // List users and the available roles
+    router.get('/', (req, res) => {
+        res.json({ users: users.listUsers(), roles: users.getRoles() });
+    });
+
+    // Create a user
+    router.post('/', asyncHandler(async (req, res) => {
+        const user = await users.createUser(req.body || {});
+        res.status(201).location(`${req.baseUrl}/${user.id}`).json(user);
+    }));
+
+    // Get a single user
+    router.get('/:userId', (req, res) => {
+        res.json(users.getUser(req.params.userId));
+    });
+
+    // Update roles, profile, password or active state
+    router.patch('/:userId', asyncHandler(async (req, res) => {
+        res.json(await users.updateUser(req.params.userId, req.body || {}));
+    }));
+
+    // Delete a user
+    router.delete('/:userId', asyncHandler(async (req, res) => {
+        await users.deleteUser(req.params.userId);
+        res.status(204).end();
+    }));
+
+    return router;
+}
@@ -0,0 +1,24 @@
+import express from 'express';
+import { asyncHandler, requirePermission } from './middleware.js';
+
+// Routes for a single document's lifecycle, mounted under /documents/:docId/workflow
+export function createWorkflowRouter({ users, workflow }) {
+    const router = express.Router({ mergeParams: true });
+
+    // Get the document's workflow state and the actions open to the user
+    router.get('/', requirePermission(users, 'read'), asyncHandler(async (req, res) => {
+        res.json(await workflow.getWorkflow(req.params.docId, req.user));
+    }));
+
+    // Apply a workflow action such as submit, approve or publish
+    router.post('/:action', asyncHandler(async (req, res) => {
+        const { comment, major } = req.body || {};
+        const result = await workflow.transition(req.params.docId, req.params.action, req.user, {
+            comment: typeof comment === 'string' ? comment : '',
+            major: major !== false
+        });
+        res.status(201).json(result);
+    }));
+
+    return router;
+}
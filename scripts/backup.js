@@ -0,0 +1,117 @@
+// Take, check and restore backups of the store.
+//
+//   node scripts/backup.js create
+//   node scripts/backup.js list
+//   node scripts/backup.js verify [NAME]
+//   node scripts/backup.js restore NAME [--document ID] [--dry-run]
+//
+// Uses STORAGE_DIR, STORAGE_BACKEND, the storage key and settings.backup
+// like the server, which takes the same backups on a schedule. verify
+// checks every file of NAME, or of every backup, against its manifest.
+//
+// restore puts the whole store back as it was, after taking a pre-restore
+// backup of the current one; stop the server first. With --document only
+// that document is restored, which is safe while the server runs (but its
+// search results only catch up on restart; the API route does not have
+// that problem). --dry-run lists what would change and changes nothing.
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import DocumentStorageService from '../services/documentStorageService.js';
+import BackupService from '../services/backupService.js';
+import SettingsService from '../services/settingsService.js';
+import storageEncryption from '../services/storageEncryption.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const storageDir = process.env.STORAGE_DIR || join(__dirname, '..', 'storage');
+
+const [command, name, ...args] = process.argv.slice(2);
+const option = (flag) => (args.includes(`--${flag}`) ? args[args.indexOf(`--${flag}`) + 1] : null);
+const dryRun = args.includes('--dry-run');
+
+const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+};
+
+if (!['create', 'list', 'verify', 'restore'].includes(command) || (command === 'restore' && !name)) {
+    fail('Usage: backup.js create | list | verify [NAME] | restore NAME [--document ID] [--dry-run]');
+}
+
+const settings = new SettingsService(join(storageDir, 'settings.json'));
+await settings.initialize();
+const backend = process.env.STORAGE_BACKEND || 'file';
+const encryption = await storageEncryption.encryptionFromSettings(storageDir);
+
+const storage = new DocumentStorageService(storageDir, { backend, encryption, checkOnStart: false });
+await storage.initialize();
+const backups = new BackupService(storage, {
+    ...settings.getSettings('backup'),
+    exclude: [join(storageDir, storageEncryption.DEFAULT_KEY_FILE), encryption && encryption.keyFile].filter(Boolean)
+});
+
+const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+const describe = (doc) => `"${doc.title}" (${doc.id})`;
+const listChanges = (heading, items, format) => {
+    if (items.length === 0) return;
+    console.log(`  ${heading}:`);
+    items.forEach(item => console.log(`    ${format(item)}`));
+};
+const describeChange = (doc) => {
+    const history = [
+        doc.versionsRestored > 0 ? `${doc.versionsRestored} versions back` : null,
+        doc.versionsDropped > 0 ? `${doc.versionsDropped} later versions dropped` : null
+    ].filter(Boolean);
+    return `${describe(doc)}${history.length > 0 ? `: ${history.join(', ')}` : ''}`;
+};
+
+try {
+    if (command === 'create') {
+        const backup = await backups.createBackup();
+        console.log(`Wrote ${backup.name}: ${backup.files} files, ${kb(backup.size)}`);
+    } else if (command === 'list') {
+        const list = await backups.listBackups();
+        if (list.length === 0) console.log(`No backups in ${backups.directory}`);
+        list.forEach(backup => {
+            console.log(`${backup.name}  ${kb(backup.size)}${backup.label ? `  (${backup.label})` : ''}`);
+        });
+    } else if (command === 'verify') {
+        const names = name ? [name] : (await backups.listBackups()).map(backup => backup.name);
+        let damaged = 0;
+        for (const archive of names) {
+            const result = await backups.verifyBackup(archive);
+            console.log(`${archive}: ${result.valid ? `ok, ${result.files} files` : 'DAMAGED'}`);
+            result.problems.forEach(problem => console.log(`  ${problem}`));
+            if (!result.valid) damaged++;
+        }
+        process.exitCode = damaged > 0 ? 1 : 0;
+    } else if (option('document')) {
+        const { document: doc } = await backups.restoreDocument(name, option('document'), { dryRun });
+        console.log(`${dryRun ? 'Would restore' : 'Restored'} ${describeChange(doc)}`);
+        console.log(`  current version ${doc.currentVersion.from || '(none)'} -> ${doc.currentVersion.to}`);
+    } else {
+        const plan = await backups.restoreStore(name, { dryRun });
+        const { documents, files } = plan;
+        console.log(`${dryRun ? 'Restoring' : 'Restored'} ${name}${dryRun ? ' would change' : ', changing'}:`);
+        listChanges('Documents brought back', documents.added, describe);
+        listChanges('Documents changed', documents.changed, describeChange);
+        listChanges('Documents removed', documents.removed, describe);
+        console.log(`  ${documents.unchanged} documents unchanged`);
+        listChanges('Files added', files.added, file => file);
+        listChanges('Files changed', files.changed, file => file);
+        listChanges('Files removed', files.removed, file => file);
+        console.log(`  ${files.unchanged} files unchanged`);
+
+        if (!dryRun) {
+            console.log(`The previous store is in ${plan.safetyBackup}`);
+            const restored = new DocumentStorageService(storageDir, { backend, encryption, checkOnStart: false });
+            await restored.initialize();
+            console.log(`Storage check: ${restored.describeReport(await restored.fsck())}`);
+            await restored.backend.close();
+        }
+    }
+} catch (error) {
+    const details = Array.isArray(error.details) ? error.details : [];
+    fail([error.message, ...details].join('\n  '));
+} finally {
+    await storage.backend.close();
+}
@@ -0,0 +1,91 @@
+// Measure save and read times and disk use for a document with many versions.
+//
+//   node scripts/benchmarkStorage.js [--versions 2000] [--sections 100] [--snapshot-interval 20]
+//                                    [--backend file|sqlite]
+//
+// Each version edits one section of the document. The same run is repeated
+// with snapshotInterval 1, which stores every version in full, as a baseline.
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { performance } from 'perf_hooks';
+import DocumentStorageService from '../services/documentStorageService.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : Number(args[index + 1]);
+};
+const versionCount = option('versions', 2000);
+const sectionCount = option('sections', 100);
+const snapshotInterval = option('snapshot-interval', 20);
+const backend = args.includes('--backend') ? args[args.indexOf('--backend') + 1] : 'file';
+
+const paragraph = 'Employees must protect confidential information and report any suspected breach ' +
+    'to the security team without delay. ';
+
+const makeDocument = () => ({
+    title: 'Information Security Policy',
+    sections: Array.from({ length: sectionCount }, (_, i) => ({
+        id: `section-${i}`,
+        title: `Section ${i + 1}`,
+        content: paragraph.repeat(12)
+    }))
+});
+
+const percentile = (times, p) => {
+    const sorted = [...times].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+};
+
+const describe = (times) => `mean ${(times.reduce((a, b) => a + b, 0) / times.length).toFixed(2)} ms, ` +
+    `p95 ${percentile(times, 0.95).toFixed(2)} ms`;
+
+async function run(interval) {
+    const dir = await mkdtemp(join(tmpdir(), 'policy-benchmark-'));
+    const storage = new DocumentStorageService(dir, { snapshotInterval: interval, backend });
+    try {
+        await storage.initialize();
+
+        const document = makeDocument();
+        const { docId } = await storage.createDocument(document, 'benchmark');
+        const saveTimes = [];
+
+        for (let i = 1; i < versionCount; i++) {
+            const section = document.sections[i % sectionCount];
+            section.content = `${section.content.slice(0, -40)}Revision ${i}. ${paragraph.slice(0, 26)}`;
+
+            const start = performance.now();
+            await storage.saveVersion(docId, document, `Revision ${i}`, 'benchmark');
+            saveTimes.push(performance.now() - start);
+        }
+
+        const metadata = await storage.getMetadata(docId);
+        const readTimes = [];
+        for (let i = 0; i < 200; i++) {
+            const entry = metadata.versions[Math.floor(Math.random() * metadata.versions.length)];
+            storage.versionCache.clear();
+            const start = performance.now();
+            await storage.getVersion(entry.id);
+            readTimes.push(performance.now() - start);
+        }
+
+        return {
+            saveTimes,
+            readTimes,
+            bytes: await storage.backend.versionBytes()
+        };
+    } finally {
+        await storage.backend.close();
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+console.log(`${versionCount} versions of a ${sectionCount}-section document, ${backend} backend\n`);
+for (const [label, interval] of [[`delta (snapshot every ${snapshotInterval})`, snapshotInterval], ['full copies', 1]]) {
+    const result = await run(interval);
+    console.log(label);
+    console.log(`  save:          ${describe(result.saveTimes)}`);
+    console.log(`  read (cold):   ${describe(result.readTimes)}`);
+    console.log(`  version data:  ${(result.bytes / 1024 / 1024).toFixed(1)} MB\n`);
+}
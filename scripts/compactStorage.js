@@ -0,0 +1,39 @@
+// Compact version storage and remove unreferenced versions.
+//
+//   node scripts/compactStorage.js [--dry-run] [--snapshot-interval N]
+//
+// Uses STORAGE_DIR, STORAGE_BACKEND and the storage key like the server. Safe to run while
+// the server is up: each document is locked while its versions are rewritten.
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import DocumentStorageService from '../services/documentStorageService.js';
+import storageEncryption from '../services/storageEncryption.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const storageDir = process.env.STORAGE_DIR || join(__dirname, '..', 'storage');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const intervalIndex = args.indexOf('--snapshot-interval');
+// The startup check repairs files and must not run beside a live server
+const options = {
+    checkOnStart: false,
+    backend: process.env.STORAGE_BACKEND || 'file',
+    encryption: await storageEncryption.encryptionFromSettings(storageDir)
+};
+if (intervalIndex !== -1) options.snapshotInterval = Number(args[intervalIndex + 1]);
+
+const storage = new DocumentStorageService(storageDir, options);
+await storage.initialize();
+
+const stats = await storage.compact({ dryRun });
+const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+console.log(`${dryRun ? 'Would compact' : 'Compacted'} ${stats.versions} versions of ${stats.documents} documents`);
+if (!dryRun) {
+    console.log(`  ${stats.snapshots} snapshots, ${stats.deltas} deltas`);
+    console.log(`  ${kb(stats.bytesBefore)} -> ${kb(stats.bytesAfter)}`);
+}
+console.log(`${dryRun ? 'Would remove' : 'Removed'} ${stats.removed} unreferenced versions`);
+
+await storage.backend.close();
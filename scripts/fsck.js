@@ -0,0 +1,41 @@
+// Check the store for interrupted writes and inconsistent records, and
+// repair what can be repaired.
+//
+//   node scripts/fsck.js [--dry-run] [--json]
+//
+// Uses STORAGE_DIR, STORAGE_BACKEND and the storage key like the server, which runs the
+// same check with repair on startup. Stop the server first: repairs assume
+// nothing else is writing. --dry-run only reports.
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import DocumentStorageService from '../services/documentStorageService.js';
+import storageEncryption from '../services/storageEncryption.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const storageDir = process.env.STORAGE_DIR || join(__dirname, '..', 'storage');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+const storage = new DocumentStorageService(storageDir, {
+    checkOnStart: false,
+    backend: process.env.STORAGE_BACKEND || 'file',
+    encryption: await storageEncryption.encryptionFromSettings(storageDir)
+});
+await storage.initialize();
+
+const report = await storage.fsck({ repair: !dryRun });
+
+if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    console.log(`Storage check: ${storage.describeReport(report)}`);
+    report.problems.forEach(problem => {
+        console.log(`  [${problem.repaired ? 'repaired' : 'found'}] ${problem.type}: ${problem.message}`);
+    });
+}
+
+await storage.backend.close();
+
+// Non-zero when something is still wrong
+process.exitCode = report.problems.some(problem => !problem.repaired) ? 1 : 0;
@@ -0,0 +1,94 @@
+// Copy a store from one storage backend to another, by default from JSON
+// files to SQLite.
+//
+//   node scripts/migrateStorage.js [--from file] [--to sqlite] [--force]
+//
+// Uses STORAGE_DIR; stop the server first. Each document is copied in one
+// commit with every version in its history, as stored, and checked by
+// recomputing its hash chain from the copy. The source is left untouched.
+// Once every document has copied, start the server with
+// STORAGE_BACKEND=<to>. --force copies into a target that already holds
+// documents, replacing those with the same ids.
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import DocumentStorageService from '../services/documentStorageService.js';
+import storageEncryption from '../services/storageEncryption.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const storageDir = process.env.STORAGE_DIR || join(__dirname, '..', 'storage');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => (args.includes(`--${name}`) ? args[args.indexOf(`--${name}`) + 1] : fallback);
+const from = option('from', 'file');
+const to = option('to', 'sqlite');
+
+if (from === to) {
+    console.error('--from and --to name the same backend');
+    process.exit(1);
+}
+
+// An encrypted store stays encrypted with the same key
+const encryption = await storageEncryption.encryptionFromSettings(storageDir);
+const source = new DocumentStorageService(storageDir, { backend: from, checkOnStart: false, encryption });
+const target = new DocumentStorageService(storageDir, { backend: to, checkOnStart: false, encryption });
+await source.initialize();
+await target.initialize();
+
+if ((await target.backend.list('metadata')).length > 0 && !args.includes('--force')) {
+    console.error(`The ${to} store in ${storageDir} already holds documents; use --force to copy into it`);
+    process.exit(1);
+}
+
+let copied = 0;
+let versions = 0;
+const failures = [];
+
+for (const docId of await source.backend.list('metadata')) {
+    try {
+        const metadata = await source.backend.get('metadata', docId);
+        const document = await source.backend.get('document', docId);
+        if (!document) throw new Error('the document has no content');
+
+        const writes = [];
+        for (const entry of metadata.versions) {
+            const record = await source.backend.get('version', entry.id);
+            if (!record) throw new Error(`version ${entry.id} is missing`);
+            writes.push({ kind: 'version', id: entry.id, value: record });
+        }
+        const attestations = await source.backend.get('attestation', docId);
+        if (attestations) writes.push({ kind: 'attestation', id: docId, value: attestations });
+        writes.push(
+            { kind: 'document', id: docId, value: document },
+            { kind: 'metadata', id: docId, value: metadata }
+        );
+        await target.backend.commit(writes);
+
+        const check = await target.verifyHistory(docId, { includeDeleted: true });
+        if (!check.valid) {
+            throw new Error(`the copied history does not verify (${check.firstBroken.reason} at ${check.firstBroken.versionId})`);
+        }
+        copied++;
+        versions += metadata.versions.length;
+    } catch (error) {
+        failures.push(`${docId}: ${error.message}`);
+    }
+}
+
+// Library folders are not part of any one document
+const folderWrites = [];
+for (const folderId of await source.backend.list('folder')) {
+    folderWrites.push({ kind: 'folder', id: folderId, value: await source.backend.get('folder', folderId) });
+}
+if (folderWrites.length > 0) await target.backend.commit(folderWrites);
+
+console.log(`Copied ${copied} documents with ${versions} versions and ${folderWrites.length} folders from ${from} to ${to}`);
+if (failures.length > 0) {
+    console.error(`${failures.length} documents could not be copied; run npm run fsck on the source first:`);
+    failures.forEach(failure => console.error(`  ${failure}`));
+} else {
+    console.log(`Start the server with STORAGE_BACKEND=${to} to use it`);
+}
+
+await source.backend.close();
+await target.backend.close();
+process.exitCode = failures.length > 0 ? 1 : 0;
@@ -0,0 +1,50 @@
+// Create a signing key pair and sign version payloads on your own machine.
+// The private key never leaves it; register the public key with
+// POST /api/v1/signing-keys.
+//
+//   node scripts/signingKey.js generate [--type ed25519|rsa] [--out signing-key]
+//   node scripts/signingKey.js sign --key signing-key.pem --payload '<payload>'
+//
+// generate writes <out>.pem (private, readable only by you) and
+// <out>.pub.pem. sign prints the base64 signature to upload with
+// POST /api/v1/documents/:id/signatures.
+import { generateKeyPairSync, createPrivateKey, sign } from 'crypto';
+import { readFile, writeFile } from 'fs/promises';
+
+const [command, ...args] = process.argv.slice(2);
+const option = (name, fallback = null) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+};
+
+if (command === 'generate') {
+    const type = option('type', 'ed25519');
+    const out = option('out', 'signing-key');
+    if (type !== 'ed25519' && type !== 'rsa') {
+        console.error('--type must be ed25519 or rsa');
+        process.exit(2);
+    }
+
+    const { publicKey, privateKey } = generateKeyPairSync(type, {
+        ...(type === 'rsa' ? { modulusLength: 3072 } : {}),
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    await writeFile(`${out}.pem`, privateKey, { mode: 0o600 });
+    await writeFile(`${out}.pub.pem`, publicKey);
+    console.log(`Wrote ${out}.pem (keep private) and ${out}.pub.pem (register this one)`);
+} else if (command === 'sign') {
+    const keyFile = option('key');
+    const payload = option('payload');
+    if (!keyFile || !payload) {
+        console.error('Usage: node scripts/signingKey.js sign --key signing-key.pem --payload \'<payload>\'');
+        process.exit(2);
+    }
+
+    const key = createPrivateKey(await readFile(keyFile, 'utf8'));
+    const digest = key.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+    console.log(sign(digest, Buffer.from(payload), key).toString('base64'));
+} else {
+    console.error('Usage: node scripts/signingKey.js generate|sign [options]');
+    process.exit(2);
+}
@@ -0,0 +1,187 @@
+// Encrypt the store, change its key, or decrypt it.
+//
+//   node scripts/storageKey.js status
+//   node scripts/storageKey.js rotate --to passphrase
+//   node scripts/storageKey.js rotate --to keyfile [--key-file PATH]
+//   node scripts/storageKey.js decrypt
+//
+// Uses STORAGE_DIR and STORAGE_BACKEND; stop the server first. The current
+// key is found as the server finds it (STORAGE_PASSPHRASE, or the key file
+// from STORAGE_KEY_FILE or settings). A new passphrase is read from
+// NEW_STORAGE_PASSPHRASE; a new key file is generated unless PATH already
+// holds a key (default storage.key in STORAGE_DIR). rotate on an
+// unencrypted store encrypts it.
+//
+// Every record and the audit log are rewritten under the new key, then
+// settings.security is updated to match. If interrupted, run the
+// same command again: the server refuses to start until it has finished.
+import { fileURLToPath } from 'url';
+import { promises as fs } from 'fs';
+import { dirname, join, resolve } from 'path';
+import AuditLog from '../services/auditLog.js';
+import DocumentStorageService from '../services/documentStorageService.js';
+import SettingsService from '../services/settingsService.js';
+import storageEncryption from '../services/storageEncryption.js';
+
+const {
+    createKey,
+    loadKey,
+    readEncryptionConfig,
+    writeEncryptionConfig,
+    isEnvelope,
+    FORMAT,
+    DEFAULT_KEY_FILE,
+    KINDS
+} = storageEncryption;
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const storageDir = process.env.STORAGE_DIR || join(__dirname, '..', 'storage');
+
+const [command, ...args] = process.argv.slice(2);
+const option = (name) => (args.includes(`--${name}`) ? args[args.indexOf(`--${name}`) + 1] : null);
+
+const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+};
+
+const settings = new SettingsService(join(storageDir, 'settings.json'));
+await settings.initialize();
+const security = settings.getSettings('security');
+
+const keyFileSetting = process.env.STORAGE_KEY_FILE || security.keyFile;
+const current = {
+    passphrase: process.env.STORAGE_PASSPHRASE || null,
+    keyFile: keyFileSetting ? resolve(storageDir, keyFileSetting) : null
+};
+const next = {
+    passphrase: process.env.NEW_STORAGE_PASSPHRASE || null,
+    passphraseVariable: 'NEW_STORAGE_PASSPHRASE',
+    keyFile: resolve(storageDir, option('key-file') || DEFAULT_KEY_FILE)
+};
+
+const describeKey = (keyConfig) => (keyConfig
+    ? `key ${keyConfig.keyId} (${keyConfig.kdf.name === 'pbkdf2' ? 'passphrase' : `key file ${keyConfig.kdf.file}`})`
+    : 'no key');
+
+const config = await readEncryptionConfig(storageDir);
+
+if (command === 'status') {
+    if (!config) {
+        console.log('The store is not encrypted');
+    } else {
+        console.log(config.key ? `The store is encrypted with ${describeKey(config.key)}` : 'The store is not encrypted yet');
+        if ('next' in config) console.log(`An interrupted change to ${describeKey(config.next)} has not finished`);
+    }
+    process.exit(0);
+}
+if (command !== 'rotate' && command !== 'decrypt') {
+    fail('Usage: storageKey.js status | rotate --to passphrase|keyfile [--key-file PATH] | decrypt');
+}
+
+// The key change to make: the one left unfinished, or the one asked for
+const oldKey = config && config.key ? await loadKey(config.key, current) : null;
+let newKey = null;
+let newConfig = null;
+
+if (config && 'next' in config) {
+    console.log(`Finishing the interrupted change to ${describeKey(config.next)}`);
+    newConfig = config.next;
+    if (newConfig) newKey = await loadKey(newConfig, { ...next, keyFile: null });
+} else if (command === 'rotate') {
+    const to = option('to');
+    if (to !== 'passphrase' && to !== 'keyfile') fail('rotate needs --to passphrase or --to keyfile');
+    if (to === 'keyfile' && config && config.key.kdf.file === next.keyFile) {
+        fail(`${next.keyFile} holds the current key; choose a new --key-file`);
+    }
+    ({ key: newKey, config: newConfig } = await createKey(to, next));
+    if (oldKey && newKey.keyId === oldKey.keyId) fail('The new key is the same as the current one');
+} else if (!config) {
+    fail('The store is not encrypted');
+}
+
+const backendName = process.env.STORAGE_BACKEND || 'file';
+const backend = new DocumentStorageService.BACKENDS[backendName](storageDir);
+await backend.initialize();
+// Interrupted writes still hold records under the old key
+await backend.recover({ repair: true });
+
+const isDone = (stored) => (newKey ? isEnvelope(stored) && stored.keyId === newKey.keyId : !isEnvelope(stored));
+const decode = (stored, context) => {
+    if (!oldKey && isEnvelope(stored)) throw new Error(`${context} is encrypted with an unknown key`);
+    return oldKey ? oldKey.decrypt(stored, context) : stored;
+};
+
+// Check every record can be read before changing any
+const pending = [];
+const unreadable = [];
+let unchanged = 0;
+for (const kind of KINDS) {
+    for (const id of await backend.list(kind)) {
+        const stored = await backend.get(kind, id);
+        if (isDone(stored)) {
+            unchanged++;
+            continue;
+        }
+        try {
+            decode(stored, `${kind} ${id}`);
+            pending.push({ kind, id });
+        } catch (error) {
+            unreadable.push(error.message);
+        }
+    }
+}
+if (unreadable.length > 0) {
+    unreadable.forEach(message => console.error(`  ${message}`));
+    fail(`${unreadable.length} records cannot be read; run npm run fsck to set them aside, then try again`);
+}
+
+// Recorded before any record changes, so a rerun can tell old from new
+await writeEncryptionConfig(storageDir, { format: FORMAT, key: config ? config.key : null, next: newConfig });
+
+for (const { kind, id } of pending) {
+    const context = `${kind} ${id}`;
+    const value = decode(await backend.get(kind, id), context);
+    await backend.commit([{ kind, id, value: newKey ? newKey.encrypt(value, context) : value }]);
+}
+
+// Audit entries keep ids and actions readable and encrypt the rest. One
+// the old key cannot open either (restored from another store) is kept as
+// it is, and lists as encrypted.
+const audit = new AuditLog(join(storageDir, 'audit.log'));
+const auditEntries = await audit.readEntries();
+let auditKept = 0;
+if (auditEntries.length > 0) {
+    const rewrite = ({ details, ...entry }) => {
+        if (newKey ? details && details.keyId === newKey.keyId : !details) return null;
+        try {
+            return AuditLog.seal(details ? { ...entry, ...decode(details, `audit ${entry.id}`) } : entry, newKey);
+        } catch {
+            auditKept++;
+            return null;
+        }
+    };
+    const lines = auditEntries.map(stored => rewrite(stored) || stored);
+    const temp = `${audit.file}.tmp`;
+    await fs.writeFile(temp, lines.map(line => `${JSON.stringify(line)}\n`).join(''), 'utf8');
+    await fs.rename(temp, audit.file);
+}
+
+await writeEncryptionConfig(storageDir, newConfig ? { format: FORMAT, key: newConfig } : null);
+await settings.updateSettings('security', newConfig
+    ? {
+        encryptDocuments: true,
+        keySource: newConfig.kdf.name === 'pbkdf2' ? 'passphrase' : 'keyfile',
+        keyFile: newConfig.kdf.name === 'pbkdf2' ? security.keyFile : newConfig.kdf.file
+    }
+    : { encryptDocuments: false });
+await backend.close();
+
+console.log(`Rewrote ${pending.length} records (${unchanged} already done); the store now uses ${describeKey(newConfig)}`);
+if (auditKept > 0) console.log(`${auditKept} audit entries encrypted with another key were left as they are`);
+if (newConfig && newConfig.kdf.name === 'pbkdf2') {
+    console.log('Start the server with the new passphrase in STORAGE_PASSPHRASE');
+}
+if (config && config.key && config.key.kdf.name === 'keyfile') {
+    console.log(`${config.key.kdf.file} is no longer needed once the store is backed up`);
+}
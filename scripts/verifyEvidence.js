@@ -0,0 +1,55 @@
+// Verify an evidence bundle exported from GET /documents/:id/evidence.
+//
+//   node scripts/verifyEvidence.js bundle.json [--expect <headHash>]
+//
+// Needs nothing but the bundle: every content hash and chain hash is
+// recomputed from the versions it contains. --expect checks the head
+// against a hash recorded earlier, such as one from a previous bundle,
+// which also catches a history rewritten and re-hashed end to end.
+import { readFile } from 'fs/promises';
+import hashChain from '../services/hashChain.js';
+
+const { BUNDLE_FORMAT, verifyChain } = hashChain;
+
+const [file, ...args] = process.argv.slice(2);
+if (!file) {
+    console.error('Usage: node scripts/verifyEvidence.js bundle.json [--expect <headHash>]');
+    process.exit(2);
+}
+const expectIndex = args.indexOf('--expect');
+const expected = expectIndex === -1 ? null : args[expectIndex + 1];
+
+const bundle = JSON.parse(await readFile(file, 'utf8'));
+if (bundle.format !== BUNDLE_FORMAT) {
+    console.error(`Unsupported bundle format: ${bundle.format}`);
+    process.exit(2);
+}
+
+const result = await verifyChain(
+    bundle.versions,
+    bundle.includesContent ? (entry) => entry.document : null
+);
+const headHash = result.chainHashes.get(bundle.currentVersion) || null;
+const problems = [];
+
+if (!result.valid) {
+    const { versionId, index, reason } = result.firstBroken;
+    problems.push(`first broken link at version ${index + 1} (${versionId}): ${reason}`);
+}
+if (headHash !== bundle.headHash) {
+    problems.push(`head hash ${headHash} does not match the bundle's ${bundle.headHash}`);
+}
+if (expected && headHash !== expected) {
+    problems.push(`head hash ${headHash} does not match the expected ${expected}`);
+}
+
+console.log(`${bundle.document.title} (${bundle.document.id})`);
+console.log(`  ${result.versions} versions, ${result.sealed} sealed, ${result.unsealed} written before sealing`);
+console.log(`  content ${bundle.includesContent ? 'checked' : 'not included; chain only'}`);
+console.log(`  head ${headHash}`);
+
+if (problems.length > 0) {
+    problems.forEach(problem => console.log(`FAILED: ${problem}`));
+    process.exit(1);
+}
+console.log('OK: history is intact');
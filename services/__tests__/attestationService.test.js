@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AttestationService = require('../attestationService');
+const WorkflowService = require('../workflowService');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { createStore, removeStore, policy, publish } = require('./helpers/storage');
+
+const people = {
+    ann: { id: 'ann', active: true, groups: ['finance'] },
+    ben: { id: 'ben', active: true, groups: ['finance'] },
+    cal: { id: 'cal', active: true, groups: ['legal'] }
+};
+
+// Just the lookups of UserService that attestations use
+const users = {
+    getUser: (id) => {
+        if (!people[id]) throw new NotFoundError('User not found');
+        return people[id];
+    },
+    getUsersInGroups: (groups) => Object.values(people)
+        .filter(user => user.active && user.groups.some(group => groups.includes(group)))
+};
+
+describe('AttestationService', () => {
+    let storage;
+    let attestations;
+    let docId;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        attestations = new AttestationService(storage, { users });
+        await attestations.initialize();
+        ({ docId } = await storage.createDocument(policy('Expenses'), 'author'));
+    });
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    // Start a new draft, change it and publish it again
+    async function republish({ major }) {
+        await new WorkflowService(storage).transition(docId, 'new-draft', { id: 'author' });
+        await storage.saveVersion(docId, policy('Expenses', [], { content: `Revised ${major}` }), '', 'author');
+        const { workflow } = await publish(storage, docId, { major });
+        return attestations.handlePublished(docId, workflow);
+    }
+
+    test('only published policies can be assigned', async () => {
+        await expect(attestations.assign(docId, { groups: ['finance'] })).rejects.toThrow(ConflictError);
+        await publish(storage, docId);
+        await expect(attestations.assign(docId, {})).rejects.toThrow(ValidationError);
+        await expect(attestations.assign(docId, { userIds: ['cal'], dueDate: 'soon' })).rejects.toThrow(ValidationError);
+    });
+
+    test('tracks who has acknowledged the published version', async () => {
+        await publish(storage, docId);
+        const requested = [];
+        attestations.on('acknowledgement-requested', event => requested.push(event.userIds));
+
+        const assignment = await attestations.assign(docId, { groups: ['finance'], userIds: ['cal'] }, { id: 'admin' });
+        expect(requested).toEqual([['ann', 'ben', 'cal']]);
+
+        const acknowledgement = await attestations.acknowledge(docId, people.ann);
+        expect(acknowledgement).toMatchObject({ assignmentId: assignment.id, major: 1, versionId: assignment.versionId });
+        expect(await attestations.acknowledge(docId, people.ann)).toEqual(acknowledgement);
+
+        const status = await attestations.getStatus(docId);
+        expect(status.acknowledged.map(entry => entry.user.id)).toEqual(['ann']);
+        expect(status.outstanding.map(entry => entry.user.id)).toEqual(['ben', 'cal']);
+        expect(await attestations.getOutstandingForUser(people.ben)).toEqual([{ documentId: docId, assignment: status.assignment }]);
+        expect(await attestations.getOutstandingForUser(people.ann)).toEqual([]);
+    });
+
+    test('refuses acknowledgements nobody asked for', async () => {
+        await publish(storage, docId);
+        await expect(attestations.acknowledge(docId, people.ann)).rejects.toThrow(NotFoundError);
+        await attestations.assign(docId, { groups: ['legal'] });
+        await expect(attestations.acknowledge(docId, people.ann)).rejects.toThrow(ForbiddenError);
+    });
+
+    test('keeps acknowledgements through a minor release and asks again after a major one', async () => {
+        await publish(storage, docId);
+        await attestations.assign(docId, { groups: ['finance'] });
+        await attestations.acknowledge(docId, people.ann);
+
+        const minor = await republish({ major: false });
+        expect(minor).toMatchObject({ major: 1, minor: 1 });
+        expect((await attestations.getStatus(docId)).acknowledged.map(entry => entry.user.id)).toEqual(['ann']);
+
+        const major = await republish({ major: true });
+        expect(major).toMatchObject({ major: 2, minor: 0, groups: ['finance'] });
+        const status = await attestations.getStatus(docId);
+        expect(status.acknowledged).toEqual([]);
+        expect(status.outstanding.map(entry => entry.user.id)).toEqual(['ann', 'ben']);
+    });
+
+    test('does not lose acknowledgements given at the same time', async () => {
+        await publish(storage, docId);
+        await attestations.assign(docId, { groups: ['finance', 'legal'] });
+
+        await Promise.all([people.ann, people.ben, people.cal].map(user => attestations.acknowledge(docId, user)));
+        expect((await attestations.getStatus(docId)).outstanding).toEqual([]);
+    });
+
+    test('moves records from older releases into the store', async () => {
+        await publish(storage, docId);
+        const record = { assignments: [{ id: 'a1', major: 1, minor: 0, groups: ['legal'], userIds: [], active: true }], acknowledgements: [] };
+        const legacyDir = path.join(storage.baseDir, 'legacy-attestations');
+        await fs.mkdir(legacyDir);
+        await fs.writeFile(path.join(legacyDir, `${docId}.json`), JSON.stringify(record));
+
+        const reloaded = new AttestationService(storage, { users, legacyDir });
+        await reloaded.initialize();
+        expect((await reloaded.getStatus(docId)).outstanding.map(entry => entry.user.id)).toEqual(['cal']);
+    });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const path = require('path');
+const BackupService = require('../backupService');
+const DocumentStorageService = require('../documentStorageService');
+const { LockedError, NotFoundError, ValidationError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+
+describe('BackupService', () => {
+    let storage;
+    let backups;
+    let docId;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        backups = new BackupService(storage, { maxBackups: 2 });
+        ({ docId } = await storage.createDocument(policy('Remote work', [], { content: 'Two days a week.' }), 'alice'));
+    });
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    const contentOf = async (store, id = docId) => (await store.getDocument(id)).content;
+
+    test('archives the store with a manifest and keeps the newest maxBackups', async () => {
+        const first = await backups.createBackup();
+        expect(first.name).toMatch(/^backup-.*\.tar\.gz$/);
+
+        const { manifest, problems } = await backups.readBackup(first.name);
+        expect(problems).toEqual([]);
+        const names = manifest.files.map(file => file.path);
+        expect(names).toEqual(expect.arrayContaining([`metadata/${docId}.json`, `documents/${docId}.json`]));
+        expect(names.some(name => name.startsWith('backups/') || name.startsWith('locks.json'))).toBe(false);
+        expect(manifest).toMatchObject({ backend: 'file', encrypted: false });
+
+        const second = await backups.createBackup({ label: 'manual' });
+        await backups.createBackup();
+        const listed = await backups.listBackups();
+        expect(listed).toHaveLength(2);
+        expect(listed.map(backup => backup.name)).not.toContain(first.name);
+        expect(listed[1]).toMatchObject({ name: second.name, label: 'manual' });
+    });
+
+    test('reports damaged archives and refuses names that are not backups', async () => {
+        const { name } = await backups.createBackup();
+        expect(await backups.verifyBackup(name)).toMatchObject({ valid: true, problems: [] });
+
+        const file = path.join(backups.directory, name);
+        const data = await fs.readFile(file);
+        await fs.writeFile(file, data.subarray(0, data.length / 2));
+        const damaged = await backups.verifyBackup(name);
+        expect(damaged.valid).toBe(false);
+        expect(damaged.problems[0]).toMatch(/cannot be read/);
+        await expect(backups.restoreDocument(name, docId)).rejects.toThrow(ValidationError);
+
+        await expect(backups.verifyBackup('../settings.json')).rejects.toThrow(ValidationError);
+        await expect(backups.verifyBackup('backup-2020-01-01T00-00-00-000Z.tar.gz')).rejects.toThrow(NotFoundError);
+    });
+
+    test('restores one document with its history', async () => {
+        const { name } = await backups.createBackup();
+        await storage.saveVersion(docId, policy('Remote work', [], { content: 'Any day.' }), 'edit', 'bob');
+
+        const plan = await backups.restoreDocument(name, docId, { dryRun: true });
+        expect(plan.document).toMatchObject({ title: 'Remote work', versionsRestored: 0, versionsDropped: 1 });
+        expect(await contentOf(storage)).toBe('Any day.');
+
+        await backups.restoreDocument(name, docId, { userId: 'admin' });
+        expect(await contentOf(storage)).toBe('Two days a week.');
+        expect((await storage.getMetadata(docId)).versions).toHaveLength(1);
+        expect((await storage.verifyHistory(docId)).valid).toBe(true);
+        expect(await storage.audit.list({ action: 'document-restored' })).toEqual([
+            expect.objectContaining({ userId: 'admin', documentId: docId, backup: name })
+        ]);
+
+        const { docId: newerId } = await storage.createDocument(policy('Newer'), 'alice');
+        await expect(backups.restoreDocument(name, newerId)).rejects.toThrow(NotFoundError);
+    });
+
+    test('will not restore a document someone is editing', async () => {
+        const { name } = await backups.createBackup();
+        await storage.acquireEditLock(docId, 'bob');
+
+        await expect(backups.restoreDocument(name, docId)).rejects.toThrow(LockedError);
+    });
+
+    test('restores the whole store after taking a safety backup', async () => {
+        const { name } = await backups.createBackup();
+        await storage.saveVersion(docId, policy('Remote work', [], { content: 'Any day.' }), 'edit', 'bob');
+        const { docId: newerId } = await storage.createDocument(policy('Newer'), 'alice');
+        await storage.audit.record('lock.break', 'admin', { documentId: docId });
+
+        const plan = await backups.restoreStore(name, { dryRun: true });
+        expect(plan.documents).toMatchObject({
+            added: [],
+            changed: [expect.objectContaining({ id: docId, versionsDropped: 1 })],
+            removed: [{ id: newerId, title: 'Newer' }]
+        });
+        expect(plan.files.removed).toEqual(expect.arrayContaining([`metadata/${newerId}.json`]));
+
+        const restored = await backups.restoreStore(name, { userId: 'admin' });
+        expect(restored.safetyBackup).toMatch(/-pre-restore\.tar\.gz$/);
+
+        const reopened = new DocumentStorageService(storage.baseDir);
+        await reopened.initialize();
+        try {
+            expect(await contentOf(reopened)).toBe('Two days a week.');
+            expect((await reopened.listDocuments()).map(doc => doc.id)).toEqual([docId]);
+            // The audit log is kept, and records the restore
+            expect((await reopened.audit.list()).map(entry => entry.action)).toEqual(['store-restored', 'lock.break']);
+            expect((await backups.listBackups()).map(backup => backup.name)).toContain(name);
+        } finally {
+            await reopened.backend.close();
+        }
+    });
+
+    test('schedules the next backup from the newest archive', async () => {
+        const scheduled = new BackupService(storage, { interval: 60 * 60 * 1000 });
+        expect(await scheduled.nextDelay()).toBe(0);
+
+        await scheduled.createBackup();
+        const delay = await scheduled.nextDelay();
+        expect(delay).toBeGreaterThan(59 * 60 * 1000);
+        expect(delay).toBeLessThanOrEqual(60 * 60 * 1000);
+
+        const disabled = new BackupService(storage, { enabled: false });
+        disabled.start();
+        expect(disabled.started).toBe(false);
+        expect(disabled.timer).toBeNull();
+    });
+});
@@ -0,0 +1,356 @@
+const http = require('http');
+const WebSocket = require('ws');
+const CollaborationService = require('../collaborationService');
+const TextOperation = require('../textOperation');
+const WorkflowService = require('../workflowService');
+const { LockedError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+const { random, randomInt } = require('./helpers/random');
+
+const DOCUMENT_ID = 'policy-1';
+const SESSIONS = 20;
+const STEPS = 300;
+
+const pick = (rand, items) => items[randomInt(rand, items.length)];
+
+// A random edit of `text`: one insert, delete or replacement somewhere in it
+function randomEdit(rand, text) {
+    const start = randomInt(rand, text.length + 1);
+    const removed = randomInt(rand, Math.min(4, text.length - start) + 1);
+    const inserted = rand() < 0.7 ? pick(rand, ['a', 'policy ', 'x\n', 'shall ', '.']) : '';
+    return text.slice(0, start) + inserted + text.slice(start + removed);
+}
+
+// A client connected through a fake socket. Messages it receives wait in
+// its inbox and messages it sends wait in its outbox, so the test decides
+// the order in which the server and clients see them. It keeps one
+// operation in flight and buffers later edits, like useCollaboration.
+class SimulatedClient {
+    constructor(service, clientId, documentId = DOCUMENT_ID) {
+        this.service = service;
+        this.clientId = clientId;
+        this.documentId = documentId;
+        this.inbox = [];
+        this.outbox = [];
+        this.text = null;
+        this.confirmed = null;
+        this.version = null;
+        this.outstanding = null;
+        this.buffer = null;
+        this.errors = [];
+        this.ws = {
+            readyState: WebSocket.OPEN,
+            send: (data) => this.inbox.push(JSON.parse(data))
+        };
+        service.clients.set(this.ws, clientId);
+    }
+
+    async join() {
+        await this.service.handleMessage(this.ws, { type: 'join', documentId: this.documentId, username: this.clientId });
+        this.receiveAll();
+    }
+
+    sendOperation(operation) {
+        this.outstanding = operation;
+        this.outbox.push({ type: 'change', documentId: this.documentId, operation: operation.toJSON(), version: this.version });
+    }
+
+    comment(text) {
+        this.outbox.push({ type: 'comment', documentId: this.documentId, comment: { text } });
+    }
+
+    edit(content) {
+        const operation = TextOperation.fromDiff(this.text, content);
+        this.text = content;
+        if (!this.outstanding) {
+            this.sendOperation(operation);
+        } else {
+            this.buffer = this.buffer ? this.buffer.compose(operation) : operation;
+        }
+    }
+
+    // Hand the oldest outgoing message to the server
+    deliver() {
+        return this.service.handleMessage(this.ws, this.outbox.shift());
+    }
+
+    receive() {
+        const message = this.inbox.shift();
+        switch (message.type) {
+            case 'document':
+                this.text = message.content;
+                this.confirmed = message.content;
+                this.version = message.version;
+                break;
+            case 'change': {
+                const operation = TextOperation.fromJSON(message.operation);
+                let op = operation;
+                if (this.outstanding) [this.outstanding, op] = TextOperation.transform(this.outstanding, op);
+                if (this.buffer) [this.buffer, op] = TextOperation.transform(this.buffer, op);
+                this.confirmed = operation.apply(this.confirmed);
+                this.text = op.apply(this.text);
+                this.version = message.version;
+                break;
+            }
+            case 'change-ack':
+                this.confirmed = this.outstanding.apply(this.confirmed);
+                this.outstanding = null;
+                this.version = message.version;
+                if (this.buffer) {
+                    const buffer = this.buffer;
+                    this.buffer = null;
+                    this.sendOperation(buffer);
+                }
+                break;
+            case 'error':
+            case 'sync-required':
+                this.errors.push(message);
+                break;
+        }
+    }
+
+    receiveAll() {
+        while (this.inbox.length > 0) this.receive();
+    }
+}
+
+// Just enough of DocumentStorageService for checkpoints: one document and
+// its edit lock, which another user can hold
+function fakeStorage() {
+    const storage = {
+        holder: null,
+        saved: [],
+        getMetadata: async () => ({ workflow: null }),
+        getDocument: async () => ({ content: 'Draft', comments: [] }),
+        acquireEditLock: async (docId, userId) => {
+            if (storage.holder) throw new LockedError(`Document is locked for editing by ${storage.holder.userId}`);
+            storage.holder = { userId, token: `${userId}-token` };
+            return storage.holder;
+        },
+        renewEditLock: async (docId, token) => {
+            if (!storage.holder || storage.holder.token !== token) throw new Error('Lock has expired');
+            return storage.holder;
+        },
+        releaseEditLock: async (docId, token) => {
+            if (storage.holder && storage.holder.token === token) storage.holder = null;
+        },
+        saveVersion: async (docId, document, message, userId, { lockToken = null } = {}) => {
+            if (storage.holder && storage.holder.token !== lockToken) {
+                throw new LockedError(`Document is locked for editing by ${storage.holder.userId}`);
+            }
+            storage.saved.push(document.content);
+            return { versionId: `version-${storage.saved.length}` };
+        }
+    };
+    return storage;
+}
+
+describe('CollaborationService', () => {
+    let server;
+    let service;
+
+    beforeEach(() => {
+        server = http.createServer();
+        service = new CollaborationService(server);
+    });
+
+    afterEach(async () => {
+        await service.close();
+        jest.restoreAllMocks();
+    });
+
+    async function openSession(content, count) {
+        const doc = await service.openDocument(DOCUMENT_ID);
+        doc.content = content;
+
+        const clients = [];
+        for (let i = 0; i < count; i++) {
+            const client = new SimulatedClient(service, `client-${i}`);
+            await client.join();
+            clients.push(client);
+        }
+        clients.forEach(client => client.receiveAll());
+        return { doc, clients };
+    }
+
+    test('clients editing concurrently converge on the server content', async () => {
+        for (let seed = 1; seed <= SESSIONS; seed++) {
+            const rand = random(seed);
+            const { doc, clients } = await openSession('The policy applies to all staff.\n', 2 + seed % 3);
+
+            // Interleave local edits, deliveries to the server and
+            // deliveries to clients in a random order
+            for (let step = 0; step < STEPS; step++) {
+                const client = pick(rand, clients);
+                const choice = rand();
+                if (choice < 0.4) {
+                    client.edit(randomEdit(rand, client.text));
+                } else if (choice < 0.7 && client.outbox.length > 0) {
+                    await client.deliver();
+                } else if (client.inbox.length > 0) {
+                    client.receive();
+                }
+            }
+
+            // Let every message in flight arrive
+            while (clients.some(client => client.outbox.length > 0 || client.inbox.length > 0)) {
+                for (const client of clients) {
+                    while (client.outbox.length > 0) await client.deliver();
+                }
+                clients.forEach(client => client.receiveAll());
+            }
+
+            expect(doc.version).toBeGreaterThan(clients.length);
+            for (const client of clients) {
+                expect(client.errors).toEqual([]);
+                expect(client.outstanding).toBeNull();
+                expect(client.buffer).toBeNull();
+                expect(client.version).toBe(doc.version);
+                expect(client.text).toBe(doc.content);
+            }
+
+            clients.forEach(client => service.handleClientDisconnect(client.ws));
+            await service.close();
+            service = new CollaborationService(server);
+        }
+    });
+
+    test('a client that joins mid-session catches up with earlier edits', async () => {
+        const { doc, clients: [first] } = await openSession('Retention: 30 days', 1);
+        first.edit('Retention: 90 days');
+        await first.deliver();
+        first.receiveAll();
+
+        const late = new SimulatedClient(service, 'late');
+        await late.join();
+        expect(late.text).toBe('Retention: 90 days');
+        expect(late.version).toBe(doc.version);
+
+        late.edit('Retention: 90 days, then archived');
+        first.edit('Data retention: 90 days');
+        await late.deliver();
+        await first.deliver();
+        first.receiveAll();
+        late.receiveAll();
+
+        expect(doc.content).toBe('Data retention: 90 days, then archived');
+        expect(first.text).toBe(doc.content);
+        expect(late.text).toBe(doc.content);
+    });
+
+    test('refuses updates from a client that has not joined', async () => {
+        const { doc } = await openSession('Unchanged', 1);
+        const outsider = new SimulatedClient(service, 'outsider');
+        outsider.version = doc.version;
+        outsider.text = doc.content;
+        outsider.edit('Changed');
+
+        await outsider.deliver();
+        outsider.receiveAll();
+        expect(outsider.errors).toEqual([{ type: 'error', message: 'Join the document before sending updates' }]);
+        expect(doc.content).toBe('Unchanged');
+        expect(doc.version).toBe(0);
+    });
+
+    test('checkpoints under the session\'s edit lock and reports failed saves', async () => {
+        const storage = fakeStorage();
+        await service.close();
+        service = new CollaborationService(server, { storage });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const client = new SimulatedClient(service, 'editor');
+        await client.join();
+        client.edit('Draft policy');
+        await client.deliver();
+        client.receiveAll();
+
+        storage.holder = { userId: 'alice', token: 'alice-token' };
+        await expect(service.checkpoint(DOCUMENT_ID)).rejects.toThrow(LockedError);
+        expect(client.inbox).toEqual([{
+            type: 'checkpoint-failed',
+            message: 'Changes could not be saved: Document is locked for editing by alice'
+        }]);
+        client.inbox = [];
+
+        storage.holder = null;
+        await service.checkpoint(DOCUMENT_ID);
+        expect(storage.saved).toEqual(['Draft policy']);
+        expect(storage.holder.userId).toBe(CollaborationService.LOCK_HOLDER);
+        expect(client.inbox).toEqual([{ type: 'checkpoint', versionId: 'version-1' }]);
+
+        // The lock is kept until the last client leaves
+        service.handleClientDisconnect(client.ws);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(storage.holder).toBeNull();
+        expect(service.documents.has(DOCUMENT_ID)).toBe(false);
+    });
+
+    test('a published document refuses comments and can still go back to draft', async () => {
+        const storage = await createStore();
+        await service.close();
+        service = new CollaborationService(server, { storage });
+        const workflow = new WorkflowService(storage, { flush: (docId) => service.flush(docId) });
+        workflow.on('transition', ({ documentId, workflow: state }) => {
+            service.setReadOnly(documentId, !state.editable);
+        });
+
+        try {
+            const { docId } = await storage.createDocument(policy('Retention'), 'alice');
+            await workflow.transition(docId, 'submit', { id: 'alice' });
+            await workflow.transition(docId, 'approve', { id: 'bob' });
+            await workflow.transition(docId, 'publish', { id: 'bob' });
+
+            const reader = new SimulatedClient(service, 'reader', docId);
+            await reader.join();
+            reader.comment('Does this cover contractors?');
+            await reader.deliver();
+            reader.receiveAll();
+
+            const doc = service.documents.get(docId);
+            expect(reader.errors).toEqual([{ type: 'error', message: 'Document is read-only in its current workflow state' }]);
+            expect(service.addComment(docId, { text: 'Also refused', author: 'bob' })).toBeNull();
+            expect(doc.comments).toEqual([]);
+            expect(doc.unsavedChanges).toBe(0);
+
+            // Even a change that reached the session before it was frozen
+            // must not block the way out of the frozen state
+            doc.unsavedChanges = 1;
+            const { workflow: state } = await workflow.transition(docId, 'new-draft', { id: 'alice' });
+            expect(state.state).toBe('draft');
+            expect(doc.readOnly).toBe(false);
+
+            await service.close();
+            service = new CollaborationService(server);
+        } finally {
+            await removeStore(storage);
+        }
+    });
+
+    test('drops a frozen session that cannot be saved once its clients leave', async () => {
+        const storage = fakeStorage();
+        storage.saveVersion = async () => {
+            throw new Error('Document is not editable in its current workflow state');
+        };
+        await service.close();
+        service = new CollaborationService(server, { storage });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const doc = await service.openDocument(DOCUMENT_ID);
+        doc.unsavedChanges = 1;
+        service.setReadOnly(DOCUMENT_ID, true);
+        await service.closeDocument(DOCUMENT_ID);
+        expect(service.documents.has(DOCUMENT_ID)).toBe(false);
+    });
+
+    test('asks a client to resync when its version is unknown', async () => {
+        const { doc, clients: [client] } = await openSession('Text', 1);
+        client.version = doc.version + 5;
+        client.edit('Text!');
+
+        await client.deliver();
+        client.receiveAll();
+        expect(client.errors).toEqual([{ type: 'sync-required', currentVersion: 0 }]);
+        expect(doc.content).toBe('Text');
+    });
+});
@@ -0,0 +1,80 @@
+const VersionService = require('../versionService');
+const { mapLines, groupParagraphs, splitLines } = require('../documentBlame');
+const { NotFoundError, ValidationError } = require('../errors');
+const { createStore, removeStore } = require('./helpers/storage');
+
+const withClause = (content) => ({ title: 'Conduct', sections: [{ id: 'gifts', title: 'Gifts', content }] });
+
+describe('mapLines', () => {
+    test('maps unchanged lines to the parent and marks new ones', () => {
+        expect(mapLines('a\nb\nc\n', 'a\nB\nc\nd\n')).toEqual([0, -1, 2, -1]);
+        expect(splitLines('one\ntwo')).toEqual(['one\n', 'two']);
+    });
+});
+
+describe('groupParagraphs', () => {
+    test('credits each paragraph to its newest line', () => {
+        const older = { id: 'v1', timestamp: '2024-01-01' };
+        const newer = { id: 'v2', timestamp: '2024-02-01' };
+        const lines = [
+            { line: 1, text: 'a\n', version: older },
+            { line: 2, text: 'b\n', version: newer },
+            { line: 3, text: '\n', version: older },
+            { line: 4, text: 'c\n', version: older }
+        ];
+        expect(groupParagraphs(lines)).toEqual([
+            { startLine: 1, endLine: 2, text: 'a\nb\n', version: newer },
+            { startLine: 4, endLine: 4, text: 'c\n', version: older }
+        ]);
+    });
+});
+
+describe('VersionService.blame', () => {
+    let storage;
+    let versions;
+    let docId;
+    let firstId;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        versions = new VersionService(storage);
+        ({ docId, versionId: firstId } = await storage.createDocument(
+            withClause('Gifts under 50 may be accepted.\nDeclare all gifts.\n'), 'alice'
+        ));
+    });
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    const authors = (result) => result.lines.map(line => line.version.author);
+
+    test('credits each line to the version that last changed it', async () => {
+        await versions.createVersion(docId, withClause('Gifts under 25 may be accepted.\nDeclare all gifts.\n'), { userId: 'bob', message: 'Lower limit' });
+        await versions.createVersion(docId, withClause('Gifts under 25 may be accepted.\nDeclare all gifts.\nAsk HR when unsure.\n'), { userId: 'carol' });
+
+        const result = await versions.blame(docId, { sectionId: 'gifts' });
+        expect(authors(result)).toEqual(['bob', 'alice', 'carol']);
+        expect(result.lines[0]).toMatchObject({ line: 1, text: 'Gifts under 25 may be accepted.\n', version: { message: 'Lower limit' } });
+        expect(result.paragraphs).toHaveLength(1);
+
+        const earlier = await versions.blame(docId, { sectionId: 'gifts', versionId: firstId });
+        expect(authors(earlier)).toEqual(['alice', 'alice']);
+    });
+
+    test('keeps the original author of lines brought in by a merge', async () => {
+        await versions.createVersion(docId, withClause('Gifts under 50 may be accepted.\nNever accept cash.\nDeclare all gifts.\n'), { userId: 'alice' });
+        await versions.createBranch(docId, 'legal');
+        await versions.createVersion(docId, withClause('Gifts under 50 may be accepted.\nNever accept cash.\nDeclare all gifts in writing.\n'), { branch: 'legal', userId: 'lee' });
+        await versions.createVersion(docId, withClause('Gifts under 25 may be accepted.\nNever accept cash.\nDeclare all gifts.\n'), { userId: 'bob' });
+        const merge = await versions.mergeBranches(docId, 'legal', 'main', 'auto', { userId: 'merger' });
+        expect(merge.merged).toBe(true);
+
+        expect(authors(await versions.blame(docId, { sectionId: 'gifts' }))).toEqual(['bob', 'alice', 'lee']);
+    });
+
+    test('needs a section that exists in a structured document', async () => {
+        await expect(versions.blame(docId)).rejects.toThrow(ValidationError);
+        await expect(versions.blame(docId, { sectionId: 'missing' })).rejects.toThrow(NotFoundError);
+    });
+});
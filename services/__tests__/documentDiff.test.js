@@ -0,0 +1,125 @@
+const { diff_match_patch: DiffMatchPatch } = require('diff-match-patch');
+const { diffDocuments, diffWords, removedSections } = require('../documentDiff');
+
+const { DIFF_INSERT, DIFF_DELETE } = DiffMatchPatch;
+
+// The two texts a diff was made from
+const sides = (diffs) => ({
+    before: diffs.filter(([op]) => op !== DIFF_INSERT).map(([, text]) => text).join(''),
+    after: diffs.filter(([op]) => op !== DIFF_DELETE).map(([, text]) => text).join('')
+});
+
+const section = (id, title, content = '', children = []) => ({ id, title, content, children });
+
+describe('diffWords', () => {
+    test('marks whole words as changed', () => {
+        const diffs = diffWords('Staff must lock screens', 'Staff should lock screens');
+        expect(diffs).toEqual([[0, 'Staff '], [-1, 'must'], [1, 'should'], [0, ' lock screens']]);
+    });
+
+    test('stays correct with more distinct words than one character can encode', () => {
+        const words = Array.from({ length: 70000 }, (_, i) => `w${i}`);
+        const before = words.join(' ');
+        const after = words.map(word => (word === 'w68000' ? 'amended' : word)).join(' ');
+
+        const diffs = diffWords(before, after);
+        expect(sides(diffs)).toEqual({ before, after });
+        expect(diffs.filter(([op]) => op === DIFF_INSERT).map(([, text]) => text).join('')).toContain('amended');
+    });
+});
+
+describe('diffDocuments', () => {
+    const base = {
+        title: 'Remote work',
+        sections: [
+            section('scope', 'Scope', 'Applies to all staff.'),
+            section('rules', 'Rules', '', [section('hours', 'Hours', 'Core hours are 10 to 4.')]),
+            section('equipment', 'Equipment', 'Laptops are provided.')
+        ],
+        glossary: [{ term: 'Staff', definition: 'Employees' }]
+    };
+
+    test('finds nothing between identical documents', () => {
+        expect(diffDocuments(base, JSON.parse(JSON.stringify(base)))).toEqual({ structured: true, summary: {}, changes: [] });
+    });
+
+    test('describes section edits, additions, removals and glossary changes', () => {
+        const after = {
+            title: 'Remote working',
+            sections: [
+                section('scope', 'Scope and purpose', 'Applies to all staff and contractors.'),
+                section('rules', 'Rules', '', [section('hours', 'Hours', 'Core hours are 10 to 4.')]),
+                section('security', 'Security', 'Use the VPN.')
+            ],
+            glossary: [{ term: 'Staff', definition: 'Employees and contractors' }, { term: 'VPN', definition: 'Virtual private network' }]
+        };
+
+        const { structured, summary, changes } = diffDocuments(base, after);
+        expect(structured).toBe(true);
+        expect(summary).toEqual({
+            'document-renamed': 1,
+            'section-renamed': 1,
+            'text-changed': 1,
+            'section-added': 1,
+            'section-removed': 1,
+            'glossary-changed': 1,
+            'glossary-added': 1
+        });
+        expect(changes.find(change => change.type === 'section-added')).toMatchObject({ sectionId: 'security', number: '3' });
+        expect(changes.find(change => change.type === 'section-removed')).toMatchObject({ sectionId: 'equipment', title: 'Equipment' });
+        expect(sides(changes.find(change => change.type === 'text-changed').words).after)
+            .toBe('Applies to all staff and contractors.');
+    });
+
+    test('reports moved and renumbered sections', () => {
+        const after = {
+            ...base,
+            sections: [
+                section('equipment', 'Equipment', 'Laptops are provided.'),
+                section('scope', 'Scope', 'Applies to all staff.', [section('hours', 'Hours', 'Core hours are 10 to 4.')]),
+                section('rules', 'Rules', '', [])
+            ]
+        };
+
+        const { changes } = diffDocuments(base, after);
+        const moved = changes.filter(change => change.type === 'section-moved');
+        expect(moved.map(change => change.sectionId).sort()).toEqual(['equipment', 'hours']);
+        expect(moved.find(change => change.sectionId === 'hours')).toMatchObject({
+            from: { parentId: 'rules', parentTitle: 'Rules' },
+            to: { parentId: 'scope', parentTitle: 'Scope' }
+        });
+        expect(changes.find(change => change.type === 'section-renumbered' && change.sectionId === 'scope'))
+            .toMatchObject({ from: '1', to: '2' });
+    });
+
+    test('finds the moved section among more siblings than one character can encode', () => {
+        const many = Array.from({ length: 70000 }, (_, i) => section(`s${i}`, `Section ${i}`));
+        const reordered = [...many];
+        const [moved] = reordered.splice(10, 1);
+        reordered.splice(50000, 0, moved);
+
+        const { changes } = diffDocuments({ title: 'Long', sections: many }, { title: 'Long', sections: reordered });
+        expect(changes.filter(change => change.type === 'section-moved').map(change => change.sectionId)).toEqual(['s10']);
+    });
+
+    test('compares documents without sections as plain text', () => {
+        const { structured, changes } = diffDocuments({ title: 'Note', content: 'Old text' }, { title: 'Note', content: 'New text' });
+        expect(structured).toBe(false);
+        expect(changes).toEqual([{ type: 'text-changed', field: 'content', words: [[-1, 'Old'], [1, 'New'], [0, ' text']] }]);
+    });
+});
+
+describe('removedSections', () => {
+    test('returns each removed section once, with where it stood', () => {
+        const before = { sections: [section('a', 'A'), section('b', 'B', '', [section('b1', 'B1')]), section('c', 'C')] };
+        const after = { sections: [section('a', 'A'), section('c', 'C')] };
+
+        expect(removedSections(before, after)).toEqual([{
+            section: before.sections[1],
+            parentId: null,
+            previousId: 'a',
+            nextId: 'c',
+            position: 1
+        }]);
+    });
+});
@@ -0,0 +1,155 @@
+const { mergeText, mergeDocuments } = require('../documentMerge');
+const VersionService = require('../versionService');
+const { ConflictError } = require('../errors');
+const { createStore, removeStore } = require('./helpers/storage');
+
+const section = (id, title, content = '', children) => ({ id, title, content, ...(children ? { children } : {}) });
+
+describe('mergeText', () => {
+    const base = 'one\ntwo\nthree\nfour\nfive\n';
+
+    test('combines changes to separate lines', () => {
+        const result = mergeText(base, 'ONE\ntwo\nthree\nfour\nfive\n', 'one\ntwo\nthree\nfour\nFIVE\n');
+        expect(result).toEqual({ merged: 'ONE\ntwo\nthree\nfour\nFIVE\n', conflict: false });
+    });
+
+    test('reports different changes to the same lines, keeping the target', () => {
+        const target = 'one\nTWO\nthree\nfour\nfive\n';
+        expect(mergeText(base, 'one\n2\nthree\nfour\nfive\n', target)).toEqual({ merged: target, conflict: true });
+    });
+
+    test('takes the same change made on both sides once', () => {
+        const both = 'one\ntwo\n3\nfour\nfive\n';
+        expect(mergeText(base, both, both)).toEqual({ merged: both, conflict: false });
+    });
+});
+
+describe('mergeDocuments', () => {
+    const base = {
+        title: 'Security',
+        sections: [
+            section('a', 'Passwords', 'Use long passwords.\nRotate yearly.\n'),
+            section('b', 'Devices', 'Lock your screen.\n'),
+            section('c', 'Email', 'Report phishing.\n')
+        ]
+    };
+
+    test('merges edits to different sections and sections added on either side', () => {
+        const source = {
+            ...base,
+            sections: [base.sections[0], section('b', 'Devices', 'Lock your screen.\nEncrypt disks.\n'), base.sections[2], section('d', 'Travel', 'Use the VPN.\n')]
+        };
+        const target = {
+            ...base,
+            sections: [section('new', 'Scope', 'Everyone.\n'), section('a', 'Passwords', 'Use long passphrases.\nRotate yearly.\n'), base.sections[1], base.sections[2]]
+        };
+
+        const { structured, content, conflicts } = mergeDocuments(base, source, target);
+        expect(structured).toBe(true);
+        expect(conflicts).toEqual([]);
+        expect(content.sections.map(s => s.id)).toEqual(['new', 'a', 'b', 'c', 'd']);
+        expect(content.sections[1].content).toBe('Use long passphrases.\nRotate yearly.\n');
+        expect(content.sections[2].content).toBe('Lock your screen.\nEncrypt disks.\n');
+    });
+
+    test('drops a section removed on one side and left alone on the other', () => {
+        const source = { ...base, sections: [base.sections[0], base.sections[2]] };
+        const { content, conflicts } = mergeDocuments(base, source, base);
+        expect(conflicts).toEqual([]);
+        expect(content.sections.map(s => s.id)).toEqual(['a', 'c']);
+    });
+
+    test('reports a section removed on one side and edited on the other', () => {
+        const source = { ...base, sections: [base.sections[0], base.sections[2]] };
+        const target = { ...base, sections: [base.sections[0], section('b', 'Devices', 'Lock it.\n'), base.sections[2]] };
+
+        const { conflicts } = mergeDocuments(base, source, target);
+        expect(conflicts).toEqual([expect.objectContaining({ id: 'delete:b', type: 'delete', sectionTitle: 'Devices', resolved: false })]);
+
+        const resolved = mergeDocuments(base, source, target, { 'delete:b': 'source' });
+        expect(resolved.conflicts[0].resolved).toBe(true);
+        expect(resolved.content.sections.map(s => s.id)).toEqual(['a', 'c']);
+    });
+
+    test('resolves a conflicting field with hand-merged text', () => {
+        const source = { ...base, sections: [section('a', 'Passwords', 'Use passphrases.\nRotate yearly.\n'), base.sections[1], base.sections[2]] };
+        const target = { ...base, sections: [section('a', 'Passwords', 'Use password managers.\nRotate yearly.\n'), base.sections[1], base.sections[2]] };
+
+        const { conflicts } = mergeDocuments(base, source, target);
+        expect(conflicts.map(conflict => conflict.id)).toEqual(['field:a:content']);
+
+        const value = 'Use passphrases in a password manager.\nRotate yearly.\n';
+        const resolved = mergeDocuments(base, source, target, { 'field:a:content': { value } });
+        expect(resolved.content.sections[0].content).toBe(value);
+    });
+
+    test('reports a section moved to different parents on each side', () => {
+        const source = { ...base, sections: [section('a', 'Passwords', base.sections[0].content, [base.sections[1]]), base.sections[2]] };
+        const target = { ...base, sections: [base.sections[0], section('c', 'Email', base.sections[2].content, [base.sections[1]])] };
+
+        const { conflicts } = mergeDocuments(base, source, target);
+        expect(conflicts).toEqual([expect.objectContaining({ id: 'move:b', base: null, source: 'a', target: 'c' })]);
+    });
+});
+
+describe('VersionService.mergeBranches', () => {
+    let storage;
+    let versions;
+    let docId;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        versions = new VersionService(storage);
+        const base = { title: 'Security', sections: [section('a', 'Passwords', 'Long.\n'), section('b', 'Devices', 'Lock.\n')] };
+        ({ docId } = await storage.createDocument(base, 'alice'));
+        await versions.createBranch(docId, 'legal', null, 'alice');
+        await versions.createVersion(docId, { ...base, sections: [base.sections[0], section('b', 'Devices', 'Lock and encrypt.\n')] }, { branch: 'legal', userId: 'lee' });
+        await versions.createVersion(docId, { ...base, sections: [section('a', 'Passwords', 'Longer.\n'), base.sections[1]] }, { branch: 'main', userId: 'alice' });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await removeStore(storage);
+    });
+
+    test('records a merge with both heads as parents', async () => {
+        const heads = Object.fromEntries((await versions.listBranches(docId)).map(branch => [branch.name, branch.versionId]));
+        const result = await versions.mergeBranches(docId, 'legal', 'main', 'auto', { userId: 'alice' });
+        expect(result.merged).toBe(true);
+
+        const metadata = await storage.getMetadata(docId);
+        expect(metadata.currentVersion).toBe(result.versionId);
+        expect(storage.getEntry(metadata, result.versionId).parents).toEqual([heads.main, heads.legal]);
+        expect((await storage.getDocument(docId)).sections.map(s => s.content)).toEqual(['Longer.\n', 'Lock and encrypt.\n']);
+
+        expect(await versions.mergeBranches(docId, 'legal', 'main')).toMatchObject({ upToDate: true });
+    });
+
+    test('commits nothing while conflicts are unresolved', async () => {
+        await versions.createVersion(docId, { title: 'Security', sections: [section('a', 'Passwords', 'Long.\n'), section('b', 'Devices', 'Shut down.\n')] }, { branch: 'main' });
+        const before = (await storage.getMetadata(docId)).versions.length;
+
+        const result = await versions.mergeBranches(docId, 'legal', 'main');
+        expect(result).toMatchObject({ merged: false, versionId: null });
+        expect(result.conflicts.map(conflict => conflict.id)).toEqual(['field:b:content']);
+        expect((await storage.getMetadata(docId)).versions).toHaveLength(before);
+
+        const resolved = await versions.mergeBranches(docId, 'legal', 'main', { 'field:b:content': 'source' });
+        expect(resolved.merged).toBe(true);
+    });
+
+    test('refuses a merge when a branch moves while it is worked out', async () => {
+        const getVersion = storage.getVersion.bind(storage);
+        let interfered = false;
+        jest.spyOn(storage, 'getVersion').mockImplementation(async (versionId, options) => {
+            if (!interfered) {
+                interfered = true;
+                await versions.createVersion(docId, { title: 'Security', sections: [section('a', 'Passwords', 'Longest.\n')] }, { branch: 'main' });
+            }
+            return getVersion(versionId, options);
+        });
+
+        await expect(versions.mergeBranches(docId, 'legal', 'main')).rejects.toThrow(ConflictError);
+        expect((await storage.getDocument(docId)).sections.map(s => s.content)).toEqual(['Longest.\n']);
+    });
+});
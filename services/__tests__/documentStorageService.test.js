@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const DocumentStorageService = require('../documentStorageService');
+const { NotFoundError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+
+describe('DocumentStorageService', () => {
+    let storage;
+    let docId;
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    // Save `count` more versions of the document, each changing its content
+    const saveVersions = async (count, from = 2) => {
+        const ids = [];
+        for (let i = from; i < from + count; i++) {
+            const { versionId } = await storage.saveVersion(docId, policy('Retention', [], { content: `Keep records for ${i} years.` }), `v${i}`, 'alice');
+            ids.push(versionId);
+        }
+        return ids;
+    };
+
+    const contentOf = async (store, versionId) => (await store.getVersion(versionId)).document.content;
+
+    describe('delta storage', () => {
+        test('stores versions as deltas with a snapshot every snapshotInterval versions', async () => {
+            storage = await createStore({ snapshotInterval: 3 });
+            let firstId;
+            ({ docId, versionId: firstId } = await storage.createDocument(policy('Retention', [], { content: 'Keep records for 1 years.' }), 'alice'));
+            const ids = [firstId, ...await saveVersions(6)];
+
+            const records = await Promise.all(ids.map(id => storage.readVersionRecord(id)));
+            expect(records.map(record => record.depth)).toEqual([0, 1, 2, 0, 1, 2, 0]);
+            expect(records.map(record => record.delta === undefined)).toEqual([true, false, false, true, false, false, true]);
+            expect(records[2].base).toBe(ids[1]);
+
+            // Rebuilt from disk, not from the cache filled while saving
+            storage.versionCache.clear();
+            for (let i = 0; i < ids.length; i++) {
+                expect(await contentOf(storage, ids[i])).toBe(`Keep records for ${i + 1} years.`);
+            }
+            expect((await storage.getVersion(ids[5], { cache: false })).document.content).toBe('Keep records for 6 years.');
+        });
+
+        test('compaction rewrites full copies as deltas and removes unreferenced versions', async () => {
+            storage = await createStore({ snapshotInterval: 1 });
+            let firstId;
+            ({ docId, versionId: firstId } = await storage.createDocument(policy('Retention', [], { content: 'Keep records for 1 years.' }), 'alice'));
+            const ids = [firstId, ...await saveVersions(4)];
+
+            const compacting = new DocumentStorageService(storage.baseDir, { snapshotInterval: 4 });
+            await compacting.initialize();
+            try {
+                const orphan = crypto.randomUUID();
+                await compacting.writeVersion(orphan, policy('Stray', [], { content: 'left by a failed save' }));
+                const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+                await fs.utimes(compacting.backend.fileOf('version', orphan), dayAgo, dayAgo);
+                const planned = await compacting.compact({ dryRun: true });
+                expect(planned).toMatchObject({ documents: 1, versions: 5, snapshots: 0, deltas: 0, removed: 1 });
+                expect((await compacting.readVersionRecord(ids[1])).delta).toBeUndefined();
+
+                const stats = await compacting.compact();
+                expect(stats).toMatchObject({ documents: 1, versions: 5, snapshots: 2, deltas: 3, removed: 1 });
+                expect(stats.bytesAfter).toBeLessThan(stats.bytesBefore);
+                await expect(compacting.readVersionRecord(orphan)).rejects.toThrow(NotFoundError);
+                for (let i = 0; i < ids.length; i++) {
+                    expect(await contentOf(compacting, ids[i])).toBe(`Keep records for ${i + 1} years.`);
+                }
+                expect((await compacting.verifyHistory(docId)).valid).toBe(true);
+            } finally {
+                await compacting.backend.close();
+            }
+        });
+
+        test('compaction keeps young unreferenced versions that may belong to a save in progress', async () => {
+            storage = await createStore();
+            ({ docId } = await storage.createDocument(policy('Retention'), 'alice'));
+            const pending = crypto.randomUUID();
+            await storage.writeVersion(pending, policy('Retention', [], { content: 'being saved' }));
+
+            expect((await storage.compact()).removed).toBe(0);
+            expect(await contentOf(storage, pending)).toBe('being saved');
+        });
+    });
+
+    describe('version history', () => {
+        test('pages newest first with limit and before', async () => {
+            storage = await createStore();
+            let firstId;
+            ({ docId, versionId: firstId } = await storage.createDocument(policy('Retention', [], { content: 'Keep records for 1 years.' }), 'alice'));
+            const ids = [firstId, ...await saveVersions(4)];
+
+            const full = await storage.getVersionHistory(docId);
+            expect(full.map(entry => entry.id)).toEqual([...ids].reverse());
+            expect(full[0].branches).toEqual(['main']);
+            expect(full[4].changes).toBeNull();
+            expect(full[0].changes).not.toBeNull();
+
+            const first = await storage.getVersionHistory(docId, { limit: 2 });
+            expect(first.map(entry => entry.id)).toEqual([ids[4], ids[3]]);
+            const second = await storage.getVersionHistory(docId, { limit: 2, before: ids[3] });
+            expect(second.map(entry => entry.id)).toEqual([ids[2], ids[1]]);
+            const last = await storage.getVersionHistory(docId, { limit: 2, before: ids[1] });
+            expect(last.map(entry => entry.id)).toEqual([ids[0]]);
+            expect(await storage.getVersionHistory(docId, { before: ids[0] })).toEqual([]);
+        });
+
+        test('rejects an unknown version or branch', async () => {
+            storage = await createStore();
+            ({ docId } = await storage.createDocument(policy('Retention'), 'alice'));
+
+            await expect(storage.getVersionHistory(docId, { before: crypto.randomUUID() })).rejects.toThrow(NotFoundError);
+            await expect(storage.getVersionHistory(docId, { branch: 'nope' })).rejects.toThrow(NotFoundError);
+        });
+    });
+});
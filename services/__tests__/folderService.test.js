@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const FolderService = require('../folderService');
+const ReviewService = require('../reviewService');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+
+// Just the user lookup of UserService
+function fakeUsers(ids) {
+    const known = new Set(ids);
+    return {
+        known,
+        getUser: (id) => {
+            if (!known.has(id)) throw new NotFoundError('User not found');
+            return { id, displayName: id };
+        }
+    };
+}
+
+describe('FolderService', () => {
+    let storage;
+    let users;
+    let reviews;
+    let folders;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        users = fakeUsers(['olivia', 'sam']);
+        reviews = new ReviewService(storage, { users });
+        folders = new FolderService(storage, { users, reviews });
+        await folders.initialize();
+    });
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    test('keeps folders in the store across restarts', async () => {
+        const hr = await folders.createFolder({ name: ' HR ', defaults: { owner: 'olivia' } }, 'admin');
+        await folders.createFolder({ name: 'Leave', parentId: hr.id }, 'admin');
+
+        const reloaded = new FolderService(storage, { users, reviews });
+        expect(await reloaded.initialize()).toBe(2);
+        expect(reloaded.listFolders().map(folder => [folder.name, folder.effectiveDefaults.owner]))
+            .toEqual([['HR', 'olivia'], ['Leave', 'olivia']]);
+    });
+
+    test('imports folders.json from older releases once', async () => {
+        const legacy = [{ id: 'f0c8a1de-0000-4000-8000-000000000001', name: 'Legacy', parentId: null, defaults: { owner: null, reviewCycle: null } }];
+        await fs.writeFile(path.join(storage.baseDir, 'folders.json'), JSON.stringify(legacy));
+
+        const reloaded = new FolderService(storage, { users, reviews });
+        expect(await reloaded.initialize()).toBe(1);
+        await expect(fs.access(path.join(storage.baseDir, 'folders.json'))).rejects.toThrow();
+        expect(reloaded.getFolder(legacy[0].id).name).toBe('Legacy');
+    });
+
+    test('inherits defaults from the nearest folder that sets them', async () => {
+        const hr = await folders.createFolder({ name: 'HR', defaults: { owner: 'olivia', reviewCycle: 'annual' } });
+        const leave = await folders.createFolder({ name: 'Leave', parentId: hr.id, defaults: { reviewCycle: 'quarterly' } });
+        expect(leave.effectiveDefaults).toEqual({ owner: 'olivia', reviewCycle: 'quarterly' });
+    });
+
+    test('validates names, parents and defaults', async () => {
+        const hr = await folders.createFolder({ name: 'HR' });
+        const leave = await folders.createFolder({ name: 'Leave', parentId: hr.id });
+
+        await expect(folders.createFolder({ name: 'hr' })).rejects.toThrow(ConflictError);
+        await expect(folders.createFolder({ name: '  ' })).rejects.toThrow(ValidationError);
+        await expect(folders.createFolder({ name: 'X', parentId: 'missing' })).rejects.toThrow(NotFoundError);
+        await expect(folders.createFolder({ name: 'X', defaults: { owner: 'nobody' } })).rejects.toThrow(NotFoundError);
+        await expect(folders.createFolder({ name: 'X', defaults: { reviewCycle: 'weekly' } })).rejects.toThrow(ValidationError);
+        await expect(folders.updateFolder(hr.id, { parentId: leave.id })).rejects.toThrow(ValidationError);
+    });
+
+    test('creates a document in a folder with its defaults and review date in one write', async () => {
+        const hr = await folders.createFolder({ name: 'HR', defaults: { owner: 'olivia', reviewCycle: 'annual' } });
+        const { docId } = await folders.createDocument(policy('Leave policy'), hr.id, { id: 'sam' });
+
+        const metadata = await storage.getMetadata(docId);
+        expect(metadata).toMatchObject({ folderId: hr.id, owner: 'olivia', reviewCycle: 'annual', createdBy: 'sam' });
+        expect(metadata.nextReviewDate).toBe(reviews.calculateNextReview('annual'));
+        expect(metadata.versions).toHaveLength(1);
+    });
+
+    test('refuses to create a document when the folder\'s default owner is gone', async () => {
+        const hr = await folders.createFolder({ name: 'HR', defaults: { owner: 'olivia' } });
+        users.known.delete('olivia');
+
+        await expect(folders.createDocument(policy('Leave policy'), hr.id)).rejects.toThrow(ConflictError);
+        expect(await storage.listDocuments()).toEqual([]);
+    });
+
+    test('a moved document keeps its own owner and takes the defaults it lacks', async () => {
+        const hr = await folders.createFolder({ name: 'HR', defaults: { owner: 'olivia', reviewCycle: 'annual' } });
+        const { docId } = await storage.createDocument(policy('Expenses'), 'sam');
+
+        const moved = await folders.moveDocument(docId, hr.id, { id: 'admin' });
+        expect(moved).toMatchObject({ folderId: hr.id, owner: 'sam', reviewCycle: 'annual' });
+
+        const [entry] = await storage.audit.list({ documentId: docId, action: 'document-moved' });
+        expect(entry).toMatchObject({ from: null, to: hr.id, title: 'Expenses' });
+    });
+
+    test('deletes only empty folders', async () => {
+        const hr = await folders.createFolder({ name: 'HR' });
+        const { docId } = await folders.createDocument(policy('Leave policy'), hr.id);
+        await expect(folders.deleteFolder(hr.id)).rejects.toThrow(ConflictError);
+
+        await folders.moveDocument(docId, null);
+        await folders.deleteFolder(hr.id);
+        expect(await storage.backend.list('folder')).toEqual([]);
+        expect(() => folders.getFolder(hr.id)).toThrow(NotFoundError);
+    });
+});
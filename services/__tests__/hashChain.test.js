@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const { chainHash, contentHash, verifyChain, BUNDLE_FORMAT } = require('../hashChain');
+const { createStore, removeStore, policy, publish } = require('./helpers/storage');
+
+describe('hash chain', () => {
+    let storage;
+    let docId;
+    let ids;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        let firstId;
+        ({ docId, versionId: firstId } = await storage.createDocument(policy('Travel', [], { content: 'Book economy.' }), 'alice'));
+        ids = [firstId];
+        for (const content of ['Book economy class.', 'Book economy class unless over six hours.']) {
+            ids.push((await storage.saveVersion(docId, policy('Travel', [], { content }), 'edit', 'bob')).versionId);
+        }
+    });
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    // Rewrite the metadata directly, as someone editing the files would
+    const tamperMetadata = async (change) => {
+        const metadata = await storage.getMetadata(docId);
+        change(metadata);
+        await storage.writeMetadata(docId, metadata);
+    };
+
+    test('seals every entry, including workflow transitions, and verifies', async () => {
+        const { versionId } = await publish(storage, docId);
+        const metadata = await storage.getMetadata(docId);
+        expect(metadata.versions.every(entry => entry.chainHash)).toBe(true);
+        expect(metadata.versions[1].chainHash).toBe(chainHash(metadata.versions[1], [metadata.versions[0].chainHash]));
+
+        const result = await storage.verifyHistory(docId);
+        expect(result).toMatchObject({ valid: true, sealed: metadata.versions.length, unsealed: 0, firstBroken: null });
+        expect(result.headHash).toBe(metadata.versions.find(entry => entry.id === versionId).chainHash);
+    });
+
+    test('reports the first version whose content no longer matches its hash', async () => {
+        // As if the recorded hash had been swapped for another document's
+        await tamperMetadata(metadata => { metadata.versions[1].hash = contentHash({ forged: true }); });
+
+        const result = await storage.verifyHistory(docId);
+        expect(result.valid).toBe(false);
+        expect(result.firstBroken).toMatchObject({ versionId: ids[1], index: 1, reason: 'content-mismatch' });
+    });
+
+    test('detects version content edited on disk', async () => {
+        const file = storage.backend.fileOf('version', ids[0]);
+        const record = JSON.parse(await fs.readFile(file, 'utf8'));
+        record.document.content = 'Book first class.';
+        await fs.writeFile(file, JSON.stringify(record));
+
+        const result = await storage.verifyHistory(docId);
+        expect(result.firstBroken).toMatchObject({ versionId: ids[0], index: 0, reason: 'content-mismatch' });
+    });
+
+    test('detects a rewritten author as a broken link', async () => {
+        await tamperMetadata(metadata => { metadata.versions[1].author = 'mallory'; });
+
+        const result = await storage.verifyHistory(docId);
+        expect(result.firstBroken).toMatchObject({ versionId: ids[1], reason: 'chain-mismatch' });
+    });
+
+    test('reports a missing version as unreadable', async () => {
+        await storage.backend.remove('version', ids[2]);
+        storage.versionCache.clear();
+
+        expect((await storage.verifyHistory(docId)).firstBroken).toMatchObject({ versionId: ids[2], reason: 'unreadable-version' });
+        const bundle = await storage.exportEvidence(docId);
+        expect(bundle.versions[2]).not.toHaveProperty('document');
+        expect(bundle.verification.valid).toBe(false);
+    });
+
+    test('accepts entries from before the chain, but not unsealed entries after it', async () => {
+        await tamperMetadata(metadata => { delete metadata.versions[0].chainHash; });
+        expect(await storage.verifyHistory(docId)).toMatchObject({ valid: true, sealed: 2, unsealed: 1 });
+
+        await tamperMetadata(metadata => { delete metadata.versions[2].chainHash; });
+        expect((await storage.verifyHistory(docId)).firstBroken).toMatchObject({ versionId: ids[2], reason: 'unsealed-after-sealed' });
+    });
+
+    test('exports an evidence bundle that verifies without the store', async () => {
+        const bundle = JSON.parse(JSON.stringify(await storage.exportEvidence(docId)));
+        expect(bundle).toMatchObject({ format: BUNDLE_FORMAT, includesContent: true, currentVersion: ids[2] });
+        expect(bundle.verification.valid).toBe(true);
+
+        const offline = await verifyChain(bundle.versions, entry => entry.document);
+        expect(offline.valid).toBe(true);
+        expect(offline.chainHashes.get(bundle.currentVersion)).toBe(bundle.headHash);
+
+        bundle.versions[1].message = 'quietly changed';
+        expect((await verifyChain(bundle.versions, entry => entry.document)).firstBroken)
+            .toMatchObject({ versionId: ids[1], reason: 'chain-mismatch' });
+
+        const withoutContent = await storage.exportEvidence(docId, { includeContent: false });
+        expect(withoutContent.versions.some(entry => 'document' in entry)).toBe(false);
+    });
+});
@@ -0,0 +1,15 @@
+// Small seeded generator (mulberry32) so a failing case can be reproduced
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const randomInt = (rand, max) => Math.floor(rand() * max);
+
+module.exports = { random, randomInt };
@@ -0,0 +1,21 @@
+const { execFile } = require('child_process');
+const path = require('path');
+const { promisify } = require('util');
+
+const SCRIPTS = path.join(__dirname, '..', '..', '..', 'scripts');
+
+// Run one of scripts/ on a store, as an administrator would, resolving to
+// its exit code and output
+async function runScript(name, storageDir, args = [], env = {}) {
+    try {
+        const { stdout } = await promisify(execFile)(process.execPath, [path.join(SCRIPTS, name), ...args], {
+            env: { ...process.env, STORAGE_DIR: storageDir, ...env },
+            timeout: 60 * 1000
+        });
+        return { code: 0, output: stdout };
+    } catch (error) {
+        return { code: error.code, output: `${error.stdout}${error.stderr}` };
+    }
+}
+
+module.exports = { runScript };
@@ -0,0 +1,34 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DocumentStorageService = require('../../documentStorageService');
+const WorkflowService = require('../../workflowService');
+
+// A store in a new temporary directory, initialized and ready to use
+async function createStore(options = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'policy-store-'));
+    const storage = new DocumentStorageService(dir, options);
+    await storage.initialize();
+    return storage;
+}
+
+async function removeStore(storage) {
+    await storage.backend.close();
+    await fs.rm(storage.baseDir, { recursive: true, force: true });
+}
+
+// A document with a title and the given sections, as the editor saves it
+function policy(title, sections = [], fields = {}) {
+    return { title, content: '', sections, ...fields };
+}
+
+// Take a draft through review to publication, submitted and approved by
+// different users. Returns the transition's { versionId, workflow }.
+async function publish(storage, docId, { major = true } = {}) {
+    const workflow = new WorkflowService(storage);
+    await workflow.transition(docId, 'submit', { id: 'author' });
+    await workflow.transition(docId, 'approve', { id: 'approver' });
+    return workflow.transition(docId, 'publish', { id: 'approver' }, { major });
+}
+
+module.exports = { createStore, removeStore, policy, publish };
@@ -0,0 +1,77 @@
+const VersionService = require('../versionService');
+const { ConflictError, LockedError, NotFoundError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('edit locks', () => {
+    let storage;
+    let docId;
+
+    beforeEach(async () => {
+        storage = await createStore({ locks: { wait: 200 } });
+        ({ docId } = await storage.createDocument(policy('Access control'), 'alice'));
+    });
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    test('only the holder\'s token saves while the lock is held', async () => {
+        const lock = await storage.acquireEditLock(docId, 'alice');
+
+        await expect(storage.saveVersion(docId, policy('Access control', [], { content: 'bob' }), '', 'bob'))
+            .rejects.toThrow(LockedError);
+        await expect(storage.saveVersion(docId, policy('Access control', [], { content: 'bob' }), '', 'bob', { lockToken: 'wrong' }))
+            .rejects.toThrow(LockedError);
+        await storage.saveVersion(docId, policy('Access control', [], { content: 'alice' }), '', 'alice', { lockToken: lock.token });
+
+        await storage.releaseEditLock(docId, lock.token);
+        await storage.saveVersion(docId, policy('Access control', [], { content: 'bob' }), '', 'bob');
+        expect((await storage.getDocument(docId)).content).toBe('bob');
+    });
+
+    test('a second editor cannot take a held lock', async () => {
+        await storage.acquireEditLock(docId, 'alice');
+        await expect(storage.acquireEditLock(docId, 'bob')).rejects.toThrow(LockedError);
+        expect((await storage.listLocks(docId)).map(lock => lock.userId)).toEqual(['alice']);
+    });
+
+    test('a lock lapses unless renewed, and cannot be renewed afterwards', async () => {
+        const lock = await storage.acquireEditLock(docId, 'alice', { ttl: 50 });
+        const renewed = await storage.renewEditLock(docId, lock.token, { ttl: 50 });
+        expect(Date.parse(renewed.expires)).toBeGreaterThanOrEqual(Date.parse(lock.expires));
+
+        await sleep(80);
+        await expect(storage.renewEditLock(docId, lock.token)).rejects.toThrow(ConflictError);
+        await expect(storage.releaseEditLock(docId, lock.token)).rejects.toThrow(ConflictError);
+        await storage.acquireEditLock(docId, 'bob');
+    });
+
+    test('a broken lock is recorded in the audit log with its holder', async () => {
+        await storage.acquireEditLock(docId, 'alice');
+        await storage.breakEditLock(docId, 'admin', 'Left for the day');
+        await expect(storage.breakEditLock(docId, 'admin')).rejects.toThrow(NotFoundError);
+
+        const [entry] = await storage.audit.list({ documentId: docId });
+        expect(entry).toMatchObject({ action: 'lock-broken', userId: 'admin', holder: 'alice', reason: 'Left for the day' });
+        expect(entry.lock.token).toBeUndefined();
+    });
+
+    test('saves on a branch present the edit lock token too', async () => {
+        const versions = new VersionService(storage);
+        await versions.createBranch(docId, 'legal-review', null, 'alice');
+        const lock = await storage.acquireEditLock(docId, 'alice');
+        const draft = policy('Access control', [], { content: 'Reviewed' });
+
+        await expect(versions.createVersion(docId, draft, { branch: 'legal-review', userId: 'alice' }))
+            .rejects.toThrow(LockedError);
+        const result = await versions.createVersion(docId, draft, {
+            branch: 'legal-review',
+            userId: 'alice',
+            lockToken: lock.token
+        });
+        expect((await versions.listBranches(docId)).find(branch => branch.name === 'legal-review').versionId)
+            .toBe(result.versionId);
+    });
+});
@@ -0,0 +1,134 @@
+const JSZip = require('jszip');
+const { paths, readArchive, writeArchive, isSafePath } = require('../policyArchive');
+const { ConflictError, ValidationError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+
+describe('policy archives', () => {
+    let source;
+    let target;
+    let docId;
+    let versionIds;
+
+    beforeEach(async () => {
+        source = await createStore();
+        target = await createStore();
+        let firstId;
+        ({ docId, versionId: firstId } = await source.createDocument(policy('Whistleblowing', [], { content: 'Report to HR.' }), 'alice'));
+        const { versionId } = await source.saveVersion(docId, policy('Whistleblowing', [], { content: 'Report to the ombudsman.' }), 'Route reports outside', 'bob');
+        versionIds = [firstId, versionId];
+    });
+
+    afterEach(async () => {
+        await removeStore(source);
+        await removeStore(target);
+    });
+
+    const exportDocument = () => source.exportArchive([docId], { userNames: { alice: 'alice.smith', bob: 'bob.jones' } });
+    // Local accounts on the importing side, by username
+    const resolveUser = (username) => ({ 'alice.smith': 'local-alice' })[username] || null;
+
+    // An archive with one file changed and its checksum updated to match
+    const forge = async (buffer, name, change) => {
+        const { manifest, files } = await readArchive(buffer);
+        files.set(name, change(files.get(name).toString('utf8')));
+        const { files: listed, format, ...rest } = manifest;
+        return writeArchive(rest, files);
+    };
+
+    test('carries documents to another store with their verified history', async () => {
+        const archive = await exportDocument();
+        const { manifest } = await readArchive(archive);
+        expect(manifest.documents).toEqual([expect.objectContaining({ id: docId, versions: 2, attachments: [] })]);
+        expect(manifest.users).toEqual({ alice: 'alice.smith', bob: 'bob.jones' });
+
+        const result = await target.importArchive(archive, 'importer', { resolveUser });
+        expect(result.documents).toEqual([expect.objectContaining({
+            id: docId, action: 'created', versions: 2, renumbered: false, owner: 'local-alice'
+        })]);
+
+        expect((await target.getDocument(docId)).content).toBe('Report to the ombudsman.');
+        const metadata = await target.getMetadata(docId);
+        expect(metadata).toMatchObject({ createdBy: 'local-alice', imported: { from: docId, by: 'importer' } });
+        expect(metadata.contributors).toEqual(expect.arrayContaining(['local-alice', 'bob']));
+        const verification = await target.verifyHistory(docId);
+        expect(verification.valid).toBe(true);
+        expect(verification.headHash).toBe(manifest.documents[0].headHash);
+        expect((await target.getVersion(versionIds[0])).document.content).toBe('Report to HR.');
+        expect((await target.audit.list({ action: 'document-imported' }))[0]).toMatchObject({ outcome: 'created' });
+    });
+
+    test('handles documents that already exist as onConflict says', async () => {
+        const archive = await exportDocument();
+        await target.importArchive(archive, 'importer');
+
+        await expect(target.importArchive(archive, 'importer')).rejects.toThrow(ConflictError);
+        await expect(target.importArchive(archive, 'importer', { onConflict: 'merge' })).rejects.toThrow(ValidationError);
+
+        const skipped = await target.importArchive(archive, 'importer', { onConflict: 'skip' });
+        expect(skipped.documents[0]).toMatchObject({ id: docId, action: 'skipped' });
+
+        // The version ids are taken, so the copy gets new ones and a new chain
+        const [copy] = (await target.importArchive(archive, 'importer', { onConflict: 'copy' })).documents;
+        expect(copy).toMatchObject({ originalId: docId, action: 'copied', renumbered: true });
+        expect(copy.id).not.toBe(docId);
+        const copied = await target.getMetadata(copy.id);
+        expect(copied.versions.map(entry => entry.id)).not.toContain(versionIds[0]);
+        expect((await target.verifyHistory(copy.id)).valid).toBe(true);
+        expect((await target.getDocument(copy.id)).content).toBe('Report to the ombudsman.');
+    });
+
+    test('replaces a document with the archived history', async () => {
+        const archive = await exportDocument();
+        await target.importArchive(archive, 'importer');
+        const { versionId: laterId } = await target.saveVersion(docId, policy('Whistleblowing', [], { content: 'Changed here.' }), 'edit', 'carol');
+
+        const [replaced] = (await target.importArchive(archive, 'importer', { onConflict: 'replace' })).documents;
+        expect(replaced).toMatchObject({ id: docId, action: 'replaced', versions: 2 });
+        expect((await target.getDocument(docId)).content).toBe('Report to the ombudsman.');
+        expect(await target.backend.get('version', laterId)).toBeNull();
+        expect((await target.fsck()).problems).toEqual([]);
+    });
+
+    test('refuses archives that are damaged or whose history does not verify', async () => {
+        const archive = await exportDocument();
+        await expect(target.importArchive(Buffer.from('not a zip'), 'importer')).rejects.toThrow('Not a policy archive');
+
+        const zip = await JSZip.loadAsync(archive);
+        zip.file(paths.document(docId), JSON.stringify(policy('Whistleblowing', [], { content: 'Keep quiet.' })));
+        zip.file('documents/extra.txt', 'smuggled');
+        const altered = await zip.generateAsync({ type: 'nodebuffer' });
+        const error = await target.importArchive(altered, 'importer').catch(caught => caught);
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details).toEqual([
+            `${paths.document(docId)} does not match its checksum`,
+            'documents/extra.txt is not listed in the manifest'
+        ]);
+
+        const rewritten = await forge(archive, paths.metadata(docId), text => text.replace('"bob"', '"mallory"'));
+        await expect(target.importArchive(rewritten, 'importer')).rejects.toThrow('does not verify');
+        const swapped = await forge(archive, paths.document(docId), () => JSON.stringify(policy('Whistleblowing', [], { content: 'Keep quiet.' })));
+        await expect(target.importArchive(swapped, 'importer')).rejects.toThrow('does not match its current version');
+
+        expect(await target.listDocuments()).toEqual([]);
+    });
+
+    test('exports only documents whose history verifies, without their signatures', async () => {
+        await expect(source.exportArchive([])).rejects.toThrow(ValidationError);
+
+        const metadata = await source.getMetadata(docId);
+        metadata.signatures = [{ id: 'sig', versionId: versionIds[1] }];
+        await source.writeMetadata(docId, metadata);
+        const { files } = await readArchive(await exportDocument());
+        expect(JSON.parse(files.get(paths.metadata(docId)))).not.toHaveProperty('signatures');
+
+        metadata.versions[0].author = 'mallory';
+        await source.writeMetadata(docId, metadata);
+        await expect(exportDocument()).rejects.toThrow(ConflictError);
+    });
+
+    test('never writes or reads paths outside the archive', async () => {
+        expect(['a/b.json', '../x', '/etc/passwd', 'a//b', 'a\\b', 'a/./b'].map(isSafePath))
+            .toEqual([true, false, false, false, false, false]);
+        await expect(writeArchive({}, new Map([['../escape.json', '{}']]))).rejects.toThrow('Invalid archive path');
+    });
+});
@@ -0,0 +1,87 @@
+const { addDays } = require('date-fns');
+const ReviewService = require('../reviewService');
+const { NotFoundError, ValidationError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+
+const users = {
+    getUser: (id) => {
+        if (id !== 'olivia') throw new NotFoundError('User not found');
+        return { id, displayName: 'Olivia' };
+    }
+};
+
+const inDays = (days) => addDays(new Date(), days).toISOString();
+
+describe('ReviewService', () => {
+    let storage;
+    let reviews;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        reviews = new ReviewService(storage, { users, dueSoonDays: 30 });
+    });
+
+    afterEach(async () => {
+        reviews.stop();
+        await removeStore(storage);
+    });
+
+    test('schedules the next review one cycle after creation', async () => {
+        const { docId, metadata } = await storage.createDocument(policy('Expenses'), 'olivia');
+        const status = await reviews.setSchedule(docId, { owner: 'olivia', reviewCycle: 'quarterly' });
+
+        expect(status).toMatchObject({ owner: 'olivia', ownerName: 'Olivia', reviewCycle: 'quarterly', reviewStatus: 'scheduled' });
+        expect(status.nextReviewDate).toBe(reviews.calculateNextReview('quarterly', metadata.created));
+        expect((await storage.getMetadata(docId)).versions).toHaveLength(1);
+    });
+
+    test('validates owners, cycles and dates', async () => {
+        const { docId } = await storage.createDocument(policy('Expenses'));
+        await expect(reviews.setSchedule(docId, { owner: 'nobody' })).rejects.toThrow(NotFoundError);
+        await expect(reviews.setSchedule(docId, { reviewCycle: 'weekly' })).rejects.toThrow(ValidationError);
+        await expect(reviews.setSchedule(docId, { nextReviewDate: 'someday' })).rejects.toThrow(ValidationError);
+    });
+
+    test('completing a review starts the next cycle from today', async () => {
+        const { docId } = await storage.createDocument(policy('Expenses'));
+        await reviews.setSchedule(docId, { reviewCycle: 'annual', nextReviewDate: inDays(-3) });
+
+        const status = await reviews.completeReview(docId, { id: 'olivia' });
+        expect(status.reviewStatus).toBe('scheduled');
+        expect(status.nextReviewDate).toBe(reviews.calculateNextReview('annual', status.lastReviewed));
+    });
+
+    test('reports overdue, upcoming and unscheduled documents, soonest first', async () => {
+        const create = async (title, nextReviewDate) => {
+            const { docId } = await storage.createDocument(policy(title));
+            if (nextReviewDate) await reviews.setSchedule(docId, { nextReviewDate });
+            return docId;
+        };
+        await create('Later', inDays(200));
+        await create('Soon', inDays(20));
+        await create('Sooner', inDays(5));
+        await create('Late', inDays(-2));
+        await create('Unscheduled', null);
+
+        const report = await reviews.getReport();
+        expect(report.overdue.map(doc => doc.title)).toEqual(['Late']);
+        expect(report.upcoming.map(doc => doc.title)).toEqual(['Sooner', 'Soon']);
+        expect(report.unscheduled.map(doc => doc.title)).toEqual(['Unscheduled']);
+        expect((await reviews.getReport({ withinDays: 10 })).upcoming.map(doc => doc.title)).toEqual(['Sooner']);
+    });
+
+    test('announces each due or overdue review once', async () => {
+        const { docId } = await storage.createDocument(policy('Expenses'));
+        await reviews.setSchedule(docId, { nextReviewDate: inDays(10) });
+        const events = [];
+        reviews.on('review-due', ({ title }) => events.push(['due', title]));
+        reviews.on('review-overdue', ({ title }) => events.push(['overdue', title]));
+
+        expect(await reviews.checkReviews()).toBe(1);
+        expect(await reviews.checkReviews()).toBe(0);
+
+        await reviews.setSchedule(docId, { nextReviewDate: inDays(-1) });
+        await reviews.checkReviews();
+        expect(events).toEqual([['due', 'Expenses'], ['overdue', 'Expenses']]);
+    });
+});
@@ -0,0 +1,126 @@
+const { SearchIndex, tokenize, parseQuery } = require('../searchIndex');
+const TrashService = require('../trashService');
+const { ValidationError } = require('../errors');
+const { createStore, removeStore, policy, publish } = require('./helpers/storage');
+
+// Metadata as the index reads it
+const meta = (id, title, fields = {}) => ({ id, title, modified: '2024-01-01T00:00:00Z', ...fields });
+
+describe('tokenize and parseQuery', () => {
+    test('fold case, accents and possessives and stem each word', () => {
+        expect(tokenize('Employee\'s Café RETENTION policies').map(token => token.term))
+            .toEqual(['employe', 'cafe', 'retent', 'polici']);
+        expect(tokenize('data retention')[1]).toMatchObject({ start: 5, end: 14 });
+    });
+
+    test('split terms, phrases and filters', () => {
+        expect(parseQuery('retention "personal data" tag:gdpr owner:"alice smith" status:Approved note:x')).toEqual({
+            terms: ['retent', 'note', 'x'],
+            phrases: [['person', 'data']],
+            filters: { tag: ['gdpr'], owner: ['alice smith'], status: ['Approved'] }
+        });
+        // A quoted single word is a term; repeated terms count once
+        expect(parseQuery('"records" records')).toEqual({ terms: ['record'], phrases: [], filters: {} });
+    });
+});
+
+describe('SearchIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new SearchIndex();
+        index.set(meta('privacy', 'Privacy policy', { tags: ['GDPR'], owner: 'alice', workflow: { state: 'published' } }), policy('Privacy policy', [
+            { id: 'scope', title: 'Scope', content: 'Applies to personal data of customers.' },
+            { id: 'retention', title: 'Retention', content: 'Personal data is deleted after two years.' }
+        ]));
+        index.set(meta('records', 'Records retention', { owner: 'bob' }), policy('Records retention', [
+            { id: 'general', title: 'General', content: 'Data about personal matters is kept for seven years.' }
+        ]));
+    });
+
+    const ids = (query, options) => index.search(parseQuery(query), options).map(result => result.id);
+
+    test('requires every term and ranks title matches first', () => {
+        expect(ids('retention')).toEqual(['records', 'privacy']);
+        expect(ids('retention customers')).toEqual(['privacy']);
+        expect(ids('nothing matches this')).toEqual([]);
+    });
+
+    test('matches phrases only where the words are adjacent', () => {
+        expect(ids('"personal data"')).toEqual(['privacy']);
+        expect(ids('personal data').sort()).toEqual(['privacy', 'records']);
+    });
+
+    test('applies filters, alone or with words', () => {
+        expect(ids('tag:gdpr')).toEqual(['privacy']);
+        expect(ids('data owner:bob')).toEqual(['records']);
+        expect(ids('status:draft')).toEqual([]);
+        expect(ids('status:draft', { initialState: 'Draft' })).toEqual(['records']);
+        expect(ids('data status:published status:draft', { initialState: 'draft' }).sort()).toEqual(['privacy', 'records']);
+    });
+
+    test('returns snippets of matching sections with outline numbers and highlights', () => {
+        const [result] = index.search(parseQuery('deleted'));
+        expect(result.matchType).toEqual({ title: false, content: true, tags: false });
+        expect(result.matches).toEqual([{
+            field: 'section',
+            section: '2',
+            sectionId: 'retention',
+            title: 'Retention',
+            snippet: 'Personal data is deleted after two years.',
+            highlights: [[17, 24]]
+        }]);
+    });
+
+    test('forgets removed and replaced documents', () => {
+        index.remove('records');
+        expect(ids('retention')).toEqual(['privacy']);
+        index.set(meta('privacy', 'Privacy policy'), policy('Privacy policy'));
+        expect(ids('customers')).toEqual([]);
+        expect(index.postings.has('custom')).toBe(false);
+    });
+});
+
+describe('DocumentStorageService.searchDocuments', () => {
+    let storage;
+
+    beforeEach(async () => {
+        storage = await createStore();
+    });
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    const titles = async (query, options) => (await storage.searchDocuments(query, options)).map(result => result.title);
+
+    test('keeps the index up to date as documents are saved and trashed', async () => {
+        const { docId } = await storage.createDocument(policy('Travel', [], { content: 'Book economy.' }), 'alice');
+        expect(await titles('economy')).toEqual(['Travel']);
+
+        await storage.saveVersion(docId, policy('Travel', [], { content: 'Book business class.' }), 'edit', 'alice');
+        expect(await titles('economy')).toEqual([]);
+        const [result] = await storage.searchDocuments('business');
+        expect(result).toMatchObject({ id: docId, title: 'Travel', versions: 2, matchType: { content: true } });
+
+        await new TrashService(storage).deleteDocument(docId, 'alice');
+        expect(await titles('business')).toEqual([]);
+    });
+
+    test('resolves owners and puts documents outside the workflow in the initial state', async () => {
+        const { docId } = await storage.createDocument(policy('Travel'), 'alice');
+        await storage.createDocument(policy('Travel claims'), 'bob');
+        await publish(storage, docId);
+
+        const resolveOwner = (name) => ({ Alice: 'alice' })[name] || name;
+        expect(await titles('travel owner:Alice', { resolveOwner })).toEqual(['Travel']);
+        expect(await titles('status:published')).toEqual(['Travel']);
+        expect(await titles('status:draft', { initialState: 'draft' })).toEqual(['Travel claims']);
+        expect(await titles('travel', { limit: 1 })).toHaveLength(1);
+    });
+
+    test('rejects a query with nothing to search for', async () => {
+        await expect(storage.searchDocuments('  "" ')).rejects.toThrow(ValidationError);
+        await expect(storage.searchDocuments('-- ?!')).rejects.toThrow(ValidationError);
+    });
+});
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const SignatureService = require('../signatureService');
+const WorkflowService = require('../workflowService');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { createStore, removeStore, policy, publish } = require('./helpers/storage');
+
+const approver = { id: 'approver' };
+const author = { id: 'author' };
+
+// A key pair as scripts/signingKey.js would make, with the public half in PEM
+function keyPair(type = 'ed25519', options = {}) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+    return { privateKey, pem: publicKey.export({ type: 'spki', format: 'pem' }) };
+}
+
+describe('SignatureService', () => {
+    let storage;
+    let signatures;
+    let docId;
+    let versionId;
+    let keys;
+
+    // Sign a payload locally, as the approver does on their own machine
+    const signPayload = async (user, privateKey, version = versionId) => {
+        const { payload } = await signatures.getPayload(docId, version, user);
+        return crypto.sign(null, Buffer.from(payload), privateKey).toString('base64');
+    };
+
+    const publishDocument = async () => (await publish(storage, docId)).workflow.publishedVersion;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        signatures = new SignatureService(storage);
+        await signatures.initialize();
+        ({ docId, versionId } = await storage.createDocument(policy('Expenses', [], { content: 'Submit receipts.' }), 'author'));
+        keys = keyPair();
+    });
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    test('registers Ed25519 and large enough RSA keys once, and keeps them across restarts', async () => {
+        const registered = await signatures.registerKey(approver, keys.pem, 'laptop');
+        expect(registered).toMatchObject({ userId: 'approver', algorithm: 'ed25519', label: 'laptop', revoked: null });
+        expect(registered).not.toHaveProperty('publicKey');
+        await expect(signatures.registerKey(author, keys.pem)).rejects.toThrow(ConflictError);
+
+        const rsa = await signatures.registerKey(author, keyPair('rsa', { modulusLength: 2048 }).pem);
+        expect(rsa.algorithm).toBe('rsa');
+        await expect(signatures.registerKey(author, keyPair('rsa', { modulusLength: 1024 }).pem)).rejects.toThrow('at least 2048 bits');
+        await expect(signatures.registerKey(author, 'not a key')).rejects.toThrow(ValidationError);
+
+        const restarted = new SignatureService(storage);
+        await restarted.initialize();
+        expect(restarted.listKeys('approver')).toEqual([registered]);
+    });
+
+    test('only the approved or published version can be signed', async () => {
+        await expect(signatures.getPayload(docId, versionId, approver)).rejects.toThrow(ConflictError);
+
+        const workflow = new WorkflowService(storage);
+        await workflow.transition(docId, 'submit', author);
+        await workflow.transition(docId, 'approve', approver);
+        const approved = (await storage.getMetadata(docId)).currentVersion;
+        const { payload, hash } = await signatures.getPayload(docId, approved, approver);
+        expect(JSON.parse(payload)).toEqual({
+            format: SignatureService.PAYLOAD_FORMAT, documentId: docId, versionId: approved, hash, signer: 'approver'
+        });
+
+        // Earlier versions stay unsignable
+        await expect(signatures.getPayload(docId, versionId, approver)).rejects.toThrow(ConflictError);
+    });
+
+    test('stores a verified signature once per signer and version', async () => {
+        versionId = await publishDocument();
+        const { id: keyId } = await signatures.registerKey(approver, keys.pem);
+        const signature = await signPayload(approver, keys.privateKey);
+
+        const signed = await signatures.sign(docId, versionId, approver, { keyId, signature });
+        expect(signed).toMatchObject({ versionId, userId: 'approver', status: 'valid', valid: true });
+        await expect(signatures.sign(docId, versionId, approver, { keyId, signature })).rejects.toThrow('already signed');
+        await expect(signatures.sign(docId, versionId, author, { keyId, signature })).rejects.toThrow(ForbiddenError);
+
+        const [stored] = await signatures.getSignatures(docId, versionId);
+        expect(stored).toMatchObject({ keyId, status: 'valid', signerName: null });
+        const history = await signatures.annotateHistory(docId, await storage.getVersionHistory(docId));
+        expect(history.find(entry => entry.id === versionId).signatures).toHaveLength(1);
+    });
+
+    test('refuses signatures that do not verify or use a missing key', async () => {
+        versionId = await publishDocument();
+        const { id: keyId } = await signatures.registerKey(approver, keys.pem);
+        const other = keyPair();
+
+        await expect(signatures.sign(docId, versionId, approver, { keyId, signature: await signPayload(approver, other.privateKey) }))
+            .rejects.toThrow(ValidationError);
+        // Signed as the author, uploaded by the approver
+        await expect(signatures.sign(docId, versionId, approver, { keyId, signature: await signPayload(author, keys.privateKey) }))
+            .rejects.toThrow(ValidationError);
+        await expect(signatures.sign(docId, versionId, approver, { keyId: 'missing', signature: 'c2ln' })).rejects.toThrow(NotFoundError);
+        await expect(signatures.sign(docId, versionId, approver, { keyId })).rejects.toThrow('signature is required');
+        expect(await signatures.getSignatures(docId)).toEqual([]);
+    });
+
+    test('flags signatures whose key was revoked or whose version hash changed', async () => {
+        versionId = await publishDocument();
+        const { id: keyId } = await signatures.registerKey(approver, keys.pem);
+        await signatures.sign(docId, versionId, approver, { keyId, signature: await signPayload(approver, keys.privateKey) });
+
+        await expect(signatures.revokeKey(keyId, author)).rejects.toThrow(ForbiddenError);
+        await signatures.revokeKey(keyId, approver);
+        expect((await signatures.getSignatures(docId))[0]).toMatchObject({ status: 'key-revoked', valid: true });
+        await expect(signatures.sign(docId, versionId, approver, { keyId, signature: 'c2ln' })).rejects.toThrow('revoked');
+
+        const metadata = await storage.getMetadata(docId);
+        metadata.versions.find(entry => entry.id === versionId).hash = 'forged';
+        await storage.writeMetadata(docId, metadata);
+        expect((await signatures.getSignatures(docId))[0]).toMatchObject({ status: 'hash-mismatch', valid: false });
+    });
+});
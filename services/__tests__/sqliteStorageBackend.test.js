@@ -0,0 +1,112 @@
+const DocumentStorageService = require('../documentStorageService');
+const FolderService = require('../folderService');
+const VersionService = require('../versionService');
+const { LockedError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+const { runScript } = require('./helpers/scripts');
+
+const migrate = (storageDir, ...args) => runScript('migrateStorage.js', storageDir, args);
+
+describe('SQLite storage backend', () => {
+    let storage;
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    const reopen = async (options = {}) => {
+        const reopened = new DocumentStorageService(storage.baseDir, { backend: 'sqlite', ...options });
+        await reopened.initialize();
+        return reopened;
+    };
+
+    test('keeps documents, history and branches across restarts', async () => {
+        storage = await createStore({ backend: 'sqlite' });
+        const { docId } = await storage.createDocument(policy('Leave', [], { content: '20 days.' }), 'alice');
+        await storage.saveVersion(docId, policy('Leave', [], { content: '25 days.' }), 'More leave', 'bob');
+        const versions = new VersionService(storage);
+        await versions.createBranch(docId, 'hr', null, 'alice');
+        await versions.createVersion(docId, policy('Leave', [], { content: '30 days.' }), { branch: 'hr', userId: 'carol' });
+
+        const reopened = await reopen();
+        try {
+            expect((await reopened.getDocument(docId)).content).toBe('25 days.');
+            expect((await reopened.getVersionHistory(docId)).map(entry => entry.author)).toEqual(['carol', 'bob', 'alice']);
+            expect(Object.keys(reopened.getBranches(await reopened.getMetadata(docId))).sort()).toEqual(['hr', 'main']);
+            expect((await reopened.verifyHistory(docId)).valid).toBe(true);
+        } finally {
+            await reopened.backend.close();
+        }
+    });
+
+    test('lists documents from stored summaries, and fsck fills in missing ones', async () => {
+        storage = await createStore({ backend: 'sqlite' });
+        const { docId } = await storage.createDocument(policy('Leave'), 'alice');
+        const { docId: trashedId } = await storage.createDocument(policy('Old leave'), 'alice');
+        const trashed = await storage.getMetadata(trashedId);
+        await storage.writeMetadata(trashedId, { ...trashed, deleted: { at: new Date().toISOString(), by: 'alice' } });
+
+        expect(await storage.backend.listSummaries()).toEqual(expect.arrayContaining([
+            { id: docId, summary: expect.objectContaining({ title: 'Leave', versions: 1, deleted: false }) }
+        ]));
+        expect((await storage.listDocuments()).map(doc => doc.id)).toEqual([docId]);
+
+        // As written by an older release
+        storage.backend.db.prepare('UPDATE metadata SET summary = NULL').run();
+        expect((await storage.listDocuments()).map(doc => doc.title)).toEqual(['Leave']);
+        expect((await storage.fsck()).problems).toEqual([]);
+        expect((await storage.backend.listSummaries()).every(({ summary }) => summary)).toBe(true);
+    });
+
+    test('shares edit locks between processes using the same database', async () => {
+        storage = await createStore({ backend: 'sqlite' });
+        const { docId } = await storage.createDocument(policy('Leave'), 'alice');
+        const other = await reopen({ checkOnStart: false });
+        try {
+            const lock = await storage.acquireEditLock(docId, 'alice');
+            await expect(other.acquireEditLock(docId, 'bob')).rejects.toThrow(LockedError);
+            expect((await other.listLocks(docId)).map(entry => entry.userId)).toEqual(['alice']);
+
+            await storage.releaseEditLock(docId, lock.token);
+            await expect(other.acquireEditLock(docId, 'bob')).resolves.toMatchObject({ userId: 'bob' });
+        } finally {
+            await other.backend.close();
+        }
+    });
+
+    test('fsck moves rows nothing refers to into lost_found', async () => {
+        storage = await createStore({ backend: 'sqlite' });
+        const { docId } = await storage.createDocument(policy('Leave'), 'alice');
+        await storage.backend.remove('metadata', docId);
+
+        const report = await storage.fsck();
+        expect(report.problems.map(problem => problem.type).sort()).toEqual(['orphaned-document', 'orphaned-version']);
+        expect(storage.backend.db.prepare('SELECT kind FROM lost_found ORDER BY kind').pluck().all()).toEqual(['document', 'version']);
+        expect(await storage.backend.list('document')).toEqual([]);
+    });
+
+    test('scripts/migrateStorage.js copies a file store into SQLite', async () => {
+        storage = await createStore();
+        const { docId } = await storage.createDocument(policy('Leave', [], { content: '20 days.' }), 'alice');
+        await storage.saveVersion(docId, policy('Leave', [], { content: '25 days.' }), 'More leave', 'bob');
+        const folder = await new FolderService(storage).createFolder({ name: 'HR' }, 'alice');
+        await storage.backend.close();
+
+        const { code, output } = await migrate(storage.baseDir);
+        expect(code).toBe(0);
+        expect(output).toContain('Copied 1 documents with 2 versions and 1 folders from file to sqlite');
+
+        const copy = await reopen();
+        try {
+            expect((await copy.getDocument(docId)).content).toBe('25 days.');
+            expect((await copy.verifyHistory(docId)).valid).toBe(true);
+            expect(await copy.backend.get('folder', folder.id)).toMatchObject({ name: 'HR' });
+        } finally {
+            await copy.backend.close();
+        }
+
+        expect(await migrate(storage.baseDir)).toMatchObject({ code: 1, output: expect.stringContaining('use --force') });
+        expect(await migrate(storage.baseDir, '--force')).toMatchObject({ code: 0 });
+        await storage.backend.initialize();
+    });
+});
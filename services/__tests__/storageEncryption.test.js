@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const AuditLog = require('../auditLog');
+const DocumentStorageService = require('../documentStorageService');
+const SettingsService = require('../settingsService');
+const { StorageKey, createKey, loadKey, encryptionFromSettings } = require('../storageEncryption');
+const { EncryptionError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+const { runScript } = require('./helpers/scripts');
+
+const keyfile = { keySource: 'keyfile' };
+
+describe('StorageKey', () => {
+    const key = new StorageKey(crypto.randomBytes(32));
+
+    test('round-trips a record bound to its kind and id', () => {
+        const envelope = key.encrypt({ title: 'Payroll' }, 'document a');
+        expect(JSON.stringify(envelope)).not.toContain('Payroll');
+        expect(key.decrypt(envelope, 'document a')).toEqual({ title: 'Payroll' });
+
+        expect(() => key.decrypt(envelope, 'document b')).toThrow('altered or damaged');
+        const altered = { ...envelope, data: Buffer.from('tampered').toString('base64') };
+        expect(() => key.decrypt(altered, 'document a')).toThrow(EncryptionError);
+        expect(() => new StorageKey(crypto.randomBytes(32)).decrypt(envelope, 'document a')).toThrow('not the current key');
+        expect(() => key.decrypt({ title: 'Payroll' }, 'document a')).toThrow('is not encrypted');
+    });
+
+    test('derives passphrase keys that only the same passphrase loads', async () => {
+        await expect(createKey('passphrase', { passphrase: 'short' })).rejects.toThrow('at least 12 characters');
+
+        const { key: created, config } = await createKey('passphrase', { passphrase: 'correct horse battery' });
+        expect(JSON.stringify(config)).not.toContain('correct horse');
+        expect((await loadKey(config, { passphrase: 'correct horse battery' })).keyId).toBe(created.keyId);
+        await expect(loadKey(config, { passphrase: 'wrong horse battery' })).rejects.toThrow('is not the key');
+        await expect(loadKey(config)).rejects.toThrow('set STORAGE_PASSPHRASE');
+    });
+});
+
+describe('encrypted store', () => {
+    let storage;
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await removeStore(storage);
+    });
+
+    const open = async (encryption, options = {}) => {
+        const store = new DocumentStorageService(storage.baseDir, { encryption, ...options });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            await store.initialize();
+        } finally {
+            console.error.mockRestore();
+        }
+        return store;
+    };
+
+    test('writes nothing readable to disk and reads it back with the key', async () => {
+        storage = await createStore({ encryption: keyfile });
+        const { docId, versionId } = await storage.createDocument(policy('Payroll', [], { content: 'Salaries are paid monthly.' }), 'alice');
+
+        for (const dir of Object.values(storage.backend.backend.dirs)) {
+            for (const file of await fs.readdir(dir).catch(() => [])) {
+                expect(await fs.readFile(path.join(dir, file), 'utf8')).not.toMatch(/Payroll|Salaries|alice/);
+            }
+        }
+
+        const reopened = await open(keyfile);
+        try {
+            expect((await reopened.getDocument(docId)).content).toBe('Salaries are paid monthly.');
+            expect((await reopened.listDocuments()).map(doc => doc.title)).toEqual(['Payroll']);
+            expect((await reopened.searchDocuments('salaries')).map(doc => doc.id)).toEqual([docId]);
+            expect((await reopened.verifyHistory(docId)).valid).toBe(true);
+        } finally {
+            await reopened.backend.close();
+        }
+
+        // A record copied over another does not decrypt
+        const { versionId: secondId } = await storage.saveVersion(docId, policy('Payroll', [], { content: 'Paid weekly.' }), 'edit', 'alice');
+        const files = storage.backend.backend;
+        await fs.copyFile(files.fileOf('version', versionId), files.fileOf('version', secondId));
+        storage.versionCache.clear();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await expect(storage.getVersion(secondId)).rejects.toThrow('altered or damaged');
+    });
+
+    test('refuses the wrong key, no key, or unencrypted records', async () => {
+        storage = await createStore({ encryption: keyfile });
+        await storage.createDocument(policy('Payroll'), 'alice');
+        const otherKey = path.join(storage.baseDir, 'other.key');
+        await fs.writeFile(otherKey, crypto.randomBytes(32).toString('base64'));
+
+        await expect(open({ ...keyfile, keyFile: otherKey })).rejects.toThrow('is not the key this store was encrypted with');
+        await expect(open(null)).rejects.toThrow('is encrypted');
+        await fs.rename(path.join(storage.baseDir, 'storage.key'), path.join(storage.baseDir, 'moved.key'));
+        await expect(open(keyfile)).rejects.toThrow('is missing');
+        await fs.rename(path.join(storage.baseDir, 'moved.key'), path.join(storage.baseDir, 'storage.key'));
+
+        await removeStore(storage);
+        storage = await createStore();
+        await storage.createDocument(policy('Payroll'), 'alice');
+        await expect(open(keyfile)).rejects.toThrow('holds unencrypted documents');
+    });
+
+    test('seals audit details and leaves the filter fields readable', async () => {
+        storage = await createStore({ encryption: keyfile });
+        const { docId } = await storage.createDocument(policy('Payroll'), 'alice');
+        await storage.audit.record('lock.break', 'admin', { documentId: docId, reason: 'alice is on leave' });
+
+        const [stored] = await storage.audit.readEntries();
+        expect(stored).toMatchObject({ action: 'lock.break', userId: 'admin', documentId: docId });
+        expect(JSON.stringify(stored)).not.toContain('on leave');
+        expect(await storage.audit.list({ documentId: docId })).toEqual([
+            expect.objectContaining({ reason: 'alice is on leave' })
+        ]);
+
+        // Read under another key, as after restoring an old log
+        const other = new AuditLog(storage.audit.file, { key: () => new StorageKey(crypto.randomBytes(32)) });
+        const [foreign] = await other.list();
+        expect(foreign).toMatchObject({ action: 'lock.break', encrypted: true });
+        expect(foreign).not.toHaveProperty('reason');
+    });
+
+    test('scripts/storageKey.js encrypts, rotates and decrypts a store with its audit log', async () => {
+        storage = await createStore();
+        const { docId } = await storage.createDocument(policy('Payroll', [], { content: 'Paid monthly.' }), 'alice');
+        await storage.audit.record('lock.break', 'admin', { documentId: docId, reason: 'on leave' });
+        await storage.backend.close();
+        const dir = storage.baseDir;
+        const withSettings = async (check) => {
+            const store = await open(await encryptionFromSettings(dir), { checkOnStart: false });
+            try {
+                await check(store);
+            } finally {
+                await store.backend.close();
+            }
+        };
+
+        expect(await runScript('storageKey.js', dir, ['rotate', '--to', 'keyfile'])).toMatchObject({ code: 0 });
+        expect(await fs.readFile(path.join(dir, 'audit.log'), 'utf8')).not.toContain('on leave');
+        await withSettings(async (store) => {
+            expect((await store.getDocument(docId)).content).toBe('Paid monthly.');
+            expect((await store.audit.list())[0].reason).toBe('on leave');
+        });
+
+        const rotated = await runScript('storageKey.js', dir, ['rotate', '--to', 'keyfile', '--key-file', 'next.key']);
+        expect(rotated).toMatchObject({ code: 0, output: expect.stringContaining('storage.key is no longer needed') });
+        const settings = new SettingsService(path.join(dir, 'settings.json'));
+        await settings.initialize();
+        expect(settings.getSettings('security')).toMatchObject({ encryptDocuments: true, keyFile: path.join(dir, 'next.key') });
+        await withSettings(async (store) => expect((await store.audit.list())[0].reason).toBe('on leave'));
+
+        expect(await runScript('storageKey.js', dir, ['decrypt'])).toMatchObject({ code: 0 });
+        expect(await encryptionFromSettings(dir)).toBeNull();
+        await withSettings(async (store) => expect((await store.getDocument(docId)).content).toBe('Paid monthly.'));
+        await storage.backend.initialize();
+    });
+});
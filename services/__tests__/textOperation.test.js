@@ -0,0 +1,101 @@
+const TextOperation = require('../textOperation');
+const { random, randomInt } = require('./helpers/random');
+
+const ITERATIONS = 500;
+const ALPHABET = 'abcdefgh \n';
+
+function randomString(rand, maxLength = 12) {
+    let text = '';
+    for (let i = randomInt(rand, maxLength + 1); i > 0; i--) {
+        text += ALPHABET[randomInt(rand, ALPHABET.length)];
+    }
+    return text;
+}
+
+// An operation on `text` made of random retains, inserts and deletes
+function randomOperation(rand, text) {
+    const operation = new TextOperation();
+    let position = 0;
+    while (position < text.length) {
+        const length = 1 + randomInt(rand, text.length - position);
+        const choice = rand();
+        if (choice < 0.2) {
+            operation.insert(randomString(rand, 4));
+        } else if (choice < 0.5) {
+            operation.delete(length);
+            position += length;
+        } else {
+            operation.retain(length);
+            position += length;
+        }
+    }
+    if (rand() < 0.3) operation.insert(randomString(rand, 4));
+    return operation;
+}
+
+describe('TextOperation', () => {
+    test('applies retains, inserts and deletes', () => {
+        const operation = new TextOperation().retain(6).delete(5).insert('there');
+        expect(operation.apply('hello world')).toBe('hello there');
+        expect(operation.baseLength).toBe(11);
+        expect(operation.targetLength).toBe(11);
+    });
+
+    test('refuses to apply to text of the wrong length', () => {
+        const operation = new TextOperation().retain(3);
+        expect(() => operation.apply('too long')).toThrow();
+    });
+
+    test('fromDiff produces an operation from one text to the other', () => {
+        const rand = random(1);
+        for (let i = 0; i < ITERATIONS; i++) {
+            const before = randomString(rand);
+            const after = randomString(rand);
+            expect(TextOperation.fromDiff(before, after).apply(before)).toBe(after);
+        }
+    });
+
+    test('survives a JSON round trip', () => {
+        const rand = random(2);
+        for (let i = 0; i < ITERATIONS; i++) {
+            const text = randomString(rand);
+            const operation = randomOperation(rand, text);
+            const copy = TextOperation.fromJSON(JSON.parse(JSON.stringify(operation.toJSON())));
+            expect(copy.apply(text)).toBe(operation.apply(text));
+        }
+    });
+
+    test('compose matches applying both operations in turn', () => {
+        const rand = random(3);
+        for (let i = 0; i < ITERATIONS; i++) {
+            const text = randomString(rand);
+            const a = randomOperation(rand, text);
+            const afterA = a.apply(text);
+            const b = randomOperation(rand, afterA);
+
+            expect(a.compose(b).apply(text)).toBe(b.apply(afterA));
+        }
+    });
+
+    test('concurrent operations converge after transform', () => {
+        const rand = random(4);
+        for (let i = 0; i < ITERATIONS; i++) {
+            const text = randomString(rand);
+            const a = randomOperation(rand, text);
+            const b = randomOperation(rand, text);
+            const [aPrime, bPrime] = TextOperation.transform(a, b);
+
+            const viaA = bPrime.apply(a.apply(text));
+            const viaB = aPrime.apply(b.apply(text));
+            expect(viaA).toBe(viaB);
+            expect(a.compose(bPrime).apply(text)).toBe(viaA);
+            expect(b.compose(aPrime).apply(text)).toBe(viaB);
+        }
+    });
+
+    test('refuses to transform operations on different texts', () => {
+        const a = new TextOperation().retain(3);
+        const b = new TextOperation().retain(4);
+        expect(() => TextOperation.transform(a, b)).toThrow();
+    });
+});
@@ -0,0 +1,155 @@
+const TrashService = require('../trashService');
+const { ConflictError, NotFoundError } = require('../errors');
+const { createStore, removeStore, policy, publish } = require('./helpers/storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const handbook = () => policy('Handbook', [
+    { id: 'intro', title: 'Introduction', content: 'Welcome.' },
+    {
+        id: 'benefits',
+        title: 'Benefits',
+        content: '',
+        children: [
+            { id: 'health', title: 'Health', content: 'Dental included.' },
+            { id: 'pension', title: 'Pension', content: 'Five percent.' },
+            { id: 'gym', title: 'Gym', content: 'Discounted.' }
+        ]
+    }
+]);
+
+const outline = (sections) => sections.map(section =>
+    (section.children && section.children.length > 0 ? `${section.id}(${outline(section.children)})` : section.id)).join(' ');
+
+describe('TrashService', () => {
+    let storage;
+    let trash;
+    let docId;
+
+    beforeEach(async () => {
+        // Locked documents are skipped once the wait for their write lock runs out
+        storage = await createStore({ locks: { wait: 100 } });
+        trash = new TrashService(storage, { retentionDays: 30 });
+        ({ docId } = await storage.createDocument(handbook(), 'alice'));
+    });
+
+    afterEach(async () => {
+        trash.stop();
+        await removeStore(storage);
+    });
+
+    const sectionsOf = async () => outline((await storage.getDocument(docId)).sections);
+    const actions = async () => (await storage.audit.list()).map(entry => entry.action).reverse();
+
+    describe('documents', () => {
+        test('are hidden while in the trash and can be restored', async () => {
+            const deleted = await trash.deleteDocument(docId, 'bob', { reason: 'superseded' });
+            expect(deleted.deleted).toMatchObject({ by: 'bob', reason: 'superseded' });
+            expect(await storage.listDocuments()).toEqual([]);
+            await expect(storage.getMetadata(docId)).rejects.toThrow(NotFoundError);
+
+            const { documents } = await trash.listTrash();
+            expect(documents).toEqual([expect.objectContaining({ id: docId, title: 'Handbook' })]);
+            expect(Date.parse(documents[0].purgeAfter) - Date.parse(documents[0].deleted.at)).toBe(30 * DAY);
+
+            await trash.restoreDocument(docId, 'carol');
+            expect((await storage.listDocuments()).map(doc => doc.id)).toEqual([docId]);
+            await expect(trash.restoreDocument(docId, 'carol')).rejects.toThrow(ConflictError);
+            expect(await actions()).toEqual(['document-deleted', 'document-undeleted']);
+        });
+
+        test('are purged for good only from the trash', async () => {
+            await expect(trash.purgeDocument(docId, 'bob')).rejects.toThrow(ConflictError);
+            await trash.deleteDocument(docId, 'bob');
+
+            expect(await trash.purgeDocument(docId, 'bob')).toEqual({ id: docId, title: 'Handbook' });
+            expect(await storage.backend.list('metadata')).toEqual([]);
+            expect(await storage.backend.list('version')).toEqual([]);
+            expect((await storage.fsck()).problems).toEqual([]);
+            await expect(trash.restoreDocument(docId, 'bob')).rejects.toThrow(NotFoundError);
+        });
+    });
+
+    describe('sections', () => {
+        test('go back between the siblings they were deleted from', async () => {
+            const { entry } = await trash.deleteSection(docId, 'pension', 'bob');
+            expect(entry).toMatchObject({ sectionId: 'pension', parentId: 'benefits', previousId: 'health', nextId: 'gym', deletedBy: 'bob' });
+            expect(await sectionsOf()).toBe('intro benefits(health gym)');
+
+            // A section added where it stood does not push it out of place
+            const document = await storage.getDocument(docId);
+            document.sections[1].children.splice(1, 0, { id: 'leave', title: 'Leave', content: '' });
+            await storage.saveVersion(docId, document, 'Add leave', 'alice');
+
+            const restored = await trash.restoreSection(docId, entry.id, 'carol');
+            expect(restored).toMatchObject({ sectionId: 'pension', parentId: 'benefits', position: 1 });
+            expect(await sectionsOf()).toBe('intro benefits(health pension leave gym)');
+            expect(await trash.listSections(docId)).toEqual([]);
+            expect(await actions()).toEqual(['section-deleted', 'section-restored']);
+        });
+
+        test('are trashed by any save that drops them, and go to the top level without their parent', async () => {
+            const document = await storage.getDocument(docId);
+            document.sections = [document.sections[0]];
+            await storage.saveVersion(docId, document, 'Drop benefits', 'alice');
+
+            const [entry] = await trash.listSections(docId);
+            expect(entry).toMatchObject({ sectionId: 'benefits', parentId: null, section: { children: expect.any(Array) } });
+            const { sections } = await trash.listTrash();
+            expect(sections).toEqual([expect.objectContaining({ sectionId: 'benefits', documentTitle: 'Handbook' })]);
+            expect(sections[0]).not.toHaveProperty('section');
+
+            await trash.restoreSection(docId, entry.id, 'alice');
+            expect(await sectionsOf()).toBe('intro benefits(health pension gym)');
+        });
+
+        test('are refused when missing, duplicated or frozen by the workflow', async () => {
+            await expect(trash.deleteSection(docId, 'missing', 'bob')).rejects.toThrow('Section not found');
+            await expect(trash.restoreSection(docId, 'missing', 'bob')).rejects.toThrow('not found in the trash');
+
+            const { entry } = await trash.deleteSection(docId, 'intro', 'bob');
+            const document = await storage.getDocument(docId);
+            document.sections.unshift({ id: 'intro', title: 'New introduction', content: '' });
+            await storage.saveVersion(docId, document, 'Rewrite intro', 'alice');
+            await expect(trash.restoreSection(docId, entry.id, 'bob')).rejects.toThrow(ConflictError);
+
+            await publish(storage, docId);
+            await expect(trash.deleteSection(docId, 'health', 'bob')).rejects.toThrow('cannot be edited');
+        });
+
+        test('can be purged one at a time', async () => {
+            const { entry } = await trash.deleteSection(docId, 'gym', 'bob');
+            expect(await trash.purgeSection(docId, entry.id, 'bob')).toMatchObject({ sectionId: 'gym' });
+            expect(await trash.listSections(docId)).toEqual([]);
+            await expect(trash.purgeSection(docId, entry.id, 'bob')).rejects.toThrow(NotFoundError);
+        });
+    });
+
+    describe('retention', () => {
+        test('purges what has been in the trash longer than retentionDays', async () => {
+            const { docId: otherId } = await storage.createDocument(policy('Old'), 'alice');
+            await trash.deleteDocument(otherId, 'bob');
+            await trash.deleteSection(docId, 'gym', 'bob');
+            const purged = jest.fn();
+            trash.on('purged', purged);
+
+            expect(await trash.purgeExpired(Date.now() + 29 * DAY)).toEqual({ documents: 0, sections: 0 });
+            expect(await trash.purgeExpired(Date.now() + 31 * DAY)).toEqual({ documents: 1, sections: 1 });
+            expect(purged).toHaveBeenCalledTimes(1);
+            expect(await trash.listTrash()).toEqual({ documents: [], sections: [] });
+            expect((await storage.audit.list({ action: 'document-purged' }))[0].userId).toBe('retention');
+        });
+
+        test('leaves documents being written to for the next check, and never purges without a retention period', async () => {
+            const { entry } = await trash.deleteSection(docId, 'gym', 'bob');
+            const lock = await storage.locks.acquire(docId, 'compaction', { purpose: 'compaction' });
+            expect(await trash.purgeExpired(Date.now() + 31 * DAY)).toEqual({ documents: 0, sections: 0 });
+            await storage.locks.release(docId, lock.token);
+
+            const keepForever = new TrashService(storage, { retentionDays: 0 });
+            expect(await keepForever.purgeExpired(Date.now() + 3650 * DAY)).toEqual({ documents: 0, sections: 0 });
+            expect((await keepForever.listSections(docId))[0]).toMatchObject({ id: entry.id, purgeAfter: null });
+            expect(await trash.purgeExpired(Date.now() + 31 * DAY)).toEqual({ documents: 0, sections: 1 });
+        });
+    });
+});
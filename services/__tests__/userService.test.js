@@ -0,0 +1,118 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const UserService = require('../userService');
+const { ConflictError, UnauthorizedError, ValidationError, NotFoundError, ForbiddenError } = require('../errors');
+
+const PASSWORD = 'correct horse';
+
+describe('UserService', () => {
+    let dir;
+    let users;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'policy-users-'));
+        users = new UserService(path.join(dir, 'users.json'));
+        await users.initialize();
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('creates users without exposing their password hash and keeps them on disk', async () => {
+        const user = await users.createUser({ username: 'alice', password: PASSWORD, roles: ['author'] });
+        expect(user).toMatchObject({ username: 'alice', displayName: 'alice', roles: ['author'], active: true });
+        expect(user.passwordHash).toBeUndefined();
+
+        const reloaded = new UserService(users.usersFile);
+        expect(await reloaded.initialize()).toBe(1);
+        expect(reloaded.findByUsername('ALICE').id).toBe(user.id);
+    });
+
+    test('validates usernames, passwords and roles', async () => {
+        await expect(users.createUser({ username: 'a', password: PASSWORD })).rejects.toThrow(ValidationError);
+        await expect(users.createUser({ username: 'alice', password: 'short' })).rejects.toThrow(ValidationError);
+        await expect(users.createUser({ username: 'alice', password: PASSWORD, roles: ['owner'] }))
+            .rejects.toThrow(ValidationError);
+        expect(users.hasUsers()).toBe(false);
+    });
+
+    test('refuses a username already taken, whatever its case', async () => {
+        await users.createUser({ username: 'alice', password: PASSWORD });
+        await expect(users.createUser({ username: 'Alice', password: PASSWORD })).rejects.toThrow(ConflictError);
+    });
+
+    test('creates only one of two concurrent users with the same name', async () => {
+        const results = await Promise.allSettled([
+            users.createUser({ username: 'alice', password: PASSWORD }),
+            users.createUser({ username: 'alice', password: PASSWORD })
+        ]);
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(ConflictError);
+        expect(users.listUsers()).toHaveLength(1);
+    });
+
+    test('sets up only one first administrator when asked twice at once', async () => {
+        const results = await Promise.allSettled([
+            users.createUser({ username: 'admin', password: PASSWORD, roles: ['admin'] }, { firstUser: true }),
+            users.createUser({ username: 'root', password: PASSWORD, roles: ['admin'] }, { firstUser: true })
+        ]);
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason.message)
+            .toBe('Setup has already been completed');
+        expect(users.listUsers()).toHaveLength(1);
+    });
+
+    test('logs in with the right password only and resolves the session', async () => {
+        const user = await users.createUser({ username: 'alice', password: PASSWORD });
+        await expect(users.login('alice', 'wrong password')).rejects.toThrow(UnauthorizedError);
+        await expect(users.login('nobody', PASSWORD)).rejects.toThrow(UnauthorizedError);
+
+        const { token } = await users.login('alice', PASSWORD);
+        expect(users.authenticate(token).id).toBe(user.id);
+        users.logout(token);
+        expect(() => users.authenticate(token)).toThrow(UnauthorizedError);
+    });
+
+    test('ends sessions that expire, and those of deactivated users', async () => {
+        users.options.sessionTtl = -1;
+        await users.createUser({ username: 'alice', password: PASSWORD });
+        const expired = await users.login('alice', PASSWORD);
+        expect(() => users.authenticate(expired.token)).toThrow('Session expired');
+
+        users.options.sessionTtl = 60 * 1000;
+        const { token, user } = await users.login('alice', PASSWORD);
+        await users.updateUser(user.id, { active: false });
+        expect(() => users.authenticate(token)).toThrow(UnauthorizedError);
+        await expect(users.login('alice', PASSWORD)).rejects.toThrow(UnauthorizedError);
+    });
+
+    test('a password change signs the user out everywhere', async () => {
+        const user = await users.createUser({ username: 'alice', password: PASSWORD });
+        const { token } = await users.login('alice', PASSWORD);
+        await users.updateUser(user.id, { password: 'another secret' });
+
+        expect(() => users.authenticate(token)).toThrow(UnauthorizedError);
+        await users.login('alice', 'another secret');
+    });
+
+    test('grants the union of the permissions of a user\'s roles', async () => {
+        const user = await users.createUser({ username: 'carol', password: PASSWORD, roles: ['reviewer', 'author'] });
+        expect(users.can(user, 'review')).toBe(true);
+        expect(users.can(user, 'write')).toBe(true);
+        expect(users.can(user, 'approve')).toBe(false);
+        expect(users.can(null, 'read')).toBe(false);
+        expect(() => users.assertCan(user, 'manage-users')).toThrow(ForbiddenError);
+    });
+
+    test('deletes users and finds them by group', async () => {
+        const alice = await users.createUser({ username: 'alice', password: PASSWORD, groups: ['finance'] });
+        await users.createUser({ username: 'bob', password: PASSWORD, groups: ['legal'] });
+        expect(users.getUsersInGroups(['finance']).map(user => user.username)).toEqual(['alice']);
+
+        await users.deleteUser(alice.id);
+        expect(() => users.getUser(alice.id)).toThrow(NotFoundError);
+        await expect(users.deleteUser(alice.id)).rejects.toThrow(NotFoundError);
+    });
+});
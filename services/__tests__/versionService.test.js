@@ -0,0 +1,127 @@
+const DocumentStorageService = require('../documentStorageService');
+const VersionService = require('../versionService');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+
+describe('VersionService', () => {
+    let storage;
+    let versions;
+    let docId;
+    let firstId;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        versions = new VersionService(storage);
+        ({ docId, versionId: firstId } = await storage.createDocument(policy('Privacy', [], { content: 'v1' }), 'alice'));
+    });
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    const save = (content, options = {}) => versions.createVersion(docId, policy('Privacy', [], { content }), options);
+
+    describe('branches and tags', () => {
+        test('keep their heads in the document\'s metadata across restarts', async () => {
+            await versions.createBranch(docId, 'legal', null, 'alice');
+            const { versionId } = await save('legal draft', { branch: 'legal' });
+            await versions.createTag(docId, 'v1.0', firstId, { note: 'first release' }, 'alice');
+
+            const reopened = new DocumentStorageService(storage.baseDir);
+            await reopened.initialize();
+            const restarted = new VersionService(reopened);
+            expect(await restarted.getBranches(docId)).toEqual({ main: firstId, legal: versionId });
+            expect(await restarted.listTags(docId)).toEqual([expect.objectContaining({
+                name: 'v1.0', versionId: firstId, createdBy: 'alice', metadata: { note: 'first release' }
+            })]);
+            expect((await reopened.getDocument(docId)).content).toBe('v1');
+        });
+
+        test('label history entries with their branch, branches and tags', async () => {
+            await versions.createBranch(docId, 'legal');
+            const { versionId } = await save('legal draft', { branch: 'legal' });
+            await versions.createTag(docId, 'proposal', versionId);
+
+            const [latest, first] = await storage.getVersionHistory(docId);
+            expect(latest).toMatchObject({ id: versionId, branch: 'legal', branches: ['legal'], tags: ['proposal'], parents: [firstId] });
+            expect(first).toMatchObject({ id: firstId, branch: 'main', branches: ['main'], parents: [] });
+            expect((await storage.getVersionHistory(docId, { branch: 'main' })).map(entry => entry.id)).toEqual([firstId]);
+        });
+
+        test('validate names and refuse duplicates', async () => {
+            await expect(versions.createBranch(docId, 'no spaces')).rejects.toThrow(ValidationError);
+            await expect(versions.createBranch(docId, 'main')).rejects.toThrow(ConflictError);
+            await expect(versions.createBranch(docId, 'old', 'missing-version')).rejects.toThrow(NotFoundError);
+            await versions.createTag(docId, 'v1', firstId);
+            await expect(versions.createTag(docId, 'v1', firstId)).rejects.toThrow(ConflictError);
+        });
+
+        test('delete merged branches freely and unmerged ones only with force', async () => {
+            await versions.createBranch(docId, 'merged');
+            await versions.createBranch(docId, 'open');
+            await save('unmerged', { branch: 'open' });
+
+            await versions.deleteBranch(docId, 'merged');
+            await expect(versions.deleteBranch(docId, 'open')).rejects.toThrow(ConflictError);
+            await expect(versions.deleteBranch(docId, 'main')).rejects.toThrow(ConflictError);
+            await versions.deleteBranch(docId, 'open', { force: true });
+            expect(Object.keys(await versions.getBranches(docId))).toEqual(['main']);
+        });
+
+        test('rename a branch with the history entries saved on it', async () => {
+            await versions.createBranch(docId, 'draft');
+            const { versionId } = await save('draft', { branch: 'draft' });
+
+            await versions.renameBranch(docId, 'draft', 'review');
+            expect(await versions.getBranches(docId)).toEqual({ main: firstId, review: versionId });
+            expect(storage.getEntry(await storage.getMetadata(docId), versionId).branch).toBe('review');
+            await expect(versions.renameBranch(docId, 'main', 'trunk')).rejects.toThrow(ConflictError);
+        });
+    });
+
+    describe('HEAD and checkout', () => {
+        test('new versions land on the branch the document HEAD is on', async () => {
+            await versions.createBranch(docId, 'legal');
+            expect(await versions.checkout(docId, 'legal')).toMatchObject({ branch: 'legal', detached: false, scope: 'document' });
+
+            const { versionId } = await save('on legal');
+            expect(await versions.getBranches(docId)).toEqual({ main: firstId, legal: versionId });
+            expect((await storage.getDocument(docId)).content).toBe('v1');
+            await expect(versions.deleteBranch(docId, 'legal', { force: true })).rejects.toThrow(ConflictError);
+        });
+
+        test('a session checks out its own HEAD without moving anyone else\'s', async () => {
+            await versions.createBranch(docId, 'legal');
+            await versions.checkout(docId, 'legal', { sessionId: 's1' });
+
+            expect(await versions.getHead(docId, 's1')).toMatchObject({ branch: 'legal', scope: 'session' });
+            expect(await versions.getHead(docId, 's2')).toMatchObject({ branch: 'main', scope: 'document' });
+            await save('from s1', { sessionId: 's1' });
+            expect((await storage.getDocument(docId)).content).toBe('v1');
+
+            versions.clearSession('s1');
+            expect((await versions.getHead(docId, 's1')).branch).toBe('main');
+        });
+
+        test('checking out a tag or version detaches HEAD and refuses saves', async () => {
+            await save('v2');
+            await versions.createTag(docId, 'v1.0', firstId);
+
+            const head = await versions.checkout(docId, 'v1.0', { sessionId: 's1' });
+            expect(head).toEqual({ branch: null, versionId: firstId, detached: true, scope: 'session' });
+            expect((await versions.getHeadDocument(docId, 's1')).document.content).toBe('v1');
+            await expect(save('v3', { sessionId: 's1' })).rejects.toThrow(ConflictError);
+            await expect(versions.checkout(docId, 'nothing')).rejects.toThrow(NotFoundError);
+        });
+
+        test('a session on a deleted branch stays at the version it pointed to', async () => {
+            await versions.createBranch(docId, 'spike');
+            const { versionId } = await save('spike', { branch: 'spike' });
+            await versions.checkout(docId, 'spike', { sessionId: 's1' });
+
+            await expect(versions.deleteBranch(docId, 'spike')).rejects.toThrow(ConflictError);
+            await versions.deleteBranch(docId, 'spike', { force: true });
+            expect(await versions.getHead(docId, 's1')).toMatchObject({ detached: true, versionId });
+        });
+    });
+});
@@ -0,0 +1,132 @@
+const WorkflowService = require('../workflowService');
+const { ConflictError, ForbiddenError, ValidationError } = require('../errors');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+
+const alice = { id: 'alice', permissions: ['read', 'write'] };
+const bob = { id: 'bob', permissions: ['read', 'write', 'review', 'approve'] };
+const carol = { id: 'carol', permissions: ['read', 'write', 'review', 'approve'] };
+
+// Just the permission check of UserService
+const users = { can: (user, permission) => Boolean(user) && user.permissions.includes(permission) };
+
+describe('WorkflowService', () => {
+    let storage;
+    let workflow;
+    let docId;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        workflow = new WorkflowService(storage, { users });
+        ({ docId } = await storage.createDocument(policy('Travel'), alice.id));
+    });
+
+    afterEach(async () => {
+        await removeStore(storage);
+    });
+
+    async function publish() {
+        await workflow.transition(docId, 'submit', alice);
+        await workflow.transition(docId, 'approve', bob);
+        return workflow.transition(docId, 'publish', bob);
+    }
+
+    test('moves a document through review to publication and records each step', async () => {
+        const { workflow: state } = await publish();
+        expect(state.state).toBe('published');
+        expect(state.editable).toBe(false);
+        expect(state.release).toEqual({ major: 1, minor: 0 });
+
+        const metadata = await storage.getMetadata(docId);
+        expect(state.publishedVersion).toBe(metadata.versions[metadata.versions.length - 2].id);
+        expect(metadata.versions.map(version => version.transition && version.transition.action))
+            .toEqual([undefined, 'submit', 'approve', 'publish']);
+        expect((await storage.verifyHistory(docId)).valid).toBe(true);
+    });
+
+    test('freezes published content until a new draft is started', async () => {
+        await publish();
+        await expect(storage.saveVersion(docId, policy('Travel', [], { content: 'Edited' }), 'edit', alice.id))
+            .rejects.toThrow(ConflictError);
+
+        await workflow.transition(docId, 'new-draft', alice);
+        await storage.saveVersion(docId, policy('Travel', [], { content: 'Edited' }), 'edit', alice.id);
+
+        await workflow.transition(docId, 'submit', alice);
+        await workflow.transition(docId, 'approve', bob);
+        const { workflow: state } = await workflow.transition(docId, 'publish', bob, { major: false });
+        expect(state.release).toEqual({ major: 1, minor: 1 });
+    });
+
+    test('refuses actions the user lacks permission for or that do not fit the state', async () => {
+        await expect(workflow.transition(docId, 'approve', alice)).rejects.toThrow(ForbiddenError);
+        await expect(workflow.transition(docId, 'publish', bob)).rejects.toThrow('Cannot publish a document that is draft');
+        await expect(workflow.transition(docId, 'archive', bob)).rejects.toThrow(ValidationError);
+
+        const metadata = await storage.getMetadata(docId);
+        expect(workflow.getAvailableActions(metadata, alice).map(action => action.action)).toEqual(['submit']);
+    });
+
+    test('does not let a submitter approve their own changes', async () => {
+        await workflow.transition(docId, 'submit', bob);
+        await expect(workflow.transition(docId, 'approve', bob)).rejects.toThrow('Submitters cannot approve their own changes');
+    });
+
+    test('waits for the required number of distinct approvals', async () => {
+        workflow.setConfig({
+            transitions: {
+                ...WorkflowService.DEFAULT_WORKFLOW.transitions,
+                approve: { from: ['review'], to: 'approved', permission: 'approve', requiredApprovals: 2 }
+            }
+        });
+        await workflow.transition(docId, 'submit', alice);
+
+        const first = await workflow.transition(docId, 'approve', bob);
+        expect(first.workflow.state).toBe('review');
+        await expect(workflow.transition(docId, 'approve', bob)).rejects.toThrow('You have already approved this version');
+
+        const second = await workflow.transition(docId, 'approve', carol);
+        expect(second.workflow.state).toBe('approved');
+        expect(second.workflow.approvedBy).toEqual(['bob', 'carol']);
+    });
+
+    test('drops approvals given on content that has since changed', async () => {
+        workflow.setConfig({
+            transitions: {
+                ...WorkflowService.DEFAULT_WORKFLOW.transitions,
+                approve: { from: ['review'], to: 'approved', permission: 'approve', requiredApprovals: 2 }
+            }
+        });
+        await workflow.transition(docId, 'submit', alice);
+        await workflow.transition(docId, 'approve', bob);
+        await storage.saveVersion(docId, policy('Travel', [], { content: 'Changed in review' }), 'edit', alice.id);
+
+        const { workflow: state } = await workflow.transition(docId, 'approve', carol);
+        expect(state.state).toBe('review');
+        expect(state.approvals.map(approval => approval.userId)).toEqual(['carol']);
+    });
+
+    test('refuses a transition worked out from a state that has since changed', async () => {
+        const metadata = await storage.getMetadata(docId);
+        const expected = { workflow: metadata.workflow, hash: storage.getCurrentEntry(metadata).hash };
+        await workflow.transition(docId, 'submit', alice);
+
+        await expect(storage.recordWorkflowTransition(docId, { state: 'review' }, {
+            action: 'submit', from: 'draft', to: 'review', message: 'late'
+        }, alice.id, { expected })).rejects.toThrow(ConflictError);
+    });
+
+    test('flushes pending collaborative edits before applying an action', async () => {
+        const flushed = [];
+        workflow = new WorkflowService(storage, { users, flush: async (id) => flushed.push(id) });
+        await workflow.transition(docId, 'submit', alice);
+        expect(flushed).toEqual([docId]);
+    });
+
+    test('rejects an inconsistent workflow configuration', () => {
+        expect(() => workflow.setConfig({
+            initialState: 'drafting',
+            transitions: { submit: { from: ['draft'], to: 'nowhere', permission: 'write', requiredApprovals: 0 } }
+        })).toThrow(ValidationError);
+        expect(workflow.getConfig()).toBe(WorkflowService.DEFAULT_WORKFLOW);
+    });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { WriteJournal, writeFileAtomic, findTempFiles } = require('../writeJournal');
+const { createStore, removeStore, policy } = require('./helpers/storage');
+
+describe('WriteJournal', () => {
+    let dir;
+    let journal;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-'));
+        journal = new WriteJournal(dir);
+        await journal.initialize();
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const read = (name) => fs.readFile(path.join(dir, name), 'utf8');
+
+    // An entry committed to the journal by a process that crashed before applying it
+    const leaveEntry = (name, entry) => fs.writeFile(path.join(journal.dir, name), JSON.stringify(entry));
+
+    test('writeFileAtomic replaces a file without leaving temporary files', async () => {
+        await writeFileAtomic(path.join(dir, 'a.json'), 'old');
+        await writeFileAtomic(path.join(dir, 'a.json'), 'new');
+        expect(await read('a.json')).toBe('new');
+        expect(await findTempFiles([dir])).toEqual([]);
+
+        await expect(writeFileAtomic(path.join(dir, 'missing', 'b.json'), 'x')).rejects.toThrow();
+        expect(await findTempFiles([dir, path.join(dir, 'missing')])).toEqual([]);
+    });
+
+    test('commit applies every write and removes its entry', async () => {
+        await journal.commit([
+            { file: path.join(dir, 'a.json'), data: 'A' },
+            { file: path.join(dir, 'b.json'), data: 'B' }
+        ]);
+        expect([await read('a.json'), await read('b.json')]).toEqual(['A', 'B']);
+        expect(await journal.pending()).toEqual([]);
+    });
+
+    test('recover replays committed entries oldest first and discards damaged ones', async () => {
+        await leaveEntry('1.json', { id: 'first', created: '2024-01-01T00:00:00Z', writes: [{ file: 'a.json', data: 'first' }] });
+        await leaveEntry('2.json', { id: 'second', created: '2024-01-02T00:00:00Z', writes: [{ file: 'a.json', data: 'second' }, { file: 'b.json', data: 'B' }] });
+        await leaveEntry('3.json', { id: 'escape', created: '2024-01-03T00:00:00Z', writes: [{ file: '../outside.json', data: 'x' }] });
+        await fs.writeFile(path.join(journal.dir, '4.json'), '{ truncated');
+
+        const { replayed, discarded } = await journal.recover();
+        expect(replayed).toEqual(['first', 'second']);
+        expect(discarded.map(file => path.basename(file)).sort()).toEqual(['3.json', '4.json']);
+        expect([await read('a.json'), await read('b.json')]).toEqual(['second', 'B']);
+        await expect(fs.access(path.join(dir, '..', 'outside.json'))).rejects.toThrow();
+        expect(await journal.pending()).toEqual([]);
+    });
+});
+
+describe('DocumentStorageService.fsck', () => {
+    let storage;
+    let docId;
+    let ids;
+
+    beforeEach(async () => {
+        storage = await createStore();
+        let firstId;
+        ({ docId, versionId: firstId } = await storage.createDocument(policy('Access', [], { content: 'Badges at all times.' }), 'alice'));
+        ids = [firstId, (await storage.saveVersion(docId, policy('Access', [], { content: 'Badges visible at all times.' }), 'edit', 'alice')).versionId];
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await removeStore(storage);
+    });
+
+    const types = (report) => report.problems.map(problem => problem.type);
+
+    test('finds nothing wrong with a healthy store', async () => {
+        const report = await storage.fsck();
+        expect(report).toMatchObject({ documents: 1, versions: 2, journalReplayed: 0, tempFiles: 0, problems: [] });
+        expect(storage.describeReport(report)).toBe('checked 1 documents and 2 versions, 0 problems, 0 repaired');
+    });
+
+    test('replays a save interrupted after its journal entry and removes temporary files', async () => {
+        // The process dies once the entry is on disk, before any file is replaced
+        jest.spyOn(storage.backend.journal, 'apply').mockRejectedValueOnce(new Error('crash'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await expect(storage.saveVersion(docId, policy('Access', [], { content: 'Badges and escorts.' }), 'edit', 'bob'))
+            .rejects.toThrow('crash');
+        await fs.writeFile(path.join(storage.backend.dirs.version, `.${ids[1]}.json.1.abcd.tmp`), '{');
+
+        const dryRun = await storage.fsck({ repair: false });
+        expect(types(dryRun)).toContain('pending-journal');
+        expect(dryRun.tempFiles).toBe(1);
+
+        const report = await storage.fsck();
+        expect(report).toMatchObject({ journalReplayed: 1, tempFiles: 1, problems: [] });
+        expect(storage.describeReport(report)).toContain('replayed 1 journal entries, removed 1 temporary files');
+        const metadata = await storage.getMetadata(docId);
+        expect(metadata.versions).toHaveLength(3);
+        expect((await storage.getDocument(docId)).content).toBe('Badges and escorts.');
+        expect((await storage.verifyHistory(docId)).valid).toBe(true);
+        expect(await findTempFiles(Object.values(storage.backend.dirs))).toEqual([]);
+    });
+
+    test('rewrites a missing or stale document from its current version', async () => {
+        await storage.backend.remove('document', docId);
+        expect(types(await storage.fsck({ repair: false }))).toEqual(['unreadable-document']);
+        expect(await storage.backend.get('document', docId)).toBeNull();
+
+        expect(await storage.fsck()).toMatchObject({ problems: [expect.objectContaining({ type: 'unreadable-document', repaired: true })] });
+        expect((await storage.getDocument(docId)).content).toBe('Badges visible at all times.');
+
+        await storage.commit([storage.documentWrite(docId, policy('Access', [], { content: 'edited by hand' }))]);
+        expect(types(await storage.fsck())).toEqual(['document-mismatch']);
+        expect((await storage.getDocument(docId)).content).toBe('Badges visible at all times.');
+    });
+
+    test('drops a missing version at the tip of the history and moves the branch back', async () => {
+        await storage.backend.remove('version', ids[1]);
+
+        const report = await storage.fsck();
+        expect(report.problems).toEqual(expect.arrayContaining([
+            expect.objectContaining({ type: 'missing-version', versionId: ids[1], repaired: true })
+        ]));
+        const metadata = await storage.getMetadata(docId);
+        expect(metadata.versions.map(entry => entry.id)).toEqual([ids[0]]);
+        expect(metadata.currentVersion).toBe(ids[0]);
+        expect((await storage.getDocument(docId)).content).toBe('Badges at all times.');
+        expect((await storage.fsck()).problems).toEqual([]);
+    });
+
+    test('reports a missing version in the middle of a history without dropping it', async () => {
+        await storage.saveVersion(docId, policy('Access', [], { content: 'Badges always.' }), 'edit', 'alice');
+        // A full copy, so the newest version does not need the missing one
+        await storage.commit([await storage.prepareVersion(ids[0], (await storage.getVersion(ids[0])).document)]);
+        await storage.backend.remove('version', ids[0]);
+
+        const report = await storage.fsck();
+        expect(report.problems).toEqual([expect.objectContaining({ type: 'missing-version', versionId: ids[0], repaired: false })]);
+        expect((await storage.getMetadata(docId)).versions).toHaveLength(3);
+    });
+
+    test('sets aside unreadable metadata and records nothing refers to', async () => {
+        const { docId: otherId } = await storage.createDocument(policy('Visitors'), 'alice');
+        await fs.writeFile(storage.backend.fileOf('metadata', otherId), '{ not json');
+
+        const report = await storage.fsck();
+        expect(types(report).sort()).toEqual(['orphaned-version', 'unreadable-metadata']);
+        const lostFound = storage.backend.lostFoundDir;
+        expect(await fs.readdir(path.join(lostFound, 'metadata'))).toEqual([`${otherId}.json`]);
+        expect(await fs.readdir(path.join(lostFound, 'documents'))).toEqual([`${otherId}.json`]);
+        expect(await fs.readdir(path.join(lostFound, 'versions'))).toHaveLength(1);
+        expect((await storage.listDocuments()).map(doc => doc.id)).toEqual([docId]);
+    });
+});
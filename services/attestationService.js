@@ -0,0 +1,318 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError
+} = require('./errors');
+
+// Tracks which staff have to read and acknowledge a published policy.
+// Each document has at most one active assignment per major release; a new
+// major release supersedes it and asks everyone to acknowledge again, while
+// minor releases keep earlier acknowledgements valid.
+//
+// A document's assignments and acknowledgements are one 'attestation'
+// record in the document store, so they are encrypted and backed up with
+// the document. Changes run under the document's lock.
+class AttestationService extends EventEmitter {
+    constructor(storage, options = {}) {
+        super();
+        this.storage = storage;
+        this.options = {
+            users: null,
+            // Where records were kept as plain files before they moved into the store
+            legacyDir: path.join(storage.baseDir, 'attestations'),
+            ...options
+        };
+        this.users = this.options.users;
+    }
+
+    async initialize() {
+        await this.importLegacyRecords();
+    }
+
+    // Move records written as plain files by older releases into the store.
+    // With the file backend and no encryption they already are the store's
+    // records. A plain copy is not left behind in an encrypted store.
+    async importLegacyRecords() {
+        let files;
+        try {
+            files = await fs.readdir(this.options.legacyDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        let imported = 0;
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const docId = path.basename(file, '.json');
+            const legacyFile = path.join(this.options.legacyDir, file);
+            const record = await this.readLegacyRecord(legacyFile);
+            if (!record) continue;
+
+            let stored = null;
+            try {
+                stored = await this.storage.backend.get('attestation', docId);
+            } catch {
+                // The plain file itself, unreadable through the encryption
+            }
+            if (stored) continue;
+
+            await this.storage.commit([this.storage.attestationWrite(docId, record)]);
+            if (this.storage.options.encryption && await this.readLegacyRecord(legacyFile)) {
+                await fs.unlink(legacyFile);
+            }
+            imported++;
+        }
+        return imported;
+    }
+
+    // A record in a legacy file, or null if the file holds anything else
+    async readLegacyRecord(file) {
+        try {
+            const record = JSON.parse(await fs.readFile(file, 'utf8'));
+            return record && Array.isArray(record.assignments) ? record : null;
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+            throw error;
+        }
+    }
+
+    async loadRecord(docId) {
+        this.storage.assertId(docId, 'Document');
+        return await this.storage.backend.get('attestation', docId) || { assignments: [], acknowledgements: [] };
+    }
+
+    async saveRecord(docId, record) {
+        await this.storage.commit([this.storage.attestationWrite(docId, record)]);
+    }
+
+    getActiveAssignment(record) {
+        return record.assignments.find(assignment => assignment.active) || null;
+    }
+
+    // Resolve an assignment's groups and named users to active accounts
+    getAudience(assignment) {
+        if (!this.users) return [];
+
+        const audience = new Map();
+        this.users.getUsersInGroups(assignment.groups).forEach(user => audience.set(user.id, user));
+        assignment.userIds.forEach(userId => {
+            try {
+                const user = this.users.getUser(userId);
+                if (user.active) audience.set(user.id, user);
+            } catch {
+                // Deleted users no longer owe an acknowledgement
+            }
+        });
+        return Array.from(audience.values());
+    }
+
+    // The published version of a document with the hash readers acknowledge
+    async getPublishedRelease(docId) {
+        const metadata = await this.storage.getMetadata(docId);
+        const workflow = metadata.workflow;
+        if (!workflow || !workflow.publishedVersion) {
+            throw new ConflictError('Only published policies can be assigned for acknowledgement');
+        }
+
+        const version = await this.storage.getVersion(workflow.publishedVersion);
+        return {
+            versionId: workflow.publishedVersion,
+            hash: this.storage.generateHash(version.document),
+            major: workflow.release ? workflow.release.major : 1,
+            minor: workflow.release ? workflow.release.minor : 0
+        };
+    }
+
+    // Ask groups or individual users to acknowledge the published version
+    async assign(docId, { groups = [], userIds = [], dueDate = null } = {}, user = null) {
+        if (!Array.isArray(groups) || !Array.isArray(userIds) ||
+            (groups.length === 0 && userIds.length === 0)) {
+            throw new ValidationError('Assign at least one group or user');
+        }
+        if (dueDate !== null && Number.isNaN(Date.parse(dueDate))) {
+            throw new ValidationError('dueDate must be a date');
+        }
+
+        const assignment = await this.storage.withLock(docId, user ? user.id : 'default', async () => {
+            const record = await this.loadRecord(docId);
+            const updated = await this.addAssignment(docId, record, { groups, userIds, dueDate }, user);
+            await this.saveRecord(docId, record);
+            return updated;
+        });
+
+        this.notifyAudience(docId, assignment);
+        return assignment;
+    }
+
+    // Widen the active assignment of the published release, or replace an
+    // older release's with a new one. Changes the record in place.
+    async addAssignment(docId, record, { groups, userIds, dueDate }, user) {
+        const release = await this.getPublishedRelease(docId);
+        let assignment = this.getActiveAssignment(record);
+
+        if (assignment && assignment.major === release.major) {
+            // Same release: widen the audience of the existing request
+            assignment.groups = Array.from(new Set([...assignment.groups, ...groups]));
+            assignment.userIds = Array.from(new Set([...assignment.userIds, ...userIds]));
+            if (dueDate) assignment.dueDate = dueDate;
+        } else {
+            if (assignment) assignment.active = false;
+            assignment = {
+                id: uuidv4(),
+                ...release,
+                groups,
+                userIds,
+                dueDate,
+                assignedBy: user ? user.id : null,
+                assignedAt: new Date().toISOString(),
+                active: true
+            };
+            record.assignments.push(assignment);
+        }
+        return assignment;
+    }
+
+    notifyAudience(docId, assignment) {
+        this.emit('acknowledgement-requested', {
+            documentId: docId,
+            assignmentId: assignment.id,
+            userIds: this.getAudience(assignment).map(member => member.id)
+        });
+    }
+
+    // Record that a user has read the published version
+    async acknowledge(docId, user) {
+        const { acknowledgement, added } = await this.storage.withLock(docId, user.id, async () => {
+            const record = await this.loadRecord(docId);
+            const assignment = this.getActiveAssignment(record);
+            if (!assignment) {
+                throw new NotFoundError('No acknowledgement has been requested for this document');
+            }
+            if (!this.getAudience(assignment).some(member => member.id === user.id)) {
+                throw new ForbiddenError('You have not been asked to acknowledge this document');
+            }
+
+            const existing = record.acknowledgements.find(
+                ack => ack.userId === user.id && ack.major === assignment.major
+            );
+            if (existing) return { acknowledgement: existing, added: false };
+
+            // Acknowledge exactly what is published now, not what was assigned
+            const release = await this.getPublishedRelease(docId);
+            const created = {
+                id: uuidv4(),
+                assignmentId: assignment.id,
+                userId: user.id,
+                versionId: release.versionId,
+                hash: release.hash,
+                major: release.major,
+                minor: release.minor,
+                timestamp: new Date().toISOString()
+            };
+
+            record.acknowledgements.push(created);
+            await this.saveRecord(docId, record);
+            return { acknowledgement: created, added: true };
+        });
+
+        if (added) this.emit('acknowledged', { documentId: docId, ...acknowledgement });
+        return acknowledgement;
+    }
+
+    // Who has acknowledged the current release and who is still outstanding
+    async getStatus(docId) {
+        const record = await this.loadRecord(docId);
+        const assignment = this.getActiveAssignment(record);
+        if (!assignment) {
+            return { assignment: null, acknowledged: [], outstanding: [] };
+        }
+
+        const acknowledgements = new Map(record.acknowledgements
+            .filter(ack => ack.major === assignment.major)
+            .map(ack => [ack.userId, ack]));
+        const audience = this.getAudience(assignment);
+        const overdue = assignment.dueDate && Date.now() > Date.parse(assignment.dueDate);
+
+        return {
+            assignment,
+            acknowledged: audience
+                .filter(member => acknowledgements.has(member.id))
+                .map(member => ({ user: member, acknowledgement: acknowledgements.get(member.id) })),
+            outstanding: audience
+                .filter(member => !acknowledgements.has(member.id))
+                .map(member => ({ user: member, overdue: Boolean(overdue) }))
+        };
+    }
+
+    // Whether a document still exists outside the trash
+    async isListed(docId) {
+        try {
+            await this.storage.getMetadata(docId);
+            return true;
+        } catch (error) {
+            if (error instanceof NotFoundError) return false;
+            throw error;
+        }
+    }
+
+    // Documents the user still has to acknowledge
+    async getOutstandingForUser(user) {
+        const outstanding = [];
+
+        for (const docId of await this.storage.backend.list('attestation')) {
+            const status = await this.getStatus(docId);
+            if (status.outstanding.some(entry => entry.user.id === user.id)) {
+                // Deleted documents ask nothing of anyone until restored
+                if (!await this.isListed(docId)) continue;
+                outstanding.push({
+                    documentId: docId,
+                    assignment: status.assignment
+                });
+            }
+        }
+
+        return outstanding;
+    }
+
+    // React to a publish: a new major release asks everyone again
+    async handlePublished(docId, workflow) {
+        if (!workflow.release) return null;
+
+        let requested = false;
+        const assignment = await this.storage.withLock(docId, 'default', async () => {
+            const record = await this.loadRecord(docId);
+            const active = this.getActiveAssignment(record);
+            if (!active) return null;
+
+            let updated;
+            if (workflow.release.major > active.major) {
+                updated = await this.addAssignment(docId, record, {
+                    groups: active.groups,
+                    userIds: active.userIds,
+                    dueDate: null
+                }, null);
+                requested = true;
+            } else {
+                // Minor release: point the request at the new version, keep acknowledgements
+                const release = await this.getPublishedRelease(docId);
+                updated = Object.assign(active, {
+                    versionId: release.versionId,
+                    hash: release.hash,
+                    minor: release.minor
+                });
+            }
+            await this.saveRecord(docId, record);
+            return updated;
+        });
+
+        if (requested) this.notifyAudience(docId, assignment);
+        return assignment;
+    }
+}
+
+module.exports = AttestationService;
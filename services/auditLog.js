@@ -0,0 +1,104 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Fields kept readable in an encrypted log, so entries can be filtered
+// without the key
+const PLAIN_FIELDS = ['id', 'timestamp', 'action', 'userId', 'documentId'];
+
+// Append-only record of administrative actions that leave no trace in a
+// document's history, such as breaking another user's lock. One JSON
+// object per line; appends of a single line are atomic, so several
+// processes can share the file.
+//
+// Entries name documents, folders and people, so with options.key (a
+// function returning the store's key) everything but PLAIN_FIELDS is
+// encrypted into the entry's `details`.
+class AuditLog {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.options = {
+            key: null,
+            ...options
+        };
+    }
+
+    currentKey() {
+        if (!this.options.key) return null;
+        const key = this.options.key();
+        if (!key) throw new Error('The audit log cannot be used before the storage key is loaded');
+        return key;
+    }
+
+    async record(action, userId, details = {}) {
+        const entry = {
+            id: uuidv4(),
+            timestamp: new Date().toISOString(),
+            action,
+            userId,
+            ...details
+        };
+        const stored = AuditLog.seal(entry, this.currentKey());
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.appendFile(this.file, `${JSON.stringify(stored)}\n`, 'utf8');
+        return entry;
+    }
+
+    // Entries newest first, optionally for one document or action
+    async list({ documentId = null, action = null, limit = 100 } = {}) {
+        const key = this.currentKey();
+        const entries = [];
+        for (const stored of (await this.readEntries()).reverse()) {
+            if (documentId && stored.documentId !== documentId) continue;
+            if (action && stored.action !== action) continue;
+            entries.push(AuditLog.unseal(stored, key));
+            if (entries.length >= limit) break;
+        }
+        return entries;
+    }
+
+    // Every entry as stored, oldest first
+    async readEntries() {
+        let text;
+        try {
+            text = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // A line cut short by a crash
+            }
+        }
+        return entries;
+    }
+
+    // The entry as written with `key`: unchanged without one
+    static seal(entry, key) {
+        if (!key) return entry;
+        const stored = {};
+        const details = {};
+        for (const [field, value] of Object.entries(entry)) {
+            (PLAIN_FIELDS.includes(field) ? stored : details)[field] = value;
+        }
+        return { ...stored, details: key.encrypt(details, `audit ${entry.id}`) };
+    }
+
+    // A stored entry with its details decrypted. One the key cannot open,
+    // such as an entry from before a restore under another key, keeps its
+    // readable fields and is marked encrypted.
+    static unseal(stored, key) {
+        if (!stored.details) return stored;
+        const { details, ...entry } = stored;
+        if (!key || details.keyId !== key.keyId) return { ...entry, encrypted: true };
+        return { ...entry, ...key.decrypt(details, `audit ${stored.id}`) };
+    }
+}
+
+module.exports = AuditLog;
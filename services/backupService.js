@@ -0,0 +1,503 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { pipeline } = require('stream/promises');
+const tar = require('tar-stream');
+const DocumentStorageService = require('./documentStorageService');
+const { writeFileAtomic, syncDirectory, TEMP_SUFFIX } = require('./writeJournal');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const fsp = fs.promises;
+
+const FORMAT = 'policy-backup/1';
+const MANIFEST = 'backup.json';
+const STORE_PREFIX = 'store/';
+const ARCHIVE_PATTERN = /^backup-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(?:-([a-z-]+))?\.tar\.gz$/;
+// Longest delay setTimeout accepts
+const MAX_DELAY = 2 ** 31 - 1;
+// Kept as they are by a full restore: the audit trail covers the restore too
+const PRESERVED = ['audit.log'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const isMissing = (error) => error.code === 'ENOENT';
+
+function addEntry(pack, name, data) {
+    return new Promise((resolve, reject) => {
+        pack.entry({ name, size: data.length, mode: 0o600 }, data, error => (error ? reject(error) : resolve()));
+    });
+}
+
+// Store files an archive entry may be unpacked to, refusing paths that
+// would leave the directory
+function entryPath(dir, name) {
+    const file = path.resolve(dir, name);
+    if (!file.startsWith(`${path.resolve(dir)}${path.sep}`)) {
+        throw new ValidationError(`Backup entry ${name} points outside the store`);
+    }
+    return file;
+}
+
+// Compares the entries read from an archive with its manifest
+function checkManifest(manifest, entries) {
+    const problems = [];
+    if (!manifest) return ['The archive has no manifest'];
+    if (manifest.format !== FORMAT) return [`Unknown backup format "${manifest.format}"`];
+
+    const unlisted = new Set(entries.keys());
+    for (const { path: name, sha256: expected } of manifest.files) {
+        unlisted.delete(name);
+        if (!entries.has(name)) {
+            problems.push(`${name} is missing from the archive`);
+        } else if (entries.get(name) !== expected) {
+            problems.push(`${name} does not match its checksum`);
+        }
+    }
+    unlisted.forEach(name => problems.push(`${name} is not in the manifest`));
+    return problems;
+}
+
+// Scheduled backups of the storage directory, with restores of the whole
+// store or of a single document. Options follow settings.backup: when
+// enabled, start() takes a backup every interval, counted from the newest
+// archive so restarts do not postpone it, and keeps the newest maxBackups.
+// Archives go into location, resolved against the storage directory.
+//
+// An archive is a gzipped tar of every file in the store under store/,
+// with backup.json listing each one's SHA-256 last. Files the backend
+// cannot have copied while in use (storage.db) come from its snapshot();
+// lock files, temporary files, the backups themselves and any key file in
+// options.exclude are left out. Encrypted records stay encrypted, so a
+// restore needs the key in use when the backup was taken.
+class BackupService extends EventEmitter {
+    constructor(storage, options = {}) {
+        super();
+        this.storage = storage;
+        this.options = {
+            enabled: true,
+            interval: 24 * 60 * 60 * 1000, // daily
+            maxBackups: 10,
+            location: 'backups',
+            // Absolute paths never copied into an archive
+            exclude: [],
+            ...options
+        };
+        this.directory = path.resolve(storage.baseDir, this.options.location);
+        this.timer = null;
+        this.started = false;
+    }
+
+    archivePath(name) {
+        if (typeof name !== 'string' || !ARCHIVE_PATTERN.test(name)) {
+            throw new ValidationError(`"${name}" is not the name of a backup`);
+        }
+        return path.join(this.directory, name);
+    }
+
+    // Files of the store that go into an archive, as [{ name, file }]
+    async storeFiles() {
+        const skipped = new Set([this.directory, ...this.options.exclude.map(file => path.resolve(file))]);
+        const live = new Set(this.storage.backend.liveFiles || []);
+        const found = [];
+
+        const walk = async (dir, prefix) => {
+            let entries;
+            try {
+                entries = await fsp.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (isMissing(error)) return;
+                throw error;
+            }
+            for (const entry of entries) {
+                const file = path.join(dir, entry.name);
+                const name = `${prefix}${entry.name}`;
+                if (skipped.has(file) || (prefix === '' && live.has(entry.name))) continue;
+                if (entry.name.startsWith('.') && entry.name.endsWith(TEMP_SUFFIX)) continue;
+                if (entry.isDirectory()) {
+                    await walk(file, `${name}/`);
+                } else if (entry.isFile()) {
+                    found.push({ name, file });
+                }
+            }
+        };
+        await walk(this.storage.baseDir, '');
+        return found;
+    }
+
+    // Write a new archive of the store, then prune old ones. A label, such
+    // as 'pre-restore', is added to the archive's name.
+    async createBackup({ label = null, keep = null } = {}) {
+        await this.storage.initialize();
+        await fsp.mkdir(this.directory, { recursive: true });
+
+        const created = new Date().toISOString();
+        const name = `backup-${created.replace(/[:.]/g, '-')}${label ? `-${label}` : ''}.tar.gz`;
+        const target = this.archivePath(name);
+        const temp = path.join(this.directory, `.${name}.${process.pid}${TEMP_SUFFIX}`);
+        const snapshotDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'policy-backup-'));
+
+        try {
+            const files = [...await this.storeFiles(), ...await this.storage.backend.snapshot(snapshotDir)];
+            const pack = tar.pack();
+            const written = pipeline(pack, zlib.createGzip(), fs.createWriteStream(temp, { mode: 0o600 }));
+            // Awaited once every entry is in
+            written.catch(() => {});
+
+            const manifest = {
+                format: FORMAT,
+                created,
+                label,
+                backend: typeof this.storage.options.backend === 'string' ? this.storage.options.backend : null,
+                encrypted: Boolean(this.storage.options.encryption),
+                files: []
+            };
+            for (const { name: fileName, file } of files) {
+                let data;
+                try {
+                    data = await fsp.readFile(file);
+                } catch (error) {
+                    // Removed since the directory was read
+                    if (isMissing(error)) continue;
+                    throw error;
+                }
+                manifest.files.push({ path: fileName, size: data.length, sha256: sha256(data) });
+                await addEntry(pack, `${STORE_PREFIX}${fileName}`, data);
+            }
+            await addEntry(pack, MANIFEST, Buffer.from(JSON.stringify(manifest, null, 2)));
+            pack.finalize();
+            await written;
+
+            const handle = await fsp.open(temp, 'r');
+            try {
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fsp.rename(temp, target);
+            await syncDirectory(this.directory);
+
+            const { size } = await fsp.stat(target);
+            await this.prune({ keep });
+            return { name, created, label, size, files: manifest.files.length };
+        } catch (error) {
+            await fsp.unlink(temp).catch(() => {});
+            throw error;
+        } finally {
+            await fsp.rm(snapshotDir, { recursive: true, force: true });
+        }
+    }
+
+    // Archives, newest first
+    async listBackups() {
+        let files;
+        try {
+            files = await fsp.readdir(this.directory);
+        } catch (error) {
+            if (isMissing(error)) return [];
+            throw error;
+        }
+
+        const backups = await Promise.all(files.filter(file => ARCHIVE_PATTERN.test(file)).map(async name => {
+            const [, stamp, label] = name.match(ARCHIVE_PATTERN);
+            const { size } = await fsp.stat(path.join(this.directory, name));
+            return {
+                name,
+                created: stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/, 'T$1:$2:$3.$4Z'),
+                label: label || null,
+                size
+            };
+        }));
+        return backups.sort((a, b) => b.name.localeCompare(a.name));
+    }
+
+    // Remove all but the newest maxBackups archives, sparing keep
+    async prune({ keep = null } = {}) {
+        const { maxBackups } = this.options;
+        if (!(maxBackups > 0)) return [];
+
+        const removed = (await this.listBackups()).slice(maxBackups).filter(backup => backup.name !== keep);
+        for (const { name } of removed) {
+            await fsp.unlink(path.join(this.directory, name)).catch(error => {
+                if (!isMissing(error)) throw error;
+            });
+        }
+        return removed.map(backup => backup.name);
+    }
+
+    // Read an archive, checking every file against the manifest. With into,
+    // the store files are unpacked there.
+    async readBackup(name, { into = null } = {}) {
+        const file = this.archivePath(name);
+        try {
+            await fsp.access(file);
+        } catch {
+            throw new NotFoundError('Backup not found');
+        }
+
+        const entries = new Map();
+        const problems = [];
+        let manifest = null;
+
+        const extract = tar.extract();
+        extract.on('entry', (header, stream, next) => {
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('error', next);
+            stream.on('end', () => {
+                const data = Buffer.concat(chunks);
+                const save = async () => {
+                    if (header.name === MANIFEST) {
+                        try {
+                            manifest = JSON.parse(data.toString('utf8'));
+                        } catch {
+                            problems.push('The manifest cannot be read');
+                        }
+                    } else if (header.name.startsWith(STORE_PREFIX)) {
+                        const fileName = header.name.slice(STORE_PREFIX.length);
+                        entries.set(fileName, sha256(data));
+                        if (into) {
+                            const target = entryPath(into, fileName);
+                            await fsp.mkdir(path.dirname(target), { recursive: true });
+                            await fsp.writeFile(target, data, { mode: 0o600 });
+                        }
+                    } else {
+                        problems.push(`Unexpected entry ${header.name}`);
+                    }
+                };
+                save().then(() => next(), next);
+            });
+        });
+
+        try {
+            await pipeline(fs.createReadStream(file), zlib.createGunzip(), extract);
+        } catch (error) {
+            problems.push(`The archive cannot be read: ${error.message}`);
+        }
+        if (problems.length === 0) problems.push(...checkManifest(manifest, entries));
+        return { manifest, problems };
+    }
+
+    async verifyBackup(name) {
+        const { manifest, problems } = await this.readBackup(name);
+        return {
+            name,
+            valid: problems.length === 0,
+            created: manifest ? manifest.created : null,
+            files: manifest && Array.isArray(manifest.files) ? manifest.files.length : 0,
+            problems
+        };
+    }
+
+    // Unpack a verified archive into a temporary directory and open it as a
+    // store with the backend and key of the live one, then run fn on it
+    async withArchive(name, fn) {
+        const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'policy-restore-'));
+        try {
+            const { manifest, problems } = await this.readBackup(name, { into: dir });
+            if (problems.length > 0) throw new ValidationError(`Backup ${name} is damaged`, problems);
+            if (!manifest.backend) {
+                throw new ValidationError(`Backup ${name} does not record which storage backend wrote it`);
+            }
+
+            const archive = new DocumentStorageService(dir, {
+                backend: manifest.backend,
+                encryption: this.storage.options.encryption,
+                checkOnStart: false
+            });
+            try {
+                await archive.initialize();
+                return await fn(archive, { dir, manifest });
+            } finally {
+                await archive.backend.close();
+            }
+        } finally {
+            await fsp.rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    // What restoring a document's metadata would change
+    describeDocument(current, restored) {
+        const before = new Set(current ? current.versions.map(entry => entry.id) : []);
+        const after = new Set(restored.versions.map(entry => entry.id));
+        return {
+            id: restored.id,
+            title: restored.title,
+            currentVersion: { from: current ? current.currentVersion : null, to: restored.currentVersion },
+            versionsRestored: [...after].filter(id => !before.has(id)).length,
+            versionsDropped: [...before].filter(id => !after.has(id)).length
+        };
+    }
+
+    async compareDocuments(archive) {
+        const current = new Map((await this.storage.backend.listMetadata()).map(metadata => [metadata.id, metadata]));
+        const plan = { added: [], changed: [], removed: [], unchanged: 0 };
+
+        for (const restored of await archive.backend.listMetadata()) {
+            const metadata = current.get(restored.id);
+            current.delete(restored.id);
+            if (!metadata) {
+                plan.added.push(this.describeDocument(null, restored));
+            } else if (JSON.stringify(metadata) !== JSON.stringify(restored)) {
+                plan.changed.push(this.describeDocument(metadata, restored));
+            } else {
+                plan.unchanged++;
+            }
+        }
+        current.forEach(metadata => plan.removed.push({ id: metadata.id, title: metadata.title }));
+        return plan;
+    }
+
+    async compareFiles(manifest) {
+        const current = new Map((await this.storeFiles()).map(({ name, file }) => [name, file]));
+        const live = new Set(this.storage.backend.liveFiles || []);
+        const plan = { added: [], changed: [], removed: [], unchanged: 0 };
+
+        for (const { path: name, sha256: expected } of manifest.files) {
+            if (PRESERVED.includes(name)) continue;
+            const file = current.get(name) || (live.has(name) ? path.join(this.storage.baseDir, name) : null);
+            current.delete(name);
+            let data = null;
+            try {
+                if (file) data = await fsp.readFile(file);
+            } catch (error) {
+                if (!isMissing(error)) throw error;
+            }
+            if (data === null) {
+                plan.added.push(name);
+            } else if (live.has(name) || sha256(data) !== expected) {
+                // A database copy never matches byte for byte
+                plan.changed.push(name);
+            } else {
+                plan.unchanged++;
+            }
+        }
+        current.forEach((file, name) => {
+            if (!PRESERVED.includes(name)) plan.removed.push(name);
+        });
+        return plan;
+    }
+
+    // Put the whole store back as it was when the backup was taken. The
+    // plan lists the documents and files that change; with dryRun nothing
+    // else happens. Otherwise a 'pre-restore' backup is taken first, and
+    // the storage service is closed: run with nothing else using the store,
+    // then open it again (its fsck finishes any journal in the backup).
+    async restoreStore(name, { dryRun = false, userId = 'backup' } = {}) {
+        return this.withArchive(name, async (archive, { dir, manifest }) => {
+            if (manifest.backend !== this.storage.options.backend) {
+                throw new ValidationError(
+                    `Backup ${name} holds a ${manifest.backend} store; restore it with STORAGE_BACKEND=${manifest.backend}`
+                );
+            }
+            const plan = {
+                backup: name,
+                dryRun,
+                documents: await this.compareDocuments(archive),
+                files: await this.compareFiles(manifest)
+            };
+            if (dryRun) return plan;
+
+            plan.safetyBackup = (await this.createBackup({ label: 'pre-restore', keep: name })).name;
+            await this.storage.backend.close();
+
+            const baseDir = this.storage.baseDir;
+            const removed = [...plan.files.removed, ...(this.storage.backend.liveFiles || [])];
+            for (const file of removed) {
+                await fsp.unlink(path.join(baseDir, file)).catch(error => {
+                    if (!isMissing(error)) throw error;
+                });
+            }
+            for (const file of [...plan.files.added, ...plan.files.changed]) {
+                const target = entryPath(baseDir, file);
+                await fsp.mkdir(path.dirname(target), { recursive: true });
+                await writeFileAtomic(target, await fsp.readFile(path.join(dir, file)));
+            }
+
+            await this.storage.audit.record('store-restored', userId, {
+                backup: name,
+                safetyBackup: plan.safetyBackup
+            });
+            return plan;
+        });
+    }
+
+    // Put one document back as it was when the backup was taken: its
+    // metadata, content and every version in its history. Versions saved
+    // since are dropped from the history (fsck sets them aside). Runs under
+    // the document's lock, so the server may keep running, and is refused
+    // while someone holds the edit lock.
+    async restoreDocument(name, docId, { dryRun = false, userId = 'backup' } = {}) {
+        this.storage.assertId(docId, 'Document');
+
+        return this.withArchive(name, async (archive) => {
+            const metadata = await archive.backend.get('metadata', docId);
+            if (!metadata) throw new NotFoundError(`Document ${docId} is not in backup ${name}`);
+            const document = await archive.backend.get('document', docId);
+            if (!document) throw new ValidationError(`The content of document ${docId} is missing from backup ${name}`);
+
+            const writes = [];
+            for (const { id } of metadata.versions) {
+                const value = await archive.backend.get('version', id);
+                if (!value) throw new ValidationError(`Version ${id} of document ${docId} is missing from backup ${name}`);
+                writes.push({ kind: 'version', id, value });
+            }
+            writes.push(this.storage.documentWrite(docId, document), this.storage.metadataWrite(docId, metadata));
+
+            const restore = async () => {
+                const current = await this.storage.backend.get('metadata', docId);
+                const plan = { backup: name, dryRun, document: this.describeDocument(current, metadata) };
+                if (dryRun) return plan;
+
+                await this.storage.commit(writes);
+                await this.storage.audit.record('document-restored', userId, {
+                    documentId: docId,
+                    backup: name,
+                    versionId: metadata.currentVersion
+                });
+                return plan;
+            };
+            return dryRun ? restore() : this.storage.withLock(docId, userId, restore, { content: true });
+        });
+    }
+
+    // Time until the next scheduled backup is due
+    async nextDelay() {
+        const [latest] = await this.listBackups();
+        if (!latest) return 0;
+        return Math.max(0, Date.parse(latest.created) + this.options.interval - Date.now());
+    }
+
+    schedule(delay) {
+        if (!this.started) return;
+        this.timer = setTimeout(async () => {
+            try {
+                this.emit('backup-created', await this.createBackup());
+            } catch (error) {
+                this.emit('backup-failed', error);
+            }
+            this.schedule(this.options.interval);
+        }, Math.min(delay, MAX_DELAY));
+        this.timer.unref();
+    }
+
+    start() {
+        if (this.started || !this.options.enabled || !(this.options.interval > 0)) return;
+        this.started = true;
+        this.nextDelay()
+            .catch(() => 0)
+            .then(delay => this.schedule(delay));
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+BackupService.FORMAT = FORMAT;
+
+module.exports = BackupService;
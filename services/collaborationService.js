@@ -1,27 +1,70 @@
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
-const { diff_match_patch: DiffMatchPatch } = require('diff-match-patch');
+const TextOperation = require('./textOperation');
 
 class CollaborationService extends EventEmitter {
-    constructor(server) {
+    constructor(server, options = {}) {
         super();
-        this.wss = new WebSocket.Server({ server });
+        this.options = {
+            path: '/ws/collaboration',
+            heartbeatInterval: 30000,
+            checkpointInterval: 60000,
+            maxHistory: 1000,
+            storage: null,
+            users: null,
+            ...options
+        };
+        this.storage = this.options.storage;
+        this.users = this.options.users;
+        this.wss = new WebSocket.Server({ server, path: this.options.path });
         this.documents = new Map();
+        this.loading = new Map();
         this.clients = new Map();
         this.cursors = new Map();
-        this.diffTool = new DiffMatchPatch();
+        this.heartbeat = null;
+        this.checkpointTimer = null;
         this.initialize();
     }
 
     // Initialize WebSocket server
     initialize() {
-        this.wss.on('connection', (ws) => {
+        this.wss.on('connection', (ws, req) => {
+            // Browsers cannot set headers on a WebSocket, so the session
+            // token travels in the query string
+            if (this.users) {
+                const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+                try {
+                    ws.user = this.users.authenticate(token);
+                } catch (error) {
+                    ws.close(4401, error.message);
+                    return;
+                }
+            }
+
             const clientId = uuidv4();
             this.clients.set(ws, clientId);
+            ws.isAlive = true;
+
+            ws.on('pong', () => {
+                ws.isAlive = true;
+            });
 
-            ws.on('message', (message) => {
-                this.handleMessage(ws, JSON.parse(message));
+            ws.on('message', async (data) => {
+                let message;
+                try {
+                    message = JSON.parse(data);
+                } catch {
+                    this.send(ws, { type: 'error', message: 'Invalid message format' });
+                    return;
+                }
+                // A bad message must never take the server down with it
+                try {
+                    await this.handleMessage(ws, message);
+                } catch (error) {
+                    console.error('Failed to handle collaboration message:', error);
+                    this.send(ws, { type: 'error', message: 'Failed to handle message' });
+                }
             });
 
             ws.on('close', () => {
@@ -29,53 +72,328 @@ class CollaborationService extends EventEmitter {
             });
 
             // Send initial connection acknowledgment
-            ws.send(JSON.stringify({
+            this.send(ws, {
                 type: 'connected',
                 clientId
-            }));
+            });
         });
+
+        this.startHeartbeat();
+        this.startCheckpoints();
+    }
+
+    // Ping every client periodically and drop the ones that stopped answering
+    startHeartbeat() {
+        this.heartbeat = setInterval(() => {
+            for (const ws of this.wss.clients) {
+                if (!ws.isAlive) {
+                    ws.terminate();
+                    continue;
+                }
+                ws.isAlive = false;
+                ws.ping();
+            }
+        }, this.options.heartbeatInterval);
+
+        this.wss.on('close', () => clearInterval(this.heartbeat));
+    }
+
+    // Periodically persist sessions that have unsaved changes
+    startCheckpoints() {
+        if (!this.storage) return;
+
+        this.checkpointTimer = setInterval(() => {
+            for (const documentId of this.documents.keys()) {
+                this.checkpoint(documentId).catch(() => {});
+            }
+        }, this.options.checkpointInterval);
+    }
+
+    // Disconnect all clients, flush every session and stop accepting connections
+    async close() {
+        clearInterval(this.heartbeat);
+        clearInterval(this.checkpointTimer);
+
+        for (const ws of this.wss.clients) {
+            ws.close(1001, 'Server shutting down');
+        }
+
+        await Promise.allSettled(
+            Array.from(this.documents.entries()).map(async ([documentId, doc]) => {
+                await this.checkpoint(documentId);
+                await this.releaseEditLock(documentId, doc);
+            })
+        );
+
+        return new Promise((resolve, reject) => {
+            this.wss.close((error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    // Load a session, seeding it from storage the first time it is opened
+    async openDocument(documentId) {
+        if (this.documents.has(documentId)) {
+            return this.documents.get(documentId);
+        }
+        if (this.loading.has(documentId)) {
+            return this.loading.get(documentId);
+        }
+
+        const load = (async () => {
+            let stored = null;
+            let readOnly = false;
+            if (this.storage) {
+                const metadata = await this.storage.getMetadata(documentId);
+                readOnly = metadata.workflow?.editable === false;
+                stored = await this.storage.getDocument(documentId);
+            }
+
+            const { content = '', comments = [], ...base } = stored || {};
+            const doc = {
+                clients: new Set(),
+                base,
+                content,
+                version: 0,
+                history: [],
+                historyStart: 0,
+                comments,
+                selections: new Map(),
+                users: new Map(),
+                readOnly,
+                unsavedChanges: 0,
+                contributors: new Map(),
+                saving: null,
+                lock: null
+            };
+
+            this.documents.set(documentId, doc);
+            return doc;
+        })();
+
+        this.loading.set(documentId, load);
+        try {
+            return await load;
+        } finally {
+            this.loading.delete(documentId);
+        }
+    }
+
+    // Freeze or unfreeze a live session, e.g. when a policy is published
+    setReadOnly(documentId, readOnly) {
+        const doc = this.documents.get(documentId);
+        if (!doc) return;
+
+        doc.readOnly = readOnly;
+        this.broadcast(documentId, { type: 'read-only', readOnly });
+    }
+
+    // Record a change that has not been written to storage yet
+    markDirty(doc, username, userId = null) {
+        doc.unsavedChanges++;
+        if (username) doc.contributors.set(username, userId);
+    }
+
+    // Write a session's content and comments to storage as a new version.
+    // The first save takes the document's edit lock, which the session
+    // keeps, renewing it on every checkpoint, until its last client leaves,
+    // so other editors cannot save over it. Clients are told when a save
+    // fails; the changes stay in memory for the next checkpoint.
+    async checkpoint(documentId, reason = 'checkpoint') {
+        const doc = this.documents.get(documentId);
+        if (!this.storage || !doc) return null;
+
+        // Let an in-flight save finish before deciding whether another is needed
+        if (doc.saving) await doc.saving;
+        if (doc.unsavedChanges === 0) {
+            // Keep an idle session's lock from lapsing
+            if (doc.lock) await this.holdEditLock(documentId, doc).catch(() => {});
+            return null;
+        }
+
+        const changes = doc.unsavedChanges;
+        const contributors = Array.from(doc.contributors.keys());
+        const authorIds = new Set(Array.from(doc.contributors.values()).filter(Boolean));
+        const snapshot = {
+            ...doc.base,
+            content: doc.content,
+            comments: doc.comments
+        };
+        const message = `Collaborative ${reason}: ${changes} change${changes === 1 ? '' : 's'}` +
+            (contributors.length > 0 ? ` by ${contributors.join(', ')}` : '');
+
+        // Attribute the version to its author when only one person edited
+        const author = authorIds.size === 1 ? Array.from(authorIds)[0] : undefined;
+
+        doc.saving = (async () => {
+            const lock = await this.holdEditLock(documentId, doc);
+            return this.storage.saveVersion(documentId, snapshot, message, author, { lockToken: lock.token });
+        })();
+        try {
+            const { versionId } = await doc.saving;
+            doc.unsavedChanges -= changes;
+            contributors.forEach(name => doc.contributors.delete(name));
+
+            this.emit('checkpoint', { documentId, versionId, changes, reason });
+            this.broadcast(documentId, { type: 'checkpoint', versionId });
+            return versionId;
+        } catch (error) {
+            console.error('Failed to checkpoint collaboration session:', error);
+            this.emit('checkpoint-failed', { documentId, error });
+            this.broadcast(documentId, {
+                type: 'checkpoint-failed',
+                message: `Changes could not be saved: ${error.message}`
+            });
+            throw error;
+        } finally {
+            doc.saving = null;
+        }
+    }
+
+    // Save a session's pending changes before its document changes
+    // workflow state. A read-only session cannot be saved, so it is skipped
+    // rather than blocking the transition that would unfreeze it.
+    async flush(documentId) {
+        const doc = this.documents.get(documentId);
+        if (!doc || doc.readOnly || (doc.unsavedChanges === 0 && !doc.saving)) return null;
+        return this.checkpoint(documentId, 'workflow checkpoint');
+    }
+
+    // Renew the session's edit lock, or take it if the session has none or
+    // it lapsed. It outlives two checkpoint intervals.
+    async holdEditLock(documentId, doc) {
+        const ttl = this.options.checkpointInterval * 2;
+        if (doc.lock) {
+            try {
+                doc.lock = await this.storage.renewEditLock(documentId, doc.lock.token, { ttl });
+                return doc.lock;
+            } catch {
+                doc.lock = null;
+            }
+        }
+        doc.lock = await this.storage.acquireEditLock(documentId, CollaborationService.LOCK_HOLDER, { ttl });
+        return doc.lock;
+    }
+
+    async releaseEditLock(documentId, doc) {
+        if (!doc.lock) return;
+        const { token } = doc.lock;
+        doc.lock = null;
+        try {
+            await this.storage.releaseEditLock(documentId, token);
+        } catch {
+            // Already expired or broken
+        }
     }
 
-    // Handle incoming messages
+    // Flush a session once its last client has left and drop it from memory
+    async closeDocument(documentId) {
+        const doc = this.documents.get(documentId);
+        try {
+            await this.checkpoint(documentId, 'session end');
+        } catch {
+            // Keep the session in memory so the next checkpoint can retry,
+            // unless its document is frozen and the save can never succeed
+            if (!doc || !doc.readOnly) return;
+            console.warn(`Dropping unsaved changes to read-only document ${documentId}`);
+        }
+
+        if (doc && doc.clients.size === 0) {
+            this.documents.delete(documentId);
+            await this.releaseEditLock(documentId, doc);
+        }
+    }
+
+    // Send a message to a single client if its socket is still open
+    send(ws, message) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    // Check a socket's user against the permission a message type needs
+    authorize(ws, type) {
+        if (!this.users) return true;
+
+        const permission = CollaborationService.MESSAGE_PERMISSIONS[type] || 'read';
+        return this.users.can(ws.user, permission);
+    }
+
+    // Handle incoming messages. Every message names its document, and
+    // anything but a join is refused unless the client has joined it.
     handleMessage(ws, message) {
+        const validate = message && typeof message === 'object' && !Array.isArray(message) &&
+            Object.prototype.hasOwnProperty.call(CollaborationService.MESSAGE_VALIDATORS, message.type)
+            ? CollaborationService.MESSAGE_VALIDATORS[message.type]
+            : null;
+        if (!validate) {
+            this.send(ws, { type: 'error', message: 'Unknown message type' });
+            return;
+        }
+
+        if (!this.authorize(ws, message.type)) {
+            this.send(ws, {
+                type: 'error',
+                message: `Not allowed to send ${message.type} messages`
+            });
+            return;
+        }
+
+        const problem = typeof message.documentId === 'string' && message.documentId
+            ? validate(message)
+            : 'documentId is required';
+        if (problem) {
+            this.send(ws, { type: 'error', message: `Invalid ${message.type} message: ${problem}` });
+            return;
+        }
+
+        if (message.type !== 'join' &&
+            !this.documents.get(message.documentId)?.clients.has(this.clients.get(ws))) {
+            this.send(ws, {
+                type: 'error',
+                message: 'Join the document before sending updates'
+            });
+            return;
+        }
+
         switch (message.type) {
             case 'join':
-                this.handleJoin(ws, message);
-                break;
+                return this.handleJoin(ws, message);
             case 'change':
-                this.handleChange(ws, message);
-                break;
+                return this.handleChange(ws, message);
             case 'cursor':
-                this.handleCursor(ws, message);
-                break;
+                return this.handleCursor(ws, message);
             case 'selection':
-                this.handleSelection(ws, message);
-                break;
+                return this.handleSelection(ws, message);
             case 'comment':
-                this.handleComment(ws, message);
-                break;
+                return this.handleComment(ws, message);
             case 'sync':
-                this.handleSync(ws, message);
-                break;
+                return this.handleSync(ws, message);
         }
     }
 
     // Handle client joining a document
-    handleJoin(ws, { documentId, username }) {
+    async handleJoin(ws, { documentId, username }) {
         const clientId = this.clients.get(ws);
-        
-        if (!this.documents.has(documentId)) {
-            this.documents.set(documentId, {
-                clients: new Set(),
-                content: '',
-                version: 0,
-                comments: [],
-                selections: new Map()
+
+        // Authenticated users are shown under their own name
+        if (ws.user) username = ws.user.displayName;
+
+        let doc;
+        try {
+            doc = await this.openDocument(documentId);
+        } catch (error) {
+            this.send(ws, {
+                type: 'error',
+                message: error.status === 404 ? 'Document not found' : 'Failed to open document'
             });
+            return;
         }
 
-        const doc = this.documents.get(documentId);
+        // The socket may have closed while the document was loading
+        if (!this.clients.has(ws)) return;
+
         doc.clients.add(clientId);
+        doc.users.set(clientId, username);
 
         // Notify other clients
         this.broadcast(documentId, {
@@ -85,41 +403,71 @@ class CollaborationService extends EventEmitter {
         }, [clientId]);
 
         // Send current document state
-        ws.send(JSON.stringify({
+        this.send(ws, {
             type: 'document',
             content: doc.content,
             version: doc.version,
+            readOnly: doc.readOnly,
             comments: doc.comments,
+            users: Array.from(doc.users.entries()),
             cursors: Array.from(this.cursors.entries()),
             selections: Array.from(doc.selections.entries())
-        }));
+        });
     }
 
-    // Handle document changes
-    handleChange(ws, { documentId, changes, version }) {
+    // Handle document changes. Operations are based on the version the client
+    // last saw; anything applied since then is transformed in before applying.
+    handleChange(ws, { documentId, operation, version }) {
         const doc = this.documents.get(documentId);
         const clientId = this.clients.get(ws);
 
-        if (!doc || doc.version !== version) {
-            // Request sync if versions don't match
-            ws.send(JSON.stringify({
+        if (!doc || !Number.isInteger(version) ||
+            version > doc.version || version < doc.historyStart) {
+            // Request sync if the operation cannot be placed in the history
+            this.send(ws, {
                 type: 'sync-required',
                 currentVersion: doc?.version
-            }));
+            });
             return;
         }
 
-        // Apply changes
-        const patches = this.diffTool.patch_fromText(changes);
-        const [newContent] = this.diffTool.patch_apply(patches, doc.content);
-        
-        doc.content = newContent;
+        if (doc.readOnly) {
+            this.send(ws, { type: 'error', message: 'Document is read-only in its current workflow state' });
+            this.send(ws, { type: 'sync-required', currentVersion: doc.version });
+            return;
+        }
+
+        let op;
+        try {
+            op = TextOperation.fromJSON(operation);
+            for (const concurrent of doc.history.slice(version - doc.historyStart)) {
+                [op] = TextOperation.transform(op, concurrent);
+            }
+            doc.content = op.apply(doc.content);
+        } catch (error) {
+            this.send(ws, { type: 'error', message: error.message });
+            this.send(ws, { type: 'sync-required', currentVersion: doc.version });
+            return;
+        }
+
+        doc.history.push(op);
         doc.version++;
+        if (doc.history.length > this.options.maxHistory) {
+            doc.history.shift();
+            doc.historyStart++;
+        }
+        this.markDirty(doc, doc.users.get(clientId), ws.user?.id);
+
+        // Confirm the new version to the sender
+        this.send(ws, {
+            type: 'change-ack',
+            version: doc.version
+        });
 
-        // Broadcast changes to other clients
+        // Broadcast the transformed operation to other clients
         this.broadcast(documentId, {
             type: 'change',
-            changes,
+            operation: op.toJSON(),
             version: doc.version,
             clientId
         }, [clientId]);
@@ -155,16 +503,27 @@ class CollaborationService extends EventEmitter {
         }, [clientId]);
     }
 
-    // Handle comments
-    handleComment(ws, { documentId, comment }) {
+    // Handle comments. Comments are saved with the content, so a read-only
+    // session refuses them like edits.
+    handleComment(ws, { documentId, comment: fields }) {
         const clientId = this.clients.get(ws);
         const doc = this.documents.get(documentId);
-        
+        if (doc.readOnly) {
+            this.send(ws, { type: 'error', message: 'Document is read-only in its current workflow state' });
+            return;
+        }
+        const comment = { ...fields };
+
         comment.id = uuidv4();
         comment.clientId = clientId;
         comment.timestamp = new Date();
+        if (ws.user) {
+            comment.author = ws.user.displayName;
+            comment.authorId = ws.user.id;
+        }
         
         doc.comments.push(comment);
+        this.markDirty(doc, doc.users.get(clientId), ws.user?.id);
 
         this.broadcast(documentId, {
             type: 'comment',
@@ -177,14 +536,16 @@ class CollaborationService extends EventEmitter {
         const doc = this.documents.get(documentId);
         
         if (doc) {
-            ws.send(JSON.stringify({
+            this.send(ws, {
                 type: 'sync',
                 content: doc.content,
                 version: doc.version,
+                readOnly: doc.readOnly,
                 comments: doc.comments,
+                users: Array.from(doc.users.entries()),
                 cursors: Array.from(this.cursors.entries()),
                 selections: Array.from(doc.selections.entries())
-            }));
+            });
         }
     }
 
@@ -201,12 +562,17 @@ class CollaborationService extends EventEmitter {
             if (doc.clients.has(clientId)) {
                 doc.clients.delete(clientId);
                 doc.selections.delete(clientId);
+                doc.users.delete(clientId);
 
                 // Notify other clients
                 this.broadcast(documentId, {
                     type: 'user-left',
                     clientId
                 });
+
+                if (doc.clients.size === 0) {
+                    this.closeDocument(documentId);
+                }
             }
         }
     }
@@ -218,7 +584,7 @@ class CollaborationService extends EventEmitter {
 
         for (const [ws, clientId] of this.clients.entries()) {
             if (doc.clients.has(clientId) && !excludeIds.includes(clientId)) {
-                ws.send(JSON.stringify(message));
+                this.send(ws, message);
             }
         }
     }
@@ -252,14 +618,16 @@ class CollaborationService extends EventEmitter {
         return doc.comments;
     }
 
-    // Add comment to a document
+    // Add comment to a document; null if it has no session or the session
+    // is read-only
     addComment(documentId, comment) {
         const doc = this.documents.get(documentId);
-        if (!doc) return null;
+        if (!doc || doc.readOnly) return null;
 
         comment.id = uuidv4();
         comment.timestamp = new Date();
         doc.comments.push(comment);
+        this.markDirty(doc, comment.author, comment.authorId);
 
         this.broadcast(documentId, {
             type: 'comment',
@@ -272,12 +640,13 @@ class CollaborationService extends EventEmitter {
     // Remove comment from a document
     removeComment(documentId, commentId) {
         const doc = this.documents.get(documentId);
-        if (!doc) return false;
+        if (!doc || doc.readOnly) return false;
 
         const index = doc.comments.findIndex(c => c.id === commentId);
         if (index === -1) return false;
 
         doc.comments.splice(index, 1);
+        this.markDirty(doc);
 
         this.broadcast(documentId, {
             type: 'comment-removed',
@@ -334,4 +703,39 @@ class CollaborationService extends EventEmitter {
     }
 }
 
+// Who a session's edit lock is shown as held by
+CollaborationService.LOCK_HOLDER = 'collaboration';
+
+// Permission required for each message type; anything else needs read access
+CollaborationService.MESSAGE_PERMISSIONS = {
+    join: 'read',
+    change: 'write',
+    comment: 'comment'
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isPosition = (value) => Number.isInteger(value) && value > 0;
+
+// Payload checks for each message type, returning what is wrong or null.
+// documentId is checked for every type before these run.
+CollaborationService.MESSAGE_VALIDATORS = {
+    join: ({ username }) => (username === undefined || typeof username === 'string'
+        ? null : 'username must be a string'),
+    change: ({ operation, version }) => {
+        if (!Array.isArray(operation)) return 'operation must be an array';
+        return Number.isInteger(version) ? null : 'version must be an integer';
+    },
+    cursor: ({ position }) => (isPlainObject(position) &&
+        isPosition(position.lineNumber) && isPosition(position.column)
+        ? null : 'position needs a lineNumber and a column'),
+    selection: ({ range }) => (range === null || range === undefined || (isPlainObject(range) &&
+        ['startLineNumber', 'startColumn', 'endLineNumber', 'endColumn'].every(field => isPosition(range[field])))
+        ? null : 'range needs start and end line numbers and columns, or null'),
+    comment: ({ comment }) => {
+        if (!isPlainObject(comment)) return 'comment must be an object';
+        return comment.text === undefined || typeof comment.text === 'string' ? null : 'comment text must be a string';
+    },
+    sync: () => null
+};
+
 module.exports = CollaborationService;
@@ -0,0 +1,73 @@
+const { diff_match_patch: DiffMatchPatch } = require('diff-match-patch');
+const { parseDocument, flattenSections } = require('./documentMerge');
+
+const diffTool = new DiffMatchPatch();
+
+// Text being blamed in one version of a document: a section's content when
+// sectionId is given, otherwise the content of a plain text document.
+// Returns null when the section does not exist in that version.
+function blameText(document, sectionId = null) {
+    const parsed = parseDocument(document);
+    const sections = parsed && Array.isArray(parsed.sections) ? parsed.sections : null;
+    if (sectionId === null) {
+        if (sections && sections.length > 0) return null;
+        return String((document && document.content) || '');
+    }
+    if (!sections) return null;
+
+    const node = flattenSections(sections).get(String(sectionId));
+    return node ? String(node.fields.content || '') : null;
+}
+
+// Split text into lines, keeping the line endings as diff_linesToChars_ does
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// For each line of text, the index of the same unchanged line in the
+// parent's text, or -1 when the line was added or changed
+function mapLines(parentText, text) {
+    const { chars1, chars2 } = diffTool.diff_linesToChars_(parentText, text);
+    const diffs = diffTool.diff_main(chars1, chars2, false);
+    const mapping = [];
+    let parentLine = 0;
+
+    for (const [type, chars] of diffs) {
+        for (let i = 0; i < chars.length; i++) {
+            if (type === DiffMatchPatch.DIFF_EQUAL) {
+                mapping.push(parentLine++);
+            } else if (type === DiffMatchPatch.DIFF_DELETE) {
+                parentLine++;
+            } else {
+                mapping.push(-1);
+            }
+        }
+    }
+    return mapping;
+}
+
+// Group blamed lines into paragraphs separated by blank lines. Each
+// paragraph is credited to the newest version among its lines.
+function groupParagraphs(lines) {
+    const paragraphs = [];
+    let current = null;
+
+    lines.forEach(line => {
+        if (!line.text.trim()) {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { startLine: line.line, endLine: line.line, text: '', version: line.version };
+            paragraphs.push(current);
+        }
+        current.endLine = line.line;
+        current.text += line.text;
+        if (line.version && (!current.version || line.version.timestamp > current.version.timestamp)) {
+            current.version = line.version;
+        }
+    });
+    return paragraphs;
+}
+
+module.exports = { blameText, splitLines, mapLines, groupParagraphs };
@@ -0,0 +1,310 @@
+const { diff_match_patch: DiffMatchPatch } = require('diff-match-patch');
+const { parseDocument, flattenSections } = require('./documentMerge');
+
+const diffTool = new DiffMatchPatch();
+
+// Distinct tokens one UTF-16 code unit can stand for
+const MAX_TOKENS = 0x10000;
+
+// Encode each distinct token as one character so diff_main compares whole
+// tokens, the way diff_linesToChars_ does for lines. Null when there are
+// more distinct tokens than characters to give them.
+function encodeTokens(tokenLists) {
+    const tokens = [];
+    const codes = new Map();
+    for (const list of tokenLists) {
+        for (const token of list) {
+            if (codes.has(token)) continue;
+            if (tokens.length === MAX_TOKENS) return null;
+            codes.set(token, String.fromCharCode(tokens.length));
+            tokens.push(token);
+        }
+    }
+    const encoded = tokenLists.map(list => list.map(token => codes.get(token)).join(''));
+    return { encoded, tokens };
+}
+
+// Word-level diff of two texts as diff_match_patch tuples [op, text].
+// Texts with too many distinct words are diffed by character instead.
+function diffWords(before, after) {
+    const split = (text) => String(text || '').match(/\s+|[^\s]+/g) || [];
+    const encoding = encodeTokens([split(before), split(after)]);
+    if (!encoding) {
+        const diffs = diffTool.diff_main(String(before || ''), String(after || ''));
+        diffTool.diff_cleanupSemantic(diffs);
+        return diffs.map(([op, text]) => [op, text]);
+    }
+
+    const { encoded: [chars1, chars2], tokens } = encoding;
+    const diffs = diffTool.diff_main(chars1, chars2, false);
+    diffTool.diff_cleanupSemantic(diffs);
+
+    return diffs.map(([op, chars]) => [
+        op,
+        chars.split('').map(c => tokens[c.charCodeAt(0)]).join('')
+    ]);
+}
+
+// Outline numbers ("1", "1.2", ...) by position, for sections that do not
+// carry a stored number
+function outlineNumbers(index) {
+    const numbers = new Map();
+    const assign = (ids, prefix) => ids.forEach((id, position) => {
+        const number = `${prefix}${position + 1}`;
+        numbers.set(id, number);
+        assign(index.get(id).childIds, `${number}.`);
+    });
+    assign(Array.from(index.values()).filter(node => node.parentId === null).map(node => node.id), '');
+    return numbers;
+}
+
+// Ids in `before` order whose order relative to the others changed in
+// `after`; both hold the same ids
+function reorderedIds(before, after) {
+    const encoding = encodeTokens([before, after]);
+    if (!encoding) return outOfSequence(before, after);
+
+    const { encoded: [chars1, chars2], tokens } = encoding;
+    const moved = new Set();
+    diffTool.diff_main(chars1, chars2, false).forEach(([op, chars]) => {
+        if (op === DiffMatchPatch.DIFF_DELETE) {
+            chars.split('').forEach(c => moved.add(tokens[c.charCodeAt(0)]));
+        }
+    });
+    return moved;
+}
+
+// reorderedIds for lists too long to encode: the ids outside a longest
+// run that keeps its order, found by patience sorting their new positions
+function outOfSequence(before, after) {
+    const position = new Map(after.map((id, index) => [id, index]));
+    const positions = before.map(id => position.get(id));
+    // tails[k] ends the run of length k + 1 with the lowest last position
+    const tails = [];
+    const previous = [];
+    positions.forEach((value, i) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (positions[tails[middle]] < value) low = middle + 1;
+            else high = middle;
+        }
+        previous[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+    });
+
+    const kept = new Set();
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) kept.add(before[i]);
+    return new Set(before.filter(id => !kept.has(id)));
+}
+
+// Glossary as a map of term to definition; stored either as a list of
+// { term, definition } entries or as an object keyed by term
+function glossaryEntries(glossary) {
+    const entries = new Map();
+    if (Array.isArray(glossary)) {
+        glossary.forEach(entry => {
+            if (entry && entry.term) entries.set(entry.term, entry.definition || '');
+        });
+    } else if (glossary && typeof glossary === 'object') {
+        Object.entries(glossary).forEach(([term, value]) => {
+            entries.set(term, value && typeof value === 'object' ? value.definition || '' : String(value || ''));
+        });
+    }
+    return entries;
+}
+
+function diffGlossary(before, after) {
+    const changes = [];
+    const old = glossaryEntries(before);
+    const current = glossaryEntries(after);
+
+    current.forEach((definition, term) => {
+        if (!old.has(term)) {
+            changes.push({ type: 'glossary-added', term, definition });
+        } else if (old.get(term) !== definition) {
+            changes.push({ type: 'glossary-changed', term, words: diffWords(old.get(term), definition) });
+        }
+    });
+    old.forEach((definition, term) => {
+        if (!current.has(term)) changes.push({ type: 'glossary-removed', term, definition });
+    });
+    return changes;
+}
+
+// Document-aware comparison of two versions. Sections are matched by id,
+// so the result describes what a reader would notice: sections added,
+// removed, moved, renamed or renumbered, word-level changes to their text
+// and changes to the glossary. Documents without sections are compared
+// as plain text.
+//
+// Returns { structured, summary, changes }. Each change has a type, and
+// section changes carry the section's id, number and title; text changes
+// hold `words` as diff_match_patch tuples [op, text] for rendering a redline.
+function diffDocuments(beforeContent, afterContent) {
+    const withSections = (content) => {
+        const parsed = parseDocument(content);
+        return parsed && Array.isArray(parsed.sections) ? parsed : null;
+    };
+    const before = withSections(beforeContent);
+    const after = withSections(afterContent);
+    const changes = [];
+
+    if ((beforeContent || {}).title !== (afterContent || {}).title) {
+        changes.push({
+            type: 'document-renamed',
+            from: (beforeContent || {}).title,
+            to: (afterContent || {}).title
+        });
+    }
+
+    if (!before || !after) {
+        const text = (content) => String(
+            content && typeof content === 'object' ? content.content || '' : content || ''
+        );
+        if (text(beforeContent) !== text(afterContent)) {
+            changes.push({
+                type: 'text-changed',
+                field: 'content',
+                words: diffWords(text(beforeContent), text(afterContent))
+            });
+        }
+        return { structured: false, summary: summarize(changes), changes };
+    }
+
+    const oldIndex = flattenSections(before.sections);
+    const newIndex = flattenSections(after.sections);
+    const oldNumbers = outlineNumbers(oldIndex);
+    const newNumbers = outlineNumbers(newIndex);
+    const numberOf = (node, numbers) => String(node.fields.number || numbers.get(node.id));
+    const titleOf = (index, id) => (id !== null && index.has(id) ? index.get(id).fields.title : null);
+
+    // Sections still under the same parent whose order among their siblings changed
+    const siblings = (index, parentId) => (parentId === null
+        ? Array.from(index.values()).filter(node => node.parentId === null).map(node => node.id)
+        : index.get(parentId).childIds);
+    const sameParent = (id, parentId) => oldIndex.has(id) && newIndex.has(id) &&
+        oldIndex.get(id).parentId === parentId && newIndex.get(id).parentId === parentId;
+    const parents = new Set(Array.from(newIndex.values())
+        .filter(node => sameParent(node.id, node.parentId))
+        .map(node => node.parentId));
+    const reordered = new Set();
+    parents.forEach(parentId => {
+        const oldOrder = siblings(oldIndex, parentId).filter(id => sameParent(id, parentId));
+        const newOrder = siblings(newIndex, parentId).filter(id => sameParent(id, parentId));
+        reorderedIds(oldOrder, newOrder).forEach(id => reordered.add(id));
+    });
+
+    newIndex.forEach((node, id) => {
+        const section = {
+            sectionId: id,
+            number: numberOf(node, newNumbers),
+            title: node.fields.title
+        };
+        const old = oldIndex.get(id);
+
+        if (!old) {
+            changes.push({
+                type: 'section-added',
+                ...section,
+                parentId: node.parentId,
+                parentTitle: titleOf(newIndex, node.parentId),
+                content: String(node.fields.content || '')
+            });
+            return;
+        }
+
+        if (old.parentId !== node.parentId || reordered.has(id)) {
+            changes.push({
+                type: 'section-moved',
+                ...section,
+                from: { parentId: old.parentId, parentTitle: titleOf(oldIndex, old.parentId) },
+                to: { parentId: node.parentId, parentTitle: titleOf(newIndex, node.parentId) }
+            });
+        }
+        if (old.fields.title !== node.fields.title) {
+            changes.push({
+                type: 'section-renamed',
+                ...section,
+                from: old.fields.title,
+                to: node.fields.title,
+                words: diffWords(old.fields.title, node.fields.title)
+            });
+        }
+        if (numberOf(old, oldNumbers) !== section.number) {
+            changes.push({
+                type: 'section-renumbered',
+                ...section,
+                from: numberOf(old, oldNumbers),
+                to: section.number
+            });
+        }
+        if (String(old.fields.content || '') !== String(node.fields.content || '')) {
+            changes.push({
+                type: 'text-changed',
+                ...section,
+                field: 'content',
+                words: diffWords(old.fields.content, node.fields.content)
+            });
+        }
+    });
+
+    oldIndex.forEach((node, id) => {
+        if (newIndex.has(id)) return;
+        changes.push({
+            type: 'section-removed',
+            sectionId: id,
+            number: numberOf(node, oldNumbers),
+            title: node.fields.title,
+            parentId: node.parentId,
+            parentTitle: titleOf(oldIndex, node.parentId),
+            content: String(node.fields.content || '')
+        });
+    });
+
+    changes.push(...diffGlossary(before.glossary, after.glossary));
+
+    return { structured: true, summary: summarize(changes), changes };
+}
+
+// Sections with ids that `after` no longer has, each with its subsections
+// and where it stood: its parent's id (null at the top level or under a
+// section without one), the ids of the siblings either side of it and its
+// position.
+// A section removed together with its parent travels inside the parent.
+function removedSections(beforeContent, afterContent) {
+    const before = parseDocument(beforeContent);
+    const after = parseDocument(afterContent);
+    if (!before || !Array.isArray(before.sections)) return [];
+    const kept = flattenSections(after && Array.isArray(after.sections) ? after.sections : []);
+    const removed = [];
+
+    const visit = (sections, parentId) => sections.forEach((section, position) => {
+        const id = section.id !== undefined ? String(section.id) : null;
+        if (id !== null && !kept.has(id)) {
+            const idOf = (sibling) => (sibling && sibling.id !== undefined ? String(sibling.id) : null);
+            removed.push({
+                section,
+                parentId,
+                previousId: idOf(sections[position - 1]),
+                nextId: idOf(sections[position + 1]),
+                position
+            });
+            return;
+        }
+        visit(section.children || [], id);
+    });
+    visit(before.sections, null);
+    return removed;
+}
+
+// Number of changes of each type
+function summarize(changes) {
+    return changes.reduce((summary, change) => {
+        summary[change.type] = (summary[change.type] || 0) + 1;
+        return summary;
+    }, {});
+}
+
+module.exports = { diffDocuments, diffWords, outlineNumbers, glossaryEntries, removedSections };
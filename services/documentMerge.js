@@ -0,0 +1,375 @@
+const { diff_match_patch: DiffMatchPatch } = require('diff-match-patch');
+
+const diffTool = new DiffMatchPatch();
+
+// Fields that are recomputed or bookkeeping; they never conflict and follow the target
+const DERIVED_FIELDS = ['number', 'level', 'created', 'modified'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Line-level changes from base to other as hunks over base line ranges:
+// lines [start, end) of base are replaced by `lines`.
+function lineHunks(base, other) {
+    const { chars1, chars2, lineArray } = diffTool.diff_linesToChars_(base, other);
+    const diffs = diffTool.diff_main(chars1, chars2, false);
+    const hunks = [];
+    let line = 0;
+    let current = null;
+
+    for (const [type, chars] of diffs) {
+        if (type === DiffMatchPatch.DIFF_EQUAL) {
+            if (current) hunks.push(current);
+            current = null;
+            line += chars.length;
+            continue;
+        }
+
+        current = current || { start: line, end: line, lines: [] };
+        if (type === DiffMatchPatch.DIFF_DELETE) {
+            current.end += chars.length;
+            line += chars.length;
+        } else {
+            current.lines.push(...chars.split('').map(c => lineArray[c.charCodeAt(0)]));
+        }
+    }
+    if (current) hunks.push(current);
+
+    return { hunks, baseLines: chars1.split('').map(c => lineArray[c.charCodeAt(0)]) };
+}
+
+// Text of base lines [start, end) with the given hunks applied
+function applyHunks(baseLines, hunks, start, end) {
+    const parts = [];
+    let position = start;
+    hunks.forEach(hunk => {
+        parts.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+        position = hunk.end;
+    });
+    parts.push(...baseLines.slice(position, end));
+    return parts.join('');
+}
+
+// Three-way merge of plain text by lines. Changes to separate lines from
+// both sides are combined; overlapping or adjacent changes that differ
+// are a conflict, in which case the target text is kept.
+function mergeText(base, source, target) {
+    base = base || '';
+    source = source || '';
+    target = target || '';
+    if (source === target || source === base) return { merged: target, conflict: false };
+    if (target === base) return { merged: source, conflict: false };
+
+    const { hunks: sourceHunks, baseLines } = lineHunks(base, source);
+    const { hunks: targetHunks } = lineHunks(base, target);
+    const parts = [];
+    let position = 0;
+    let s = 0;
+    let t = 0;
+
+    while (s < sourceHunks.length || t < targetHunks.length) {
+        // Start a region at the earliest hunk and absorb everything touching it
+        const fromSource = t >= targetHunks.length ||
+            (s < sourceHunks.length && sourceHunks[s].start <= targetHunks[t].start);
+        const first = fromSource ? sourceHunks[s++] : targetHunks[t++];
+        const region = { start: first.start, end: first.end };
+        const regionSource = fromSource ? [first] : [];
+        const regionTarget = fromSource ? [] : [first];
+
+        let absorbed = true;
+        while (absorbed) {
+            absorbed = false;
+            if (s < sourceHunks.length && sourceHunks[s].start <= region.end) {
+                region.end = Math.max(region.end, sourceHunks[s].end);
+                regionSource.push(sourceHunks[s++]);
+                absorbed = true;
+            }
+            if (t < targetHunks.length && targetHunks[t].start <= region.end) {
+                region.end = Math.max(region.end, targetHunks[t].end);
+                regionTarget.push(targetHunks[t++]);
+                absorbed = true;
+            }
+        }
+
+        parts.push(baseLines.slice(position, region.start).join(''));
+        const sourceText = applyHunks(baseLines, regionSource, region.start, region.end);
+        const targetText = applyHunks(baseLines, regionTarget, region.start, region.end);
+
+        if (regionTarget.length === 0 || sourceText === targetText) {
+            parts.push(sourceText);
+        } else if (regionSource.length === 0) {
+            parts.push(targetText);
+        } else {
+            return { merged: target, conflict: true };
+        }
+        position = region.end;
+    }
+
+    parts.push(baseLines.slice(position).join(''));
+    return { merged: parts.join(''), conflict: false };
+}
+
+// Index a section tree by id with each section's own fields, its parent,
+// the sibling before it and its children's ids
+function flattenSections(sections = [], parentId = null, index = new Map(), path = '') {
+    sections.forEach((section, position) => {
+        const { children, ...fields } = section;
+        const id = section.id !== undefined ? String(section.id) : `@${path}${position}`;
+        const previous = sections[position - 1];
+
+        index.set(id, {
+            id,
+            fields,
+            parentId,
+            previousId: previous ? String(previous.id !== undefined ? previous.id : `@${path}${position - 1}`) : null,
+            childIds: [],
+            hasChildren: children !== undefined
+        });
+        if (parentId !== null) index.get(parentId).childIds.push(id);
+        flattenSections(children || [], id, index, `${path}${position}.`);
+    });
+    return index;
+}
+
+const rootIds = (index) => Array.from(index.values())
+    .filter(node => node.parentId === null)
+    .map(node => node.id);
+
+// Parse stored content into a document with a section tree, or null for plain text
+function parseDocument(content) {
+    if (content && typeof content === 'object') return content;
+    try {
+        const parsed = JSON.parse(content);
+        return parsed && typeof parsed === 'object' && Array.isArray(parsed.sections) ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+// Three-way merge of two documents that share a common ancestor. Sections
+// are matched by id, so edits to different sections, to a section's title
+// and content, renames, moves and added or removed sections combine on
+// their own. Everything that cannot be combined is returned as a conflict
+// naming the section with the base, source and target values.
+//
+// resolutions maps conflict ids to 'source', 'target', 'base' or, for text
+// fields, { value } with hand-merged text. Unresolved conflicts keep the
+// target's side in the merged result.
+function mergeDocuments(baseContent, sourceContent, targetContent, resolutions = {}) {
+    const base = parseDocument(baseContent);
+    const source = parseDocument(sourceContent);
+    const target = parseDocument(targetContent);
+    const conflicts = [];
+
+    // Record a conflict and return the value chosen for it
+    const conflict = (details, values) => {
+        const id = [details.type, details.sectionId || 'document', details.field]
+            .filter(Boolean)
+            .join(':');
+        const choice = typeof resolutions === 'string' ? resolutions : (resolutions || {})[id];
+        let value = values.target;
+        let resolved = true;
+        if (choice === 'source' || choice === 'target' || choice === 'base') {
+            value = values[choice];
+        } else if (choice && typeof choice === 'object' && 'value' in choice && details.type === 'field') {
+            value = choice.value;
+        } else {
+            resolved = false;
+        }
+
+        conflicts.push({ id, ...details, ...values, resolved });
+        return value;
+    };
+
+    // Merge a map of fields: nested objects key by key, text line by line
+    const mergeFields = (baseFields, sourceFields, targetFields, sectionId, sectionTitle, prefix = '') => {
+        const merged = {};
+        const keys = new Set([
+            ...Object.keys(targetFields),
+            ...Object.keys(sourceFields),
+            ...Object.keys(baseFields)
+        ]);
+
+        keys.forEach(key => {
+            const b = baseFields[key];
+            const s = sourceFields[key];
+            const t = targetFields[key];
+            let value;
+
+            if (isEqual(s, t) || isEqual(s, b)) {
+                value = t;
+            } else if (isEqual(t, b)) {
+                value = s;
+            } else if (DERIVED_FIELDS.includes(key)) {
+                value = t;
+            } else if (isPlainObject(s) && isPlainObject(t) && (b === undefined || isPlainObject(b))) {
+                value = mergeFields(b || {}, s, t, sectionId, sectionTitle, `${prefix}${key}.`);
+            } else {
+                const text = [b, s, t].every(v => v === undefined || typeof v === 'string')
+                    ? mergeText(b, s, t)
+                    : { conflict: true };
+                value = text.conflict
+                    ? conflict(
+                        { type: 'field', sectionId, sectionTitle, field: `${prefix}${key}` },
+                        { base: b, source: s, target: t }
+                    )
+                    : text.merged;
+            }
+
+            if (value !== undefined) merged[key] = value;
+        });
+        return merged;
+    };
+
+    if (!base || !source || !target) {
+        // Plain text: merge the whole content as one field
+        const { content } = mergeFields(
+            { content: String(baseContent || '') },
+            { content: String(sourceContent || '') },
+            { content: String(targetContent || '') },
+            null,
+            null
+        );
+        return { structured: false, content, conflicts };
+    }
+
+    const baseIndex = flattenSections(base.sections);
+    const sourceIndex = flattenSections(source.sections);
+    const targetIndex = flattenSections(target.sections);
+    const titleOf = (id) => {
+        const node = targetIndex.get(id) || sourceIndex.get(id) || baseIndex.get(id);
+        return node ? node.fields.title : null;
+    };
+
+    // Decide which sections survive and merge their fields
+    const result = new Map();
+    const ids = new Set([...targetIndex.keys(), ...sourceIndex.keys()]);
+    ids.forEach(id => {
+        const b = baseIndex.get(id);
+        const s = sourceIndex.get(id);
+        const t = targetIndex.get(id);
+        let side = null;
+
+        if (!s || !t) {
+            const kept = s || t;
+            const keptSide = s ? 'source' : 'target';
+            if (!b) {
+                // Added on one side only
+                side = keptSide;
+            } else if (isEqual(kept.fields, b.fields)) {
+                // Removed on one side and untouched on the other
+                return;
+            } else {
+                // Removed on one side but edited on the other
+                const fields = conflict(
+                    { type: 'delete', sectionId: id, sectionTitle: titleOf(id) },
+                    {
+                        base: b.fields,
+                        source: s ? s.fields : null,
+                        target: t ? t.fields : null
+                    }
+                );
+                if (!fields) return;
+                result.set(id, { ...kept, fields, side: keptSide });
+                return;
+            }
+            result.set(id, { ...kept, side });
+            return;
+        }
+
+        const fields = mergeFields(b ? b.fields : {}, s.fields, t.fields, id, titleOf(id));
+
+        // Work out the parent, and which side's ordering places the section
+        const baseParent = b ? b.parentId : undefined;
+        let parentId;
+        if (s.parentId === t.parentId || s.parentId === baseParent) {
+            parentId = t.parentId;
+        } else if (t.parentId === baseParent) {
+            parentId = s.parentId;
+        } else {
+            parentId = conflict(
+                { type: 'move', sectionId: id, sectionTitle: titleOf(id) },
+                { base: baseParent ?? null, source: s.parentId, target: t.parentId }
+            );
+        }
+
+        const movedInSource = !b || s.parentId !== b.parentId || s.previousId !== b.previousId;
+        const movedInTarget = !b || t.parentId !== b.parentId || t.previousId !== b.previousId;
+        if (parentId !== t.parentId) side = 'source';
+        else if (parentId !== s.parentId) side = 'target';
+        else side = movedInSource && !movedInTarget ? 'source' : 'target';
+
+        result.set(id, {
+            id,
+            fields,
+            parentId,
+            hasChildren: s.hasChildren || t.hasChildren,
+            side
+        });
+    });
+
+    // Sections whose parent was removed move up to the nearest surviving ancestor
+    result.forEach(node => {
+        let parentId = node.parentId;
+        while (parentId !== null && !result.has(parentId)) {
+            const ancestor = baseIndex.get(parentId) || sourceIndex.get(parentId) ||
+                targetIndex.get(parentId);
+            parentId = ancestor ? ancestor.parentId : null;
+        }
+        node.parentId = parentId;
+    });
+
+    // Order each parent's children: the target's order, with sections the
+    // source placed inserted after their previous sibling in the source
+    const orderChildren = (parentId) => {
+        const listFor = (index) => (parentId === null
+            ? rootIds(index)
+            : (index.get(parentId) ? index.get(parentId).childIds : []));
+        const belongs = (id, side) => result.has(id) && result.get(id).parentId === parentId &&
+            result.get(id).side === side;
+
+        const order = listFor(targetIndex).filter(id => belongs(id, 'target'));
+        const sourceOrder = listFor(sourceIndex);
+        sourceOrder.forEach((id, position) => {
+            if (!belongs(id, 'source') || order.includes(id)) return;
+            let at = 0;
+            for (let i = position - 1; i >= 0; i--) {
+                const found = order.indexOf(sourceOrder[i]);
+                if (found !== -1) {
+                    at = found + 1;
+                    break;
+                }
+            }
+            order.splice(at, 0, id);
+        });
+
+        // Anything placed by a side that does not list it under this parent
+        result.forEach(node => {
+            if (node.parentId === parentId && !order.includes(node.id)) order.push(node.id);
+        });
+        return order;
+    };
+
+    const build = (parentId) => orderChildren(parentId).map(id => {
+        const node = result.get(id);
+        const children = build(id);
+        return node.hasChildren || children.length > 0
+            ? { ...node.fields, children }
+            : { ...node.fields };
+    });
+
+    const { sections: baseSections, ...baseFields } = base;
+    const { sections: sourceSections, ...sourceFields } = source;
+    const { sections: targetSections, ...targetFields } = target;
+
+    return {
+        structured: true,
+        content: {
+            ...mergeFields(baseFields, sourceFields, targetFields, null, null),
+            sections: build(null)
+        },
+        conflicts
+    };
+}
+
+module.exports = { mergeText, mergeDocuments, flattenSections, parseDocument };
@@ -1,33 +1,115 @@
-const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { diff_match_patch: DiffMatchPatch } = require('diff-match-patch');
-const { createHash } = require('crypto');
+const { diffDocuments, removedSections } = require('./documentDiff');
+const { ALGORITHM, BUNDLE_FORMAT, contentHash, chainHash, verifyChain } = require('./hashChain');
+const FileStorageBackend = require('./fileStorageBackend');
+const SqliteStorageBackend = require('./sqliteStorageBackend');
+const LockManager = require('./lockManager');
+const AuditLog = require('./auditLog');
+const { SearchIndex, parseQuery, isEmptyQuery } = require('./searchIndex');
+const { EncryptedBackend, assertUnencrypted } = require('./storageEncryption');
+const { writeArchive, readArchive, readJSON, isSafePath, paths: archivePaths } = require('./policyArchive');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
 
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAIN_BRANCH = 'main';
+// What importArchive() does with a document already in the store
+const IMPORT_CONFLICT_MODES = ['fail', 'skip', 'copy', 'replace'];
+const BACKENDS = {
+    file: FileStorageBackend,
+    sqlite: SqliteStorageBackend
+};
+
+// Versions are stored as deltas against their first parent, with a full
+// snapshot whenever the delta chain reaches options.snapshotInterval, so a
+// save costs the size of the edit rather than of the document. getVersion
+// rebuilds a version from the nearest snapshot; rebuilt documents are kept
+// in a small cache since versions never change. Version files written
+// before deltas existed hold the full document and read as snapshots.
+//
+// Records are kept by a storage backend chosen with options.backend:
+// 'file' (JSON files, the default) or 'sqlite' (one database), or a backend
+// instance. With options.encryption ({ keySource, keyFile, passphrase })
+// every record is encrypted on its way to the backend (see
+// EncryptedBackend); without it, an encrypted store is refused. Changes
+// touching several records (version, document and metadata) are committed
+// together. initialize() recovers from interrupted
+// writes and runs fsck() to repair whatever an older release or a crash
+// left inconsistent. Changes run under a per-document lock shared with
+// other processes (see LockManager).
+//
+// Deleting a document marks its metadata (metadata.deleted) rather than
+// removing it: a deleted document reads as not found everywhere except the
+// trash (see TrashService) until it is restored or purged. Sections with
+// ids that a save on the main line removes go to metadata.trashedSections
+// with their place in the outline.
+//
+// searchDocuments() answers from an in-memory SearchIndex, built from the
+// store on the first search. Every commit marks the documents it wrote, and
+// only those are re-indexed before the next search. Writes made by other
+// processes are not seen until restart; the scripts that share the store
+// while the server runs only rewrite versions.
 class DocumentStorageService {
-    constructor(baseDir) {
+    constructor(baseDir, options = {}) {
         this.baseDir = baseDir;
-        this.documentsDir = path.join(baseDir, 'documents');
-        this.versionsDir = path.join(baseDir, 'versions');
-        this.metadataDir = path.join(baseDir, 'metadata');
-        this.lockFile = path.join(baseDir, 'locks.json');
+        this.options = {
+            snapshotInterval: 20,
+            cacheSize: 200,
+            checkOnStart: true,
+            backend: 'file',
+            encryption: null,
+            // LockManager options: lifetimes and waits
+            locks: {},
+            // SearchIndex options: field weights and snippet size
+            search: {},
+            ...options
+        };
+        const backend = this.createBackend(this.options.backend);
+        this.backend = this.options.encryption
+            ? new EncryptedBackend(backend, baseDir, this.options.encryption)
+            : backend;
+        this.locks = new LockManager(this.backend.lockTable, this.options.locks);
+        this.audit = new AuditLog(path.join(baseDir, 'audit.log'), {
+            key: this.options.encryption ? () => this.backend.key : null
+        });
+        this.searchIndex = new SearchIndex(this.options.search);
+        this.searchReady = null;
+        // Documents written since they were last indexed
+        this.staleSearch = new Set();
         this.diffTool = new DiffMatchPatch();
+        // Rebuilt version documents as JSON, least recently used first
+        this.versionCache = new Map();
         this.initialize();
     }
 
-    // Initialize storage directories
-    async initialize() {
+    createBackend(backend) {
+        if (typeof backend !== 'string') return backend;
+        if (!BACKENDS[backend]) {
+            throw new ValidationError(`Unknown storage backend "${backend}"`, Object.keys(BACKENDS));
+        }
+        return new BACKENDS[backend](this.baseDir);
+    }
+
+    // Initialize the backend and recover from any interrupted writes. Runs
+    // once however often it is called.
+    initialize() {
+        if (!this.ready) this.ready = this.setup();
+        return this.ready;
+    }
+
+    async setup() {
         try {
-            await fs.mkdir(this.baseDir, { recursive: true });
-            await fs.mkdir(this.documentsDir, { recursive: true });
-            await fs.mkdir(this.versionsDir, { recursive: true });
-            await fs.mkdir(this.metadataDir, { recursive: true });
-            
-            // Initialize locks file if it doesn't exist
-            try {
-                await fs.access(this.lockFile);
-            } catch {
-                await fs.writeFile(this.lockFile, JSON.stringify({}));
+            if (!this.options.encryption) await assertUnencrypted(this.baseDir);
+            await this.backend.initialize();
+            await this.locks.initialize();
+
+            if (this.options.checkOnStart) {
+                const report = await this.fsck();
+                if (report.problems.length > 0 || report.journalReplayed > 0) {
+                    console.warn(`Storage check: ${this.describeReport(report)}`);
+                    report.problems.forEach(problem => console.warn(`  ${problem.message}`));
+                }
             }
         } catch (error) {
             console.error('Failed to initialize storage:', error);
@@ -37,11 +119,61 @@ class DocumentStorageService {
 
     // Generate document hash for version control
     generateHash(content) {
-        return createHash('sha256').update(JSON.stringify(content)).digest('hex');
+        return contentHash(content);
+    }
+
+    // Refuse ids that are not uuids before they reach the backend
+    assertId(id, kind) {
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+            throw new NotFoundError(`${kind} not found`);
+        }
+    }
+
+    // Resolve the on-disk path for an id, refusing anything that is not a uuid
+    resolvePath(dir, id, kind) {
+        this.assertId(id, kind);
+        return path.join(dir, `${id}.json`);
+    }
+
+    // Validate the shape of a document before it is written
+    validateDocument(document) {
+        const errors = [];
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            throw new ValidationError('Document must be an object');
+        }
+        if (typeof document.title !== 'string' || !document.title.trim()) {
+            errors.push('title is required');
+        }
+        if (document.sections !== undefined && !Array.isArray(document.sections)) {
+            errors.push('sections must be an array');
+        }
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid document', errors);
+        }
     }
 
-    // Create a new document
-    async createDocument(document) {
+    // Refuse edits to documents whose workflow state is frozen
+    assertEditable(metadata) {
+        if (metadata.workflow && metadata.workflow.editable === false) {
+            throw new ConflictError(
+                `Document is ${metadata.workflow.state} and cannot be edited until it returns to draft`
+            );
+        }
+    }
+
+    // Add a user to a contributor list once
+    addContributor(contributors, userId) {
+        if (!userId || userId === 'default' || contributors.includes(userId)) {
+            return contributors;
+        }
+        return [...contributors, userId];
+    }
+
+    // Create a document, optionally straight into a folder and with its
+    // review schedule ({ owner, reviewCycle, nextReviewDate }) set
+    async createDocument(document, userId = 'default', { folderId = null, schedule = {} } = {}) {
+        this.validateDocument(document);
+
         const docId = uuidv4();
         const timestamp = new Date().toISOString();
         const versionId = uuidv4();
@@ -51,35 +183,34 @@ class DocumentStorageService {
             title: document.title,
             created: timestamp,
             modified: timestamp,
+            createdBy: userId,
             currentVersion: versionId,
             versions: [{
                 id: versionId,
                 timestamp,
                 hash: this.generateHash(document),
-                message: 'Initial version'
+                author: userId,
+                message: 'Initial version',
+                parents: []
             }],
-            contributors: document.metadata?.contributors || [],
-            tags: document.metadata?.tags || []
+            contributors: this.addContributor(document.metadata?.contributors || [], userId),
+            tags: document.metadata?.tags || [],
+            owner: userId === 'default' ? null : userId,
+            reviewCycle: null,
+            nextReviewDate: null,
+            lastReviewed: null,
+            ...schedule,
+            ...(folderId ? { folderId } : {})
         };
+        this.sealEntry(metadata, metadata.versions[0]);
 
         try {
-            // Save document content
-            await fs.writeFile(
-                path.join(this.documentsDir, `${docId}.json`),
-                JSON.stringify(document, null, 2)
-            );
-
-            // Save initial version
-            await fs.writeFile(
-                path.join(this.versionsDir, `${versionId}.json`),
-                JSON.stringify({ document, parent: null })
-            );
-
-            // Save metadata
-            await fs.writeFile(
-                path.join(this.metadataDir, `${docId}.json`),
-                JSON.stringify(metadata, null, 2)
-            );
+            // Save the initial version, document content and metadata together
+            await this.commit([
+                await this.prepareVersion(versionId, document),
+                this.documentWrite(docId, document),
+                this.metadataWrite(docId, metadata)
+            ]);
 
             return { docId, versionId, metadata };
         } catch (error) {
@@ -88,291 +219,1356 @@ class DocumentStorageService {
         }
     }
 
-    // Save a new version of a document
-    async saveVersion(docId, document, message = '') {
-        const lock = await this.acquireLock(docId);
-        if (!lock) throw new Error('Document is locked by another user');
+    // Save a new version of a document. Versions go onto the main line
+    // unless options.branch names another branch; options.parents records
+    // extra parents, as merges do. While someone holds the document's edit
+    // lock, options.lockToken must be its token.
+    async saveVersion(docId, document, message = '', userId = 'default', options = {}) {
+        const { branch = MAIN_BRANCH, parents = null, lockToken = null } = options;
+        this.validateDocument(document);
+        await this.getMetadata(docId);
 
-        try {
+        return this.withLock(docId, userId, async () => {
             const metadata = await this.getMetadata(docId);
-            const currentVersion = await this.getVersion(metadata.currentVersion);
-            const newContent = JSON.stringify(document);
-            const currentContent = JSON.stringify(currentVersion.document);
+            if (branch === MAIN_BRANCH) this.assertEditable(metadata);
+            return this.commitVersion(docId, metadata, document, { message, userId, branch, parents });
+        }, { lockToken, content: true });
+    }
 
-            // Generate diff
-            const diff = this.diffTool.patch_make(currentContent, newContent);
-            const hash = this.generateHash(document);
+    // Record a new version of a document on a branch. The caller holds the
+    // document's lock and has checked the change is allowed.
+    async commitVersion(docId, metadata, document, {
+        message = '',
+        userId = 'default',
+        branch = MAIN_BRANCH,
+        parents = null
+    } = {}) {
+        const head = this.getBranches(metadata)[branch];
+        if (!head) throw new NotFoundError('Branch not found');
 
-            // Check if there are actual changes
-            if (hash === metadata.versions[metadata.versions.length - 1].hash) {
-                return { versionId: metadata.currentVersion, metadata };
-            }
+        const hash = this.generateHash(document);
 
-            const versionId = uuidv4();
-            const timestamp = new Date().toISOString();
+        // Check if there are actual changes; merges are always recorded
+        if (!parents && hash === this.getEntry(metadata, head).hash) {
+            return { versionId: head, metadata, unchanged: true };
+        }
 
-            // Save new version
-            await fs.writeFile(
-                path.join(this.versionsDir, `${versionId}.json`),
-                JSON.stringify({
-                    document,
-                    parent: metadata.currentVersion,
-                    diff: diff
-                })
-            );
+        const versionId = uuidv4();
+        const timestamp = new Date().toISOString();
 
-            // Update document content
-            await fs.writeFile(
-                path.join(this.documentsDir, `${docId}.json`),
-                JSON.stringify(document, null, 2)
-            );
+        // Save new version as a delta against the branch head
+        const writes = [await this.prepareVersion(versionId, document, { parent: head, parents })];
+        let trashed = [];
 
-            // Update metadata
-            metadata.modified = timestamp;
+        if (branch === MAIN_BRANCH) {
+            // Update document content
+            trashed = await this.trashRemovedSections(docId, metadata, document, { userId, versionId, timestamp });
+            writes.push(this.documentWrite(docId, document));
             metadata.currentVersion = versionId;
-            metadata.versions.push({
-                id: versionId,
-                timestamp,
-                hash,
-                message
+        } else {
+            metadata.branches[branch] = versionId;
+        }
+
+        // Update metadata
+        metadata.modified = timestamp;
+        metadata.versions.push(this.sealEntry(metadata, {
+            id: versionId,
+            timestamp,
+            hash,
+            author: userId,
+            message,
+            parents: parents || [head],
+            ...(branch === MAIN_BRANCH ? {} : { branch })
+        }));
+        metadata.contributors = this.addContributor(metadata.contributors, userId);
+
+        writes.push(this.metadataWrite(docId, metadata));
+        await this.commit(writes);
+        await this.recordTrashedSections(docId, trashed);
+
+        return { versionId, metadata };
+    }
+
+    // Move the sections that the new content of a document drops from its
+    // current content into metadata.trashedSections, returning the entries
+    async trashRemovedSections(docId, metadata, document, { userId, versionId, timestamp }) {
+        const previous = await this.backend.get('document', docId);
+        const entries = removedSections(previous, document).map(removed => ({
+            id: uuidv4(),
+            sectionId: String(removed.section.id),
+            title: removed.section.title || '',
+            section: removed.section,
+            parentId: removed.parentId,
+            previousId: removed.previousId,
+            nextId: removed.nextId,
+            position: removed.position,
+            deletedAt: timestamp,
+            deletedBy: userId,
+            versionId
+        }));
+        if (entries.length > 0) metadata.trashedSections = [...(metadata.trashedSections || []), ...entries];
+        return entries;
+    }
+
+    async recordTrashedSections(docId, entries) {
+        for (const entry of entries) {
+            await this.audit.record('section-deleted', entry.deletedBy, {
+                documentId: docId,
+                sectionId: entry.sectionId,
+                title: entry.title,
+                trashId: entry.id,
+                versionId: entry.versionId
             });
+        }
+    }
 
-            await fs.writeFile(
-                path.join(this.metadataDir, `${docId}.json`),
-                JSON.stringify(metadata, null, 2)
-            );
+    // The history entry for a version of the document
+    getEntry(metadata, versionId) {
+        const entry = metadata.versions.find(v => v.id === versionId);
+        if (!entry) throw new NotFoundError('Version not found');
+        return entry;
+    }
 
-            return { versionId, metadata };
-        } finally {
-            await this.releaseLock(docId);
+    // The entry the document's current content was saved as
+    getCurrentEntry(metadata) {
+        return this.getEntry(metadata, metadata.currentVersion);
+    }
+
+    // Parents of a history entry. Entries written before branching existed
+    // form a single line, so their parent is the entry before them.
+    getParents(metadata, index) {
+        const entry = metadata.versions[index];
+        if (entry.parents) return entry.parents;
+        return index > 0 ? [metadata.versions[index - 1].id] : [];
+    }
+
+    // Branch heads by name; main always follows the current version
+    getBranches(metadata) {
+        return { ...(metadata.branches || {}), [MAIN_BRANCH]: metadata.currentVersion };
+    }
+
+    // Point a branch at a version, or delete it when versionId is null
+    async setBranch(docId, name, versionId, userId = 'default') {
+        if (name === MAIN_BRANCH) {
+            throw new ConflictError('The main branch cannot be moved or deleted');
         }
+        return this.updateRefs(docId, userId, metadata => {
+            metadata.branches = { ...(metadata.branches || {}) };
+            if (versionId === null) {
+                delete metadata.branches[name];
+            } else {
+                this.getEntry(metadata, versionId);
+                metadata.branches[name] = versionId;
+            }
+        });
     }
 
-    // Get a specific version of a document
-    async getVersion(versionId) {
+    // Add or remove a named tag on a version
+    async setVersionTag(docId, name, tag, userId = 'default') {
+        return this.updateRefs(docId, userId, metadata => {
+            metadata.versionTags = { ...(metadata.versionTags || {}) };
+            if (tag === null) {
+                delete metadata.versionTags[name];
+            } else {
+                this.getEntry(metadata, tag.versionId);
+                metadata.versionTags[name] = tag;
+            }
+        });
+    }
+
+    // Change branch or tag references under the document lock
+    async updateRefs(docId, userId, update) {
+        return this.withLock(docId, userId, async () => {
+            const metadata = await this.getMetadata(docId);
+            update(metadata);
+            await this.writeMetadata(docId, metadata);
+            return metadata;
+        });
+    }
+
+    // Store records ([{ kind, id, value }]) all or nothing, then cache the
+    // versions among them that come with their JSON and mark the documents
+    // for re-indexing
+    // Metadata is written with its listing, which backends that keep
+    // summaries list documents from
+    async commit(writes) {
+        await this.backend.commit(writes.map(({ kind, id, value }) => (kind === 'metadata'
+            ? { kind, id, value, summary: this.listingOf(value) }
+            : { kind, id, value })));
+        writes.forEach(write => {
+            if (write.kind === 'version') {
+                if (write.json !== undefined) this.cacheVersion(write.id, write.json);
+            } else if (write.kind === 'document' || write.kind === 'metadata') {
+                this.staleSearch.add(write.id);
+            }
+        });
+    }
+
+    documentWrite(docId, document) {
+        return { kind: 'document', id: docId, value: document };
+    }
+
+    metadataWrite(docId, metadata) {
+        return { kind: 'metadata', id: docId, value: metadata };
+    }
+
+    // A document's acknowledgement requests (see AttestationService)
+    attestationWrite(docId, record) {
+        return { kind: 'attestation', id: docId, value: record };
+    }
+
+    // A library folder (see FolderService)
+    folderWrite(folder) {
+        return { kind: 'folder', id: folder.id, value: folder };
+    }
+
+    async writeMetadata(docId, metadata) {
+        await this.commit([this.metadataWrite(docId, metadata)]);
+    }
+
+    // Write a version record on its own
+    async writeVersion(versionId, document, options = {}) {
+        const prepared = await this.prepareVersion(versionId, document, options);
+        await this.commit([prepared]);
+        return prepared.value;
+    }
+
+    // Build a version record: a delta against the parent, or a full snapshot
+    // for a first version and whenever the delta chain gets too long
+    async prepareVersion(versionId, document, { parent = null, parents = null } = {}) {
+        const json = JSON.stringify(document);
+        let record = { document, parent, depth: 0 };
+
+        if (parent) {
+            const base = await this.readVersionRecord(parent);
+            const depth = (base.depth || 0) + 1;
+            if (depth < this.options.snapshotInterval) {
+                const diffs = this.diffTool.diff_main(await this.getVersionJSON(parent, base), json);
+                record = { base: parent, delta: this.diffTool.diff_toDelta(diffs), parent, depth };
+            }
+        }
+        if (parents) record.parents = parents;
+
+        return { kind: 'version', id: versionId, value: record, json };
+    }
+
+    // A version record as stored, without rebuilding deltas
+    async readVersionRecord(versionId) {
+        this.assertId(versionId, 'Version');
+        let record;
         try {
-            const versionPath = path.join(this.versionsDir, `${versionId}.json`);
-            const versionData = JSON.parse(await fs.readFile(versionPath, 'utf8'));
-            return versionData;
+            record = await this.backend.get('version', versionId);
         } catch (error) {
             console.error('Failed to get version:', error);
             throw error;
         }
+        if (!record) throw new NotFoundError('Version not found');
+        return record;
+    }
+
+    cacheVersion(versionId, json) {
+        this.versionCache.delete(versionId);
+        this.versionCache.set(versionId, json);
+        if (this.versionCache.size > this.options.cacheSize) {
+            this.versionCache.delete(this.versionCache.keys().next().value);
+        }
+    }
+
+    // The document JSON of a version, applying deltas forward from the
+    // nearest snapshot or cached version. With cache false everything is
+    // read from disk and the cache is left alone.
+    async getVersionJSON(versionId, record = null, { cache = true } = {}) {
+        const chain = [];
+        let id = versionId;
+        let json;
+
+        for (;;) {
+            if (cache && this.versionCache.has(id)) {
+                json = this.versionCache.get(id);
+                break;
+            }
+            const current = chain.length === 0 && record ? record : await this.readVersionRecord(id);
+            if (current.delta === undefined) {
+                json = JSON.stringify(current.document);
+                if (cache) this.cacheVersion(id, json);
+                break;
+            }
+            chain.push({ id, delta: current.delta });
+            id = current.base;
+        }
+
+        for (let i = chain.length - 1; i >= 0; i--) {
+            json = this.diffTool.diff_text2(this.diffTool.diff_fromDelta(json, chain[i].delta));
+            if (cache) this.cacheVersion(chain[i].id, json);
+        }
+        return json;
+    }
+
+    // Get a specific version of a document
+    async getVersion(versionId, options = {}) {
+        const record = await this.readVersionRecord(versionId);
+        if (record.delta === undefined) return record;
+
+        const { base, delta, ...version } = record;
+        return { ...version, document: JSON.parse(await this.getVersionJSON(versionId, record, options)) };
     }
 
-    // Get document metadata
-    async getMetadata(docId) {
+    // Rewrite the versions of every document as deltas with snapshots every
+    // snapshotInterval versions, converting full copies left by older
+    // releases, and delete versions no document refers to. Unreferenced
+    // versions younger than minAge may belong to a save in progress and are kept.
+    async compact({ dryRun = false, minAge = 60 * 60 * 1000 } = {}) {
+        const stats = {
+            documents: 0,
+            versions: 0,
+            snapshots: 0,
+            deltas: 0,
+            removed: 0,
+            bytesBefore: 0,
+            bytesAfter: 0
+        };
+        const referenced = new Set();
+        const sizeOf = async (versionId) => (await this.backend.info('version', versionId)).size;
+
+        for (const docId of await this.backend.list('metadata')) {
+            const lock = dryRun ? null : await this.locks.acquire(docId, 'compaction', { purpose: 'compaction' });
+            const stopHeartbeat = lock ? this.locks.keepAlive(lock) : () => {};
+
+            try {
+                const metadata = await this.getMetadata(docId, { includeDeleted: true });
+                stats.documents++;
+
+                // Oldest first, so each base is rewritten before the versions built on it
+                for (let i = 0; i < metadata.versions.length; i++) {
+                    const versionId = metadata.versions[i].id;
+                    const parents = this.getParents(metadata, i);
+                    referenced.add(versionId);
+                    stats.versions++;
+                    stats.bytesBefore += await sizeOf(versionId);
+
+                    if (dryRun) continue;
+                    const document = JSON.parse(await this.getVersionJSON(versionId));
+                    const record = await this.writeVersion(versionId, document, {
+                        parent: parents[0] || null,
+                        parents: parents.length > 1 ? parents : null
+                    });
+                    stats[record.delta === undefined ? 'snapshots' : 'deltas']++;
+                    stats.bytesAfter += await sizeOf(versionId);
+                }
+            } finally {
+                stopHeartbeat();
+                if (lock) await this.locks.release(docId, lock.token);
+            }
+        }
+
+        for (const versionId of await this.backend.list('version')) {
+            if (referenced.has(versionId)) continue;
+
+            const info = await this.backend.info('version', versionId);
+            if (Date.now() - info.modified < minAge) continue;
+
+            stats.removed++;
+            stats.bytesBefore += info.size;
+            if (!dryRun) {
+                await this.backend.remove('version', versionId);
+                this.versionCache.delete(versionId);
+            }
+        }
+
+        return stats;
+    }
+
+    // Check the store for damage left by crashes or older releases and,
+    // with repair, fix what can be fixed:
+    //  - let the backend recover: the file backend replays committed journal
+    //    entries, removes stray temporary files and resets an unreadable
+    //    lock file
+    //  - drop history entries at the tips of a history whose version is
+    //    missing, moving branch heads back to the nearest surviving parent
+    //  - rewrite a document that is missing, unreadable or does not match
+    //    its current version
+    //  - set aside unreadable metadata, and documents or versions that no
+    //    metadata refers to (lost+found/ for files, the lost_found table
+    //    for SQLite)
+    // Anything else, such as a missing version in the middle of a history,
+    // is reported but left alone. Only run it while no other process is
+    // writing to the store.
+    async fsck({ repair = true } = {}) {
+        const recovery = await this.backend.recover({ repair });
+        const report = {
+            checked: new Date().toISOString(),
+            repair,
+            documents: 0,
+            versions: 0,
+            journalReplayed: recovery.journalReplayed,
+            tempFiles: recovery.tempFiles,
+            problems: [...recovery.problems]
+        };
+        const problem = (type, message, details = {}, repaired = repair) => {
+            report.problems.push({ type, message, ...details, repaired });
+        };
+
+        const versionIds = new Set(await this.backend.list('version'));
+        const documentIds = new Set();
+        const referenced = new Set();
+        const unsummarized = new Set((await this.backend.listSummaries() || [])
+            .filter(({ summary }) => !summary)
+            .map(({ id }) => id));
+
+        for (const docId of await this.backend.list('metadata')) {
+            let metadata;
+            try {
+                metadata = await this.backend.get('metadata', docId);
+                if (!Array.isArray(metadata.versions)) throw new Error('Metadata has no version list');
+            } catch (error) {
+                problem('unreadable-metadata', `Metadata of ${docId} cannot be read: ${error.message}`, { documentId: docId });
+                if (repair) {
+                    await this.backend.quarantine('metadata', docId);
+                    await this.backend.quarantine('document', docId);
+                }
+                continue;
+            }
+
+            documentIds.add(docId);
+            report.documents++;
+            report.versions += metadata.versions.length;
+            metadata.versions.forEach(entry => referenced.add(entry.id));
+            await this.checkDocument(docId, metadata, versionIds, problem, repair);
+
+            // Write the listing summary the backend is missing; not a problem
+            if (repair && unsummarized.has(docId)) {
+                const current = await this.backend.get('metadata', docId);
+                if (current) await this.writeMetadata(docId, current);
+            }
+        }
+
+        for (const docId of await this.backend.list('document')) {
+            if (documentIds.has(docId)) continue;
+            problem('orphaned-document', `Document ${docId} has no metadata`, { documentId: docId });
+            if (repair) await this.backend.quarantine('document', docId);
+        }
+        for (const versionId of versionIds) {
+            if (referenced.has(versionId)) continue;
+            problem('orphaned-version', `Version ${versionId} belongs to no document`, { versionId });
+            if (repair) await this.backend.quarantine('version', versionId);
+        }
+
+        return report;
+    }
+
+    // Check one document's history and content against the stored records
+    async checkDocument(docId, metadata, versionIds, problem, repair) {
+        const missing = new Set(metadata.versions
+            .filter(entry => !versionIds.has(entry.id))
+            .map(entry => entry.id));
+
+        if (missing.size > 0) {
+            const dropped = this.droppableEntries(metadata, missing);
+
+            metadata.versions
+                .filter(entry => missing.has(entry.id))
+                .forEach(entry => problem(
+                    'missing-version',
+                    dropped.has(entry.id)
+                        ? `Version ${entry.id} of ${docId} is missing; it is dropped from the history`
+                        : `Version ${entry.id} of ${docId} is missing`,
+                    { documentId: docId, versionId: entry.id },
+                    repair && dropped.has(entry.id)
+                ));
+
+            if (dropped.size > 0 && repair) {
+                this.dropEntries(metadata, dropped);
+                await this.writeMetadata(docId, metadata);
+            }
+            // Without the current version there is nothing to compare with
+            if (missing.has(metadata.currentVersion)) return;
+        }
+
+        const current = metadata.versions.find(entry => entry.id === metadata.currentVersion);
+        if (!current) {
+            problem('missing-current-version', `The current version of ${docId} is not in its history`,
+                { documentId: docId }, false);
+            return;
+        }
+
+        let stored = null;
+        try {
+            stored = await this.backend.get('document', docId);
+        } catch {
+            stored = null;
+        }
+        if (stored && this.generateHash(stored) === current.hash) return;
+
+        let document = null;
+        try {
+            document = JSON.parse(await this.getVersionJSON(current.id, null, { cache: false }));
+        } catch {
+            document = null;
+        }
+        const details = { documentId: docId, versionId: current.id };
+        if (!document || this.generateHash(document) !== current.hash) {
+            problem('content-mismatch', `Neither the document nor version ${current.id} of ${docId} matches its recorded hash`,
+                details, false);
+            return;
+        }
+
+        problem(
+            stored ? 'document-mismatch' : 'unreadable-document',
+            stored
+                ? `Document ${docId} does not match its current version`
+                : `Document ${docId} is missing or unreadable`,
+            details
+        );
+        if (repair) await this.commit([this.documentWrite(docId, document)]);
+    }
+
+    // History entries with missing versions that no surviving entry descends
+    // from. Dropping one can free its parent, so this repeats until stable.
+    // Returns an empty set when nothing would be left.
+    droppableEntries(metadata, missing) {
+        const dropped = new Set();
+        for (let changed = true; changed;) {
+            changed = false;
+            const parentIds = new Set();
+            metadata.versions.forEach((entry, index) => {
+                if (!dropped.has(entry.id)) this.getParents(metadata, index).forEach(id => parentIds.add(id));
+            });
+            metadata.versions
+                .filter(entry => missing.has(entry.id) && !dropped.has(entry.id) && !parentIds.has(entry.id))
+                .forEach(entry => {
+                    dropped.add(entry.id);
+                    changed = true;
+                });
+        }
+        return dropped.size < metadata.versions.length ? dropped : new Set();
+    }
+
+    // Remove history entries, moving branch heads to their nearest
+    // surviving first parent and deleting tags on removed versions
+    dropEntries(metadata, dropped) {
+        const firstParent = new Map(metadata.versions.map((entry, index) =>
+            [entry.id, this.getParents(metadata, index)[0] || null]));
+        const survivor = (versionId) => {
+            let id = versionId;
+            while (id && dropped.has(id)) id = firstParent.get(id);
+            return id;
+        };
+
+        metadata.versions = metadata.versions.filter(entry => !dropped.has(entry.id));
+        metadata.currentVersion = survivor(metadata.currentVersion);
+        Object.keys(metadata.branches || {}).forEach(name => {
+            metadata.branches[name] = survivor(metadata.branches[name]);
+            if (!metadata.branches[name]) delete metadata.branches[name];
+        });
+        Object.keys(metadata.versionTags || {}).forEach(name => {
+            if (dropped.has(metadata.versionTags[name].versionId)) delete metadata.versionTags[name];
+        });
+    }
+
+    // One line summary of an fsck report
+    describeReport(report) {
+        const repaired = report.problems.filter(problem => problem.repaired).length;
+        const parts = [`checked ${report.documents} documents and ${report.versions} versions`];
+        if (report.journalReplayed > 0) parts.push(`replayed ${report.journalReplayed} journal entries`);
+        if (report.tempFiles > 0) {
+            parts.push(`${report.repair ? 'removed' : 'found'} ${report.tempFiles} temporary files`);
+        }
+        parts.push(`${report.problems.length} problems, ${repaired} repaired`);
+        return parts.join(', ');
+    }
+
+    // Get document metadata; a deleted document is not found unless
+    // includeDeleted is set
+    async getMetadata(docId, { includeDeleted = false } = {}) {
+        this.assertId(docId, 'Document');
+        let metadata;
         try {
-            const metadataPath = path.join(this.metadataDir, `${docId}.json`);
-            return JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+            metadata = await this.backend.get('metadata', docId);
         } catch (error) {
             console.error('Failed to get metadata:', error);
             throw error;
         }
+        if (!metadata) throw new NotFoundError('Document not found');
+        if (metadata.deleted && !includeDeleted) throw new NotFoundError('Document is in the trash');
+        return metadata;
     }
 
     // Get current document content
-    async getDocument(docId) {
+    async getDocument(docId, { includeDeleted = false } = {}) {
+        await this.getMetadata(docId, { includeDeleted });
+        let document;
         try {
-            const docPath = path.join(this.documentsDir, `${docId}.json`);
-            return JSON.parse(await fs.readFile(docPath, 'utf8'));
+            document = await this.backend.get('document', docId);
         } catch (error) {
             console.error('Failed to get document:', error);
             throw error;
         }
+        if (!document) throw new NotFoundError('Document not found');
+        return document;
+    }
+
+    // The summary of a document shown in listings
+    summarize(metadata) {
+        return {
+            id: metadata.id,
+            title: metadata.title,
+            modified: metadata.modified,
+            created: metadata.created,
+            status: metadata.workflow ? metadata.workflow.state : null,
+            owner: metadata.owner || null,
+            reviewCycle: metadata.reviewCycle || null,
+            nextReviewDate: metadata.nextReviewDate || null,
+            lastReviewed: metadata.lastReviewed || null,
+            folderId: metadata.folderId || null,
+            versions: metadata.versions.length
+        };
     }
 
-    // List all documents
+    // A document's summary with whether it is in the trash, as stored with
+    // its metadata
+    listingOf(metadata) {
+        return { ...this.summarize(metadata), deleted: Boolean(metadata.deleted) };
+    }
+
+    // List all documents, from the stored summaries where the backend keeps
+    // them. Metadata written without one (by an older release or a storage
+    // script, until fsck adds it) is summarized as it is read.
     async listDocuments() {
         try {
-            const files = await fs.readdir(this.metadataDir);
-            const documents = await Promise.all(
-                files.map(async file => {
-                    const metadata = JSON.parse(
-                        await fs.readFile(path.join(this.metadataDir, file), 'utf8')
-                    );
-                    return {
-                        id: metadata.id,
-                        title: metadata.title,
-                        modified: metadata.modified,
-                        created: metadata.created,
-                        versions: metadata.versions.length
-                    };
-                })
-            );
-            return documents;
+            const summaries = await this.backend.listSummaries();
+            const listings = summaries
+                ? await Promise.all(summaries.map(async ({ id, summary }) => {
+                    if (summary) return summary;
+                    const metadata = await this.backend.get('metadata', id);
+                    return metadata && this.listingOf(metadata);
+                }))
+                : (await this.backend.listMetadata()).map(metadata => this.listingOf(metadata));
+
+            return listings
+                .filter(listing => listing && !listing.deleted)
+                .map(({ deleted, ...summary }) => summary);
         } catch (error) {
             console.error('Failed to list documents:', error);
             throw error;
         }
     }
 
-    // Restore a specific version
-    async restoreVersion(docId, versionId) {
-        const lock = await this.acquireLock(docId);
-        if (!lock) throw new Error('Document is locked by another user');
+    // Remove a document and its whole history for good. The metadata goes
+    // first, so an interruption leaves only records fsck sets aside. The
+    // caller holds the document's lock.
+    async eraseDocument(docId, metadata) {
+        await this.backend.remove('metadata', docId);
+        await this.backend.remove('document', docId);
+        await this.backend.remove('attestation', docId);
+        for (const { id } of metadata.versions) {
+            await this.backend.remove('version', id);
+            this.versionCache.delete(id);
+        }
+        this.staleSearch.add(docId);
+    }
+
+    // Restore a specific version. Like saving, needs the edit lock's token
+    // while someone holds it.
+    async restoreVersion(docId, versionId, userId = 'default', { lockToken = null } = {}) {
+        this.getEntry(await this.getMetadata(docId), versionId);
 
-        try {
-            const version = await this.getVersion(versionId);
+        return this.withLock(docId, userId, async () => {
             const metadata = await this.getMetadata(docId);
+            this.assertEditable(metadata);
+            const version = await this.getVersion(versionId);
             const newVersionId = uuidv4();
             const timestamp = new Date().toISOString();
+            const trashed = await this.trashRemovedSections(docId, metadata, version.document, {
+                userId,
+                versionId: newVersionId,
+                timestamp
+            });
 
-            // Save as new version
-            await fs.writeFile(
-                path.join(this.versionsDir, `${newVersionId}.json`),
-                JSON.stringify({
-                    ...version,
-                    parent: metadata.currentVersion
-                })
-            );
-
-            // Update current document
-            await fs.writeFile(
-                path.join(this.documentsDir, `${docId}.json`),
-                JSON.stringify(version.document, null, 2)
-            );
+            // Save as new version and update the current document
+            const writes = [
+                await this.prepareVersion(newVersionId, version.document, { parent: metadata.currentVersion }),
+                this.documentWrite(docId, version.document)
+            ];
 
             // Update metadata
             metadata.modified = timestamp;
-            metadata.currentVersion = newVersionId;
-            metadata.versions.push({
+            metadata.versions.push(this.sealEntry(metadata, {
                 id: newVersionId,
                 timestamp,
                 hash: this.generateHash(version.document),
-                message: `Restored from version ${versionId}`
-            });
+                author: userId,
+                message: `Restored from version ${versionId}`,
+                parents: [metadata.currentVersion]
+            }));
+            metadata.currentVersion = newVersionId;
+            metadata.contributors = this.addContributor(metadata.contributors, userId);
 
-            await fs.writeFile(
-                path.join(this.metadataDir, `${docId}.json`),
-                JSON.stringify(metadata, null, 2)
-            );
+            writes.push(this.metadataWrite(docId, metadata));
+            await this.commit(writes);
+            await this.recordTrashedSections(docId, trashed);
 
             return { versionId: newVersionId, metadata };
-        } finally {
-            await this.releaseLock(docId);
-        }
+        }, { lockToken, content: true });
+    }
+
+    // Record a workflow state change as a new entry in the version history.
+    // The content is unchanged, so the entry shares the previous hash.
+    // expected ({ workflow, hash }) is what the caller based the change on.
+    async recordWorkflowTransition(docId, workflow, transition, userId = 'default', { expected = null } = {}) {
+        await this.getMetadata(docId);
+
+        return this.withLock(docId, userId, async () => {
+            const metadata = await this.getMetadata(docId);
+            const current = await this.getVersion(metadata.currentVersion);
+            const previous = this.getCurrentEntry(metadata);
+
+            // The new state was worked out from the workflow and content the
+            // caller read; refuse it if another transition or an edit got in first
+            if (expected && (previous.hash !== expected.hash ||
+                JSON.stringify(metadata.workflow || null) !== JSON.stringify(expected.workflow || null))) {
+                throw new ConflictError('The document changed while the workflow action was applied; try again');
+            }
+            const versionId = uuidv4();
+            const timestamp = new Date().toISOString();
+
+            const version = await this.prepareVersion(versionId, current.document, { parent: metadata.currentVersion });
+
+            metadata.modified = timestamp;
+            metadata.currentVersion = versionId;
+            metadata.workflow = workflow;
+            metadata.versions.push(this.sealEntry(metadata, {
+                id: versionId,
+                timestamp,
+                hash: previous.hash,
+                author: userId,
+                message: transition.message,
+                parents: [previous.id],
+                transition: {
+                    action: transition.action,
+                    from: transition.from,
+                    to: transition.to
+                }
+            }));
+
+            await this.commit([version, this.metadataWrite(docId, metadata)]);
+
+            return { versionId, metadata };
+        });
+    }
+
+    // Update the review schedule fields (owner, reviewCycle, nextReviewDate,
+    // lastReviewed). These are metadata only, so no version is recorded and
+    // they can change whatever the workflow state.
+    async updateReviewSchedule(docId, schedule, userId = 'default') {
+        await this.getMetadata(docId);
+
+        return this.withLock(docId, userId, async () => {
+            const metadata = await this.getMetadata(docId);
+            ['owner', 'reviewCycle', 'nextReviewDate', 'lastReviewed']
+                .filter(field => schedule[field] !== undefined)
+                .forEach(field => { metadata[field] = schedule[field]; });
+
+            await this.writeMetadata(docId, metadata);
+
+            return metadata;
+        });
+    }
+
+    // Put the document in a library folder (see FolderService), or at the
+    // top level with null. Like the review schedule, this is metadata only.
+    async setFolder(docId, folderId, userId = 'default') {
+        await this.getMetadata(docId);
+
+        return this.withLock(docId, userId, async () => {
+            const metadata = await this.getMetadata(docId);
+            if (folderId) {
+                metadata.folderId = folderId;
+            } else {
+                delete metadata.folderId;
+            }
+            await this.writeMetadata(docId, metadata);
+            return metadata;
+        });
+    }
+
+    // Store a signature on one of the document's versions. Signatures are
+    // metadata only and can be added whatever the workflow state.
+    // check(metadata), if given, runs under the lock and throws to refuse it
+    async addSignature(docId, signature, userId = 'default', { check = null } = {}) {
+        await this.getMetadata(docId);
+
+        return this.withLock(docId, userId, async () => {
+            const metadata = await this.getMetadata(docId);
+            if (check) check(metadata);
+            metadata.signatures = [...(metadata.signatures || []), signature];
+
+            await this.writeMetadata(docId, metadata);
+
+            return metadata;
+        });
     }
 
-    // Get version history with diffs
-    async getVersionHistory(docId) {
+    // Get version history with diffs, labelled with the branches and tags
+    // pointing at each version, newest first. `changes` is the structured
+    // diff against the first parent. With a branch, only versions reachable
+    // from its head are included. Each diff needs both versions rebuilt, so
+    // with `limit` only that many entries are returned, starting after the
+    // version `before`.
+    async getVersionHistory(docId, { branch = null, limit = null, before = null } = {}) {
         try {
             const metadata = await this.getMetadata(docId);
+            const branches = this.getBranches(metadata);
+            const tags = Object.values(metadata.versionTags || {});
             const history = [];
+            const documents = new Map();
+            const documentOf = async (versionId) => {
+                if (!documents.has(versionId)) {
+                    documents.set(versionId, (await this.getVersion(versionId)).document);
+                }
+                return documents.get(versionId);
+            };
+
+            let reachable = null;
+            if (branch) {
+                if (!branches[branch]) throw new NotFoundError('Branch not found');
+                reachable = this.getAncestors(metadata, branches[branch]);
+            }
 
+            const indexes = [];
             for (let i = metadata.versions.length - 1; i >= 0; i--) {
+                if (!reachable || reachable.has(metadata.versions[i].id)) indexes.push(i);
+            }
+            let start = 0;
+            if (before) {
+                start = indexes.findIndex(i => metadata.versions[i].id === before) + 1;
+                if (start === 0) throw new NotFoundError('Version not found');
+            }
+            const page = indexes.slice(start, limit ? start + limit : undefined);
+
+            for (const i of page) {
                 const version = metadata.versions[i];
                 const versionData = await this.getVersion(version.id);
-                
+                const parents = this.getParents(metadata, i);
+                documents.set(version.id, versionData.document);
+                const changes = parents.length > 0
+                    ? diffDocuments(await documentOf(parents[0]), versionData.document)
+                    : null;
+
                 history.push({
                     ...version,
-                    diff: versionData.diff,
+                    branch: version.branch || MAIN_BRANCH,
+                    parents,
+                    branches: Object.keys(branches).filter(name => branches[name] === version.id),
+                    tags: tags.filter(tag => tag.versionId === version.id).map(tag => tag.name),
+                    changes,
                     parent: versionData.parent
                 });
             }
 
             return history;
         } catch (error) {
-            console.error('Failed to get version history:', error);
+            if (!(error instanceof NotFoundError)) {
+                console.error('Failed to get version history:', error);
+            }
             throw error;
         }
     }
 
-    // Compare two versions
-    async compareVersions(versionId1, versionId2) {
-        try {
-            const version1 = await this.getVersion(versionId1);
-            const version2 = await this.getVersion(versionId2);
-            
-            const diff = this.diffTool.diff_main(
-                JSON.stringify(version1.document, null, 2),
-                JSON.stringify(version2.document, null, 2)
+    // Link a new history entry into the hash chain over its parents' chain
+    // hashes. Parents written before the chain existed are hashed on the fly.
+    sealEntry(metadata, entry) {
+        let computed = null;
+        const parentHashes = entry.parents.map(parentId => {
+            const parent = this.getEntry(metadata, parentId);
+            if (parent.chainHash) return parent.chainHash;
+
+            if (!computed) {
+                computed = new Map();
+                metadata.versions.forEach((version, index) => computed.set(version.id, chainHash(
+                    version,
+                    this.getParents(metadata, index).map(id => computed.get(id) || null)
+                )));
+            }
+            return computed.get(parentId);
+        });
+
+        entry.chainHash = chainHash(entry, parentHashes);
+        return entry;
+    }
+
+    // Recompute the hash chain of a document's history and check each
+    // version's content against its recorded hash. Reports the first broken
+    // link, oldest first, or valid: true.
+    async verifyHistory(docId, { includeDeleted = false } = {}) {
+        const metadata = await this.getMetadata(docId, { includeDeleted });
+        const entries = metadata.versions.map((entry, index) => ({
+            ...entry,
+            parents: this.getParents(metadata, index)
+        }));
+
+        const { chainHashes, ...result } = await verifyChain(entries, async (entry) => {
+            try {
+                // Read from disk so tampering is not hidden by the cache
+                return (await this.getVersion(entry.id, { cache: false })).document;
+            } catch {
+                return undefined;
+            }
+        });
+
+        return {
+            documentId: docId,
+            checked: new Date().toISOString(),
+            ...result,
+            currentVersion: metadata.currentVersion,
+            headHash: chainHashes.get(metadata.currentVersion) || null
+        };
+    }
+
+    // Everything an auditor needs to verify a document's history offline:
+    // every entry with its hashes and, unless includeContent is false, the
+    // content of each version. See scripts/verifyEvidence.js.
+    async exportEvidence(docId, { includeContent = true } = {}) {
+        const metadata = await this.getMetadata(docId);
+        const verification = await this.verifyHistory(docId);
+        const versions = [];
+
+        for (const [index, entry] of metadata.versions.entries()) {
+            let document;
+            if (includeContent) {
+                // Unreadable versions are left without content so the bundle shows the break
+                document = await this.getVersion(entry.id, { cache: false })
+                    .then(version => version.document, () => undefined);
+            }
+            versions.push({
+                id: entry.id,
+                timestamp: entry.timestamp,
+                author: entry.author,
+                message: entry.message || '',
+                transition: entry.transition || null,
+                parents: this.getParents(metadata, index),
+                hash: entry.hash,
+                chainHash: entry.chainHash || null,
+                ...(document !== undefined ? { document } : {})
+            });
+        }
+
+        return {
+            format: BUNDLE_FORMAT,
+            algorithm: ALGORITHM,
+            hashing: {
+                hash: 'sha256(JSON.stringify(document))',
+                chainHash: 'sha256(JSON.stringify([id, hash, parentChainHashes, author, timestamp, message, transition]))'
+            },
+            generated: new Date().toISOString(),
+            document: { id: metadata.id, title: metadata.title },
+            currentVersion: metadata.currentVersion,
+            headHash: verification.headHash,
+            verification: {
+                valid: verification.valid,
+                firstBroken: verification.firstBroken
+            },
+            includesContent: includeContent,
+            versions
+        };
+    }
+
+    // A portable archive of documents with their whole history, for
+    // importArchive() on another installation (see policyArchive for the
+    // layout). Every version is stored in full. userNames maps user ids to
+    // usernames; those the documents mention go into the manifest so the
+    // importing side can find its own accounts for them. Signatures stay
+    // behind, since they refer to this installation's signing keys, and a
+    // history that does not verify is refused.
+    async exportArchive(docIds, { userNames = {} } = {}) {
+        if (!Array.isArray(docIds) || docIds.length === 0) {
+            throw new ValidationError('Choose at least one document to export');
+        }
+
+        const files = new Map();
+        const documents = [];
+        const users = {};
+        const mention = (userId) => {
+            if (userId && userNames[userId]) users[userId] = userNames[userId];
+        };
+
+        for (const docId of new Set(docIds)) {
+            const metadata = await this.getMetadata(docId);
+            delete metadata.signatures;
+            const verification = await this.verifyHistory(docId);
+            if (!verification.valid) {
+                throw new ConflictError(
+                    `The history of "${metadata.title}" does not verify; run npm run fsck before exporting it`
+                );
+            }
+
+            files.set(archivePaths.metadata(docId), JSON.stringify(metadata, null, 2));
+            files.set(archivePaths.document(docId), JSON.stringify(await this.getDocument(docId)));
+            for (const entry of metadata.versions) {
+                files.set(archivePaths.version(docId, entry.id), await this.getVersionJSON(entry.id));
+                mention(entry.author);
+            }
+            [metadata.createdBy, metadata.owner, ...(metadata.contributors || [])].forEach(mention);
+
+            documents.push({
+                id: docId,
+                title: metadata.title,
+                currentVersion: metadata.currentVersion,
+                versions: metadata.versions.length,
+                headHash: verification.headHash,
+                // This installation keeps no files beside a document
+                attachments: []
+            });
+        }
+
+        return writeArchive({ exported: new Date().toISOString(), documents, users }, files);
+    }
+
+    // Import the documents in an archive made by exportArchive(). The
+    // whole archive is checked first: checksums, and each document's
+    // hash chain and current content. Nothing is written unless all of it
+    // is sound.
+    //
+    // onConflict decides what happens to a document whose id is already
+    // in the store (in the trash too): 'fail' refuses the import, 'skip'
+    // leaves the stored one alone, 'copy' imports it under a new id and
+    // 'replace' overwrites the stored one with its whole history. Version
+    // ids already used by another document are replaced with new ones and
+    // the history is sealed again; otherwise it keeps the chain hashes it
+    // was exported with. resolveUser(username) returns the local id for a
+    // user named in the manifest, or null: owners without an account here
+    // are cleared. Attachments are checked but not stored.
+    async importArchive(buffer, userId = 'default', { onConflict = 'fail', resolveUser = null } = {}) {
+        if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+            throw new ValidationError(`onConflict must be one of ${IMPORT_CONFLICT_MODES.join(', ')}`);
+        }
+        const { manifest, files } = await readArchive(buffer);
+
+        const archived = [];
+        for (const entry of manifest.documents) {
+            if (archived.some(other => other.metadata.id === entry.id)) {
+                throw new ValidationError(`The archive lists document ${entry.id} twice`);
+            }
+            archived.push(await this.readArchivedDocument(files, entry));
+        }
+        for (const document of archived) {
+            document.existing = await this.backend.get('metadata', document.metadata.id);
+        }
+
+        const conflicts = archived.filter(document => document.existing);
+        if (conflicts.length > 0 && onConflict === 'fail') {
+            throw new ConflictError(
+                `${conflicts.map(({ existing }) => `"${existing.title}"`).join(', ')} already ` +
+                `${conflicts.length === 1 ? 'exists' : 'exist'}; import with onConflict skip, copy or replace`
             );
-            this.diffTool.diff_cleanupSemantic(diff);
-            
-            return diff;
-        } catch (error) {
-            console.error('Failed to compare versions:', error);
-            throw error;
         }
+
+        const mapUser = (id) => {
+            const username = (manifest.users || {})[id];
+            return username && resolveUser ? resolveUser(username) : null;
+        };
+        const documents = [];
+        for (const document of archived) {
+            documents.push(await this.importDocument(document, userId, {
+                onConflict,
+                mapUser,
+                exported: manifest.exported || null
+            }));
+        }
+        return { format: manifest.format, exported: manifest.exported || null, documents };
     }
 
-    // Lock management
-    async acquireLock(docId, userId = 'default') {
-        try {
-            const locks = JSON.parse(await fs.readFile(this.lockFile, 'utf8'));
-            
-            if (locks[docId] && locks[docId].userId !== userId) {
-                // Check if lock is stale (older than 5 minutes)
-                const lockAge = Date.now() - locks[docId].timestamp;
-                if (lockAge < 5 * 60 * 1000) {
-                    return false;
+    // Read one document of an archive and check its history
+    async readArchivedDocument(files, entry) {
+        this.assertId(entry.id, 'Document');
+        const metadata = readJSON(files, archivePaths.metadata(entry.id));
+        if (metadata.id !== entry.id || !Array.isArray(metadata.versions) || metadata.versions.length === 0) {
+            throw new ValidationError(`${archivePaths.metadata(entry.id)} does not describe document ${entry.id}`);
+        }
+
+        const versions = new Map();
+        for (const version of metadata.versions) {
+            this.assertId(version.id, 'Version');
+            versions.set(version.id, readJSON(files, archivePaths.version(entry.id, version.id)));
+        }
+        const entries = metadata.versions.map((version, index) => ({
+            ...version,
+            parents: this.getParents(metadata, index)
+        }));
+        const { valid, firstBroken } = await verifyChain(entries, version => versions.get(version.id));
+        if (!valid) {
+            throw new ValidationError(`The history of "${metadata.title}" in the archive does not verify`, [
+                `${firstBroken.reason} at version ${firstBroken.versionId}`
+            ]);
+        }
+
+        const document = readJSON(files, archivePaths.document(entry.id));
+        this.validateDocument(document);
+        if (contentHash(document) !== this.getCurrentEntry(metadata).hash) {
+            throw new ValidationError(`The content of "${metadata.title}" does not match its current version`);
+        }
+
+        const attachments = (entry.attachments || []).filter(name => isSafePath(String(name)));
+        return { metadata, document, versions, attachments };
+    }
+
+    // Write one checked document from an archive under the document's lock
+    async importDocument({ metadata: archivedMetadata, document, versions, attachments, existing }, userId, {
+        onConflict,
+        mapUser,
+        exported
+    }) {
+        const originalId = archivedMetadata.id;
+        const title = archivedMetadata.title;
+        if (existing && onConflict === 'skip') {
+            return { id: originalId, originalId, title, action: 'skipped' };
+        }
+
+        const replace = Boolean(existing) && onConflict === 'replace';
+        const docId = existing && onConflict === 'copy' ? uuidv4() : originalId;
+        const action = replace ? 'replaced' : (existing ? 'copied' : 'created');
+
+        return this.withLock(docId, userId, async () => {
+            const current = await this.backend.get('metadata', docId);
+            if (current && !replace) throw new ConflictError(`Document ${docId} was created while importing`);
+
+            // Versions the replaced document holds are rewritten; any other
+            // stored version with an id from the archive forces new ids
+            const replaced = new Set(current ? current.versions.map(version => version.id) : []);
+            let renumber = false;
+            for (const { id } of archivedMetadata.versions) {
+                if (!replaced.has(id) && await this.backend.get('version', id) !== null) {
+                    renumber = true;
+                    break;
                 }
             }
-            
-            locks[docId] = {
-                userId,
-                timestamp: Date.now()
+            const { metadata, versionIds } = this.adoptArchivedMetadata(archivedMetadata, {
+                docId,
+                renumber,
+                mapUser
+            });
+            const timestamp = new Date().toISOString();
+            metadata.imported = { from: originalId, exported, at: timestamp, by: userId };
+
+            // Versions first, oldest first so each delta's base is stored;
+            // the document only appears when its metadata is written
+            for (const [index, entry] of archivedMetadata.versions.entries()) {
+                const parents = this.getParents(archivedMetadata, index).map(id => versionIds.get(id));
+                await this.commit([await this.prepareVersion(versionIds.get(entry.id), versions.get(entry.id), {
+                    parent: parents[0] || null,
+                    parents: parents.length > 1 ? parents : null
+                })]);
+            }
+            await this.commit([this.documentWrite(docId, document), this.metadataWrite(docId, metadata)]);
+
+            if (current) {
+                const kept = new Set(metadata.versions.map(version => version.id));
+                for (const { id } of current.versions.filter(version => !kept.has(version.id))) {
+                    await this.backend.remove('version', id);
+                    this.versionCache.delete(id);
+                }
+            }
+
+            await this.audit.record('document-imported', userId, {
+                documentId: docId,
+                title,
+                originalId,
+                outcome: action,
+                versions: metadata.versions.length,
+                renumbered: renumber
+            });
+            return {
+                id: docId,
+                originalId,
+                title,
+                action,
+                versions: metadata.versions.length,
+                renumbered: renumber,
+                owner: metadata.owner,
+                attachmentsSkipped: attachments
             };
-            
-            await fs.writeFile(this.lockFile, JSON.stringify(locks));
-            return true;
-        } catch (error) {
-            console.error('Failed to acquire lock:', error);
-            throw error;
+        }, { content: true });
+    }
+
+    // The metadata an archived document is stored with: under docId, its
+    // users mapped to local accounts and, with renumber, every version
+    // under a new id with the history sealed again. Returns it with the
+    // map from archived to stored version ids.
+    adoptArchivedMetadata(archived, { docId, renumber, mapUser }) {
+        const versionIds = new Map(archived.versions.map(({ id }) => [id, renumber ? uuidv4() : id]));
+        const mapVersion = (id) => versionIds.get(id) || id;
+        const localUser = (id) => mapUser(id) || id;
+
+        const metadata = {
+            ...archived,
+            id: docId,
+            createdBy: localUser(archived.createdBy),
+            owner: archived.owner ? mapUser(archived.owner) : null,
+            contributors: (archived.contributors || []).map(localUser),
+            currentVersion: mapVersion(archived.currentVersion),
+            versions: renumber ? [] : archived.versions
+        };
+        // Trash state, signatures and folders belong to the installation they came from
+        ['deleted', 'signatures', 'imported', 'folderId'].forEach(field => delete metadata[field]);
+
+        if (renumber) {
+            archived.versions.forEach((entry, index) => {
+                const version = {
+                    ...entry,
+                    id: mapVersion(entry.id),
+                    parents: this.getParents(archived, index).map(mapVersion)
+                };
+                delete version.chainHash;
+                metadata.versions.push(this.sealEntry(metadata, version));
+            });
+            if (archived.branches) {
+                metadata.branches = Object.fromEntries(Object.entries(archived.branches)
+                    .map(([name, versionId]) => [name, mapVersion(versionId)]));
+            }
+            if (archived.versionTags) {
+                metadata.versionTags = Object.fromEntries(Object.entries(archived.versionTags)
+                    .map(([name, tag]) => [name, { ...tag, versionId: mapVersion(tag.versionId) }]));
+            }
+            if (archived.trashedSections) {
+                metadata.trashedSections = archived.trashedSections
+                    .map(entry => ({ ...entry, versionId: mapVersion(entry.versionId) }));
+            }
         }
+        return { metadata, versionIds };
     }
 
-    async releaseLock(docId, userId = 'default') {
+    // Ids of a version and everything it descends from
+    getAncestors(metadata, versionId) {
+        const indexes = new Map(metadata.versions.map((version, index) => [version.id, index]));
+        const seen = new Set();
+        const queue = [versionId];
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (seen.has(id) || !indexes.has(id)) continue;
+            seen.add(id);
+            queue.push(...this.getParents(metadata, indexes.get(id)));
+        }
+        return seen;
+    }
+
+    // Compare two versions section by section (see documentDiff)
+    async compareVersions(versionId1, versionId2) {
         try {
-            const locks = JSON.parse(await fs.readFile(this.lockFile, 'utf8'));
-            
-            if (locks[docId] && locks[docId].userId === userId) {
-                delete locks[docId];
-                await fs.writeFile(this.lockFile, JSON.stringify(locks));
-            }
+            const version1 = await this.getVersion(versionId1);
+            const version2 = await this.getVersion(versionId2);
+
+            return diffDocuments(version1.document, version2.document);
         } catch (error) {
-            console.error('Failed to release lock:', error);
+            console.error('Failed to compare versions:', error);
             throw error;
         }
     }
 
-    // Search documents
-    async searchDocuments(query) {
+    // Lock management. Every change to a document's files runs under its
+    // write lock, renewed while the change takes. Changes to the content
+    // (content: true) are also refused while another session holds the
+    // document's edit lock, unless lockToken is that lock's token.
+    async withLock(docId, userId, fn, { lockToken = null, content = false } = {}) {
+        this.assertId(docId, 'Document');
+        const lock = await this.locks.acquire(docId, userId, { editToken: lockToken, checkEdit: content });
+        const stopHeartbeat = this.locks.keepAlive(lock);
         try {
-            const documents = await this.listDocuments();
-            const results = [];
-
-            for (const doc of documents) {
-                const content = await this.getDocument(doc.id);
-                const metadata = await this.getMetadata(doc.id);
-
-                // Search in title
-                const titleMatch = metadata.title.toLowerCase().includes(query.toLowerCase());
-                
-                // Search in content
-                const contentMatch = JSON.stringify(content)
-                    .toLowerCase()
-                    .includes(query.toLowerCase());
-                
-                // Search in tags
-                const tagMatch = metadata.tags.some(tag => 
-                    tag.toLowerCase().includes(query.toLowerCase())
-                );
+            return await fn();
+        } finally {
+            stopHeartbeat();
+            await this.locks.release(docId, lock.token);
+        }
+    }
 
-                if (titleMatch || contentMatch || tagMatch) {
-                    results.push({
-                        ...doc,
-                        matchType: {
-                            title: titleMatch,
-                            content: contentMatch,
-                            tags: tagMatch
-                        }
-                    });
+    // Take the edit lock for an editing session. Returns the lock with the
+    // token the session must present to save, renew and release it.
+    async acquireEditLock(docId, userId, { ttl = null } = {}) {
+        await this.getMetadata(docId);
+        return this.locks.acquire(docId, userId, { scope: 'edit', ttl, purpose: 'editing' });
+    }
+
+    async renewEditLock(docId, token, { ttl = null } = {}) {
+        return this.locks.renew(docId, token, { scope: 'edit', ttl });
+    }
+
+    async releaseEditLock(docId, token) {
+        if (!await this.locks.release(docId, token, { scope: 'edit' })) {
+            throw new ConflictError('Lock has expired or was released');
+        }
+    }
+
+    // Break whatever edit lock a document has, recording who broke it and
+    // whose lock it was in the audit log
+    async breakEditLock(docId, userId, reason = '') {
+        await this.getMetadata(docId);
+        const lock = await this.locks.breakLock(docId, { scope: 'edit' });
+        if (!lock) throw new NotFoundError('Document is not locked');
+
+        await this.audit.record('lock-broken', userId, {
+            documentId: docId,
+            holder: lock.userId,
+            lock,
+            reason
+        });
+        return lock;
+    }
+
+    // Held locks without their tokens, optionally for one document
+    async listLocks(docId = null) {
+        return this.locks.list(docId);
+    }
+
+    // Build the search index on first use, then re-index the documents
+    // written since the last search
+    async updateSearchIndex() {
+        if (!this.searchReady) {
+            this.searchReady = (async () => {
+                this.staleSearch.clear();
+                for (const metadata of await this.backend.listMetadata()) {
+                    if (!metadata || metadata.deleted) continue;
+                    const document = await this.backend.get('document', metadata.id);
+                    if (document) this.searchIndex.set(metadata, document);
                 }
+            })().catch(error => {
+                this.searchReady = null;
+                throw error;
+            });
+        }
+        await this.searchReady;
+
+        for (const docId of Array.from(this.staleSearch)) {
+            this.staleSearch.delete(docId);
+            const metadata = await this.backend.get('metadata', docId);
+            const document = metadata && !metadata.deleted ? await this.backend.get('document', docId) : null;
+            if (document) {
+                this.searchIndex.set(metadata, document);
+            } else {
+                this.searchIndex.remove(docId);
             }
+        }
+    }
 
-            return results;
+    // Search titles, section text, glossary entries and tags. The query
+    // takes words, "quoted phrases" and tag:, owner: and status: filters;
+    // resolveOwner maps owner: values to user ids, and status: matches
+    // documents that never entered the workflow by initialState. Results
+    // are document summaries, best match first, with a score, matchType and
+    // snippets.
+    async searchDocuments(query, { limit = 20, resolveOwner = null, initialState = null } = {}) {
+        const parsed = parseQuery(query);
+        if (isEmptyQuery(parsed)) {
+            throw new ValidationError('Search query has no words or filters');
+        }
+        if (resolveOwner && parsed.filters.owner) {
+            parsed.filters.owner = parsed.filters.owner.map(resolveOwner);
+        }
+
+        try {
+            await this.updateSearchIndex();
+            return Promise.all(this.searchIndex.search(parsed, { limit, initialState }).map(async ({ id, ...result }) => ({
+                ...this.summarize(await this.getMetadata(id)),
+                ...result
+            })));
         } catch (error) {
             console.error('Failed to search documents:', error);
             throw error;
@@ -380,4 +1576,8 @@ class DocumentStorageService {
     }
 }
 
+DocumentStorageService.MAIN_BRANCH = MAIN_BRANCH;
+DocumentStorageService.BACKENDS = BACKENDS;
+DocumentStorageService.IMPORT_CONFLICT_MODES = IMPORT_CONFLICT_MODES;
+
 module.exports = DocumentStorageService;
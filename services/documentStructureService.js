@@ -35,16 +35,24 @@ class DocumentStructureService {
             }
         };
         
+        this.currentUser = null;
         this.currentScheme = 'decimal';
         this.references = new Map(); // Stores all cross-references
         this.glossaryTerms = new Map(); // Stores glossary terms and their occurrences
     }
 
+    // Set the signed-in user that new sections are attributed to
+    setCurrentUser(user) {
+        this.currentUser = user;
+    }
+
     createDocument(title) {
         this.currentDocument = {
             id: Date.now().toString(),
             title,
             sections: [],
+            // Deleted sections with where they stood, newest last
+            trash: [],
             references: new Map(),
             glossary: new Map(),
             numberingScheme: this.currentScheme,
@@ -69,7 +77,8 @@ class DocumentStructureService {
             metadata: {
                 created: new Date(),
                 modified: new Date(),
-                author: 'Current User' // TODO: Implement user management
+                author: this.currentUser ? this.currentUser.displayName : 'Unknown',
+                authorId: this.currentUser ? this.currentUser.id : null
             }
         };
 
@@ -112,8 +121,9 @@ class DocumentStructureService {
     }
 
     moveSection(sectionId, newParentId, position = -1) {
-        const section = this.removeSection(sectionId);
-        if (!section) return false;
+        const detached = this.detachSection(sectionId);
+        if (!detached) return false;
+        const { section } = detached;
 
         if (newParentId === null) {
             if (position === -1) {
@@ -130,26 +140,76 @@ class DocumentStructureService {
         return true;
     }
 
-    removeSection(sectionId) {
-        const remove = (sections) => {
+    // Take a section out of the tree, returning it with its parent's id and
+    // its position there
+    detachSection(sectionId) {
+        const detach = (sections, parentId) => {
             for (let i = 0; i < sections.length; i++) {
                 if (sections[i].id === sectionId) {
-                    return sections.splice(i, 1)[0];
+                    return { section: sections.splice(i, 1)[0], parentId, position: i };
                 }
                 if (sections[i].children.length > 0) {
-                    const result = remove(sections[i].children);
+                    const result = detach(sections[i].children, sections[i].id);
                     if (result) return result;
                 }
             }
             return null;
         };
+        return detach(this.currentDocument.sections, null);
+    }
 
-        const section = remove(this.currentDocument.sections);
-        if (section) {
-            this.updateNumbering();
-            this.updateReferences();
-        }
-        return section;
+    // Move a section and its subsections to the document's trash, noting
+    // who deleted it and where it stood so restoreSection can put it back
+    removeSection(sectionId) {
+        const detached = this.detachSection(sectionId);
+        if (!detached) return null;
+
+        this.currentDocument.trash.push({
+            ...detached,
+            deletedAt: new Date(),
+            deletedBy: this.currentUser ? this.currentUser.displayName : 'Unknown',
+            deletedById: this.currentUser ? this.currentUser.id : null
+        });
+        this.updateNumbering();
+        this.updateReferences();
+        return detached.section;
+    }
+
+    // Deleted sections, most recent first
+    getTrash() {
+        return [...this.currentDocument.trash].reverse().map(({ section, ...entry }) => ({
+            ...entry,
+            sectionId: section.id,
+            title: section.title
+        }));
+    }
+
+    // Put a deleted section back under its parent at its old position, or
+    // at the end of the top level if the parent is gone
+    restoreSection(sectionId) {
+        const trash = this.currentDocument.trash;
+        const index = trash.findIndex(entry => entry.section.id === sectionId);
+        if (index === -1) return false;
+
+        const [{ section, parentId, position }] = trash.splice(index, 1);
+        const parent = parentId === null ? null : this.findSection(parentId);
+        const siblings = parent ? parent.children : this.currentDocument.sections;
+        // Without its parent the old position means nothing
+        const at = parent || parentId === null ? Math.min(position, siblings.length) : siblings.length;
+        siblings.splice(at, 0, section);
+
+        this.updateNumbering();
+        this.updateReferences();
+        return true;
+    }
+
+    // Drop sections deleted more than maxAge milliseconds ago from the trash,
+    // or all of them
+    purgeTrash(maxAge = 0) {
+        const cutoff = Date.now() - maxAge;
+        const before = this.currentDocument.trash.length;
+        this.currentDocument.trash = this.currentDocument.trash.filter(entry => entry.deletedAt.getTime() > cutoff);
+        return before - this.currentDocument.trash.length;
     }
 
     updateNumbering() {
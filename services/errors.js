@@ -0,0 +1,65 @@
+// Errors raised by the services layer. Each carries the HTTP status the
+// REST API should answer with, so routes never have to parse messages.
+class ServiceError extends Error {
+    constructor(message, status = 500) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+    }
+}
+
+class ValidationError extends ServiceError {
+    constructor(message, details = []) {
+        super(message, 400);
+        this.details = details;
+    }
+}
+
+class UnauthorizedError extends ServiceError {
+    constructor(message = 'Authentication required') {
+        super(message, 401);
+    }
+}
+
+class ForbiddenError extends ServiceError {
+    constructor(message = 'Permission denied') {
+        super(message, 403);
+    }
+}
+
+class NotFoundError extends ServiceError {
+    constructor(message = 'Not found') {
+        super(message, 404);
+    }
+}
+
+class ConflictError extends ServiceError {
+    constructor(message = 'Conflict') {
+        super(message, 409);
+    }
+}
+
+class LockedError extends ServiceError {
+    constructor(message = 'Document is locked by another user') {
+        super(message, 423);
+    }
+}
+
+// The storage key is missing or wrong, or an encrypted record cannot be
+// decrypted. Not the client's fault, so it answers 500.
+class EncryptionError extends ServiceError {
+    constructor(message) {
+        super(message, 500);
+    }
+}
+
+module.exports = {
+    ServiceError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    LockedError,
+    EncryptionError
+};
@@ -13,9 +13,9 @@ class ExportService {
         };
     }
 
-    async export(document, format, outputPath) {
+    async export(document, format, outputPath, options = {}) {
         if (this.formats[format]) {
-            return await this.formats[format].call(this, document, outputPath);
+            return await this.formats[format].call(this, document, outputPath, options);
         }
         throw new Error(`Unsupported format: ${format}`);
     }
@@ -99,7 +99,9 @@ class ExportService {
         });
     }
 
-    async exportToPDF(document, outputPath) {
+    // options.signatures are verified signatures (see SignatureService) to
+    // print as an approval block at the end
+    async exportToPDF(document, outputPath, { signatures = [] } = {}) {
         const doc = new PDFDocument();
         const stream = fs.createWriteStream(outputPath);
 
@@ -132,6 +134,11 @@ class ExportService {
             });
         }
 
+        if (signatures.length > 0) {
+            doc.addPage();
+            this.addPDFSignatureBlock(doc, signatures);
+        }
+
         doc.end();
         return new Promise((resolve, reject) => {
             stream.on('finish', resolve);
@@ -172,6 +179,33 @@ class ExportService {
         });
     }
 
+    addPDFSignatureBlock(doc, signatures) {
+        const statusText = {
+            valid: 'Signature verified',
+            'key-revoked': 'Signature verified; key since revoked',
+            invalid: 'SIGNATURE INVALID',
+            'hash-mismatch': 'SIGNATURE DOES NOT MATCH THIS VERSION',
+            'unknown-key': 'SIGNING KEY UNKNOWN'
+        };
+
+        doc.fontSize(18).text('Approval and Signatures');
+        doc.moveDown();
+
+        signatures.forEach(signature => {
+            doc.fontSize(12)
+                .text(signature.signerName || signature.userId)
+                .fontSize(10)
+                .text(`Signed ${new Date(signature.signedAt).toUTCString()}`)
+                .text(`${statusText[signature.status] || signature.status} (${signature.algorithm})`);
+            doc.font('Courier').fontSize(8)
+                .text(`Key      ${signature.keyId}`)
+                .text(`Version  ${signature.versionId}`)
+                .text(`SHA-256  ${signature.hash}`);
+            doc.font('Helvetica');
+            doc.moveDown();
+        });
+    }
+
     async exportToMarkdown(document, outputPath) {
         let content = `# ${document.title}\n\n`;
         content += '## Table of Contents\n';
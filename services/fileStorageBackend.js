@@ -0,0 +1,279 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { WriteJournal, writeFileAtomic, findTempFiles } = require('./writeJournal');
+const { LockedError } = require('./errors');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Lock table kept in locks.json. Changes take a mutex file created with
+// O_EXCL, so a read-modify-write by one process never interleaves with
+// another; a mutex older than mutexStale was left by a process that died
+// and is removed.
+class FileLockTable {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.mutexFile = `${file}.mutex`;
+        this.options = {
+            wait: 10 * 1000,
+            retryDelay: 20,
+            mutexStale: 10 * 1000,
+            ...options
+        };
+    }
+
+    async initialize() {
+        try {
+            await fs.access(this.file);
+        } catch {
+            await writeFileAtomic(this.file, JSON.stringify({ locks: {} }));
+        }
+    }
+
+    // Take the mutex, waiting for other holders
+    async lockTable() {
+        const id = crypto.randomBytes(8).toString('hex');
+        const deadline = Date.now() + this.options.wait;
+
+        for (;;) {
+            try {
+                const handle = await fs.open(this.mutexFile, 'wx');
+                await handle.writeFile(JSON.stringify({ id, pid: process.pid, host: os.hostname() }));
+                await handle.close();
+                return id;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            try {
+                const info = await fs.stat(this.mutexFile);
+                if (Date.now() - info.mtimeMs > this.options.mutexStale) {
+                    await fs.unlink(this.mutexFile).catch(() => {});
+                    continue;
+                }
+            } catch {
+                // Released between open and stat
+                continue;
+            }
+
+            if (Date.now() > deadline) throw new LockedError('Timed out waiting for the lock table');
+            await sleep(this.options.retryDelay);
+        }
+    }
+
+    // Release the mutex unless it was broken and taken by someone else
+    async unlockTable(id) {
+        try {
+            const holder = JSON.parse(await fs.readFile(this.mutexFile, 'utf8'));
+            if (holder.id === id) await fs.unlink(this.mutexFile);
+        } catch {
+            // Already gone
+        }
+    }
+
+    async read() {
+        try {
+            const table = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            // Tables written before tokens existed are dropped
+            return table && table.locks ? table.locks : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+            return {};
+        }
+    }
+
+    async update(update) {
+        const id = await this.lockTable();
+        try {
+            const locks = await this.read();
+            const before = JSON.stringify(locks);
+            const result = update(locks);
+            if (JSON.stringify(locks) !== before) await writeFileAtomic(this.file, JSON.stringify({ locks }));
+            return result;
+        } finally {
+            await this.unlockTable(id);
+        }
+    }
+}
+
+// Storage backend keeping each record in its own JSON file: documents/,
+// metadata/, versions/, attestations/ and folders/ under the storage
+// directory. Single files are replaced atomically and commits of several go
+// through a write-ahead journal, which recover() replays after a crash.
+//
+// Every backend stores five kinds of record by id, 'document', 'metadata',
+// 'version', 'attestation' (a document's acknowledgement requests) and
+// 'folder' (a library folder), and provides:
+//   initialize(), close()
+//   get(kind, id)            the record, or null when there is none
+//   list(kind)               ids of every record of a kind
+//   listMetadata()           every metadata record
+//   listSummaries()          [{ id, summary }] for every metadata record,
+//                            summary being the one written with it (null
+//                            if none was), or null if the backend keeps none
+//   info(kind, id)           { size, modified } of a stored record
+//   commit(writes)           store [{ kind, id, value }] all or nothing; a
+//                            metadata write may carry its listing summary
+//   remove(kind, id)
+//   quarantine(kind, id)     set a damaged or unreferenced record aside
+//   recover({ repair })      undo the effects of a crash, returning
+//                            { journalReplayed, tempFiles, problems }
+//   versionBytes()           space taken by version records
+//   snapshot(dir)            copy files that cannot be read safely while
+//                            the store is in use into dir, returning
+//                            [{ name, file }] (name relative to the store)
+//   liveFiles                names of such files and of other files only
+//                            meaningful to running processes
+//   lockTable                the table behind LockManager
+class FileStorageBackend {
+    constructor(baseDir) {
+        this.baseDir = baseDir;
+        this.dirs = {
+            document: path.join(baseDir, 'documents'),
+            metadata: path.join(baseDir, 'metadata'),
+            version: path.join(baseDir, 'versions'),
+            attestation: path.join(baseDir, 'attestations'),
+            folder: path.join(baseDir, 'folders')
+        };
+        this.lockFile = path.join(baseDir, 'locks.json');
+        this.lostFoundDir = path.join(baseDir, 'lost+found');
+        this.journal = new WriteJournal(baseDir);
+        this.lockTable = new FileLockTable(this.lockFile);
+        this.liveFiles = ['locks.json', 'locks.json.mutex'];
+    }
+
+    async initialize() {
+        await fs.mkdir(this.baseDir, { recursive: true });
+        for (const dir of Object.values(this.dirs)) {
+            await fs.mkdir(dir, { recursive: true });
+        }
+        await this.journal.initialize();
+    }
+
+    async close() {}
+
+    fileOf(kind, id) {
+        return path.join(this.dirs[kind], `${id}.json`);
+    }
+
+    // Documents and metadata are indented for people reading the files;
+    // versions are read by code only
+    serialize(kind, value) {
+        return kind === 'version' ? JSON.stringify(value) : JSON.stringify(value, null, 2);
+    }
+
+    async get(kind, id) {
+        try {
+            return JSON.parse(await fs.readFile(this.fileOf(kind, id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async list(kind) {
+        return (await fs.readdir(this.dirs[kind]))
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'));
+    }
+
+    async listMetadata() {
+        const ids = await this.list('metadata');
+        return Promise.all(ids.map(async id => this.get('metadata', id)));
+    }
+
+    // Listing reads the metadata files themselves
+    async listSummaries() {
+        return null;
+    }
+
+    async info(kind, id) {
+        const stats = await fs.stat(this.fileOf(kind, id));
+        return { size: stats.size, modified: stats.mtimeMs };
+    }
+
+    // A single file is replaced atomically on its own; several go through
+    // the journal
+    async commit(writes) {
+        const files = writes.map(({ kind, id, value }) => ({
+            file: this.fileOf(kind, id),
+            data: this.serialize(kind, value)
+        }));
+        if (files.length === 1) {
+            await writeFileAtomic(files[0].file, files[0].data);
+        } else {
+            await this.journal.commit(files);
+        }
+    }
+
+    async remove(kind, id) {
+        try {
+            await fs.unlink(this.fileOf(kind, id));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    // Move a file aside into lost+found rather than deleting it
+    async quarantine(kind, id) {
+        const target = path.join(this.lostFoundDir, path.basename(this.dirs[kind]));
+        await fs.mkdir(target, { recursive: true });
+        try {
+            await fs.rename(this.fileOf(kind, id), path.join(target, `${id}.json`));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    // Replay committed journal entries, remove temporary files left by
+    // interrupted writes and reset an unreadable lock file
+    async recover({ repair = true } = {}) {
+        const result = { journalReplayed: 0, tempFiles: 0, problems: [] };
+        const problem = (type, message) => result.problems.push({ type, message, repaired: repair });
+
+        if (repair) {
+            const { replayed, discarded } = await this.journal.recover();
+            result.journalReplayed = replayed.length;
+            discarded.forEach(entryPath => problem(
+                'unreadable-journal',
+                `Discarded unreadable journal entry ${path.basename(entryPath)}`
+            ));
+        } else {
+            (await this.journal.pending()).forEach(({ path: entryPath }) => result.problems.push({
+                type: 'pending-journal',
+                message: `Journal entry ${path.basename(entryPath)} has not been applied`,
+                repaired: false
+            }));
+        }
+
+        const tempFiles = await findTempFiles([this.baseDir, ...Object.values(this.dirs), this.journal.dir]);
+        result.tempFiles = tempFiles.length;
+        if (repair) await Promise.all(tempFiles.map(file => fs.unlink(file).catch(() => {})));
+
+        try {
+            JSON.parse(await fs.readFile(this.lockFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                problem('unreadable-locks', 'The lock file cannot be read');
+                if (repair) await writeFileAtomic(this.lockFile, JSON.stringify({ locks: {} }));
+            }
+        }
+        return result;
+    }
+
+    async versionBytes() {
+        let total = 0;
+        for (const id of await this.list('version')) total += (await this.info('version', id)).size;
+        return total;
+    }
+
+    // Every file is replaced atomically, so all can be copied as they are
+    async snapshot() {
+        return [];
+    }
+}
+
+FileStorageBackend.FileLockTable = FileLockTable;
+
+module.exports = FileStorageBackend;
@@ -0,0 +1,248 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const MAX_NAME_LENGTH = 200;
+
+// Folders of the document library, each a 'folder' record in the document
+// store, so they are encrypted and backed up with the documents; all of
+// them are kept in memory. A folder has a name, a parent (null at the top
+// level) and defaults for the documents in it: an owner and a review
+// cycle. A document's folder is metadata.folderId; a document whose folder
+// no longer exists, such as one restored from the trash after its folder
+// was deleted, is at the top level.
+//
+// Defaults are inherited: a folder without its own owner or cycle takes the
+// nearest ancestor's. A document created in a folder gets its defaults; a
+// document moved into one keeps its own owner and cycle, taking the
+// defaults only where it has none. Defaults are applied through
+// ReviewService, so the next review date is scheduled as usual.
+class FolderService {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.options = {
+            users: null,
+            reviews: null,
+            // Where folders were kept before they moved into the store
+            legacyFile: path.join(storage.baseDir, 'folders.json'),
+            ...options
+        };
+        this.users = this.options.users;
+        this.reviews = this.options.reviews;
+        this.folders = new Map();
+    }
+
+    async initialize() {
+        await this.importLegacyFolders();
+        const ids = await this.storage.backend.list('folder');
+        const folders = await Promise.all(ids.map(id => this.storage.backend.get('folder', id)));
+        this.folders = new Map(folders.filter(Boolean).map(folder => [folder.id, folder]));
+        return this.folders.size;
+    }
+
+    // Move folders.json, written by older releases, into the store
+    async importLegacyFolders() {
+        let folders;
+        try {
+            folders = JSON.parse(await fs.readFile(this.options.legacyFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            console.error('Failed to load folders:', error);
+            throw error;
+        }
+
+        const stored = new Set(await this.storage.backend.list('folder'));
+        const missing = folders.filter(folder => !stored.has(folder.id));
+        if (missing.length > 0) await this.storage.commit(missing.map(folder => this.storage.folderWrite(folder)));
+        await fs.unlink(this.options.legacyFile);
+        return missing.length;
+    }
+
+    async saveFolder(folder) {
+        await this.storage.commit([this.storage.folderWrite(folder)]);
+    }
+
+    listFolders() {
+        return Array.from(this.folders.values())
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(folder => this.describe(folder));
+    }
+
+    getFolder(folderId) {
+        const folder = this.folders.get(folderId);
+        if (!folder) throw new NotFoundError('Folder not found');
+        return folder;
+    }
+
+    // A folder with the defaults its documents actually get
+    describe(folder) {
+        return { ...folder, effectiveDefaults: this.effectiveDefaults(folder.id) };
+    }
+
+    // The owner and review cycle documents in a folder get, from the folder
+    // or its nearest ancestor that sets them
+    effectiveDefaults(folderId) {
+        const defaults = { owner: null, reviewCycle: null };
+        for (let folder = this.folders.get(folderId); folder; folder = this.folders.get(folder.parentId)) {
+            defaults.owner = defaults.owner || folder.defaults.owner || null;
+            defaults.reviewCycle = defaults.reviewCycle || folder.defaults.reviewCycle || null;
+        }
+        return defaults;
+    }
+
+    validateName(name, parentId, folderId = null) {
+        if (typeof name !== 'string' || !name.trim()) throw new ValidationError('Folder name is required');
+        const trimmed = name.trim();
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new ValidationError(`Folder name must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+        const taken = Array.from(this.folders.values()).some(folder => folder.id !== folderId &&
+            folder.parentId === parentId && folder.name.toLowerCase() === trimmed.toLowerCase());
+        if (taken) throw new ConflictError(`There is already a folder named "${trimmed}" here`);
+        return trimmed;
+    }
+
+    // A parent for a folder: null for the top level, never the folder
+    // itself or one of its subfolders
+    validateParent(parentId, folderId = null) {
+        if (parentId === null || parentId === undefined) return null;
+        for (let folder = this.getFolder(parentId); folder; folder = this.folders.get(folder.parentId)) {
+            if (folder.id === folderId) {
+                throw new ValidationError('A folder cannot be moved into itself or one of its subfolders');
+            }
+        }
+        return parentId;
+    }
+
+    validateDefaults(defaults, current = { owner: null, reviewCycle: null }) {
+        if (defaults === undefined) return current;
+        if (!defaults || typeof defaults !== 'object') throw new ValidationError('defaults must be an object');
+
+        const { owner = current.owner, reviewCycle = current.reviewCycle } = defaults;
+        if (owner !== null && this.users) this.users.getUser(owner);
+        if (reviewCycle !== null && this.reviews && !this.reviews.getCycles().includes(reviewCycle)) {
+            throw new ValidationError('Unknown review cycle', this.reviews.getCycles());
+        }
+        return { owner, reviewCycle };
+    }
+
+    async createFolder({ name, parentId = null, defaults } = {}, userId = 'default') {
+        const parent = this.validateParent(parentId);
+        const now = new Date().toISOString();
+        const folder = {
+            id: uuidv4(),
+            name: this.validateName(name, parent),
+            parentId: parent,
+            defaults: this.validateDefaults(defaults),
+            created: now,
+            createdBy: userId,
+            modified: now
+        };
+
+        this.folders.set(folder.id, folder);
+        await this.saveFolder(folder);
+        await this.storage.audit.record('folder-created', userId, { folderId: folder.id, name: folder.name });
+        return this.describe(folder);
+    }
+
+    // Rename a folder, move it under another parent or change its defaults
+    async updateFolder(folderId, { name, parentId, defaults } = {}, userId = 'default') {
+        const folder = this.getFolder(folderId);
+        const parent = parentId === undefined ? folder.parentId : this.validateParent(parentId, folderId);
+        const updated = {
+            ...folder,
+            name: name === undefined && parent === folder.parentId
+                ? folder.name
+                : this.validateName(name === undefined ? folder.name : name, parent, folderId),
+            parentId: parent,
+            defaults: this.validateDefaults(defaults, folder.defaults),
+            modified: new Date().toISOString()
+        };
+
+        this.folders.set(folderId, updated);
+        await this.saveFolder(updated);
+        await this.storage.audit.record('folder-updated', userId, {
+            folderId,
+            name: updated.name,
+            ...(updated.name !== folder.name ? { previousName: folder.name } : {}),
+            ...(updated.parentId !== folder.parentId ? { from: folder.parentId, to: updated.parentId } : {})
+        });
+        return this.describe(updated);
+    }
+
+    // Delete an empty folder. Documents and subfolders have to be moved or
+    // deleted first; documents in the trash go to the top level if restored.
+    async deleteFolder(folderId, userId = 'default') {
+        const folder = this.getFolder(folderId);
+        const subfolders = Array.from(this.folders.values()).filter(candidate => candidate.parentId === folderId);
+        const documents = (await this.storage.listDocuments()).filter(document => document.folderId === folderId);
+        if (subfolders.length > 0 || documents.length > 0) {
+            throw new ConflictError(
+                `"${folder.name}" holds ${documents.length} documents and ${subfolders.length} folders; ` +
+                'move or delete them first'
+            );
+        }
+
+        this.folders.delete(folderId);
+        await this.storage.backend.remove('folder', folderId);
+        await this.storage.audit.record('folder-deleted', userId, { folderId, name: folder.name });
+        return { id: folderId, name: folder.name };
+    }
+
+    // Create a document in a folder with the folder's defaults as its
+    // owner and review cycle, all in one write
+    async createDocument(document, folderId, user = null) {
+        const target = this.getFolder(folderId).id;
+        const defaults = this.effectiveDefaults(target);
+        const schedule = {};
+
+        if (defaults.owner) {
+            try {
+                if (this.users) this.users.getUser(defaults.owner);
+            } catch {
+                throw new ConflictError('The folder\'s default owner is no longer a user; change its defaults first');
+            }
+            schedule.owner = defaults.owner;
+        }
+        if (defaults.reviewCycle && this.reviews) {
+            if (!this.reviews.getCycles().includes(defaults.reviewCycle)) {
+                throw new ConflictError('The folder\'s default review cycle is no longer offered; change its defaults first');
+            }
+            schedule.reviewCycle = defaults.reviewCycle;
+            schedule.nextReviewDate = this.reviews.calculateNextReview(defaults.reviewCycle);
+        }
+
+        return this.storage.createDocument(document, user ? user.id : 'default', { folderId: target, schedule });
+    }
+
+    // Put a document in a folder, or at the top level with folderId null,
+    // and apply the folder's defaults where the document has none
+    async moveDocument(docId, folderId, user = null) {
+        const target = folderId === null ? null : this.getFolder(folderId).id;
+        const userId = user ? user.id : 'default';
+        const before = await this.storage.getMetadata(docId);
+        let metadata = await this.storage.setFolder(docId, target, userId);
+
+        if (before.folderId !== target) {
+            await this.storage.audit.record('document-moved', userId, {
+                documentId: docId,
+                title: metadata.title,
+                from: before.folderId || null,
+                to: target
+            });
+        }
+
+        const defaults = this.effectiveDefaults(target);
+        const schedule = {};
+        if (defaults.owner && !metadata.owner) schedule.owner = defaults.owner;
+        if (defaults.reviewCycle && !metadata.reviewCycle) schedule.reviewCycle = defaults.reviewCycle;
+        if (Object.keys(schedule).length > 0 && this.reviews) {
+            await this.reviews.setSchedule(docId, schedule, user);
+            metadata = await this.storage.getMetadata(docId);
+        }
+        return this.storage.summarize(metadata);
+    }
+}
+
+module.exports = FolderService;
@@ -0,0 +1,88 @@
+const { createHash } = require('crypto');
+
+const ALGORITHM = 'sha256';
+const BUNDLE_FORMAT = 'policy-evidence/1';
+
+const sha256 = (text) => createHash(ALGORITHM).update(text).digest('hex');
+
+// Hash of a version's content, as stored in each history entry's `hash`
+function contentHash(document) {
+    return sha256(JSON.stringify(document));
+}
+
+// Hash linking a history entry to its parents. It covers the entry's id,
+// content hash, author, timestamp, message and workflow transition, and the
+// chain hashes of its parents, so changing any earlier entry changes every
+// hash after it. The fields are listed in a fixed order so the hash can be
+// recomputed from the evidence bundle without this code.
+function chainHash(entry, parentHashes) {
+    return sha256(JSON.stringify([
+        entry.id,
+        entry.hash,
+        parentHashes,
+        entry.author,
+        entry.timestamp,
+        entry.message || '',
+        entry.transition || null
+    ]));
+}
+
+// Walk a history oldest first and recompute every link. entries are
+// history entries with their parents' ids in `parents`. documentOf(entry)
+// resolves to the stored content of a version, or undefined when it is
+// missing or unreadable; without it only the chain itself is checked.
+// Entries written before the chain existed have no chainHash; they are
+// counted as unsealed, and still covered by the hashes of sealed entries
+// that descend from them. An entry without a chainHash that descends from
+// a sealed one cannot predate the chain, so it breaks it.
+async function verifyChain(entries, documentOf = null) {
+    const computed = new Map();
+    // Entries that are sealed or descend from a sealed entry
+    const afterSealing = new Set();
+    let sealed = 0;
+    let firstBroken = null;
+    const broken = (entry, index, reason, details = {}) => {
+        firstBroken = firstBroken || { versionId: entry.id, index, reason, ...details };
+    };
+
+    for (const [index, entry] of entries.entries()) {
+        const missing = entry.parents.filter(parentId => !computed.has(parentId));
+        if (missing.length > 0) {
+            broken(entry, index, 'missing-parent', { parents: missing });
+        }
+
+        const document = documentOf ? await documentOf(entry) : null;
+        if (document === undefined) {
+            broken(entry, index, 'unreadable-version');
+        } else if (document !== null && contentHash(document) !== entry.hash) {
+            broken(entry, index, 'content-mismatch', {
+                expected: entry.hash,
+                actual: contentHash(document)
+            });
+        }
+
+        const hash = chainHash(entry, entry.parents.map(parentId => computed.get(parentId) || null));
+        computed.set(entry.id, hash);
+        if (entry.chainHash) {
+            sealed++;
+            afterSealing.add(entry.id);
+            if (entry.chainHash !== hash) {
+                broken(entry, index, 'chain-mismatch', { expected: entry.chainHash, actual: hash });
+            }
+        } else if (entry.parents.some(parentId => afterSealing.has(parentId))) {
+            afterSealing.add(entry.id);
+            broken(entry, index, 'unsealed-after-sealed');
+        }
+    }
+
+    return {
+        valid: firstBroken === null,
+        versions: entries.length,
+        sealed,
+        unsealed: entries.length - sealed,
+        firstBroken,
+        chainHashes: computed
+    };
+}
+
+module.exports = { ALGORITHM, BUNDLE_FORMAT, contentHash, chainHash, verifyChain };
@@ -0,0 +1,185 @@
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { ConflictError, LockedError } = require('./errors');
+
+const SCOPES = ['edit', 'write'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Document locks shared by every process using the same storage.
+//
+// The lock table is kept by the storage backend, which makes each change
+// to it atomic across processes: the file backend guards locks.json with an
+// exclusive mutex file, the SQLite backend uses a transaction. A table
+// provides read() and update(fn), where fn changes the locks in place and
+// returns a result.
+//
+// Each document can hold two locks. A `write` lock is taken by the storage
+// service around every change to the document's files and lasts for that
+// change. An `edit` lock is taken by a user for an editing session: while
+// it is held, saves must present its token. Both expire unless renewed,
+// so a crashed process or a closed browser never blocks a document for
+// long. Only the holder's token renews or releases a lock; admins can
+// break one outright.
+class LockManager extends EventEmitter {
+    constructor(table, options = {}) {
+        super();
+        this.table = table;
+        this.options = {
+            // How long a write lock lives without a heartbeat
+            writeTtl: 30 * 1000,
+            // Default and longest lifetime of an edit lock between heartbeats
+            editTtl: 2 * 60 * 1000,
+            maxEditTtl: 15 * 60 * 1000,
+            // How long to wait for another request's write lock
+            wait: 10 * 1000,
+            retryDelay: 20,
+            ...options
+        };
+    }
+
+    async initialize() {
+        await this.table.initialize();
+    }
+
+    // Change the lock table atomically. Expired locks are dropped first.
+    // update(locks, now) returns the result.
+    async update(update) {
+        return this.table.update(locks => {
+            const now = Date.now();
+            Object.keys(locks).forEach(documentId => {
+                const entry = locks[documentId];
+                SCOPES.forEach(scope => {
+                    if (entry[scope] && Date.parse(entry[scope].expires) <= now) delete entry[scope];
+                });
+                if (!entry.edit && !entry.write) delete locks[documentId];
+            });
+            return update(locks, now);
+        });
+    }
+
+    // A lock as shown to anyone but its holder
+    describe({ token, ...lock }) {
+        return lock;
+    }
+
+    lockedError(lock) {
+        return new LockedError(lock.scope === 'edit'
+            ? `Document is locked for editing by ${lock.userId} until ${lock.expires}`
+            : `Document is being changed by ${lock.userId}; try again shortly`);
+    }
+
+    clampTtl(scope, ttl) {
+        if (scope === 'write') return this.options.writeTtl;
+        const requested = Number(ttl) > 0 ? Number(ttl) : this.options.editTtl;
+        return Math.min(requested, this.options.maxEditTtl);
+    }
+
+    // Take a lock, returning it with its token. A write lock waits for other
+    // write locks; if editToken is given and the document has an edit lock,
+    // it must be that lock's token. Edit locks never wait.
+    async acquire(documentId, userId, { scope = 'write', ttl = null, purpose = null, editToken = null, checkEdit = false } = {}) {
+        const lifetime = this.clampTtl(scope, ttl);
+        const deadline = Date.now() + (scope === 'write' ? this.options.wait : 0);
+
+        for (;;) {
+            const result = await this.update((locks, now) => {
+                const entry = locks[documentId] || {};
+                if (entry[scope]) return { holder: entry[scope] };
+                if (checkEdit && entry.edit && entry.edit.token !== editToken) {
+                    return { holder: entry.edit, final: true };
+                }
+
+                const lock = {
+                    documentId,
+                    scope,
+                    token: crypto.randomBytes(24).toString('hex'),
+                    userId,
+                    purpose,
+                    acquired: new Date(now).toISOString(),
+                    renewed: new Date(now).toISOString(),
+                    expires: new Date(now + lifetime).toISOString(),
+                    ttl: lifetime,
+                    pid: process.pid,
+                    host: os.hostname()
+                };
+                locks[documentId] = { ...entry, [scope]: lock };
+                return { lock };
+            });
+
+            if (result.lock) {
+                this.emit('acquired', this.describe(result.lock));
+                return result.lock;
+            }
+            if (result.final || Date.now() >= deadline) throw this.lockedError(result.holder);
+            await sleep(this.options.retryDelay);
+        }
+    }
+
+    // Extend a lock by its lifetime, or by ttl for an edit lock
+    async renew(documentId, token, { scope = 'write', ttl = null } = {}) {
+        const lock = await this.update((locks, now) => {
+            const current = (locks[documentId] || {})[scope];
+            if (!current || current.token !== token) return null;
+            current.ttl = ttl === null ? current.ttl : this.clampTtl(scope, ttl);
+            current.renewed = new Date(now).toISOString();
+            current.expires = new Date(now + current.ttl).toISOString();
+            return current;
+        });
+        if (!lock) throw new ConflictError('Lock has expired or was released');
+        return lock;
+    }
+
+    // Release a lock held with token. Returns false when it was not held.
+    async release(documentId, token, { scope = 'write' } = {}) {
+        const released = await this.update(locks => {
+            const entry = locks[documentId];
+            if (!entry || !entry[scope] || entry[scope].token !== token) return null;
+            const lock = entry[scope];
+            delete entry[scope];
+            return lock;
+        });
+        if (released) this.emit('released', this.describe(released));
+        return Boolean(released);
+    }
+
+    // Remove a lock whoever holds it. Returns the lock that was removed.
+    async breakLock(documentId, { scope = 'edit' } = {}) {
+        const broken = await this.update(locks => {
+            const entry = locks[documentId];
+            if (!entry || !entry[scope]) return null;
+            const lock = entry[scope];
+            delete entry[scope];
+            return lock;
+        });
+        if (broken) this.emit('broken', this.describe(broken));
+        return broken ? this.describe(broken) : null;
+    }
+
+    // Renew a lock in the background until the returned function is called
+    keepAlive(lock) {
+        const timer = setInterval(() => {
+            this.renew(lock.documentId, lock.token, { scope: lock.scope }).catch(error => {
+                console.error('Failed to renew lock:', error.message);
+            });
+        }, Math.max(lock.ttl / 3, 1000));
+        timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    // Locks currently held, without their tokens
+    async list(documentId = null) {
+        const locks = await this.table.read();
+        const now = Date.now();
+        return Object.values(locks)
+            .flatMap(entry => SCOPES.map(scope => entry[scope]).filter(Boolean))
+            .filter(lock => Date.parse(lock.expires) > now)
+            .filter(lock => !documentId || lock.documentId === documentId)
+            .map(lock => this.describe(lock));
+    }
+}
+
+LockManager.SCOPES = SCOPES;
+
+module.exports = LockManager;
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+const ITERATIONS = 100000;
+const KEY_LENGTH = 64;
+const DIGEST = 'sha512';
+
+// Hash a password with PBKDF2 and a random salt, stored as "salt:key" in hex
+async function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16);
+        crypto.pbkdf2(password, salt, ITERATIONS, KEY_LENGTH, DIGEST, (err, derivedKey) => {
+            if (err) return reject(err);
+            resolve(salt.toString('hex') + ':' + derivedKey.toString('hex'));
+        });
+    });
+}
+
+// Check a password against a hash produced by hashPassword
+async function validatePassword(password, hash) {
+    return new Promise((resolve, reject) => {
+        const [salt, key] = String(hash).split(':');
+        if (!salt || !key) return resolve(false);
+
+        const saltBuffer = Buffer.from(salt, 'hex');
+        crypto.pbkdf2(password, saltBuffer, ITERATIONS, KEY_LENGTH, DIGEST, (err, derivedKey) => {
+            if (err) return reject(err);
+            const expected = Buffer.from(key, 'hex');
+            resolve(expected.length === derivedKey.length &&
+                crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+module.exports = { hashPassword, validatePassword };
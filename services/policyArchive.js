@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { ValidationError } = require('./errors');
+
+const FORMAT = 'policy-archive/1';
+const MANIFEST = 'manifest.json';
+const DOCUMENTS_PREFIX = 'documents/';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Where each part of a document lives in the archive
+const paths = {
+    metadata: (docId) => `${DOCUMENTS_PREFIX}${docId}/metadata.json`,
+    document: (docId) => `${DOCUMENTS_PREFIX}${docId}/document.json`,
+    version: (docId, versionId) => `${DOCUMENTS_PREFIX}${docId}/versions/${versionId}.json`,
+    attachment: (docId, name) => `${DOCUMENTS_PREFIX}${docId}/attachments/${name}`
+};
+
+// Archive names are built from ids and attachment names; refuse anything
+// that could be read as a path out of the archive
+const isSafePath = (name) => !name.startsWith('/') && !name.includes('\\') &&
+    name.split('/').every(part => part !== '' && part !== '.' && part !== '..');
+
+// A zip holding `files` (a Map of archive path to Buffer or string) with
+// manifest.json first, listing every file with its size and sha256
+async function writeArchive(manifest, files) {
+    const zip = new JSZip();
+    const listed = [];
+    const contents = [];
+
+    for (const [name, content] of files) {
+        if (!isSafePath(name) || name === MANIFEST) throw new ValidationError(`Invalid archive path ${name}`);
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        listed.push({ path: name, size: data.length, sha256: sha256(data) });
+        contents.push([name, data]);
+    }
+
+    zip.file(MANIFEST, JSON.stringify({ ...manifest, format: FORMAT, files: listed }, null, 2));
+    contents.forEach(([name, data]) => zip.file(name, data));
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+}
+
+// Open an archive and check it against its manifest: every listed file
+// must be present with its checksum, and nothing else may be. Returns the
+// manifest and the files by path; problems are reported all at once.
+async function readArchive(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new ValidationError(`Not a policy archive: ${error.message}`);
+    }
+
+    const manifestFile = zip.file(MANIFEST);
+    if (!manifestFile) throw new ValidationError(`Not a policy archive: ${MANIFEST} is missing`);
+    let manifest;
+    try {
+        manifest = JSON.parse(await manifestFile.async('string'));
+    } catch {
+        throw new ValidationError(`${MANIFEST} is not valid JSON`);
+    }
+    if (manifest.format !== FORMAT) {
+        throw new ValidationError(`Unsupported archive format "${manifest.format}"; expected ${FORMAT}`);
+    }
+    if (!Array.isArray(manifest.files) || !Array.isArray(manifest.documents)) {
+        throw new ValidationError(`${MANIFEST} does not list the archive's files and documents`);
+    }
+
+    const problems = [];
+    const files = new Map();
+    for (const { path: name, sha256: expected } of manifest.files) {
+        const file = typeof name === 'string' && isSafePath(name) ? zip.file(name) : null;
+        if (!file) {
+            problems.push(`${name} is missing`);
+            continue;
+        }
+        const data = await file.async('nodebuffer');
+        if (sha256(data) !== expected) {
+            problems.push(`${name} does not match its checksum`);
+        } else {
+            files.set(name, data);
+        }
+    }
+    Object.values(zip.files)
+        .filter(entry => !entry.dir && entry.name !== MANIFEST && !files.has(entry.name) &&
+            !manifest.files.some(listed => listed.path === entry.name))
+        .forEach(entry => problems.push(`${entry.name} is not listed in the manifest`));
+
+    if (problems.length > 0) throw new ValidationError('The archive is damaged or has been altered', problems);
+    return { manifest, files };
+}
+
+// Parse a JSON file read from an archive
+function readJSON(files, name) {
+    if (!files.has(name)) throw new ValidationError(`The archive has no ${name}`);
+    try {
+        return JSON.parse(files.get(name).toString('utf8'));
+    } catch {
+        throw new ValidationError(`${name} is not valid JSON`);
+    }
+}
+
+module.exports = {
+    FORMAT,
+    MANIFEST,
+    paths,
+    isSafePath,
+    writeArchive,
+    readArchive,
+    readJSON
+};
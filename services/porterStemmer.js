@@ -0,0 +1,140 @@
+// Porter's suffix-stripping stemmer (Program 14(3), 1980, with the
+// published bli/logi revisions), so "policies", "policy" and "policing"
+// share a stem in the search index. Expects a lowercase word; anything
+// that is not plain a-z, or shorter than three letters, is returned as is.
+
+const STEP2 = [
+    ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+    ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+    ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+    ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+    ['logi', 'log']
+];
+
+const STEP3 = [
+    ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4 = [
+    'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+    'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+// Each step tries only its longest matching suffix
+const longestFirst = (list, suffixOf) => [...list].sort((a, b) => suffixOf(b).length - suffixOf(a).length);
+const STEP2_RULES = longestFirst(STEP2, ([suffix]) => suffix);
+const STEP3_RULES = longestFirst(STEP3, ([suffix]) => suffix);
+const STEP4_SUFFIXES = longestFirst(STEP4, suffix => suffix);
+
+// y is a consonant at the start of a word or after a vowel
+function isConsonant(word, i) {
+    const c = word[i];
+    if ('aeiou'.includes(c)) return false;
+    if (c === 'y') return i === 0 || !isConsonant(word, i - 1);
+    return true;
+}
+
+// m in [C](VC)^m[V]: the number of vowel-consonant sequences
+function measure(stem) {
+    let m = 0;
+    let vowelSeen = false;
+    for (let i = 0; i < stem.length; i++) {
+        if (!isConsonant(stem, i)) {
+            vowelSeen = true;
+        } else if (vowelSeen) {
+            m++;
+            vowelSeen = false;
+        }
+    }
+    return m;
+}
+
+function hasVowel(stem) {
+    for (let i = 0; i < stem.length; i++) {
+        if (!isConsonant(stem, i)) return true;
+    }
+    return false;
+}
+
+function endsWithDoubleConsonant(word) {
+    const n = word.length;
+    return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+// Consonant-vowel-consonant ending, the last not w, x or y: hop, but not how
+function endsCvc(word) {
+    const n = word.length;
+    return n >= 3 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) &&
+        isConsonant(word, n - 1) && !'wxy'.includes(word[n - 1]);
+}
+
+function step1(word) {
+    // 1a: plurals
+    if (word.endsWith('sses') || word.endsWith('ies')) {
+        word = word.slice(0, -2);
+    } else if (word.endsWith('s') && !word.endsWith('ss')) {
+        word = word.slice(0, -1);
+    }
+
+    // 1b: past tense and gerunds
+    if (word.endsWith('eed')) {
+        if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+    } else {
+        const suffix = ['ed', 'ing'].find(s => word.endsWith(s) && hasVowel(word.slice(0, -s.length)));
+        if (suffix) {
+            word = word.slice(0, -suffix.length);
+            if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+                word += 'e';
+            } else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+                word = word.slice(0, -1);
+            } else if (measure(word) === 1 && endsCvc(word)) {
+                word += 'e';
+            }
+        }
+    }
+
+    // 1c: terminal y
+    if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+        word = `${word.slice(0, -1)}i`;
+    }
+    return word;
+}
+
+function replaceSuffix(word, rules) {
+    const rule = rules.find(([suffix]) => word.endsWith(suffix));
+    if (!rule) return word;
+    const stem = word.slice(0, -rule[0].length);
+    return measure(stem) > 0 ? stem + rule[1] : word;
+}
+
+function step4(word) {
+    const suffix = STEP4_SUFFIXES.find(s => word.endsWith(s));
+    if (!suffix) return word;
+    const stem = word.slice(0, -suffix.length);
+    if (measure(stem) <= 1) return word;
+    if (suffix === 'ion' && !/[st]$/.test(stem)) return word;
+    return stem;
+}
+
+function step5(word) {
+    if (word.endsWith('e')) {
+        const stem = word.slice(0, -1);
+        const m = measure(stem);
+        if (m > 1 || (m === 1 && !endsCvc(stem))) word = stem;
+    }
+    if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+        word = word.slice(0, -1);
+    }
+    return word;
+}
+
+function stem(word) {
+    if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+    let result = step1(word);
+    result = replaceSuffix(result, STEP2_RULES);
+    result = replaceSuffix(result, STEP3_RULES);
+    result = step4(result);
+    return step5(result);
+}
+
+module.exports = { stem };
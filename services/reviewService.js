@@ -0,0 +1,201 @@
+const { EventEmitter } = require('events');
+const { addMonths, differenceInCalendarDays, startOfDay } = require('date-fns');
+const { ValidationError } = require('./errors');
+
+// Review cycles and how many months each one spans
+const REVIEW_CYCLES = {
+    monthly: 1,
+    quarterly: 3,
+    'semi-annual': 6,
+    annual: 12,
+    biennial: 24
+};
+
+// Keeps every policy on its periodic review cycle. Documents carry an owner,
+// a reviewCycle and a nextReviewDate in their metadata; the scheduler checks
+// them periodically and emits 'review-due' when a review falls inside the
+// warning window and 'review-overdue' once the date has passed.
+class ReviewService extends EventEmitter {
+    constructor(storage, options = {}) {
+        super();
+        this.storage = storage;
+        this.options = {
+            users: null,
+            checkInterval: 60 * 60 * 1000, // hourly
+            dueSoonDays: 30,
+            ...options
+        };
+        this.users = this.options.users;
+        this.timer = null;
+        // Last status announced per document, so each event fires once
+        this.notified = new Map();
+    }
+
+    getCycles() {
+        return Object.keys(REVIEW_CYCLES);
+    }
+
+    // Date a review falls due one cycle after the given date
+    calculateNextReview(cycle, from = new Date()) {
+        return startOfDay(addMonths(new Date(from), REVIEW_CYCLES[cycle])).toISOString();
+    }
+
+    // Set the owner, cycle or next review date of a document
+    async setSchedule(docId, { owner, reviewCycle, nextReviewDate } = {}, user = null) {
+        const metadata = await this.storage.getMetadata(docId);
+        const schedule = {};
+
+        if (owner !== undefined) {
+            if (owner !== null && this.users) this.users.getUser(owner);
+            schedule.owner = owner;
+        }
+        if (reviewCycle !== undefined) {
+            if (reviewCycle !== null && !REVIEW_CYCLES[reviewCycle]) {
+                throw new ValidationError('Unknown review cycle', this.getCycles());
+            }
+            schedule.reviewCycle = reviewCycle;
+        }
+        if (nextReviewDate !== undefined) {
+            if (nextReviewDate !== null && Number.isNaN(Date.parse(nextReviewDate))) {
+                throw new ValidationError('nextReviewDate must be a date');
+            }
+            schedule.nextReviewDate = nextReviewDate && new Date(nextReviewDate).toISOString();
+        }
+
+        // Start the cycle from the last review, or creation, unless a date was given
+        if (schedule.reviewCycle && schedule.nextReviewDate === undefined) {
+            schedule.nextReviewDate = this.calculateNextReview(
+                schedule.reviewCycle, metadata.lastReviewed || metadata.created
+            );
+        }
+
+        const updated = await this.storage.updateReviewSchedule(
+            docId, schedule, user ? user.id : 'default'
+        );
+        this.notified.delete(docId);
+        return this.describe(updated);
+    }
+
+    // Record a completed review and schedule the next one
+    async completeReview(docId, user = null) {
+        const metadata = await this.storage.getMetadata(docId);
+        const reviewed = new Date();
+        const updated = await this.storage.updateReviewSchedule(docId, {
+            lastReviewed: reviewed.toISOString(),
+            nextReviewDate: metadata.reviewCycle
+                ? this.calculateNextReview(metadata.reviewCycle, reviewed)
+                : metadata.nextReviewDate
+        }, user ? user.id : 'default');
+
+        this.notified.delete(docId);
+        this.emit('review-completed', {
+            documentId: docId,
+            userId: user ? user.id : null,
+            nextReviewDate: updated.nextReviewDate
+        });
+        return this.describe(updated);
+    }
+
+    getOwnerName(owner) {
+        if (!owner || !this.users) return null;
+        try {
+            return this.users.getUser(owner).displayName;
+        } catch {
+            return null;
+        }
+    }
+
+    // Review status of one document: scheduled, due, overdue or unscheduled
+    describe(metadata, now = new Date()) {
+        const daysUntilDue = metadata.nextReviewDate
+            ? differenceInCalendarDays(new Date(metadata.nextReviewDate), now)
+            : null;
+        let reviewStatus = 'unscheduled';
+        if (daysUntilDue !== null) {
+            if (daysUntilDue < 0) reviewStatus = 'overdue';
+            else if (daysUntilDue <= this.options.dueSoonDays) reviewStatus = 'due';
+            else reviewStatus = 'scheduled';
+        }
+
+        return {
+            id: metadata.id,
+            title: metadata.title,
+            status: metadata.status !== undefined
+                ? metadata.status
+                : (metadata.workflow ? metadata.workflow.state : null),
+            owner: metadata.owner || null,
+            ownerName: this.getOwnerName(metadata.owner),
+            reviewCycle: metadata.reviewCycle || null,
+            nextReviewDate: metadata.nextReviewDate || null,
+            lastReviewed: metadata.lastReviewed || null,
+            daysUntilDue,
+            reviewStatus
+        };
+    }
+
+    // Overdue reviews and those due within the given number of days across
+    // the library, soonest first. Retired documents are left out.
+    async getReport({ withinDays = this.options.dueSoonDays, owner = null } = {}) {
+        const now = new Date();
+        const documents = (await this.storage.listDocuments())
+            .filter(doc => doc.status !== 'retired')
+            .filter(doc => !owner || doc.owner === owner)
+            .map(doc => this.describe(doc, now))
+            .sort((a, b) => (a.daysUntilDue ?? Infinity) - (b.daysUntilDue ?? Infinity));
+
+        return {
+            generated: now.toISOString(),
+            withinDays,
+            overdue: documents.filter(doc => doc.reviewStatus === 'overdue'),
+            upcoming: documents.filter(doc =>
+                doc.daysUntilDue !== null && doc.daysUntilDue >= 0 && doc.daysUntilDue <= withinDays
+            ),
+            unscheduled: documents.filter(doc => doc.reviewStatus === 'unscheduled')
+        };
+    }
+
+    // Emit events for reviews that have become due or overdue since the last check
+    async checkReviews() {
+        const report = await this.getReport();
+        const events = [];
+
+        [...report.overdue, ...report.upcoming].forEach(doc => {
+            const key = `${doc.reviewStatus}:${doc.nextReviewDate}`;
+            if (this.notified.get(doc.id) === key) return;
+            this.notified.set(doc.id, key);
+
+            const event = doc.reviewStatus === 'overdue' ? 'review-overdue' : 'review-due';
+            events.push(event);
+            this.emit(event, {
+                documentId: doc.id,
+                title: doc.title,
+                owner: doc.owner,
+                nextReviewDate: doc.nextReviewDate,
+                daysUntilDue: doc.daysUntilDue
+            });
+        });
+
+        return events.length;
+    }
+
+    // Start checking on an interval; the first check runs straight away
+    start() {
+        if (this.timer) return;
+
+        const check = () => this.checkReviews().catch(error => {
+            console.error('Failed to check review schedule:', error);
+        });
+        check();
+        this.timer = setInterval(check, this.options.checkInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+ReviewService.REVIEW_CYCLES = REVIEW_CYCLES;
+
+module.exports = ReviewService;
@@ -0,0 +1,351 @@
+const { stem } = require('./porterStemmer');
+const { parseDocument, flattenSections } = require('./documentMerge');
+const { outlineNumbers, glossaryEntries } = require('./documentDiff');
+
+const FILTERS = ['tag', 'owner', 'status'];
+
+// Fields with no snippet: the title is in every result and tags are listed
+const UNSNIPPETED = ['title', 'tags'];
+
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+// Words of a text as index terms with their offsets. Case and accents are
+// folded and possessives dropped before stemming.
+function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text || '').matchAll(WORD)) {
+        const folded = match[0].normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()
+            .replace(/['’]s$/, '')
+            .replace(/['’]/g, '');
+        tokens.push({ term: stem(folded), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+// Split a query into terms, quoted phrases and field filters:
+//   retention "personal data" tag:gdpr status:approved owner:alice
+// Filter values may be quoted. A word before a colon that is not a filter
+// is searched as text.
+function parseQuery(query) {
+    const parsed = { terms: [], phrases: [], filters: {} };
+    const pattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"?|(\S+)/g;
+
+    for (const match of String(query).matchAll(pattern)) {
+        const [text, quotedField, quotedValue, field, value, phrase] = match;
+        const name = (quotedField || field || '').toLowerCase();
+        if (FILTERS.includes(name)) {
+            const filterValue = (quotedValue !== undefined ? quotedValue : value).trim();
+            if (filterValue) parsed.filters[name] = [...(parsed.filters[name] || []), filterValue];
+            continue;
+        }
+
+        const terms = tokenize(phrase !== undefined ? phrase : text).map(token => token.term);
+        if (phrase !== undefined && terms.length > 1) {
+            parsed.phrases.push(terms);
+        } else {
+            parsed.terms.push(...terms);
+        }
+    }
+    parsed.terms = [...new Set(parsed.terms)];
+    return parsed;
+}
+
+const isEmptyQuery = (parsed) =>
+    parsed.terms.length === 0 && parsed.phrases.length === 0 && Object.keys(parsed.filters).length === 0;
+
+// The searchable parts of a document: its title and tags, each section's
+// title and text with its outline number, each glossary entry, and the
+// text of a document without sections
+function passagesOf(document, metadata) {
+    const passages = [{ field: 'title', text: String(metadata.title || '') }];
+    if ((metadata.tags || []).length > 0) {
+        passages.push({ field: 'tags', text: metadata.tags.join(', ') });
+    }
+
+    const parsed = parseDocument(document);
+    const sections = parsed && Array.isArray(parsed.sections) ? parsed.sections : [];
+    const index = flattenSections(sections);
+    const numbers = outlineNumbers(index);
+    index.forEach(node => {
+        const title = String(node.fields.title || '');
+        const content = String(node.fields.content || '');
+        passages.push({
+            field: 'section',
+            // Sections without an id get a positional one from flattenSections
+            sectionId: node.id.startsWith('@') ? null : node.id,
+            number: String(node.fields.number || numbers.get(node.id)),
+            title,
+            text: [title, content].filter(Boolean).join('\n'),
+            // Snippets skip the title, which is returned on its own
+            bodyStart: title && content ? title.length + 1 : 0
+        });
+    });
+
+    glossaryEntries(parsed && parsed.glossary).forEach((definition, term) => {
+        passages.push({ field: 'glossary', title: term, text: `${term}: ${definition}` });
+    });
+
+    if (document && typeof document.content === 'string' && document.content.trim()) {
+        passages.push({ field: 'content', text: document.content });
+    }
+    return passages;
+}
+
+// Ranges of a passage's text matching the query's terms or phrases
+function hitRanges(tokens, terms, phrases) {
+    const ranges = tokens.filter(token => terms.has(token.term)).map(token => [token.start, token.end]);
+    phrases.forEach(phrase => {
+        for (let i = 0; i + phrase.length <= tokens.length; i++) {
+            if (phrase.every((term, offset) => tokens[i + offset].term === term)) {
+                ranges.push([tokens[i].start, tokens[i + phrase.length - 1].end]);
+            }
+        }
+    });
+    return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+// A window of text around its first hit, cut at word boundaries, with the
+// hits inside it as [start, end] offsets into the snippet. The window
+// starts no earlier than bodyStart unless the first hit is before it.
+function makeSnippet(text, ranges, length, bodyStart = 0) {
+    const flat = text.replace(/\s/g, ' ');
+    const [firstStart, firstEnd] = ranges[0];
+    const floor = firstStart >= bodyStart ? bodyStart : 0;
+
+    let start = Math.max(floor, firstStart - Math.floor(length / 4));
+    let end = Math.min(flat.length, start + length);
+    start = Math.max(floor, Math.min(start, end - length));
+    if (start > floor) {
+        const space = flat.indexOf(' ', start - 1);
+        if (space !== -1 && space < firstStart) start = space + 1;
+    }
+    if (end < flat.length) {
+        const space = flat.lastIndexOf(' ', end);
+        if (space >= firstEnd) end = space;
+    }
+
+    const prefix = start > floor ? '…' : '';
+    const shift = prefix.length - start;
+    return {
+        snippet: `${prefix}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`,
+        highlights: ranges
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from + shift, to + shift])
+    };
+}
+
+// In-memory inverted index over titles, tags, section text and glossary
+// entries, ranked with BM25 on field-weighted term frequencies.
+//
+// Each document is indexed as a list of passages (its title, its tags,
+// one per section, one per glossary entry), and every stemmed term maps to
+// the passages and word positions it occurs at, which is what phrase
+// queries match against. A match counts for its field's weight, so a term
+// in the title outranks the same term in a section. Results carry snippets
+// from the best matching sections with their outline numbers.
+//
+// The index knows nothing about storage: the caller adds a document with
+// set() whenever it is written and drops it with remove().
+class SearchIndex {
+    constructor(options = {}) {
+        this.options = {
+            // Relative weight of a match in each field
+            weights: { title: 4, tags: 3, glossary: 1.5, section: 1, content: 1 },
+            // BM25 term saturation and length normalization
+            k1: 1.2,
+            b: 0.75,
+            // Characters per snippet and snippets per result
+            snippetLength: 160,
+            snippets: 3,
+            ...options
+        };
+        this.entries = new Map();
+        this.postings = new Map();
+        this.totalLength = 0;
+    }
+
+    weightOf(field) {
+        return this.options.weights[field] || 1;
+    }
+
+    // Index a document, replacing what was indexed for it before
+    set(metadata, document) {
+        this.remove(metadata.id);
+
+        const passages = passagesOf(document, metadata);
+        const positions = new Map();
+        let length = 0;
+        passages.forEach((passage, index) => {
+            const tokens = tokenize(passage.text);
+            length += this.weightOf(passage.field) * tokens.length;
+            tokens.forEach(({ term }, position) => {
+                if (!positions.has(term)) positions.set(term, new Map());
+                const byPassage = positions.get(term);
+                if (!byPassage.has(index)) byPassage.set(index, []);
+                byPassage.get(index).push(position);
+            });
+        });
+
+        this.entries.set(metadata.id, {
+            id: metadata.id,
+            owner: metadata.owner || null,
+            status: metadata.workflow ? String(metadata.workflow.state).toLowerCase() : null,
+            tags: (metadata.tags || []).map(tag => String(tag).toLowerCase()),
+            modified: metadata.modified,
+            passages,
+            positions,
+            length
+        });
+        positions.forEach((_, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Set());
+            this.postings.get(term).add(metadata.id);
+        });
+        this.totalLength += length;
+    }
+
+    remove(docId) {
+        const entry = this.entries.get(docId);
+        if (!entry) return;
+        entry.positions.forEach((_, term) => {
+            const ids = this.postings.get(term);
+            ids.delete(docId);
+            if (ids.size === 0) this.postings.delete(term);
+        });
+        this.totalLength -= entry.length;
+        this.entries.delete(docId);
+    }
+
+    has(docId) {
+        return this.entries.has(docId);
+    }
+
+    // Values of one filter are alternatives; different filters all apply.
+    // Documents without a workflow state are in initialState.
+    matchesFilters(entry, filters, initialState) {
+        const { tag, owner, status } = filters;
+        const state = entry.status || (initialState ? String(initialState).toLowerCase() : null);
+        return (!tag || tag.some(value => entry.tags.includes(value.toLowerCase()))) &&
+            (!owner || owner.includes(entry.owner)) &&
+            (!status || status.some(value => state === value.toLowerCase()));
+    }
+
+    // Weighted occurrences of a phrase in a document
+    phraseFrequency(entry, phrase) {
+        let frequency = 0;
+        const [first, ...rest] = phrase.map(term => entry.positions.get(term));
+        if (!first || rest.some(byPassage => !byPassage)) return 0;
+
+        first.forEach((starts, passage) => {
+            const count = starts.filter(start => rest.every((byPassage, offset) =>
+                (byPassage.get(passage) || []).includes(start + offset + 1))).length;
+            frequency += count * this.weightOf(entry.passages[passage].field);
+        });
+        return frequency;
+    }
+
+    termFrequency(entry, term) {
+        let frequency = 0;
+        (entry.positions.get(term) || new Map()).forEach((found, passage) => {
+            frequency += found.length * this.weightOf(entry.passages[passage].field);
+        });
+        return frequency;
+    }
+
+    // Documents matching a parsed query, best first: [{ id, score,
+    // matchType, matches }], where matches are snippets of the sections,
+    // glossary entries or text that matched. Every term and phrase must
+    // occur. A query of filters alone lists the matching documents most
+    // recently modified first.
+    search(parsed, { limit = 20, initialState = null } = {}) {
+        const { terms, phrases, filters } = parsed;
+        const required = [...new Set([...terms, ...phrases.flat()])];
+
+        let candidates;
+        if (required.length === 0) {
+            candidates = Array.from(this.entries.values());
+        } else {
+            const lists = required.map(term => this.postings.get(term) || new Set())
+                .sort((a, b) => a.size - b.size);
+            candidates = Array.from(lists[0])
+                .filter(id => lists.every(ids => ids.has(id)))
+                .map(id => this.entries.get(id));
+        }
+        candidates = candidates.filter(entry => this.matchesFilters(entry, filters, initialState));
+
+        const documentCount = this.entries.size;
+        const averageLength = documentCount > 0 ? this.totalLength / documentCount : 0;
+        const idf = (frequency) => Math.log(1 + (documentCount - frequency + 0.5) / (frequency + 0.5));
+        const { k1, b } = this.options;
+
+        // Frequencies of every term and phrase in every candidate; a
+        // candidate missing a phrase drops out
+        const units = [
+            ...terms.map(term => ({
+                frequency: entry => this.termFrequency(entry, term),
+                documents: (this.postings.get(term) || new Set()).size
+            })),
+            ...phrases.map(phrase => {
+                const frequencies = new Map(candidates.map(entry => [entry.id, this.phraseFrequency(entry, phrase)]));
+                candidates = candidates.filter(entry => frequencies.get(entry.id) > 0);
+                // Phrases are only looked for in candidates, so their document
+                // frequency is counted among those
+                return { frequency: entry => frequencies.get(entry.id), documents: candidates.length };
+            })
+        ];
+
+        const scored = candidates.map(entry => {
+            const norm = k1 * (1 - b + b * (averageLength > 0 ? entry.length / averageLength : 0));
+            const score = units.reduce((total, unit) => {
+                const frequency = unit.frequency(entry);
+                return total + idf(unit.documents) * (frequency * (k1 + 1)) / (frequency + norm);
+            }, 0);
+            return { entry, score };
+        });
+
+        scored.sort((a, b) => b.score - a.score ||
+            String(b.entry.modified).localeCompare(String(a.entry.modified)));
+
+        return scored.slice(0, limit).map(({ entry, score }) => ({
+            id: entry.id,
+            score: Math.round(score * 1000) / 1000,
+            ...this.describeMatches(entry, parsed)
+        }));
+    }
+
+    // Which fields matched, and snippets of the best matching passages
+    describeMatches(entry, { terms, phrases, filters }) {
+        const termSet = new Set(terms);
+        const matchType = { title: false, content: false, tags: Boolean(filters.tag) };
+        const hits = [];
+
+        entry.passages.forEach((passage, index) => {
+            const ranges = hitRanges(tokenize(passage.text), termSet, phrases);
+            if (ranges.length === 0) return;
+
+            if (passage.field === 'title' || passage.field === 'tags') {
+                matchType[passage.field] = true;
+            } else {
+                matchType.content = true;
+            }
+            if (!UNSNIPPETED.includes(passage.field)) {
+                hits.push({ passage, index, ranges, weight: ranges.length * this.weightOf(passage.field) });
+            }
+        });
+
+        const matches = hits
+            .sort((a, b) => b.weight - a.weight || a.index - b.index)
+            .slice(0, this.options.snippets)
+            .sort((a, b) => a.index - b.index)
+            .map(({ passage, ranges }) => ({
+                field: passage.field,
+                section: passage.number || null,
+                sectionId: passage.sectionId || null,
+                title: passage.title || null,
+                ...makeSnippet(passage.text, ranges, this.options.snippetLength, passage.bodyStart)
+            }));
+
+        return { matchType, matches };
+    }
+}
+
+module.exports = { SearchIndex, tokenize, parseQuery, isEmptyQuery };
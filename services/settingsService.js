@@ -1,100 +1,117 @@
 const { EventEmitter } = require('events');
 const fs = require('fs').promises;
 const path = require('path');
-const crypto = require('crypto');
+const { writeFileAtomic } = require('./writeJournal');
+
+// Every category with its default values
+const defaultSettings = () => ({
+    general: {
+        locale: 'en-US',
+        theme: 'light',
+        fontSize: 14,
+        fontFamily: 'Arial',
+        autoSave: true,
+        autoSaveInterval: 300000, // 5 minutes
+    },
+    editor: {
+        indentSize: 4,
+        wordWrap: true,
+        lineNumbers: true,
+        highlightCurrentLine: true,
+        matchBrackets: true,
+        autoCloseBrackets: true,
+        showWhitespace: false,
+        rulers: [80, 120],
+    },
+    ai: {
+        openaiApiKey: '',
+        anthropicApiKey: '',
+        enableSuggestions: true,
+        suggestionDelay: 1000,
+        maxSuggestions: 5,
+    },
+    collaboration: {
+        userName: '',
+        userEmail: '',
+        showCursors: true,
+        showSelections: true,
+        notifyOnChanges: true,
+    },
+    security: {
+        // Storage encryption (see EncryptedBackend): the key
+        // is derived from STORAGE_PASSPHRASE or kept in keyFile
+        encryptDocuments: false,
+        keySource: 'keyfile',
+        keyFile: '',
+        autoLock: true,
+        autoLockTimeout: 900000, // 15 minutes
+        requirePassword: false,
+    },
+    backup: {
+        enabled: true,
+        interval: 86400000, // 24 hours
+        maxBackups: 10,
+        location: 'backups',
+    },
+    trash: {
+        retentionDays: 30,
+    },
+    export: {
+        defaultFormat: 'pdf',
+        paperSize: 'A4',
+        margin: '2.5cm',
+        headerTemplate: '',
+        footerTemplate: '',
+    },
+    notifications: {
+        enabled: true,
+        sound: true,
+        desktop: true,
+        collaborationUpdates: true,
+        aiSuggestions: true,
+    },
+    privacy: {
+        collectAnalytics: false,
+        shareUsageData: false,
+        storageLocation: 'local',
+    },
+    accessibility: {
+        highContrast: false,
+        reducedMotion: false,
+        screenReader: false,
+        keyboardNavigation: true,
+    }
+});
 
 class SettingsService extends EventEmitter {
     constructor(configPath) {
         super();
         this.configPath = configPath;
         this.settings = null;
-        this.encryptionKey = null;
     }
 
-    // Initialize settings with defaults
+    // Load settings, filling in categories and fields a settings file from
+    // an earlier release lacks with their defaults, or create them
     async initialize() {
+        const defaults = defaultSettings();
         try {
             await this.loadSettings();
         } catch (error) {
             // Create default settings if none exist
-            this.settings = {
-                general: {
-                    locale: 'en-US',
-                    theme: 'light',
-                    fontSize: 14,
-                    fontFamily: 'Arial',
-                    autoSave: true,
-                    autoSaveInterval: 300000, // 5 minutes
-                },
-                editor: {
-                    indentSize: 4,
-                    wordWrap: true,
-                    lineNumbers: true,
-                    highlightCurrentLine: true,
-                    matchBrackets: true,
-                    autoCloseBrackets: true,
-                    showWhitespace: false,
-                    rulers: [80, 120],
-                },
-                ai: {
-                    openaiApiKey: '',
-                    anthropicApiKey: '',
-                    enableSuggestions: true,
-                    suggestionDelay: 1000,
-                    maxSuggestions: 5,
-                },
-                collaboration: {
-                    userName: '',
-                    userEmail: '',
-                    showCursors: true,
-                    showSelections: true,
-                    notifyOnChanges: true,
-                },
-                security: {
-                    encryptDocuments: false,
-                    autoLock: true,
-                    autoLockTimeout: 900000, // 15 minutes
-                    requirePassword: false,
-                },
-                backup: {
-                    enabled: true,
-                    interval: 86400000, // 24 hours
-                    maxBackups: 10,
-                    location: 'backups',
-                },
-                export: {
-                    defaultFormat: 'pdf',
-                    paperSize: 'A4',
-                    margin: '2.5cm',
-                    headerTemplate: '',
-                    footerTemplate: '',
-                },
-                notifications: {
-                    enabled: true,
-                    sound: true,
-                    desktop: true,
-                    collaborationUpdates: true,
-                    aiSuggestions: true,
-                },
-                privacy: {
-                    collectAnalytics: false,
-                    shareUsageData: false,
-                    storageLocation: 'local',
-                },
-                accessibility: {
-                    highContrast: false,
-                    reducedMotion: false,
-                    screenReader: false,
-                    keyboardNavigation: true,
-                }
-            };
+            this.settings = defaults;
             await this.saveSettings();
+            return this.settings;
         }
 
-        // Set up encryption key if needed
-        if (this.settings.security.encryptDocuments && !this.encryptionKey) {
-            this.encryptionKey = await this.generateEncryptionKey();
+        let missing = false;
+        for (const [category, values] of Object.entries(defaults)) {
+            const current = this.settings[category];
+            if (!current || typeof current !== 'object' || Object.keys(values).some(key => !(key in current))) {
+                this.settings[category] = { ...values, ...(current && typeof current === 'object' ? current : {}) };
+                missing = true;
+            }
         }
+        if (missing) await this.saveSettings();
 
         return this.settings;
     }
@@ -110,7 +127,8 @@ class SettingsService extends EventEmitter {
     // Save settings to file
     async saveSettings() {
         const data = JSON.stringify(this.settings, null, 2);
-        await fs.writeFile(this.configPath, data, 'utf8');
+        await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+        await writeFileAtomic(this.configPath, data);
         this.emit('settings-saved', this.settings);
         return true;
     }
@@ -205,11 +223,6 @@ class SettingsService extends EventEmitter {
         return validations;
     }
 
-    // Generate encryption key
-    async generateEncryptionKey() {
-        return crypto.randomBytes(32);
-    }
-
     // Export settings
     async exportSettings(exportPath) {
         const exportData = {
@@ -1,6 +1,8 @@
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { hashPassword, validatePassword } = require('./passwords');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('./errors');
 
 class SharingService extends EventEmitter {
     constructor(documentStorageService, collaborationService) {
@@ -64,35 +66,35 @@ class SharingService extends EventEmitter {
     async accessShare(shareId, shareToken, options = {}) {
         const share = this.shares.get(shareId);
         if (!share || !share.active) {
-            throw new Error('Share not found or inactive');
+            throw new NotFoundError('Share not found or inactive');
         }
 
         // Validate share token
         if (share.token !== shareToken) {
-            throw new Error('Invalid share token');
+            throw new UnauthorizedError('Invalid share token');
         }
 
         // Check expiration
         if (share.expiresAt && new Date() > new Date(share.expiresAt)) {
-            throw new Error('Share link has expired');
+            throw new ForbiddenError('Share link has expired');
         }
 
         // Check max views
         if (share.maxViews && share.views >= share.maxViews) {
-            throw new Error('Maximum view count reached');
+            throw new ForbiddenError('Maximum view count reached');
         }
 
         // Validate password if required
         if (share.passwordHash) {
             if (!options.password) {
-                throw new Error('Password required');
+                throw new UnauthorizedError('Password required');
             }
             const isValidPassword = await this.validatePassword(
                 options.password,
                 share.passwordHash
             );
             if (!isValidPassword) {
-                throw new Error('Invalid password');
+                throw new UnauthorizedError('Invalid password');
             }
         }
 
@@ -135,12 +137,12 @@ class SharingService extends EventEmitter {
     async validateAccessToken(accessToken) {
         const access = this.accessTokens.get(accessToken);
         if (!access) {
-            throw new Error('Invalid access token');
+            throw new UnauthorizedError('Invalid access token');
         }
 
         const share = this.shares.get(access.shareId);
         if (!share || !share.active) {
-            throw new Error('Share not found or inactive');
+            throw new NotFoundError('Share not found or inactive');
         }
 
         access.lastAccessed = new Date();
@@ -154,7 +156,7 @@ class SharingService extends EventEmitter {
     async updateShare(shareId, updates) {
         const share = this.shares.get(shareId);
         if (!share) {
-            throw new Error('Share not found');
+            throw new NotFoundError('Share not found');
         }
 
         // Handle password updates separately
@@ -173,7 +175,7 @@ class SharingService extends EventEmitter {
     async revokeShare(shareId) {
         const share = this.shares.get(shareId);
         if (!share) {
-            throw new Error('Share not found');
+            throw new NotFoundError('Share not found');
         }
 
         share.active = false;
@@ -204,7 +206,7 @@ class SharingService extends EventEmitter {
     async addComment(shareId, accessToken, comment) {
         const access = await this.validateAccessToken(accessToken);
         if (!access.permissions.includes('comment')) {
-            throw new Error('No comment permission');
+            throw new ForbiddenError('No comment permission');
         }
 
         const share = this.shares.get(shareId);
@@ -225,24 +227,11 @@ class SharingService extends EventEmitter {
     }
 
     async hashPassword(password) {
-        return new Promise((resolve, reject) => {
-            const salt = crypto.randomBytes(16);
-            crypto.pbkdf2(password, salt, 100000, 64, 'sha512', (err, derivedKey) => {
-                if (err) reject(err);
-                resolve(salt.toString('hex') + ':' + derivedKey.toString('hex'));
-            });
-        });
+        return hashPassword(password);
     }
 
     async validatePassword(password, hash) {
-        return new Promise((resolve, reject) => {
-            const [salt, key] = hash.split(':');
-            const saltBuffer = Buffer.from(salt, 'hex');
-            crypto.pbkdf2(password, saltBuffer, 100000, 64, 'sha512', (err, derivedKey) => {
-                if (err) reject(err);
-                resolve(derivedKey.toString('hex') === key);
-            });
-        });
+        return validatePassword(password, hash);
     }
 
     generateShareUrl(shareId, token) {
@@ -259,7 +248,7 @@ class SharingService extends EventEmitter {
 
     async getSharedDocument(documentId, permissions) {
         const doc = await this.documentStorage.getDocument(documentId);
-        if (!doc) throw new Error('Document not found');
+        if (!doc) throw new NotFoundError('Document not found');
 
         // Remove sensitive information based on permissions
         return this.sanitizeDocument(doc, permissions);
@@ -269,11 +258,12 @@ class SharingService extends EventEmitter {
         const sanitized = { ...doc };
         
         if (!permissions.includes('read')) {
-            throw new Error('No read permission');
+            throw new ForbiddenError('No read permission');
         }
 
         // Remove sensitive metadata if not allowed
-        if (!permissions.includes('full_access')) {
+        if (!permissions.includes('full_access') && sanitized.metadata) {
+            sanitized.metadata = { ...sanitized.metadata };
             delete sanitized.metadata.author;
             delete sanitized.metadata.internal;
         }
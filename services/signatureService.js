@@ -0,0 +1,272 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic } = require('./writeJournal');
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError
+} = require('./errors');
+
+const PAYLOAD_FORMAT = 'policy-signature/1';
+const MIN_RSA_BITS = 2048;
+
+// Digital signatures on approved versions. Approvers keep their private key
+// on their own machine (scripts/signingKey.js generates one) and register
+// only the public key here. To sign, they fetch the payload for a version,
+// which names the document, the version and its content hash, sign it
+// locally and upload the signature. Signatures are stored with the
+// document's metadata and re-verified against the registered key and the
+// version's recorded hash every time they are read.
+class SignatureService extends EventEmitter {
+    constructor(storage, options = {}) {
+        super();
+        this.storage = storage;
+        this.options = {
+            users: null,
+            keysFile: path.join(storage.baseDir, 'signing-keys.json'),
+            ...options
+        };
+        this.users = this.options.users;
+        this.keys = [];
+    }
+
+    async initialize() {
+        try {
+            this.keys = JSON.parse(await fs.readFile(this.options.keysFile, 'utf8')).keys || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load signing keys:', error);
+                throw error;
+            }
+            this.keys = [];
+        }
+    }
+
+    async saveKeys() {
+        await writeFileAtomic(this.options.keysFile, JSON.stringify({ keys: this.keys }, null, 2));
+    }
+
+    // Parse a PEM public key, accepting Ed25519 and RSA of at least 2048 bits
+    parsePublicKey(pem) {
+        let key;
+        try {
+            key = crypto.createPublicKey(pem);
+        } catch {
+            throw new ValidationError('publicKey must be a PEM encoded public key');
+        }
+
+        if (key.asymmetricKeyType === 'rsa') {
+            if (key.asymmetricKeyDetails.modulusLength < MIN_RSA_BITS) {
+                throw new ValidationError(`RSA keys must be at least ${MIN_RSA_BITS} bits`);
+            }
+        } else if (key.asymmetricKeyType !== 'ed25519') {
+            throw new ValidationError('Only Ed25519 and RSA keys are supported');
+        }
+        return key;
+    }
+
+    // Short fingerprint identifying a public key
+    fingerprint(key) {
+        return crypto.createHash('sha256')
+            .update(key.export({ type: 'spki', format: 'der' }))
+            .digest('hex')
+            .slice(0, 32);
+    }
+
+    describeKey({ publicKey, ...key }) {
+        return key;
+    }
+
+    listKeys(userId = null) {
+        return this.keys
+            .filter(key => !userId || key.userId === userId)
+            .map(key => this.describeKey(key));
+    }
+
+    getKey(keyId) {
+        const key = this.keys.find(entry => entry.id === keyId);
+        if (!key) throw new NotFoundError('Signing key not found');
+        return key;
+    }
+
+    // Register the public half of a user's signing key
+    async registerKey(user, publicKey, label = '') {
+        if (typeof publicKey !== 'string') throw new ValidationError('publicKey is required');
+
+        const key = this.parsePublicKey(publicKey);
+        const id = this.fingerprint(key);
+        if (this.keys.some(entry => entry.id === id)) {
+            throw new ConflictError('This key is already registered');
+        }
+
+        const entry = {
+            id,
+            userId: user.id,
+            algorithm: key.asymmetricKeyType,
+            label: typeof label === 'string' ? label : '',
+            publicKey: key.export({ type: 'spki', format: 'pem' }),
+            created: new Date().toISOString(),
+            revoked: null
+        };
+        this.keys.push(entry);
+        await this.saveKeys();
+
+        this.emit('key-registered', { keyId: id, userId: user.id });
+        return this.describeKey(entry);
+    }
+
+    // Revoke a key. Signatures made with it stay on record but are flagged.
+    async revokeKey(keyId, user) {
+        const key = this.getKey(keyId);
+        if (key.userId !== user.id && !(this.users && this.users.can(user, 'manage-users'))) {
+            throw new ForbiddenError('You can only revoke your own signing keys');
+        }
+        if (!key.revoked) {
+            key.revoked = new Date().toISOString();
+            await this.saveKeys();
+            this.emit('key-revoked', { keyId, userId: user.id });
+        }
+        return this.describeKey(key);
+    }
+
+    // The exact text a signer signs for a version
+    buildPayload(documentId, entry, userId) {
+        return JSON.stringify({
+            format: PAYLOAD_FORMAT,
+            documentId,
+            versionId: entry.id,
+            hash: entry.hash,
+            signer: userId
+        });
+    }
+
+    // Only the version the workflow approved, while the document is
+    // approved, and the published version may be signed
+    assertSignable(metadata, versionId) {
+        const workflow = metadata.workflow || {};
+        const approved = workflow.state === 'approved' ? metadata.currentVersion : null;
+        if (versionId !== approved && versionId !== workflow.publishedVersion) {
+            throw new ConflictError('Only the approved or published version of a document can be signed');
+        }
+    }
+
+    async getPayload(documentId, versionId, user) {
+        const metadata = await this.storage.getMetadata(documentId);
+        const entry = this.storage.getEntry(metadata, versionId);
+        this.assertSignable(metadata, versionId);
+        return {
+            payload: this.buildPayload(documentId, entry, user.id),
+            versionId,
+            hash: entry.hash
+        };
+    }
+
+    // Check a signature against its key and the version's recorded hash
+    verify(documentId, metadata, signature) {
+        const key = this.keys.find(entry => entry.id === signature.keyId);
+        if (!key) return { ...signature, status: 'unknown-key', valid: false };
+
+        const entry = metadata.versions.find(version => version.id === signature.versionId);
+        if (!entry || entry.hash !== signature.hash) {
+            return { ...signature, status: 'hash-mismatch', valid: false };
+        }
+
+        let verified = false;
+        try {
+            verified = crypto.verify(
+                key.algorithm === 'ed25519' ? null : 'sha256',
+                Buffer.from(this.buildPayload(documentId, entry, signature.userId)),
+                key.publicKey,
+                Buffer.from(signature.signature, 'base64')
+            );
+        } catch {
+            verified = false;
+        }
+
+        if (!verified) return { ...signature, status: 'invalid', valid: false };
+        // Signed before the key was revoked still counts, but is flagged
+        return { ...signature, status: key.revoked ? 'key-revoked' : 'valid', valid: true };
+    }
+
+    // Verify and store a signature made with one of the user's keys
+    async sign(documentId, versionId, user, { keyId, signature } = {}) {
+        if (typeof signature !== 'string' || !signature) {
+            throw new ValidationError('signature is required');
+        }
+        const key = this.getKey(keyId);
+        if (key.userId !== user.id) throw new ForbiddenError('This signing key belongs to another user');
+        if (key.revoked) throw new ConflictError('This signing key has been revoked');
+
+        const metadata = await this.storage.getMetadata(documentId);
+        const entry = this.storage.getEntry(metadata, versionId);
+        const assertNew = (current) => {
+            this.assertSignable(current, versionId);
+            if ((current.signatures || []).some(existing =>
+                existing.userId === user.id && existing.hash === entry.hash && existing.versionId === versionId)) {
+                throw new ConflictError('You have already signed this version');
+            }
+        };
+        assertNew(metadata);
+
+        const record = {
+            id: uuidv4(),
+            versionId,
+            hash: entry.hash,
+            userId: user.id,
+            keyId,
+            algorithm: key.algorithm,
+            signature,
+            signedAt: new Date().toISOString()
+        };
+        const checked = this.verify(documentId, metadata, record);
+        if (!checked.valid) {
+            throw new ValidationError('Signature does not verify against the version payload', [checked.status]);
+        }
+
+        // Checked again under the lock, in case the workflow moved on meanwhile
+        await this.storage.addSignature(documentId, record, user.id, { check: assertNew });
+        this.emit('signed', { documentId, ...record });
+        return checked;
+    }
+
+    getSignerName(userId) {
+        if (!this.users) return null;
+        try {
+            return this.users.getUser(userId).displayName;
+        } catch {
+            return null;
+        }
+    }
+
+    // Signatures of a document, optionally for one version, each verified
+    async getSignatures(documentId, versionId = null) {
+        const metadata = await this.storage.getMetadata(documentId);
+        return this.verifyAll(documentId, metadata)
+            .filter(signature => !versionId || signature.versionId === versionId);
+    }
+
+    verifyAll(documentId, metadata) {
+        return (metadata.signatures || []).map(signature => ({
+            ...this.verify(documentId, metadata, signature),
+            signerName: this.getSignerName(signature.userId)
+        }));
+    }
+
+    // Add verified signatures to version history entries
+    async annotateHistory(documentId, history) {
+        const metadata = await this.storage.getMetadata(documentId);
+        const signatures = this.verifyAll(documentId, metadata);
+        return history.map(entry => ({
+            ...entry,
+            signatures: signatures.filter(signature => signature.versionId === entry.id)
+        }));
+    }
+}
+
+SignatureService.PAYLOAD_FORMAT = PAYLOAD_FORMAT;
+
+module.exports = SignatureService;
@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const TABLES = {
+    document: 'documents',
+    metadata: 'metadata',
+    version: 'versions',
+    attestation: 'attestations',
+    folder: 'folders'
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS documents (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        modified INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS metadata (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        modified INTEGER NOT NULL,
+        summary TEXT
+    );
+    CREATE TABLE IF NOT EXISTS versions (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        modified INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS attestations (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        modified INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS folders (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        modified INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS locks (
+        document_id TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (document_id, scope)
+    );
+    CREATE TABLE IF NOT EXISTS lost_found (
+        kind TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        moved INTEGER NOT NULL
+    );
+`;
+
+// Lock table kept in the locks table. Each change runs in an immediate
+// transaction, which SQLite serializes across processes.
+class SqliteLockTable {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    async initialize() {}
+
+    readLocks() {
+        const locks = {};
+        this.backend.db.prepare('SELECT document_id, scope, data FROM locks').all().forEach(row => {
+            locks[row.document_id] = { ...locks[row.document_id], [row.scope]: JSON.parse(row.data) };
+        });
+        return locks;
+    }
+
+    async read() {
+        return this.readLocks();
+    }
+
+    async update(update) {
+        const { db } = this.backend;
+        const change = db.transaction(() => {
+            const locks = this.readLocks();
+            const before = JSON.stringify(locks);
+            const result = update(locks);
+
+            if (JSON.stringify(locks) !== before) {
+                const insert = db.prepare('INSERT INTO locks (document_id, scope, data) VALUES (?, ?, ?)');
+                db.prepare('DELETE FROM locks').run();
+                Object.entries(locks).forEach(([documentId, entry]) => {
+                    Object.entries(entry).forEach(([scope, lock]) => {
+                        insert.run(documentId, scope, JSON.stringify(lock));
+                    });
+                });
+            }
+            return result;
+        });
+        return change.immediate();
+    }
+}
+
+// Storage backend keeping documents, versions, metadata, attestations,
+// folders and locks as tables in one SQLite database, storage.db in the
+// storage directory. Commits are transactions, so there is no journal to replay,
+// and listing documents is a query instead of a read of every file. See
+// FileStorageBackend for the interface.
+class SqliteStorageBackend {
+    constructor(baseDir, options = {}) {
+        this.baseDir = baseDir;
+        this.options = {
+            file: path.join(baseDir, 'storage.db'),
+            // How long to wait for another process's transaction
+            busyTimeout: 10 * 1000,
+            ...options
+        };
+        this.db = null;
+        this.lockTable = new SqliteLockTable(this);
+        const name = path.basename(this.options.file);
+        this.liveFiles = [name, `${name}-wal`, `${name}-shm`];
+    }
+
+    async initialize() {
+        // Loaded here so the file backend works without the native module
+        const Database = require('better-sqlite3');
+
+        await fs.mkdir(this.baseDir, { recursive: true });
+        this.db = new Database(this.options.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = FULL');
+        this.db.pragma(`busy_timeout = ${Number(this.options.busyTimeout)}`);
+        this.db.exec(SCHEMA);
+
+        // Databases created before listing summaries were kept
+        const columns = this.db.prepare('PRAGMA table_info(metadata)').all().map(column => column.name);
+        if (!columns.includes('summary')) this.db.exec('ALTER TABLE metadata ADD COLUMN summary TEXT');
+    }
+
+    async close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+
+    table(kind) {
+        if (!TABLES[kind]) throw new Error(`Unknown record kind: ${kind}`);
+        return TABLES[kind];
+    }
+
+    async get(kind, id) {
+        const row = this.db.prepare(`SELECT data FROM ${this.table(kind)} WHERE id = ?`).get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async list(kind) {
+        return this.db.prepare(`SELECT id FROM ${this.table(kind)}`).pluck().all();
+    }
+
+    async listMetadata() {
+        return this.db.prepare('SELECT data FROM metadata').pluck().all().map(data => JSON.parse(data));
+    }
+
+    // Listing reads only the summary column, not the whole metadata
+    async listSummaries() {
+        return this.db.prepare('SELECT id, summary FROM metadata').all()
+            .map(({ id, summary }) => ({ id, summary: summary === null ? null : JSON.parse(summary) }));
+    }
+
+    async info(kind, id) {
+        const row = this.db.prepare(
+            `SELECT length(CAST(data AS BLOB)) AS size, modified FROM ${this.table(kind)} WHERE id = ?`
+        ).get(id);
+        if (!row) throw new Error(`No ${kind} ${id}`);
+        return row;
+    }
+
+    writeRecord(kind, id, value, now, summary = null) {
+        if (kind === 'metadata') {
+            this.db.prepare(`
+                INSERT INTO metadata (id, data, modified, summary) VALUES (?, ?, ?, ?)
+                ON CONFLICT (id) DO UPDATE SET
+                    data = excluded.data, modified = excluded.modified, summary = excluded.summary
+            `).run(id, JSON.stringify(value), now, summary === null ? null : JSON.stringify(summary));
+            return;
+        }
+        this.db.prepare(`
+            INSERT INTO ${this.table(kind)} (id, data, modified) VALUES (?, ?, ?)
+            ON CONFLICT (id) DO UPDATE SET data = excluded.data, modified = excluded.modified
+        `).run(id, JSON.stringify(value), now);
+    }
+
+    async commit(writes) {
+        const now = Date.now();
+        this.db.transaction(() => {
+            writes.forEach(({ kind, id, value, summary }) => this.writeRecord(kind, id, value, now, summary));
+        }).immediate();
+    }
+
+    async remove(kind, id) {
+        this.db.prepare(`DELETE FROM ${this.table(kind)} WHERE id = ?`).run(id);
+    }
+
+    // Move a row into lost_found rather than deleting it
+    async quarantine(kind, id) {
+        const table = this.table(kind);
+        this.db.transaction(() => {
+            const row = this.db.prepare(`SELECT data FROM ${table} WHERE id = ?`).get(id);
+            if (!row) return;
+            this.db.prepare('INSERT INTO lost_found (kind, id, data, moved) VALUES (?, ?, ?, ?)')
+                .run(kind, id, row.data, Date.now());
+            this.db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id);
+        }).immediate();
+    }
+
+    // SQLite recovers its own transactions; report damage to the file
+    async recover() {
+        const result = { journalReplayed: 0, tempFiles: 0, problems: [] };
+        const check = this.db.pragma('quick_check', { simple: true });
+        if (check !== 'ok') {
+            result.problems.push({
+                type: 'database-damaged',
+                message: `SQLite reports damage to ${path.basename(this.options.file)}: ${check}`,
+                repaired: false
+            });
+        }
+        return result;
+    }
+
+    async versionBytes() {
+        return this.db.prepare('SELECT coalesce(sum(length(CAST(data AS BLOB))), 0) FROM versions').pluck().get();
+    }
+
+    // A consistent copy of the database through SQLite's backup API, which
+    // other connections may keep writing during
+    async snapshot(dir) {
+        const name = path.basename(this.options.file);
+        const file = path.join(dir, name);
+        await this.db.backup(file);
+        return [{ name, file }];
+    }
+}
+
+module.exports = SqliteStorageBackend;
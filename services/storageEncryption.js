@@ -0,0 +1,335 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const SettingsService = require('./settingsService');
+const { writeFileAtomic } = require('./writeJournal');
+const { EncryptionError } = require('./errors');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const FORMAT = 'storage-encryption/1';
+const CONFIG_FILE = 'encryption.json';
+const DEFAULT_KEY_FILE = 'storage.key';
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const ITERATIONS = 210000;
+const DIGEST = 'sha512';
+const MIN_PASSPHRASE_LENGTH = 12;
+const CHECK_TEXT = 'storage key check';
+const KINDS = ['document', 'metadata', 'version', 'attestation', 'folder'];
+
+const isEnvelope = (value) => Boolean(value) && value.encrypted === CIPHER &&
+    ['keyId', 'iv', 'tag', 'data'].every(field => typeof value[field] === 'string');
+
+// An AES-256-GCM key. Each record gets a random IV and is bound to its
+// kind and id as additional data, so a record copied over another one
+// fails to decrypt.
+class StorageKey {
+    constructor(key) {
+        this.key = key;
+        // Names the key in envelopes without revealing it
+        this.keyId = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+    }
+
+    encrypt(value, context) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+        cipher.setAAD(Buffer.from(context, 'utf8'));
+        const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+        return {
+            encrypted: CIPHER,
+            keyId: this.keyId,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(envelope, context) {
+        if (!isEnvelope(envelope)) {
+            throw new EncryptionError(`${context} is not encrypted`);
+        }
+        if (envelope.keyId !== this.keyId) {
+            throw new EncryptionError(`${context} was encrypted with key ${envelope.keyId}, not the current key ${this.keyId}`);
+        }
+        try {
+            const decipher = crypto.createDecipheriv(CIPHER, this.key, Buffer.from(envelope.iv, 'base64'));
+            decipher.setAAD(Buffer.from(context, 'utf8'));
+            decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+            const text = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+            return JSON.parse(text.toString('utf8'));
+        } catch {
+            throw new EncryptionError(`${context} cannot be decrypted: it has been altered or damaged`);
+        }
+    }
+}
+
+// Read a key file holding a base64 key, optionally creating it with a new
+// random key, readable by its owner only
+async function readKeyFile(file, { create = false } = {}) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        if (!create) throw new EncryptionError(`Key file ${file} is missing; the store cannot be decrypted without it`);
+
+        const key = crypto.randomBytes(KEY_LENGTH);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, `${key.toString('base64')}\n`, { flag: 'wx', mode: 0o600 });
+        return key;
+    }
+
+    const key = Buffer.from(text.trim(), 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new EncryptionError(`Key file ${file} does not hold a ${KEY_LENGTH}-byte base64 key`);
+    }
+    return key;
+}
+
+const requirePassphrase = (passphrase, variable) => {
+    if (!passphrase) throw new EncryptionError(`The store key is derived from a passphrase; set ${variable}`);
+};
+
+// A new key and the config recorded for it: derived from a passphrase
+// with a new salt, or read from keyFile, which is generated if missing.
+// The config holds a check value, never the key.
+async function createKey(keySource, { passphrase = null, keyFile = null, passphraseVariable = 'STORAGE_PASSPHRASE' } = {}) {
+    let key;
+    let kdf;
+    if (keySource === 'passphrase') {
+        requirePassphrase(passphrase, passphraseVariable);
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new EncryptionError(`${passphraseVariable} must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        const salt = crypto.randomBytes(16);
+        kdf = { name: 'pbkdf2', digest: DIGEST, iterations: ITERATIONS, salt: salt.toString('base64') };
+        key = await pbkdf2(passphrase, salt, ITERATIONS, KEY_LENGTH, DIGEST);
+    } else if (keySource === 'keyfile') {
+        kdf = { name: 'keyfile', file: path.resolve(keyFile) };
+        key = await readKeyFile(kdf.file, { create: true });
+    } else {
+        throw new EncryptionError(`Unknown key source "${keySource}"; use "passphrase" or "keyfile"`);
+    }
+
+    const storageKey = new StorageKey(key);
+    return {
+        key: storageKey,
+        config: { algorithm: CIPHER, keyId: storageKey.keyId, kdf, check: storageKey.encrypt(CHECK_TEXT, 'check') }
+    };
+}
+
+// The key a recorded config describes, checked against its check value.
+// A key file is looked for at keyFile, else where it was created.
+async function loadKey(keyConfig, { passphrase = null, keyFile = null, passphraseVariable = 'STORAGE_PASSPHRASE' } = {}) {
+    let key;
+    let source;
+    if (keyConfig.kdf.name === 'pbkdf2') {
+        requirePassphrase(passphrase, passphraseVariable);
+        const { salt, iterations, digest } = keyConfig.kdf;
+        key = await pbkdf2(passphrase, Buffer.from(salt, 'base64'), iterations, KEY_LENGTH, digest);
+        source = `The passphrase in ${passphraseVariable}`;
+    } else {
+        const file = keyFile || keyConfig.kdf.file;
+        key = await readKeyFile(file);
+        source = `Key file ${file}`;
+    }
+
+    const storageKey = new StorageKey(key);
+    try {
+        storageKey.decrypt(keyConfig.check, 'check');
+    } catch {
+        throw new EncryptionError(`${source} is not the key this store was encrypted with`);
+    }
+    return storageKey;
+}
+
+async function readEncryptionConfig(baseDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(baseDir, CONFIG_FILE), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new EncryptionError(`${CONFIG_FILE} cannot be read: ${error.message}`);
+    }
+}
+
+// Write the config, or remove it when the store is no longer encrypted
+async function writeEncryptionConfig(baseDir, config) {
+    const file = path.join(baseDir, CONFIG_FILE);
+    if (config) {
+        await writeFileAtomic(file, JSON.stringify(config, null, 2));
+    } else {
+        await fs.unlink(file).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+}
+
+const interruptedError = () => new EncryptionError(
+    'A change of storage key was interrupted; run npm run storage-key again with the same arguments to finish it'
+);
+
+// Refuse to open an encrypted store without a key
+async function assertUnencrypted(baseDir) {
+    const config = await readEncryptionConfig(baseDir);
+    if (config && 'next' in config) throw interruptedError();
+    if (config) {
+        throw new EncryptionError(
+            `The store in ${baseDir} is encrypted; turn on settings.security.encryptDocuments ` +
+            'or decrypt it with npm run storage-key -- decrypt'
+        );
+    }
+}
+
+const hasRecords = async (backend) => {
+    for (const kind of KINDS) {
+        if ((await backend.list(kind)).length > 0) return true;
+    }
+    return false;
+};
+
+// Storage backend that encrypts documents, metadata, versions, attestations
+// and folders on their way into another backend and decrypts them on the
+// way out. Locks are passed through unencrypted.
+//
+// The key is set up by initialize(): an empty store gets a new key of
+// options.keySource, recorded in encryption.json by its check value and,
+// for a passphrase, its salt. After that encryption.json decides how the
+// key is found, and a wrong passphrase or key file is refused before any
+// record is read. A store with unencrypted records is refused too; those
+// are encrypted with scripts/storageKey.js, which also rotates keys.
+class EncryptedBackend {
+    constructor(backend, baseDir, options = {}) {
+        this.backend = backend;
+        this.baseDir = baseDir;
+        this.options = {
+            keySource: 'keyfile',
+            keyFile: null,
+            passphrase: null,
+            ...options
+        };
+        this.lockTable = backend.lockTable;
+        this.liveFiles = backend.liveFiles;
+        this.key = null;
+    }
+
+    async initialize() {
+        await this.backend.initialize();
+
+        const config = await readEncryptionConfig(this.baseDir);
+        if (config && 'next' in config) throw interruptedError();
+        if (config) {
+            this.key = await loadKey(config.key, this.options);
+            return;
+        }
+
+        if (await hasRecords(this.backend)) {
+            throw new EncryptionError(
+                `The store in ${this.baseDir} holds unencrypted documents; encrypt them with ` +
+                `npm run storage-key -- rotate --to ${this.options.keySource}`
+            );
+        }
+        const { key, config: keyConfig } = await createKey(this.options.keySource, {
+            ...this.options,
+            keyFile: this.options.keyFile || path.join(this.baseDir, DEFAULT_KEY_FILE)
+        });
+        await writeEncryptionConfig(this.baseDir, { format: FORMAT, key: keyConfig });
+        this.key = key;
+    }
+
+    async close() {
+        await this.backend.close();
+    }
+
+    async get(kind, id) {
+        const value = await this.backend.get(kind, id);
+        return value === null ? null : this.key.decrypt(value, `${kind} ${id}`);
+    }
+
+    async list(kind) {
+        return this.backend.list(kind);
+    }
+
+    // Read one by one, since only the ids are stored in the clear
+    async listMetadata() {
+        const ids = await this.backend.list('metadata');
+        return Promise.all(ids.map(id => this.get('metadata', id)));
+    }
+
+    // Summaries are encrypted like the metadata they summarize
+    async listSummaries() {
+        const summaries = await this.backend.listSummaries();
+        return summaries && summaries.map(({ id, summary }) => ({
+            id,
+            summary: summary === null ? null : this.key.decrypt(summary, `summary ${id}`)
+        }));
+    }
+
+    async info(kind, id) {
+        return this.backend.info(kind, id);
+    }
+
+    async commit(writes) {
+        await this.backend.commit(writes.map(({ kind, id, value, summary }) => ({
+            kind,
+            id,
+            value: this.key.encrypt(value, `${kind} ${id}`),
+            ...(summary === undefined ? {} : { summary: this.key.encrypt(summary, `summary ${id}`) })
+        })));
+    }
+
+    async remove(kind, id) {
+        await this.backend.remove(kind, id);
+    }
+
+    async quarantine(kind, id) {
+        await this.backend.quarantine(kind, id);
+    }
+
+    async recover(options) {
+        return this.backend.recover(options);
+    }
+
+    async versionBytes() {
+        return this.backend.versionBytes();
+    }
+
+    // Records are copied still encrypted
+    async snapshot(dir) {
+        return this.backend.snapshot(dir);
+    }
+}
+
+// Encryption options for DocumentStorageService from settings.security in
+// the store's settings.json and the environment, or null when
+// encryptDocuments is off. A relative keyFile is resolved against the
+// storage directory.
+async function encryptionFromSettings(storageDir, env = process.env) {
+    const settings = new SettingsService(path.join(storageDir, 'settings.json'));
+    await settings.initialize();
+    const security = settings.getSettings('security');
+    if (!security.encryptDocuments) return null;
+
+    const keyFile = env.STORAGE_KEY_FILE || security.keyFile;
+    return {
+        keySource: security.keySource || 'keyfile',
+        keyFile: keyFile ? path.resolve(storageDir, keyFile) : null,
+        passphrase: env.STORAGE_PASSPHRASE || null
+    };
+}
+
+module.exports = {
+    EncryptedBackend,
+    StorageKey,
+    createKey,
+    loadKey,
+    readEncryptionConfig,
+    writeEncryptionConfig,
+    assertUnencrypted,
+    encryptionFromSettings,
+    isEnvelope,
+    FORMAT,
+    DEFAULT_KEY_FILE,
+    KINDS
+};
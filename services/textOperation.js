@@ -0,0 +1,277 @@
+const { diff_match_patch: DiffMatchPatch } = require('diff-match-patch');
+
+const diffTool = new DiffMatchPatch();
+
+// Operational transform for plain text. An operation is a list of
+// components that walk the whole document: a positive number retains that
+// many characters, a string inserts it and a negative number deletes that
+// many characters. Operations built on the same text can be transformed
+// against each other so that applying them in either order converges.
+class TextOperation {
+    constructor() {
+        this.ops = [];
+        this.baseLength = 0;
+        this.targetLength = 0;
+    }
+
+    static isRetain(op) {
+        return typeof op === 'number' && op > 0;
+    }
+
+    static isInsert(op) {
+        return typeof op === 'string';
+    }
+
+    static isDelete(op) {
+        return typeof op === 'number' && op < 0;
+    }
+
+    // Skip over characters without changing them
+    retain(n) {
+        if (!Number.isInteger(n) || n < 0) {
+            throw new Error('retain expects a non-negative integer');
+        }
+        if (n === 0) return this;
+
+        this.baseLength += n;
+        this.targetLength += n;
+        const last = this.ops.length - 1;
+        if (TextOperation.isRetain(this.ops[last])) {
+            this.ops[last] += n;
+        } else {
+            this.ops.push(n);
+        }
+        return this;
+    }
+
+    // Insert text at the current position
+    insert(str) {
+        if (typeof str !== 'string') {
+            throw new Error('insert expects a string');
+        }
+        if (str === '') return this;
+
+        this.targetLength += str.length;
+        const ops = this.ops;
+        const last = ops.length - 1;
+
+        if (TextOperation.isInsert(ops[last])) {
+            ops[last] += str;
+        } else if (TextOperation.isDelete(ops[last])) {
+            // Keep inserts before deletes so equal operations compare equal
+            if (TextOperation.isInsert(ops[last - 1])) {
+                ops[last - 1] += str;
+            } else {
+                ops.splice(last, 0, str);
+            }
+        } else {
+            ops.push(str);
+        }
+        return this;
+    }
+
+    // Delete characters at the current position
+    delete(n) {
+        if (typeof n === 'string') n = n.length;
+        if (!Number.isInteger(n)) {
+            throw new Error('delete expects an integer');
+        }
+        if (n === 0) return this;
+        if (n > 0) n = -n;
+
+        this.baseLength -= n;
+        const last = this.ops.length - 1;
+        if (TextOperation.isDelete(this.ops[last])) {
+            this.ops[last] += n;
+        } else {
+            this.ops.push(n);
+        }
+        return this;
+    }
+
+    isNoop() {
+        return this.ops.length === 0 ||
+            (this.ops.length === 1 && TextOperation.isRetain(this.ops[0]));
+    }
+
+    // Apply the operation to a string
+    apply(str) {
+        if (str.length !== this.baseLength) {
+            throw new Error('Operation base length does not match the document');
+        }
+
+        const parts = [];
+        let index = 0;
+
+        for (const op of this.ops) {
+            if (TextOperation.isRetain(op)) {
+                parts.push(str.slice(index, index + op));
+                index += op;
+            } else if (TextOperation.isInsert(op)) {
+                parts.push(op);
+            } else {
+                index -= op;
+            }
+        }
+
+        return parts.join('');
+    }
+
+    // Combine this operation with one that follows it into a single operation
+    compose(other) {
+        if (this.targetLength !== other.baseLength) {
+            throw new Error('Operations cannot be composed: length mismatch');
+        }
+
+        const result = new TextOperation();
+        const ops1 = this.ops.slice();
+        const ops2 = other.ops.slice();
+        let i1 = 0;
+        let i2 = 0;
+        let op1 = ops1[i1++];
+        let op2 = ops2[i2++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isDelete(op1)) {
+                result.delete(op1);
+                op1 = ops1[i1++];
+                continue;
+            }
+            if (TextOperation.isInsert(op2)) {
+                result.insert(op2);
+                op2 = ops2[i2++];
+                continue;
+            }
+            if (op1 === undefined || op2 === undefined) {
+                throw new Error('Operations cannot be composed: too short');
+            }
+
+            if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                const n = Math.min(op1, op2);
+                result.retain(n);
+                [op1, i1] = op1 === n ? [ops1[i1], i1 + 1] : [op1 - n, i1];
+                [op2, i2] = op2 === n ? [ops2[i2], i2 + 1] : [op2 - n, i2];
+            } else if (TextOperation.isInsert(op1) && TextOperation.isDelete(op2)) {
+                const n = Math.min(op1.length, -op2);
+                [op1, i1] = op1.length === n ? [ops1[i1], i1 + 1] : [op1.slice(n), i1];
+                [op2, i2] = -op2 === n ? [ops2[i2], i2 + 1] : [op2 + n, i2];
+            } else if (TextOperation.isInsert(op1) && TextOperation.isRetain(op2)) {
+                const n = Math.min(op1.length, op2);
+                result.insert(op1.slice(0, n));
+                [op1, i1] = op1.length === n ? [ops1[i1], i1 + 1] : [op1.slice(n), i1];
+                [op2, i2] = op2 === n ? [ops2[i2], i2 + 1] : [op2 - n, i2];
+            } else {
+                // op1 retains, op2 deletes
+                const n = Math.min(op1, -op2);
+                result.delete(n);
+                [op1, i1] = op1 === n ? [ops1[i1], i1 + 1] : [op1 - n, i1];
+                [op2, i2] = -op2 === n ? [ops2[i2], i2 + 1] : [op2 + n, i2];
+            }
+        }
+
+        return result;
+    }
+
+    // Transform two concurrent operations a and b into [a', b'] such that
+    // apply(apply(s, a), b') === apply(apply(s, b), a'). When both insert at
+    // the same position, a's text is placed first.
+    static transform(a, b) {
+        if (a.baseLength !== b.baseLength) {
+            throw new Error('Concurrent operations must share a base length');
+        }
+
+        const aPrime = new TextOperation();
+        const bPrime = new TextOperation();
+        const ops1 = a.ops;
+        const ops2 = b.ops;
+        let i1 = 0;
+        let i2 = 0;
+        let op1 = ops1[i1++];
+        let op2 = ops2[i2++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isInsert(op1)) {
+                aPrime.insert(op1);
+                bPrime.retain(op1.length);
+                op1 = ops1[i1++];
+                continue;
+            }
+            if (TextOperation.isInsert(op2)) {
+                aPrime.retain(op2.length);
+                bPrime.insert(op2);
+                op2 = ops2[i2++];
+                continue;
+            }
+            if (op1 === undefined || op2 === undefined) {
+                throw new Error('Concurrent operations cannot be transformed: too short');
+            }
+
+            let n;
+            if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                n = Math.min(op1, op2);
+                aPrime.retain(n);
+                bPrime.retain(n);
+            } else if (TextOperation.isDelete(op1) && TextOperation.isDelete(op2)) {
+                // Both deleted the same characters; nothing left to do
+                n = Math.min(-op1, -op2);
+            } else if (TextOperation.isDelete(op1)) {
+                n = Math.min(-op1, op2);
+                aPrime.delete(n);
+            } else {
+                n = Math.min(op1, -op2);
+                bPrime.delete(n);
+            }
+
+            const len1 = Math.abs(op1);
+            const len2 = Math.abs(op2);
+            op1 = len1 === n ? ops1[i1++] : Math.sign(op1) * (len1 - n);
+            op2 = len2 === n ? ops2[i2++] : Math.sign(op2) * (len2 - n);
+        }
+
+        return [aPrime, bPrime];
+    }
+
+    // Build the operation that turns one text into another
+    static fromDiff(oldText, newText) {
+        const operation = new TextOperation();
+        const diffs = diffTool.diff_main(oldText, newText);
+
+        for (const [type, text] of diffs) {
+            if (type === DiffMatchPatch.DIFF_EQUAL) {
+                operation.retain(text.length);
+            } else if (type === DiffMatchPatch.DIFF_INSERT) {
+                operation.insert(text);
+            } else {
+                operation.delete(text.length);
+            }
+        }
+
+        return operation;
+    }
+
+    toJSON() {
+        return this.ops;
+    }
+
+    static fromJSON(ops) {
+        if (!Array.isArray(ops)) {
+            throw new Error('Operation must be an array');
+        }
+
+        const operation = new TextOperation();
+        for (const op of ops) {
+            if (TextOperation.isRetain(op)) {
+                operation.retain(op);
+            } else if (TextOperation.isInsert(op)) {
+                operation.insert(op);
+            } else if (TextOperation.isDelete(op)) {
+                operation.delete(op);
+            } else {
+                throw new Error('Unknown operation component: ' + JSON.stringify(op));
+            }
+        }
+        return operation;
+    }
+}
+
+module.exports = TextOperation;
@@ -0,0 +1,289 @@
+const { EventEmitter } = require('events');
+const { NotFoundError, ConflictError, LockedError } = require('./errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const cloneDocument = (document) => JSON.parse(JSON.stringify(document));
+
+// The section with an id anywhere in a section tree, with the list holding it
+function findSection(sections, sectionId) {
+    for (let i = 0; i < sections.length; i++) {
+        if (String(sections[i].id) === sectionId) return { section: sections[i], siblings: sections, index: i };
+        const found = findSection(sections[i].children || [], sectionId);
+        if (found) return found;
+    }
+    return null;
+}
+
+// Trash bin for documents and sections. Deleting a document marks it in its
+// metadata, which hides it until it is restored or purged; deleting a
+// section saves a version without it, and DocumentStorageService keeps the
+// section in the document's trash together with where it stood, whichever
+// save removed it. A restored section goes back under its parent next to
+// the siblings it stood between, or at the top level if the parent is gone.
+//
+// Entries older than options.retentionDays are purged by purgeExpired(),
+// which start() runs every checkInterval. Deletions, restores and purges
+// are recorded in the audit log.
+class TrashService extends EventEmitter {
+    constructor(storage, options = {}) {
+        super();
+        this.storage = storage;
+        this.options = {
+            retentionDays: 30,
+            checkInterval: 60 * 60 * 1000, // hourly
+            ...options
+        };
+        this.timer = null;
+    }
+
+    // When an entry deleted at the given time is purged, or null if never
+    purgeAfter(deletedAt) {
+        if (!(this.options.retentionDays > 0)) return null;
+        return new Date(Date.parse(deletedAt) + this.options.retentionDays * DAY).toISOString();
+    }
+
+    describeSection(docId, entry, { withContent = true } = {}) {
+        const { section, ...fields } = entry;
+        return {
+            documentId: docId,
+            ...fields,
+            ...(withContent ? { section } : {}),
+            purgeAfter: this.purgeAfter(entry.deletedAt)
+        };
+    }
+
+    // Deleted documents and the sections deleted from the others
+    async listTrash() {
+        const documents = [];
+        const sections = [];
+
+        for (const metadata of await this.storage.backend.listMetadata()) {
+            if (metadata.deleted) {
+                documents.push({
+                    ...this.storage.summarize(metadata),
+                    deleted: metadata.deleted,
+                    purgeAfter: this.purgeAfter(metadata.deleted.at)
+                });
+            } else {
+                (metadata.trashedSections || []).forEach(entry => sections.push({
+                    ...this.describeSection(metadata.id, entry, { withContent: false }),
+                    documentTitle: metadata.title
+                }));
+            }
+        }
+
+        const newestFirst = (a, b) => b.localeCompare(a);
+        documents.sort((a, b) => newestFirst(a.deleted.at, b.deleted.at));
+        sections.sort((a, b) => newestFirst(a.deletedAt, b.deletedAt));
+        return { documents, sections };
+    }
+
+    async deleteDocument(docId, userId, { reason = '', lockToken = null } = {}) {
+        await this.storage.getMetadata(docId);
+
+        return this.storage.withLock(docId, userId, async () => {
+            const metadata = await this.storage.getMetadata(docId);
+            metadata.deleted = { at: new Date().toISOString(), by: userId, reason };
+            await this.storage.writeMetadata(docId, metadata);
+            await this.storage.audit.record('document-deleted', userId, {
+                documentId: docId,
+                title: metadata.title,
+                reason
+            });
+            return { ...this.storage.summarize(metadata), deleted: metadata.deleted };
+        }, { lockToken, content: true });
+    }
+
+    async restoreDocument(docId, userId) {
+        return this.storage.withLock(docId, userId, async () => {
+            const metadata = await this.storage.getMetadata(docId, { includeDeleted: true });
+            if (!metadata.deleted) throw new ConflictError('Document is not in the trash');
+
+            const { deleted } = metadata;
+            delete metadata.deleted;
+            await this.storage.writeMetadata(docId, metadata);
+            await this.storage.audit.record('document-undeleted', userId, {
+                documentId: docId,
+                title: metadata.title,
+                deletedAt: deleted.at,
+                deletedBy: deleted.by
+            });
+            return this.storage.summarize(metadata);
+        });
+    }
+
+    // Remove a deleted document and its history for good
+    async purgeDocument(docId, userId) {
+        return this.storage.withLock(docId, userId, async () => {
+            const metadata = await this.storage.getMetadata(docId, { includeDeleted: true });
+            if (!metadata.deleted) throw new ConflictError('Only documents in the trash can be purged');
+
+            await this.storage.eraseDocument(docId, metadata);
+            await this.storage.audit.record('document-purged', userId, {
+                documentId: docId,
+                title: metadata.title,
+                versions: metadata.versions.length,
+                deletedAt: metadata.deleted.at,
+                deletedBy: metadata.deleted.by
+            });
+            return { id: docId, title: metadata.title };
+        });
+    }
+
+    // Sections deleted from a document, with their content
+    async listSections(docId) {
+        const metadata = await this.storage.getMetadata(docId);
+        return (metadata.trashedSections || []).map(entry => this.describeSection(docId, entry));
+    }
+
+    findEntry(metadata, trashId) {
+        const entry = (metadata.trashedSections || []).find(candidate => candidate.id === trashId);
+        if (!entry) throw new NotFoundError('Section not found in the trash');
+        return entry;
+    }
+
+    // Save a version of the document without the section (and its
+    // subsections), which puts it in the trash
+    async deleteSection(docId, sectionId, userId, { lockToken = null } = {}) {
+        await this.storage.getMetadata(docId);
+
+        return this.storage.withLock(docId, userId, async () => {
+            const metadata = await this.storage.getMetadata(docId);
+            this.storage.assertEditable(metadata);
+            const document = cloneDocument(await this.storage.getDocument(docId));
+            const found = Array.isArray(document.sections) ? findSection(document.sections, String(sectionId)) : null;
+            if (!found) throw new NotFoundError('Section not found');
+
+            found.siblings.splice(found.index, 1);
+            const { versionId } = await this.storage.commitVersion(docId, metadata, document, {
+                message: `Deleted section "${found.section.title || sectionId}"`,
+                userId
+            });
+            const entry = metadata.trashedSections.find(candidate => candidate.versionId === versionId &&
+                candidate.sectionId === String(sectionId));
+            return { versionId, entry: this.describeSection(docId, entry) };
+        }, { lockToken, content: true });
+    }
+
+    // Put a section back where it stood, as a new version
+    async restoreSection(docId, trashId, userId, { lockToken = null } = {}) {
+        await this.storage.getMetadata(docId);
+
+        return this.storage.withLock(docId, userId, async () => {
+            const metadata = await this.storage.getMetadata(docId);
+            this.storage.assertEditable(metadata);
+            const entry = this.findEntry(metadata, trashId);
+            const document = cloneDocument(await this.storage.getDocument(docId));
+            if (!Array.isArray(document.sections)) document.sections = [];
+            if (findSection(document.sections, entry.sectionId)) {
+                throw new ConflictError('The document already has a section with this id');
+            }
+
+            const parent = entry.parentId !== null ? findSection(document.sections, entry.parentId) : null;
+            let siblings = document.sections;
+            if (parent) {
+                if (!Array.isArray(parent.section.children)) parent.section.children = [];
+                siblings = parent.section.children;
+            }
+            // After the sibling it followed, else before the one it preceded
+            const indexOf = (id) => (id ? siblings.findIndex(section => String(section.id) === id) : -1);
+            const previous = indexOf(entry.previousId);
+            const next = indexOf(entry.nextId);
+            let position = Math.min(entry.position, siblings.length);
+            if (previous >= 0) {
+                position = previous + 1;
+            } else if (next >= 0) {
+                position = next;
+            }
+            siblings.splice(position, 0, entry.section);
+
+            metadata.trashedSections = metadata.trashedSections.filter(candidate => candidate.id !== trashId);
+            const { versionId } = await this.storage.commitVersion(docId, metadata, document, {
+                message: `Restored section "${entry.title || entry.sectionId}" from the trash`,
+                userId
+            });
+            await this.storage.audit.record('section-restored', userId, {
+                documentId: docId,
+                sectionId: entry.sectionId,
+                title: entry.title,
+                trashId,
+                versionId
+            });
+            return { versionId, sectionId: entry.sectionId, parentId: parent ? entry.parentId : null, position };
+        }, { lockToken, content: true });
+    }
+
+    // Drop sections from the trash; earlier versions still hold them
+    async purgeSections(docId, userId, select) {
+        return this.storage.withLock(docId, userId, async () => {
+            const metadata = await this.storage.getMetadata(docId, { includeDeleted: true });
+            const purged = (metadata.trashedSections || []).filter(select);
+            if (purged.length === 0) return [];
+
+            metadata.trashedSections = metadata.trashedSections.filter(entry => !purged.includes(entry));
+            await this.storage.writeMetadata(docId, metadata);
+            for (const entry of purged) {
+                await this.storage.audit.record('section-purged', userId, {
+                    documentId: docId,
+                    sectionId: entry.sectionId,
+                    title: entry.title,
+                    trashId: entry.id,
+                    deletedAt: entry.deletedAt,
+                    deletedBy: entry.deletedBy
+                });
+            }
+            return purged;
+        });
+    }
+
+    async purgeSection(docId, trashId, userId) {
+        this.findEntry(await this.storage.getMetadata(docId, { includeDeleted: true }), trashId);
+        const [entry] = await this.purgeSections(docId, userId, candidate => candidate.id === trashId);
+        if (!entry) throw new NotFoundError('Section not found in the trash');
+        return this.describeSection(docId, entry, { withContent: false });
+    }
+
+    // Purge documents and sections deleted more than retentionDays ago.
+    // Documents locked by someone else are left for the next check.
+    async purgeExpired(now = Date.now()) {
+        const result = { documents: 0, sections: 0 };
+        if (!(this.options.retentionDays > 0)) return result;
+        const expired = (deletedAt) => Date.parse(deletedAt) + this.options.retentionDays * DAY <= now;
+
+        for (const metadata of await this.storage.backend.listMetadata()) {
+            try {
+                if (metadata.deleted && expired(metadata.deleted.at)) {
+                    await this.purgeDocument(metadata.id, 'retention');
+                    result.documents++;
+                } else if ((metadata.trashedSections || []).some(entry => expired(entry.deletedAt))) {
+                    const purged = await this.purgeSections(metadata.id, 'retention', entry => expired(entry.deletedAt));
+                    result.sections += purged.length;
+                }
+            } catch (error) {
+                if (!(error instanceof LockedError)) throw error;
+            }
+        }
+
+        if (result.documents > 0 || result.sections > 0) this.emit('purged', result);
+        return result;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        const check = () => this.purgeExpired().catch(error => {
+            console.error('Failed to purge the trash:', error);
+        });
+        check();
+        this.timer = setInterval(check, this.options.checkInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = TrashService;
@@ -0,0 +1,294 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { hashPassword, validatePassword } = require('./passwords');
+const { writeFileAtomic } = require('./writeJournal');
+const {
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError
+} = require('./errors');
+
+// What each role may do. Users can hold several roles; their permissions
+// are the union of those roles.
+const ROLE_PERMISSIONS = {
+    admin: ['read', 'comment', 'write', 'review', 'approve', 'share', 'manage-users'],
+    author: ['read', 'comment', 'write', 'share'],
+    reviewer: ['read', 'comment', 'review'],
+    approver: ['read', 'comment', 'review', 'approve'],
+    reader: ['read']
+};
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,64}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+
+class UserService extends EventEmitter {
+    constructor(usersFile, options = {}) {
+        super();
+        this.usersFile = usersFile;
+        this.options = {
+            sessionTtl: 8 * 60 * 60 * 1000, // 8 hours
+            ...options
+        };
+        this.users = new Map();
+        this.sessions = new Map();
+    }
+
+    // Load the user directory from disk
+    async initialize() {
+        try {
+            const users = JSON.parse(await fs.readFile(this.usersFile, 'utf8'));
+            this.users = new Map(users.map(user => [user.id, user]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load users:', error);
+                throw error;
+            }
+            this.users = new Map();
+        }
+        return this.users.size;
+    }
+
+    async saveUsers() {
+        await fs.mkdir(path.dirname(this.usersFile), { recursive: true });
+        await writeFileAtomic(
+            this.usersFile,
+            JSON.stringify(Array.from(this.users.values()), null, 2)
+        );
+    }
+
+    hasUsers() {
+        return this.users.size > 0;
+    }
+
+    getRoles() {
+        return Object.keys(ROLE_PERMISSIONS);
+    }
+
+    validateRoles(roles) {
+        if (!Array.isArray(roles) || roles.length === 0) {
+            throw new ValidationError('At least one role is required');
+        }
+        const unknown = roles.filter(role => !ROLE_PERMISSIONS[role]);
+        if (unknown.length > 0) {
+            throw new ValidationError('Unknown roles', unknown);
+        }
+    }
+
+    validateGroups(groups) {
+        if (!Array.isArray(groups) || groups.some(group => typeof group !== 'string' || !group.trim())) {
+            throw new ValidationError('Groups must be a list of names');
+        }
+    }
+
+    validatePasswordStrength(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    findByUsername(username) {
+        const needle = String(username).toLowerCase();
+        for (const user of this.users.values()) {
+            if (user.username.toLowerCase() === needle) return user;
+        }
+        return null;
+    }
+
+    getUser(userId) {
+        const user = this.users.get(userId);
+        if (!user) throw new NotFoundError('User not found');
+        return this.sanitizeUser(user);
+    }
+
+    listUsers() {
+        return Array.from(this.users.values()).map(user => this.sanitizeUser(user));
+    }
+
+    // Active users belonging to any of the given groups
+    getUsersInGroups(groups) {
+        return Array.from(this.users.values())
+            .filter(user => user.active && (user.groups || []).some(group => groups.includes(group)))
+            .map(user => this.sanitizeUser(user));
+    }
+
+    // Create a user with a hashed password. With firstUser, only while
+    // there are no users yet, as when setting up an installation.
+    async createUser({
+        username,
+        password,
+        displayName,
+        email = '',
+        roles = ['reader'],
+        groups = []
+    }, { firstUser = false } = {}) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new ValidationError('Username must be 3-64 letters, digits, dots, dashes or underscores');
+        }
+        const assertAvailable = () => {
+            if (firstUser && this.hasUsers()) {
+                throw new ConflictError('Setup has already been completed');
+            }
+            if (this.findByUsername(username)) {
+                throw new ConflictError('Username already exists');
+            }
+        };
+        assertAvailable();
+        this.validatePasswordStrength(password);
+        this.validateRoles(roles);
+        this.validateGroups(groups);
+
+        const passwordHash = await hashPassword(password);
+        // Another request may have taken the name while the password was hashed
+        assertAvailable();
+
+        const user = {
+            id: uuidv4(),
+            username,
+            displayName: displayName || username,
+            email,
+            roles,
+            groups,
+            passwordHash,
+            created: new Date().toISOString(),
+            active: true
+        };
+
+        this.users.set(user.id, user);
+        await this.saveUsers();
+
+        this.emit('user-created', { userId: user.id, username, roles });
+        return this.sanitizeUser(user);
+    }
+
+    // Update profile fields, roles, password or active state
+    async updateUser(userId, updates) {
+        const user = this.users.get(userId);
+        if (!user) throw new NotFoundError('User not found');
+
+        if (updates.roles !== undefined) {
+            this.validateRoles(updates.roles);
+            user.roles = updates.roles;
+        }
+        if (updates.groups !== undefined) {
+            this.validateGroups(updates.groups);
+            user.groups = updates.groups;
+        }
+        if (updates.password !== undefined) {
+            this.validatePasswordStrength(updates.password);
+            user.passwordHash = await hashPassword(updates.password);
+            this.revokeSessions(userId);
+        }
+        if (updates.displayName !== undefined) user.displayName = String(updates.displayName);
+        if (updates.email !== undefined) user.email = String(updates.email);
+        if (updates.active !== undefined) {
+            user.active = Boolean(updates.active);
+            if (!user.active) this.revokeSessions(userId);
+        }
+
+        user.modified = new Date().toISOString();
+        await this.saveUsers();
+
+        this.emit('user-updated', { userId, fields: Object.keys(updates) });
+        return this.sanitizeUser(user);
+    }
+
+    async deleteUser(userId) {
+        if (!this.users.has(userId)) throw new NotFoundError('User not found');
+
+        this.users.delete(userId);
+        this.revokeSessions(userId);
+        await this.saveUsers();
+
+        this.emit('user-deleted', { userId });
+        return true;
+    }
+
+    // Check credentials and open a session
+    async login(username, password) {
+        const user = this.findByUsername(username || '');
+        const valid = user && user.active &&
+            await validatePassword(String(password || ''), user.passwordHash);
+        if (!valid) {
+            throw new UnauthorizedError('Invalid username or password');
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const session = {
+            userId: user.id,
+            created: Date.now(),
+            expiresAt: Date.now() + this.options.sessionTtl
+        };
+        this.sessions.set(token, session);
+
+        this.emit('login', { userId: user.id });
+        return { token, expiresAt: new Date(session.expiresAt), user: this.sanitizeUser(user) };
+    }
+
+    logout(token) {
+        const session = this.sessions.get(token);
+        if (!session) return false;
+
+        this.sessions.delete(token);
+        this.emit('logout', { userId: session.userId, token });
+        return true;
+    }
+
+    revokeSessions(userId) {
+        for (const [token, session] of this.sessions.entries()) {
+            if (session.userId === userId) this.sessions.delete(token);
+        }
+    }
+
+    // Resolve a session token to its user, sliding the expiry forward
+    authenticate(token) {
+        const session = token && this.sessions.get(token);
+        if (!session) throw new UnauthorizedError();
+
+        if (Date.now() > session.expiresAt) {
+            this.sessions.delete(token);
+            throw new UnauthorizedError('Session expired');
+        }
+
+        const user = this.users.get(session.userId);
+        if (!user || !user.active) {
+            this.sessions.delete(token);
+            throw new UnauthorizedError();
+        }
+
+        session.expiresAt = Date.now() + this.options.sessionTtl;
+        return this.sanitizeUser(user);
+    }
+
+    getPermissions(user) {
+        const permissions = new Set();
+        (user.roles || []).forEach(role => {
+            (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+        });
+        return permissions;
+    }
+
+    can(user, permission) {
+        return Boolean(user) && this.getPermissions(user).has(permission);
+    }
+
+    assertCan(user, permission) {
+        if (!this.can(user, permission)) {
+            throw new ForbiddenError(`Permission "${permission}" required`);
+        }
+    }
+
+    sanitizeUser(user) {
+        const sanitized = { ...user };
+        delete sanitized.passwordHash;
+        return sanitized;
+    }
+}
+
+UserService.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+module.exports = UserService;
@@ -1,210 +1,409 @@
-const { v4: uuidv4 } = require('uuid');
-const { diff_match_patch: DiffMatchPatch } = require('diff-match-patch');
 const { EventEmitter } = require('events');
-const crypto = require('crypto');
-
+const { mergeDocuments } = require('./documentMerge');
+const { blameText, splitLines, mapLines, groupParagraphs } = require('./documentBlame');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const MAIN_BRANCH = 'main';
+const REF_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+// Branches, tags and merges on top of the document storage. The version
+// graph lives in each document's metadata: every history entry lists its
+// parents, metadata.branches maps branch names to their head versions and
+// metadata.versionTags holds named tags. The main branch is the document's
+// current version, so saving through the storage service advances it.
+//
+// HEAD says where new versions land: a branch, or a single version when
+// detached for viewing history. Each document has a HEAD stored in
+// metadata.head (main unless changed), and a session can check out its own
+// HEAD without moving anyone else's.
 class VersionService extends EventEmitter {
-    constructor() {
+    constructor(storage) {
         super();
-        this.versions = new Map();
-        this.branches = new Map();
-        this.tags = new Map();
-        this.diffTool = new DiffMatchPatch();
+        this.storage = storage;
+        // HEADs checked out by individual sessions, keyed "sessionId:documentId"
+        this.sessionHeads = new Map();
     }
 
-    // Initialize a new document version tree
-    initializeDocument(documentId, initialContent = '') {
-        const version = {
-            id: uuidv4(),
-            content: initialContent,
-            hash: this.generateHash(initialContent),
-            timestamp: new Date(),
-            parent: null,
-            children: [],
-            metadata: {
-                author: 'system',
-                message: 'Initial version'
-            }
-        };
+    validateRefName(name, kind) {
+        if (typeof name !== 'string' || !REF_PATTERN.test(name)) {
+            throw new ValidationError(
+                `${kind} names must be letters, digits, dots, dashes or underscores`
+            );
+        }
+    }
 
-        this.versions.set(documentId, new Map([[version.id, version]]));
-        this.branches.set(documentId, new Map([['main', version.id]]));
-        return version;
+    // Branch heads of a document by name
+    async getBranches(documentId) {
+        return this.storage.getBranches(await this.storage.getMetadata(documentId));
     }
 
-    // Create a new version
-    createVersion(documentId, content, metadata = {}) {
-        const versions = this.versions.get(documentId);
-        if (!versions) throw new Error('Document not found');
-
-        const currentBranch = this.getCurrentBranch(documentId);
-        const parentVersion = versions.get(currentBranch);
-
-        const version = {
-            id: uuidv4(),
-            content,
-            hash: this.generateHash(content),
-            timestamp: new Date(),
-            parent: parentVersion.id,
-            children: [],
-            metadata: {
-                ...metadata,
-                timestamp: new Date()
-            }
-        };
+    // Branches with the version each one points at
+    async listBranches(documentId) {
+        const metadata = await this.storage.getMetadata(documentId);
+        const branches = this.storage.getBranches(metadata);
+
+        return Object.entries(branches).map(([name, versionId]) => {
+            const head = this.storage.getEntry(metadata, versionId);
+            return {
+                name,
+                versionId,
+                timestamp: head.timestamp,
+                author: head.author,
+                message: head.message
+            };
+        });
+    }
 
-        // Update parent's children
-        parentVersion.children.push(version.id);
+    async listTags(documentId) {
+        const metadata = await this.storage.getMetadata(documentId);
+        return Object.values(metadata.versionTags || {});
+    }
 
-        // Store new version
-        versions.set(version.id, version);
+    // Create a new version on a branch, by default the one HEAD is on
+    async createVersion(documentId, document, {
+        branch = null,
+        message = '',
+        userId = 'default',
+        sessionId = null,
+        lockToken = null
+    } = {}) {
+        if (!branch) {
+            const head = await this.getHead(documentId, sessionId);
+            if (head.detached) {
+                throw new ConflictError(
+                    `HEAD is detached at version ${head.versionId}; create a branch there to save changes`
+                );
+            }
+            branch = head.branch;
+        }
 
-        // Update branch pointer
-        this.branches.get(documentId).set(this.getCurrentBranchName(documentId), version.id);
+        const result = await this.storage.saveVersion(documentId, document, message, userId, { branch, lockToken });
 
-        this.emit('version-created', {
-            documentId,
-            versionId: version.id,
-            metadata
-        });
+        if (!result.unchanged) {
+            this.emit('version-created', {
+                documentId,
+                versionId: result.versionId,
+                branch,
+                userId
+            });
+        }
 
-        return version;
+        return result;
     }
 
-    // Create a new branch
-    createBranch(documentId, branchName, startingVersionId) {
-        const versions = this.versions.get(documentId);
-        if (!versions) throw new Error('Document not found');
-
-        const branches = this.branches.get(documentId);
-        if (branches.has(branchName)) {
-            throw new Error('Branch already exists');
-        }
+    // Create a new branch, starting from the main branch by default
+    async createBranch(documentId, branchName, startingVersionId = null, userId = 'default') {
+        this.validateRefName(branchName, 'Branch');
 
-        if (!versions.has(startingVersionId)) {
-            throw new Error('Starting version not found');
+        const metadata = await this.storage.getMetadata(documentId);
+        const branches = this.storage.getBranches(metadata);
+        if (branches[branchName]) {
+            throw new ConflictError('Branch already exists');
         }
 
-        branches.set(branchName, startingVersionId);
+        const versionId = startingVersionId || branches[MAIN_BRANCH];
+        this.storage.getEntry(metadata, versionId);
+        await this.storage.setBranch(documentId, branchName, versionId, userId);
 
         this.emit('branch-created', {
             documentId,
             branchName,
-            startingVersionId
+            startingVersionId: versionId
         });
 
-        return true;
+        return { name: branchName, versionId };
     }
 
-    // Switch to a different branch
-    switchBranch(documentId, branchName) {
-        const branches = this.branches.get(documentId);
-        if (!branches || !branches.has(branchName)) {
-            throw new Error('Branch not found');
+    // Resolve HEAD for a session, falling back to the document's HEAD
+    async getHead(documentId, sessionId = null) {
+        const metadata = await this.storage.getMetadata(documentId);
+        return this.resolveHead(metadata, sessionId);
+    }
+
+    resolveHead(metadata, sessionId = null) {
+        const branches = this.storage.getBranches(metadata);
+        const sessionHead = sessionId && this.sessionHeads.get(`${sessionId}:${metadata.id}`);
+        const head = sessionHead || metadata.head || { branch: MAIN_BRANCH };
+
+        if (head.branch && branches[head.branch]) {
+            return {
+                branch: head.branch,
+                versionId: branches[head.branch],
+                detached: false,
+                scope: sessionHead ? 'session' : 'document'
+            };
+        }
+        if (head.versionId) {
+            return {
+                branch: null,
+                versionId: head.versionId,
+                detached: true,
+                scope: sessionHead ? 'session' : 'document'
+            };
         }
+        // The branch HEAD was on has gone; fall back to main
+        return {
+            branch: MAIN_BRANCH,
+            versionId: branches[MAIN_BRANCH],
+            detached: false,
+            scope: 'document'
+        };
+    }
 
+    // The document as HEAD sees it, including old versions when detached
+    async getHeadDocument(documentId, sessionId = null) {
+        const head = await this.getHead(documentId, sessionId);
+        const version = await this.storage.getVersion(head.versionId);
+        return { head, document: version.document };
+    }
+
+    // Check out a branch, a tag or a version id. Branches attach HEAD so new
+    // versions land on them; tags and version ids detach it for viewing.
+    // With a sessionId only that session's HEAD moves.
+    async checkout(documentId, target, { sessionId = null, userId = 'default' } = {}) {
+        const metadata = await this.storage.getMetadata(documentId);
+        const branches = this.storage.getBranches(metadata);
+        const tags = metadata.versionTags || {};
+        let head;
+
+        if (branches[target]) {
+            head = { branch: target };
+        } else if (tags[target]) {
+            head = { versionId: tags[target].versionId };
+        } else if (metadata.versions.some(version => version.id === target)) {
+            head = { versionId: target };
+        } else {
+            throw new NotFoundError('No branch, tag or version with that name');
+        }
+
+        if (sessionId) {
+            this.sessionHeads.set(`${sessionId}:${documentId}`, head);
+        } else {
+            await this.storage.updateRefs(documentId, userId, stored => {
+                stored.head = head;
+            });
+        }
+
+        const resolved = this.resolveHead({ ...metadata, head }, sessionId);
         this.emit('branch-switched', {
             documentId,
-            branchName
+            branchName: resolved.branch,
+            versionId: resolved.versionId,
+            detached: resolved.detached,
+            sessionId
         });
 
-        return branches.get(branchName);
+        return resolved;
     }
 
-    // Merge two branches
-    async mergeBranches(documentId, sourceBranch, targetBranch, resolution = 'auto') {
-        const versions = this.versions.get(documentId);
-        const branches = this.branches.get(documentId);
-
-        if (!versions || !branches) throw new Error('Document not found');
-        if (!branches.has(sourceBranch) || !branches.has(targetBranch)) {
-            throw new Error('Branch not found');
+    // Kept for callers that switch the document's HEAD by branch name
+    async switchBranch(documentId, branchName) {
+        const branches = await this.getBranches(documentId);
+        if (!branches[branchName]) {
+            throw new NotFoundError('Branch not found');
         }
+        return (await this.checkout(documentId, branchName)).versionId;
+    }
 
-        const sourceVersion = versions.get(branches.get(sourceBranch));
-        const targetVersion = versions.get(branches.get(targetBranch));
+    // Forget a session's HEADs, e.g. when it logs out
+    clearSession(sessionId) {
+        for (const key of this.sessionHeads.keys()) {
+            if (key.startsWith(`${sessionId}:`)) this.sessionHeads.delete(key);
+        }
+    }
 
-        // Find common ancestor
-        const ancestor = this.findCommonAncestor(versions, sourceVersion, targetVersion);
+    // Sessions whose HEAD is on the given branch
+    getSessionsOnBranch(documentId, branchName) {
+        return Array.from(this.sessionHeads.entries())
+            .filter(([key, head]) => key.endsWith(`:${documentId}`) && head.branch === branchName)
+            .map(([key]) => key.slice(0, key.length - documentId.length - 1));
+    }
 
-        // Generate diffs
-        const sourceDiff = this.diffTool.patch_make(ancestor.content, sourceVersion.content);
-        const targetDiff = this.diffTool.patch_make(ancestor.content, targetVersion.content);
+    // Delete a branch. main and the document's HEAD branch cannot be
+    // deleted; a branch whose versions are not contained in another branch
+    // or checked out by a session is only deleted with force.
+    async deleteBranch(documentId, branchName, { force = false, userId = 'default' } = {}) {
+        const metadata = await this.storage.getMetadata(documentId);
+        const branches = this.storage.getBranches(metadata);
 
-        // Attempt merge
-        let mergedContent;
-        let conflicts = [];
+        if (!branches[branchName]) throw new NotFoundError('Branch not found');
+        if (branchName === MAIN_BRANCH) {
+            throw new ConflictError('The main branch cannot be deleted');
+        }
+        if (metadata.head && metadata.head.branch === branchName) {
+            throw new ConflictError('The branch is the document HEAD; check out another branch first');
+        }
 
-        if (resolution === 'auto') {
-            [mergedContent, conflicts] = await this.autoMerge(
-                ancestor.content,
-                sourceDiff,
-                targetDiff
+        const versionId = branches[branchName];
+        const sessions = this.getSessionsOnBranch(documentId, branchName);
+        if (!force) {
+            const merged = Object.entries(branches).some(([name, head]) =>
+                name !== branchName && this.storage.getAncestors(metadata, head).has(versionId)
             );
-        } else {
-            mergedContent = resolution === 'source' ? sourceVersion.content : targetVersion.content;
+            if (!merged) {
+                throw new ConflictError(
+                    `Branch '${branchName}' has versions not merged into another branch; use force to delete it`
+                );
+            }
+            if (sessions.length > 0) {
+                throw new ConflictError(
+                    `Branch '${branchName}' is checked out by ${sessions.length} session(s); use force to delete it`
+                );
+            }
+        }
+
+        await this.storage.setBranch(documentId, branchName, null, userId);
+
+        // Sessions that were on the branch stay where it pointed
+        sessions.forEach(sessionId => {
+            this.sessionHeads.set(`${sessionId}:${documentId}`, { versionId });
+        });
+
+        this.emit('branch-deleted', { documentId, branchName, versionId, userId });
+        return { name: branchName, versionId };
+    }
+
+    // Rename a branch, carrying HEADs and history labels along
+    async renameBranch(documentId, branchName, newName, { userId = 'default' } = {}) {
+        this.validateRefName(newName, 'Branch');
+        if (branchName === MAIN_BRANCH) {
+            throw new ConflictError('The main branch cannot be renamed');
         }
 
-        // Create new version for merge result
-        const mergeVersion = {
-            id: uuidv4(),
-            content: mergedContent,
-            hash: this.generateHash(mergedContent),
-            timestamp: new Date(),
-            parent: targetVersion.id,
-            children: [],
-            metadata: {
-                type: 'merge',
-                source: sourceBranch,
-                target: targetBranch,
-                conflicts: conflicts.length > 0,
-                timestamp: new Date()
+        const metadata = await this.storage.updateRefs(documentId, userId, stored => {
+            const branches = this.storage.getBranches(stored);
+            if (!branches[branchName]) throw new NotFoundError('Branch not found');
+            if (branches[newName]) throw new ConflictError('Branch already exists');
+
+            stored.branches = { ...stored.branches, [newName]: branches[branchName] };
+            delete stored.branches[branchName];
+            stored.versions.forEach(version => {
+                if (version.branch === branchName) version.branch = newName;
+            });
+            if (stored.head && stored.head.branch === branchName) {
+                stored.head = { branch: newName };
             }
-        };
+        });
+
+        this.getSessionsOnBranch(documentId, branchName).forEach(sessionId => {
+            this.sessionHeads.set(`${sessionId}:${documentId}`, { branch: newName });
+        });
+
+        this.emit('branch-renamed', { documentId, from: branchName, to: newName, userId });
+        return { name: newName, versionId: metadata.branches[newName] };
+    }
 
-        // Update version graph
-        versions.set(mergeVersion.id, mergeVersion);
-        targetVersion.children.push(mergeVersion.id);
-        sourceVersion.children.push(mergeVersion.id);
+    // Merge the source branch into the target branch. Documents are merged
+    // section by section against the common ancestor. When conflicts
+    // remain, nothing is committed and they are returned for the caller to
+    // resolve: pass resolution as 'source' or 'target' to settle every
+    // conflict one way, or as an object mapping each conflict id to
+    // 'source', 'target', 'base' or { value }, then call again.
+    async mergeBranches(documentId, sourceBranch, targetBranch, resolution = 'auto', {
+        userId = 'default',
+        message = '',
+        lockToken = null
+    } = {}) {
+        const metadata = await this.storage.getMetadata(documentId);
+        const branches = this.storage.getBranches(metadata);
+
+        if (!branches[sourceBranch] || !branches[targetBranch]) {
+            throw new NotFoundError('Branch not found');
+        }
+        if (sourceBranch === targetBranch) {
+            throw new ValidationError('Cannot merge a branch into itself');
+        }
+
+        const sourceId = branches[sourceBranch];
+        const targetId = branches[targetBranch];
+
+        // Find common ancestor
+        const ancestorId = this.findCommonAncestor(metadata, sourceId, targetId);
+        if (!ancestorId) throw new ConflictError('Branches share no history');
+
+        // Nothing to merge if the target already contains the source
+        if (ancestorId === sourceId) {
+            return { versionId: targetId, conflicts: [], merged: true, upToDate: true };
+        }
 
-        // Update target branch pointer
-        branches.set(targetBranch, mergeVersion.id);
+        const [ancestor, source, target] = await Promise.all(
+            [ancestorId, sourceId, targetId].map(id => this.storage.getVersion(id))
+        );
+        const result = mergeDocuments(
+            ancestor.document,
+            source.document,
+            target.document,
+            resolution === 'auto' ? {} : resolution
+        );
+        const conflicts = result.conflicts;
+        const unresolved = conflicts.filter(conflict => !conflict.resolved);
+
+        if (unresolved.length > 0) {
+            this.emit('merge-conflicts', {
+                documentId,
+                sourceBranch,
+                targetBranch,
+                conflicts: unresolved.map(conflict => conflict.id)
+            });
+            return { versionId: null, conflicts, merged: false };
+        }
+
+        // Record the merge with both parents on the target branch. The
+        // merge was worked out from the heads read above, so it is refused
+        // if either branch moved in the meantime.
+        this.storage.validateDocument(result.content);
+        const { versionId } = await this.storage.withLock(documentId, userId, async () => {
+            const current = await this.storage.getMetadata(documentId);
+            const heads = this.storage.getBranches(current);
+            if (heads[targetBranch] !== targetId || heads[sourceBranch] !== sourceId) {
+                throw new ConflictError(
+                    `Branch '${heads[targetBranch] !== targetId ? targetBranch : sourceBranch}' ` +
+                    'changed while merging; merge again'
+                );
+            }
+            if (targetBranch === MAIN_BRANCH) this.storage.assertEditable(current);
+
+            return this.storage.commitVersion(documentId, current, result.content, {
+                message: message || `Merge branch '${sourceBranch}' into ${targetBranch}`,
+                userId,
+                branch: targetBranch,
+                parents: [targetId, sourceId]
+            });
+        }, { lockToken, content: true });
 
         this.emit('branches-merged', {
             documentId,
             sourceBranch,
             targetBranch,
-            mergeVersionId: mergeVersion.id,
+            mergeVersionId: versionId,
             conflicts
         });
 
         return {
-            version: mergeVersion,
-            conflicts
+            versionId,
+            conflicts,
+            merged: true
         };
     }
 
     // Create a tag for a specific version
-    createTag(documentId, tagName, versionId, metadata = {}) {
-        const versions = this.versions.get(documentId);
-        if (!versions || !versions.has(versionId)) {
-            throw new Error('Version not found');
-        }
+    async createTag(documentId, tagName, versionId, metadata = {}, userId = 'default') {
+        this.validateRefName(tagName, 'Tag');
 
-        const tags = this.tags.get(documentId) || new Map();
-        if (tags.has(tagName)) {
-            throw new Error('Tag already exists');
+        const documentMetadata = await this.storage.getMetadata(documentId);
+        this.storage.getEntry(documentMetadata, versionId);
+        if ((documentMetadata.versionTags || {})[tagName]) {
+            throw new ConflictError('Tag already exists');
         }
 
         const tag = {
             name: tagName,
             versionId,
-            timestamp: new Date(),
+            timestamp: new Date().toISOString(),
+            createdBy: userId,
             metadata
         };
-
-        tags.set(tagName, tag);
-        this.tags.set(documentId, tags);
+        await this.storage.setVersionTag(documentId, tagName, tag, userId);
 
         this.emit('tag-created', {
             documentId,
@@ -216,141 +415,134 @@ class VersionService extends EventEmitter {
         return tag;
     }
 
-    // Get version history
-    getHistory(documentId, branchName = null) {
-        const versions = this.versions.get(documentId);
-        if (!versions) return [];
-
-        let currentId;
-        if (branchName) {
-            const branches = this.branches.get(documentId);
-            if (!branches || !branches.has(branchName)) return [];
-            currentId = branches.get(branchName);
-        } else {
-            currentId = this.getCurrentBranch(documentId);
-        }
-
-        const history = [];
-        while (currentId) {
-            const version = versions.get(currentId);
-            history.push(version);
-            currentId = version.parent;
-        }
-
-        return history;
+    // Get version history of a branch, by default the one HEAD is on
+    async getHistory(documentId, branchName = null, sessionId = null) {
+        return this.storage.getVersionHistory(documentId, {
+            branch: branchName || await this.getCurrentBranchName(documentId, sessionId)
+        });
     }
 
     // Get version differences
-    getDiff(documentId, fromVersionId, toVersionId) {
-        const versions = this.versions.get(documentId);
-        if (!versions) throw new Error('Document not found');
+    async getDiff(documentId, fromVersionId, toVersionId) {
+        const metadata = await this.storage.getMetadata(documentId);
+        this.storage.getEntry(metadata, fromVersionId);
+        this.storage.getEntry(metadata, toVersionId);
 
-        const fromVersion = versions.get(fromVersionId);
-        const toVersion = versions.get(toVersionId);
-
-        if (!fromVersion || !toVersion) {
-            throw new Error('Version not found');
-        }
-
-        const diffs = this.diffTool.diff_main(fromVersion.content, toVersion.content);
-        this.diffTool.diff_cleanupSemantic(diffs);
-
-        return diffs;
+        return this.storage.compareVersions(fromVersionId, toVersionId);
     }
 
     // Restore to a specific version
-    restore(documentId, versionId) {
-        const versions = this.versions.get(documentId);
-        if (!versions || !versions.has(versionId)) {
-            throw new Error('Version not found');
-        }
-
-        const version = versions.get(versionId);
-        const currentBranch = this.getCurrentBranchName(documentId);
-
-        // Create new version with restored content
-        const restoredVersion = {
-            id: uuidv4(),
-            content: version.content,
-            hash: version.hash,
-            timestamp: new Date(),
-            parent: this.getCurrentBranch(documentId),
-            children: [],
-            metadata: {
-                type: 'restore',
-                restoredFrom: versionId,
-                timestamp: new Date()
-            }
-        };
-
-        versions.set(restoredVersion.id, restoredVersion);
-        this.branches.get(documentId).set(currentBranch, restoredVersion.id);
+    async restore(documentId, versionId, userId = 'default', { lockToken = null } = {}) {
+        const result = await this.storage.restoreVersion(documentId, versionId, userId, { lockToken });
 
         this.emit('version-restored', {
             documentId,
-            versionId: restoredVersion.id,
+            versionId: result.versionId,
             restoredFrom: versionId
         });
 
-        return restoredVersion;
-    }
-
-    // Helper methods
-    generateHash(content) {
-        return crypto.createHash('sha256').update(content).digest('hex');
-    }
-
-    getCurrentBranch(documentId) {
-        const branches = this.branches.get(documentId);
-        return branches ? branches.get(this.getCurrentBranchName(documentId)) : null;
+        return result;
     }
 
-    getCurrentBranchName(documentId) {
-        const branches = this.branches.get(documentId);
-        return branches ? Array.from(branches.keys())[0] : null;
-    }
-
-    findCommonAncestor(versions, version1, version2) {
-        const ancestors1 = new Set();
-        let current = version1;
+    // Attribute each line of a section, or of a plain text document, to the
+    // version that last changed it. Starting from HEAD (or versionId), lines
+    // that a parent already had unchanged are handed to that parent; lines
+    // no parent had are credited to the version itself. Merges hand lines to
+    // whichever parent had them, so merged work keeps its original author.
+    async blame(documentId, { sectionId = null, versionId = null, sessionId = null } = {}) {
+        const metadata = await this.storage.getMetadata(documentId);
+        const startId = versionId || this.resolveHead(metadata, sessionId).versionId;
+        this.storage.getEntry(metadata, startId);
+
+        const indexes = new Map(metadata.versions.map((version, index) => [version.id, index]));
+        const texts = new Map();
+        const textOf = async (id) => {
+            if (!texts.has(id)) {
+                const version = await this.storage.getVersion(id);
+                texts.set(id, blameText(version.document, sectionId));
+            }
+            return texts.get(id);
+        };
 
-        while (current) {
-            ancestors1.add(current.id);
-            current = versions.get(current.parent);
+        const text = await textOf(startId);
+        if (text === null && sectionId === null) {
+            throw new ValidationError('Choose a section to blame in a structured document');
         }
-
-        current = version2;
-        while (current) {
-            if (ancestors1.has(current.id)) {
-                return current;
+        if (text === null) throw new NotFoundError('Section not found in this version');
+
+        const lines = splitLines(text).map((line, index) => ({ line: index + 1, text: line, version: null }));
+        // Lines still to be attributed, by version: [line index in that version, result line]
+        const pending = new Map([[startId, lines.map((line, index) => [index, line])]]);
+
+        // Entries are stored oldest first, so parents always come before children
+        for (let index = indexes.get(startId); index >= 0 && pending.size > 0; index--) {
+            const entry = metadata.versions[index];
+            let open = pending.get(entry.id);
+            if (!open) continue;
+            pending.delete(entry.id);
+
+            const versionText = await textOf(entry.id);
+            for (const parentId of this.storage.getParents(metadata, index)) {
+                const parentText = indexes.has(parentId) ? await textOf(parentId) : null;
+                if (parentText === null) continue;
+
+                const mapping = mapLines(parentText, versionText);
+                const inherited = pending.get(parentId) || [];
+                open = open.filter(([lineIndex, line]) => {
+                    if (mapping[lineIndex] === -1) return true;
+                    inherited.push([mapping[lineIndex], line]);
+                    return false;
+                });
+                if (inherited.length > 0) pending.set(parentId, inherited);
             }
-            current = versions.get(current.parent);
+
+            const version = {
+                id: entry.id,
+                timestamp: entry.timestamp,
+                author: entry.author,
+                message: entry.message
+            };
+            open.forEach(([, line]) => { line.version = version; });
         }
 
-        return null;
+        return {
+            documentId,
+            versionId: startId,
+            sectionId,
+            lines,
+            paragraphs: groupParagraphs(lines)
+        };
     }
 
-    async autoMerge(baseContent, sourceDiff, targetDiff) {
-        const conflicts = [];
-        
-        // Apply source changes
-        const [sourceResult] = this.diffTool.patch_apply(sourceDiff, baseContent);
-        
-        // Apply target changes
-        const [mergedContent, results] = this.diffTool.patch_apply(targetDiff, sourceResult);
-        
-        // Check for conflicts
-        results.forEach((applied, index) => {
-            if (!applied) {
-                conflicts.push({
-                    index,
-                    patch: targetDiff[index]
-                });
-            }
-        });
+    // Helper methods
+    async getCurrentBranch(documentId, sessionId = null) {
+        return (await this.getHead(documentId, sessionId)).versionId;
+    }
 
-        return [mergedContent, conflicts];
+    // Branch HEAD is on, or main when HEAD is detached
+    async getCurrentBranchName(documentId, sessionId = null) {
+        const head = await this.getHead(documentId, sessionId);
+        return head.branch || MAIN_BRANCH;
+    }
+
+    // Nearest version reachable from both, following every parent of merges
+    findCommonAncestor(metadata, versionId1, versionId2) {
+        const ancestors1 = this.storage.getAncestors(metadata, versionId1);
+        const indexes = new Map(metadata.versions.map((version, index) => [version.id, index]));
+        const seen = new Set();
+        const queue = [versionId2];
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (seen.has(id) || !indexes.has(id)) continue;
+            if (ancestors1.has(id)) return id;
+            seen.add(id);
+            queue.push(...this.storage.getParents(metadata, indexes.get(id)));
+        }
+        return null;
     }
 }
 
+VersionService.MAIN_BRANCH = MAIN_BRANCH;
+
 module.exports = VersionService;
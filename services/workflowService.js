@@ -0,0 +1,247 @@
+const fs = require('fs').promises;
+const { EventEmitter } = require('events');
+const {
+    ValidationError,
+    ForbiddenError,
+    ConflictError
+} = require('./errors');
+
+// Default policy lifecycle. States say whether the document may be edited
+// and whether reaching them publishes it. Each transition names the states
+// it may start from, the state it leads to and the permission the acting
+// user needs. Transitions with requiredApprovals only fire once that many
+// distinct users have approved the same content.
+const DEFAULT_WORKFLOW = {
+    initialState: 'draft',
+    allowSelfApproval: false,
+    states: {
+        draft: { editable: true },
+        review: { editable: true },
+        approved: { editable: false },
+        published: { editable: false, published: true },
+        retired: { editable: false }
+    },
+    transitions: {
+        submit: { from: ['draft'], to: 'review', permission: 'write' },
+        'request-changes': { from: ['review'], to: 'draft', permission: 'review' },
+        approve: { from: ['review'], to: 'approved', permission: 'approve', requiredApprovals: 1 },
+        publish: { from: ['approved'], to: 'published', permission: 'approve' },
+        'new-draft': { from: ['published'], to: 'draft', permission: 'write' },
+        retire: { from: ['approved', 'published'], to: 'retired', permission: 'approve' },
+        reopen: { from: ['retired'], to: 'draft', permission: 'approve' }
+    }
+};
+
+class WorkflowService extends EventEmitter {
+    constructor(storage, options = {}) {
+        super();
+        this.storage = storage;
+        this.options = {
+            users: null,
+            configFile: null,
+            flush: null,
+            ...options
+        };
+        this.users = this.options.users;
+        this.config = DEFAULT_WORKFLOW;
+    }
+
+    // Load a custom workflow definition if one is configured
+    async initialize() {
+        if (!this.options.configFile) return this.config;
+
+        try {
+            const custom = JSON.parse(await fs.readFile(this.options.configFile, 'utf8'));
+            this.setConfig(custom);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load workflow configuration:', error);
+                throw error;
+            }
+        }
+        return this.config;
+    }
+
+    // Replace the workflow definition after checking it is consistent
+    setConfig(config) {
+        const merged = {
+            ...DEFAULT_WORKFLOW,
+            ...config,
+            states: config.states || DEFAULT_WORKFLOW.states,
+            transitions: config.transitions || DEFAULT_WORKFLOW.transitions
+        };
+        const errors = [];
+
+        if (!merged.states[merged.initialState]) {
+            errors.push(`initial state "${merged.initialState}" is not defined`);
+        }
+        Object.entries(merged.transitions).forEach(([action, transition]) => {
+            if (!Array.isArray(transition.from) || transition.from.length === 0) {
+                errors.push(`${action}: "from" must list at least one state`);
+            } else {
+                transition.from
+                    .filter(state => !merged.states[state])
+                    .forEach(state => errors.push(`${action}: unknown state "${state}"`));
+            }
+            if (!merged.states[transition.to]) {
+                errors.push(`${action}: unknown target state "${transition.to}"`);
+            }
+            if (transition.requiredApprovals !== undefined &&
+                (!Number.isInteger(transition.requiredApprovals) || transition.requiredApprovals < 1)) {
+                errors.push(`${action}: requiredApprovals must be a positive integer`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid workflow configuration', errors);
+        }
+
+        this.config = merged;
+        return this.config;
+    }
+
+    getConfig() {
+        return this.config;
+    }
+
+    // Workflow state stored on the metadata, defaulting to the initial state
+    getState(metadata) {
+        return metadata.workflow || {
+            state: this.config.initialState,
+            editable: this.isEditableState(this.config.initialState),
+            approvals: []
+        };
+    }
+
+    isEditableState(state) {
+        return this.config.states[state]?.editable !== false;
+    }
+
+    // Actions the user may take on the document in its current state
+    getAvailableActions(metadata, user) {
+        const { state } = this.getState(metadata);
+        return Object.entries(this.config.transitions)
+            .filter(([, transition]) => transition.from.includes(state))
+            .filter(([, transition]) => !this.users || this.users.can(user, transition.permission))
+            .map(([action, transition]) => ({
+                action,
+                to: transition.to,
+                requiredApprovals: transition.requiredApprovals || 0
+            }));
+    }
+
+    // Get the workflow state of a document with what the user can do next
+    async getWorkflow(docId, user) {
+        const metadata = await this.storage.getMetadata(docId);
+        const workflow = this.getState(metadata);
+        const hash = this.storage.getCurrentEntry(metadata).hash;
+
+        return {
+            ...workflow,
+            // Approvals only count for the content they were given on
+            approvals: (workflow.approvals || []).filter(approval => approval.hash === hash),
+            actions: this.getAvailableActions(metadata, user)
+        };
+    }
+
+    // Apply a workflow action and record it in the version history
+    async transition(docId, action, user, { comment = '', major = true } = {}) {
+        const transition = this.config.transitions[action];
+        if (!transition) {
+            throw new ValidationError(`Unknown workflow action "${action}"`);
+        }
+        if (this.users && !this.users.can(user, transition.permission)) {
+            throw new ForbiddenError(`Permission "${transition.permission}" required to ${action}`);
+        }
+
+        // Make sure pending collaborative edits are part of what is transitioned
+        if (this.options.flush) await this.options.flush(docId);
+
+        const metadata = await this.storage.getMetadata(docId);
+        const current = this.getState(metadata);
+        const from = current.state;
+        const hash = this.storage.getCurrentEntry(metadata).hash;
+        const userId = user ? user.id : 'default';
+
+        if (!transition.from.includes(from)) {
+            throw new ConflictError(`Cannot ${action} a document that is ${from}`);
+        }
+
+        let to = transition.to;
+        let approvals = (current.approvals || []).filter(
+            approval => approval.hash === hash && approval.action === action
+        );
+
+        if (transition.requiredApprovals) {
+            if (!this.config.allowSelfApproval && current.submittedBy === userId) {
+                throw new ForbiddenError('Submitters cannot approve their own changes');
+            }
+            if (approvals.some(approval => approval.userId === userId)) {
+                throw new ConflictError('You have already approved this version');
+            }
+
+            approvals = [...approvals, {
+                userId,
+                action,
+                hash,
+                comment,
+                timestamp: new Date().toISOString()
+            }];
+
+            // Stay in the current state until enough approvers have signed off
+            if (approvals.length < transition.requiredApprovals) to = from;
+        }
+
+        const workflow = {
+            ...current,
+            state: to,
+            editable: this.isEditableState(to),
+            approvals: to === from ? approvals : [],
+            updated: new Date().toISOString(),
+            updatedBy: userId
+        };
+
+        if (to !== from && transition.requiredApprovals) {
+            workflow.approvedBy = approvals.map(approval => approval.userId);
+        }
+        // Whoever moved the document into a state may not approve it out of it
+        if (to !== from && !transition.requiredApprovals) workflow.submittedBy = userId;
+        if (to !== from && this.config.states[to].published) {
+            // The first release is always major; later ones bump major or minor
+            const release = current.release || { major: 0, minor: 0 };
+            workflow.release = major || release.major === 0
+                ? { major: release.major + 1, minor: 0 }
+                : { major: release.major, minor: release.minor + 1 };
+            workflow.publishedVersion = metadata.currentVersion;
+            workflow.publishedHash = hash;
+            workflow.publishedAt = workflow.updated;
+        }
+
+        const message = to === from
+            ? `Workflow: ${action} by ${userId} (${approvals.length} of ${transition.requiredApprovals})`
+            : `Workflow: ${from} → ${to} (${action})`;
+
+        const { versionId } = await this.storage.recordWorkflowTransition(docId, workflow, {
+            action,
+            from,
+            to,
+            message: comment ? `${message}: ${comment}` : message
+        }, userId, { expected: { workflow: metadata.workflow, hash } });
+
+        this.emit('transition', {
+            documentId: docId,
+            action,
+            from,
+            to,
+            userId,
+            versionId,
+            workflow
+        });
+
+        return { versionId, workflow };
+    }
+}
+
+WorkflowService.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
+
+module.exports = WorkflowService;
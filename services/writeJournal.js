@@ -0,0 +1,152 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const TEMP_SUFFIX = '.tmp';
+
+// fsync a directory so a rename in it survives a crash. Not every platform
+// can open directories, so failures are ignored.
+async function syncDirectory(dir) {
+    let handle;
+    try {
+        handle = await fs.open(dir, 'r');
+        await handle.sync();
+    } catch {
+        // Best effort
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+// Replace a file in one step: write a temporary file next to it, flush it
+// to disk and rename it over the target. Readers see either the old or the
+// new content, never a partial write.
+async function writeFileAtomic(filePath, data) {
+    const dir = path.dirname(filePath);
+    const random = crypto.randomBytes(4).toString('hex');
+    const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${random}${TEMP_SUFFIX}`);
+
+    try {
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(data, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+    await syncDirectory(dir);
+}
+
+// Temporary files left behind by writes that never reached their rename
+async function findTempFiles(dirs) {
+    const found = [];
+    for (const dir of dirs) {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+        files
+            .filter(file => file.startsWith('.') && file.endsWith(TEMP_SUFFIX))
+            .forEach(file => found.push(path.join(dir, file)));
+    }
+    return found;
+}
+
+// Write-ahead journal for changes that span several files. The full new
+// content of every file is written to a journal entry first; once that
+// entry is on disk the change counts as committed and the files are
+// replaced one by one, then the entry is removed. After a crash, recover()
+// replays whatever entries are left, so a multi-file change is either
+// applied completely or, if the entry itself never made it to disk, not
+// at all. Paths in entries are relative to baseDir.
+class WriteJournal {
+    constructor(baseDir, dir = path.join(baseDir, 'journal')) {
+        this.baseDir = baseDir;
+        this.dir = dir;
+    }
+
+    async initialize() {
+        await fs.mkdir(this.dir, { recursive: true });
+    }
+
+    // Apply writes ([{ file, data }]) all or nothing
+    async commit(writes) {
+        const id = uuidv4();
+        const entryPath = path.join(this.dir, `${id}.json`);
+
+        await writeFileAtomic(entryPath, JSON.stringify({
+            id,
+            created: new Date().toISOString(),
+            writes: writes.map(({ file, data }) => ({ file: path.relative(this.baseDir, file), data }))
+        }));
+        await this.apply(writes);
+        await fs.unlink(entryPath);
+    }
+
+    async apply(writes) {
+        for (const { file, data } of writes) {
+            await writeFileAtomic(file, data);
+        }
+    }
+
+    // Journal entries not yet removed, oldest first
+    async pending() {
+        const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+        const entries = [];
+        for (const file of files) {
+            const entryPath = path.join(this.dir, file);
+            let entry = null;
+            try {
+                entry = JSON.parse(await fs.readFile(entryPath, 'utf8'));
+            } catch {
+                // Entries are written atomically, so this is damage, not a partial write
+            }
+            entries.push({ path: entryPath, entry });
+        }
+        return entries.sort((a, b) =>
+            String((a.entry || {}).created).localeCompare(String((b.entry || {}).created)));
+    }
+
+    // Replay committed entries left by a crash. Returns the ids replayed
+    // and the paths of entries that could not be read, which are removed.
+    async recover() {
+        const replayed = [];
+        const discarded = [];
+
+        for (const { path: entryPath, entry } of await this.pending()) {
+            const writes = this.resolveWrites(entry);
+            if (!writes) {
+                discarded.push(entryPath);
+            } else {
+                await this.apply(writes);
+                replayed.push(entry.id);
+            }
+            await fs.unlink(entryPath);
+        }
+        return { replayed, discarded };
+    }
+
+    // The writes of an entry with absolute paths, or null when the entry is
+    // malformed or names a file outside baseDir
+    resolveWrites(entry) {
+        if (!entry || !Array.isArray(entry.writes)) return null;
+        const writes = entry.writes.map(({ file, data }) => ({
+            file: path.resolve(this.baseDir, String(file)),
+            data
+        }));
+        const inside = writes.every(({ file, data }) => typeof data === 'string' &&
+            !path.relative(this.baseDir, file).startsWith('..') && !path.isAbsolute(path.relative(this.baseDir, file)));
+        return inside ? writes : null;
+    }
+}
+
+module.exports = { WriteJournal, writeFileAtomic, syncDirectory, findTempFiles, TEMP_SUFFIX };